@@ -0,0 +1,93 @@
+/**
+ * T-101 Terminal - API Key Controller
+ * Issues, lists, changes, rotates and revokes the keys held by the API key service
+ */
+
+const apiKeyService = require('../services/api-key-service');
+const errorHandler = require('../utils/error-handler');
+
+/**
+ * List the keys (never their secrets)
+ */
+exports.listKeys = async (req, res) => {
+    try {
+        const keys = apiKeyService.listKeys();
+
+        res.json({
+            success: true,
+            count: keys.length,
+            scopes: apiKeyService.SCOPES,
+            keys
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Issue a key; its secret is in this response only
+ */
+exports.issueKey = async (req, res) => {
+    try {
+        const { label, scopes, expiresAt, expiresInDays, enabled } = req.body || {};
+        const { key, secret } = apiKeyService.issueKey({ label, scopes, expiresAt, expiresInDays, enabled });
+
+        res.status(201).json({
+            success: true,
+            key,
+            apiKey: secret
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Change a key's label, scopes, expiry or enabled flag
+ */
+exports.updateKey = async (req, res) => {
+    try {
+        const { label, scopes, expiresAt, expiresInDays, enabled } = req.body || {};
+        const key = apiKeyService.updateKey(req.params.keyId, { label, scopes, expiresAt, expiresInDays, enabled });
+
+        res.json({
+            success: true,
+            key
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Replace a key's secret; the old secret stops working at once
+ */
+exports.rotateKey = async (req, res) => {
+    try {
+        const { key, secret } = apiKeyService.rotateKey(req.params.keyId);
+
+        res.json({
+            success: true,
+            key,
+            apiKey: secret
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Revoke a key
+ */
+exports.revokeKey = async (req, res) => {
+    try {
+        const key = apiKeyService.revokeKey(req.params.keyId);
+
+        res.json({
+            success: true,
+            message: `API key ${key.id} (${key.label}) revoked`
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
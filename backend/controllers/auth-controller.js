@@ -0,0 +1,92 @@
+/**
+ * T-101 Terminal - Auth Controller
+ * Signs clients in with an API key (or as a guest while no key is configured) and manages their
+ * session tokens
+ */
+
+const apiKeyService = require('../services/api-key-service');
+const sessionTokenService = require('../services/session-token-service');
+const authMiddleware = require('../middleware/auth-middleware');
+const errorHandler = require('../utils/error-handler');
+
+// Why a sign-in key was refused, by authentication failure reason
+const SIGN_IN_REJECTIONS = {
+    missing: () => errorHandler.errorTypes.AuthenticationError('API key is required to sign in'),
+    invalid: () => errorHandler.errorTypes.AuthorizationError('Invalid API key'),
+    disabled: () => errorHandler.errorTypes.AuthorizationError('API key is disabled'),
+    expired: () => errorHandler.errorTypes.AuthorizationError('API key has expired')
+};
+
+/**
+ * Start a session (the handshake)
+ * With keys configured the X-API-Key header signs the client in; otherwise it gets a guest session
+ */
+exports.createSession = async (req, res) => {
+    try {
+        let key = null;
+
+        if (apiKeyService.isAuthRequired()) {
+            const result = apiKeyService.authenticate(req.headers['x-api-key']);
+            if (!result.key) {
+                throw SIGN_IN_REJECTIONS[result.reason]();
+            }
+            key = result.key;
+        }
+
+        const session = sessionTokenService.createSession(key);
+
+        res.status(201).json({
+            success: true,
+            ...session
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Describe the signed-in user (req.user from validateSession)
+ */
+exports.getSession = async (req, res) => {
+    res.json({
+        success: true,
+        user: req.user
+    });
+};
+
+/**
+ * Swap the session token for a new one with a fresh expiry
+ */
+exports.refreshSession = async (req, res) => {
+    try {
+        const token = authMiddleware.getSessionToken(req);
+        const session = token ? sessionTokenService.refreshSession(token) : { reason: 'missing' };
+
+        if (!session.token) {
+            throw errorHandler.errorTypes.AuthenticationError(`Session cannot be refreshed (${session.reason})`);
+        }
+
+        res.json({
+            success: true,
+            ...session
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * End the session (sign out); the token is revoked
+ */
+exports.deleteSession = async (req, res) => {
+    try {
+        sessionTokenService.revokeSession(authMiddleware.getSessionToken(req));
+
+        res.json({
+            success: true,
+            message: 'Signed out'
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
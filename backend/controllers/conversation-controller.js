@@ -0,0 +1,130 @@
+/**
+ * T-101 Terminal - Conversation Controller
+ * Lists, resets and forks the chat sessions kept by the conversation service
+ */
+
+const authMiddleware = require('../middleware/auth-middleware');
+const conversationService = require('../services/conversation-service');
+const errorHandler = require('../utils/error-handler');
+
+/**
+ * Validate the session ID route parameter
+ * @param {string} sessionId Session ID from the route
+ */
+function assertValidSessionId(sessionId) {
+    if (!conversationService.isValidSessionId(sessionId)) {
+        throw errorHandler.errorTypes.ValidationError(
+            'Session ID must be 1-64 characters of letters, digits, "-" or "_"'
+        );
+    }
+}
+
+/**
+ * Find a session the caller may use
+ * Sessions of other users are reported as missing, so their IDs cannot be probed; admins see all
+ * @param {Object} req Express request object
+ * @returns {string} The validated session ID
+ */
+function assertSessionAccess(req) {
+    const { sessionId } = req.params;
+    assertValidSessionId(sessionId);
+
+    if (!authMiddleware.isAdmin(req) && !conversationService.isAccessibleBy(sessionId, authMiddleware.getUserId(req))) {
+        throw errorHandler.errorTypes.NotFoundError(`Session not found: ${sessionId}`);
+    }
+
+    return sessionId;
+}
+
+/**
+ * List active conversation sessions (the caller's own; admins see all, or one user's with ?userId=)
+ */
+exports.listSessions = async (req, res) => {
+    try {
+        const sessions = conversationService.listSessions({
+            userId: authMiddleware.isAdmin(req) ? req.query.userId : authMiddleware.getUserId(req)
+        });
+
+        res.json({
+            success: true,
+            count: sessions.length,
+            sessions
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Get a single session with its history
+ */
+exports.getSession = async (req, res) => {
+    try {
+        assertSessionAccess(req);
+
+        const session = conversationService.getSession(req.params.sessionId);
+
+        if (!session) {
+            throw errorHandler.errorTypes.NotFoundError(`Session not found: ${req.params.sessionId}`);
+        }
+
+        res.json({
+            success: true,
+            session
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Clear a session's history
+ */
+exports.resetSession = async (req, res) => {
+    try {
+        assertSessionAccess(req);
+
+        const existed = conversationService.resetSession(req.params.sessionId);
+
+        res.json({
+            success: true,
+            message: existed ?
+                `Session ${req.params.sessionId} reset` :
+                `Session ${req.params.sessionId} had no history`
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Fork a session into a new one with a copy of its history
+ */
+exports.forkSession = async (req, res) => {
+    try {
+        assertSessionAccess(req);
+
+        const newSessionId = req.body && req.body.newSessionId;
+
+        if (newSessionId) {
+            assertValidSessionId(newSessionId);
+
+            if (conversationService.getSession(newSessionId)) {
+                throw errorHandler.errorTypes.ValidationError(`Session already exists: ${newSessionId}`);
+            }
+        }
+
+        const session = conversationService.forkSession(req.params.sessionId, newSessionId, authMiddleware.getUserId(req));
+
+        if (!session) {
+            throw errorHandler.errorTypes.NotFoundError(`Session not found: ${req.params.sessionId}`);
+        }
+
+        res.status(201).json({
+            success: true,
+            session
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
@@ -5,45 +5,96 @@
 
 const path = require('path');
 const fs = require('fs');
-const { Readable } = require('stream');
+const crypto = require('crypto');
+const { Readable, Transform } = require('stream');
 const { pipeline } = require('stream/promises');
+const config = require('../config');
 const whisperService = require('../services/whisper-service');
+const usageService = require('../services/usage-service');
+const webhookService = require('../services/webhook-service');
 const errorHandler = require('../utils/error-handler');
+const { errorTypes } = errorHandler;
 
 // Maximum recording time in milliseconds
 const MAX_RECORDING_TIME = 30000; // 30 seconds
 
+// Uploaded recordings wait here while Whisper transcribes them
+const AUDIO_DIR = path.join(config.paths.temp, 'recognition');
+
+/**
+ * Error for audio over config.audio.maxSize, the limit /api/transcribe also applies
+ * @returns {Error} PayloadTooLargeError
+ */
+function audioTooLarge() {
+    return errorTypes.PayloadTooLargeError(`Audio exceeds the ${config.audio.maxSize} byte limit`);
+}
+
+/**
+ * Check whether a request announces a body over the audio size limit
+ * @param {Object} req Express request
+ * @returns {boolean} Whether Content-Length is over the limit
+ */
+function announcesTooMuchAudio(req) {
+    return parseInt(req.headers['content-length'] || '0', 10) > config.audio.maxSize;
+}
+
+/**
+ * Pass the request body through while counting it against the audio size limit
+ * Past the limit the stream fails and the rest of the body is discarded, so the client still
+ * hears the 413 instead of a dropped connection
+ * @param {Object} req Express request
+ * @returns {Transform} Limited body stream
+ */
+function limitAudio(req) {
+    let received = 0;
+
+    const limited = new Transform({
+        transform(chunk, encoding, callback) {
+            received += chunk.length;
+            callback(received > config.audio.maxSize ? audioTooLarge() : null, chunk);
+        }
+    });
+
+    limited.on('error', () => {
+        req.unpipe(limited);
+        req.resume();
+    });
+    req.on('error', error => limited.destroy(error));
+
+    return req.pipe(limited);
+}
+
 /**
  * Process audio chunks from client and send to Whisper for transcription
  */
 exports.processAudio = async (req, res) => {
+    // Generate temporary filename for this audio
+    const tempFilePath = path.join(AUDIO_DIR, `recording-${crypto.randomUUID()}.webm`);
+
     try {
-        const sessionId = req.headers['x-session-id'] || Date.now().toString();
-        const audioDir = path.join(__dirname, '../temp', sessionId);
-        
-        // Create temp directory if it doesn't exist
-        if (!fs.existsSync(audioDir)) {
-            fs.mkdirSync(audioDir, { recursive: true });
+        if (announcesTooMuchAudio(req)) {
+            throw audioTooLarge();
         }
         
-        // Generate temporary filename for this audio
-        const tempFilePath = path.join(audioDir, `recording-${Date.now()}.webm`);
+        // Create temp directory if it doesn't exist
+        await fs.promises.mkdir(AUDIO_DIR, { recursive: true });
         
         // Save audio stream to file
         const writeStream = fs.createWriteStream(tempFilePath);
         
         await pipeline(
-            req,
+            limitAudio(req),
             writeStream
         );
         
         console.log(`Audio saved to ${tempFilePath}`);
         
         // Process with Whisper
-        const transcription = await whisperService.transcribeAudio(tempFilePath);
+        const transcription = await whisperService.transcribeAudio(tempFilePath, {
+            usage: usageService.attribution(req)
+        });
         
-        // Clean up temp file
-        fs.unlinkSync(tempFilePath);
+        webhookService.emit('transcription.completed', { text: transcription }, usageService.attribution(req));
         
         // Return transcription to client
         res.json({
@@ -52,6 +103,9 @@ exports.processAudio = async (req, res) => {
         });
     } catch (error) {
         errorHandler.handleError(error, req, res);
+    } finally {
+        // Clean up temp file
+        await fs.promises.rm(tempFilePath, { force: true });
     }
 };
 
@@ -64,9 +118,26 @@ exports.processAudioStream = async (req, res) => {
     res.setHeader('Cache-Control', 'no-cache');
     res.setHeader('Connection', 'keep-alive');
     
-    const sessionId = req.headers['x-session-id'] || Date.now().toString();
     const startTime = Date.now();
     let audioChunks = [];
+    let receivedBytes = 0;
+    
+    /**
+     * Refuse audio over the size limit with a 413 and an error event
+     */
+    const refuseOversizedAudio = () => {
+        clearTimeout(recordingTimeout);
+        audioChunks = [];
+        
+        if (!res.writableEnded) {
+            res.status(413);
+            res.write(`data: ${JSON.stringify({
+                event: 'error',
+                message: audioTooLarge().message
+            })}\n\n`);
+            res.end();
+        }
+    };
     
     // Set up timeout to end recording if it exceeds MAX_RECORDING_TIME
     const recordingTimeout = setTimeout(() => {
@@ -80,8 +151,19 @@ exports.processAudioStream = async (req, res) => {
     }, MAX_RECORDING_TIME);
     
     try {
-        // Handle incoming audio chunks
+        if (announcesTooMuchAudio(req)) {
+            return refuseOversizedAudio();
+        }
+        
+        // Handle incoming audio chunks, discarding the rest of an oversized upload
         req.on('data', (chunk) => {
+            if (receivedBytes > config.audio.maxSize) return;
+            
+            receivedBytes += chunk.length;
+            if (receivedBytes > config.audio.maxSize) {
+                return refuseOversizedAudio();
+            }
+            
             audioChunks.push(chunk);
         });
         
@@ -89,24 +171,27 @@ exports.processAudioStream = async (req, res) => {
         req.on('end', async () => {
             clearTimeout(recordingTimeout);
             
+            if (receivedBytes > config.audio.maxSize) return;
+            
             if (audioChunks.length === 0) {
-                res.write(`data: ${JSON.stringify({
-                    event: 'error',
-                    message: 'No audio data received'
-                })}\n\n`);
-                return res.end();
+                if (!res.writableEnded) {
+                    res.write(`data: ${JSON.stringify({
+                        event: 'error',
+                        message: 'No audio data received'
+                    })}\n\n`);
+                    res.end();
+                }
+                return;
             }
             
+            const tempFilePath = path.join(AUDIO_DIR, `stream-${crypto.randomUUID()}.webm`);
+
             try {
                 // Create temp directory if it doesn't exist
-                const audioDir = path.join(__dirname, '../temp', sessionId);
-                if (!fs.existsSync(audioDir)) {
-                    fs.mkdirSync(audioDir, { recursive: true });
-                }
+                await fs.promises.mkdir(AUDIO_DIR, { recursive: true });
                 
                 // Save combined audio chunks to temp file
-                const tempFilePath = path.join(audioDir, `stream-${Date.now()}.webm`);
-                fs.writeFileSync(tempFilePath, Buffer.concat(audioChunks));
+                await fs.promises.writeFile(tempFilePath, Buffer.concat(audioChunks));
                 
                 // Send progress update
                 res.write(`data: ${JSON.stringify({
@@ -115,7 +200,11 @@ exports.processAudioStream = async (req, res) => {
                 })}\n\n`);
                 
                 // Process with Whisper
-                const transcription = await whisperService.transcribeAudio(tempFilePath);
+                const transcription = await whisperService.transcribeAudio(tempFilePath, {
+                    usage: usageService.attribution(req)
+                });
+                
+                webhookService.emit('transcription.completed', { text: transcription }, usageService.attribution(req));
                 
                 // Send result to client
                 res.write(`data: ${JSON.stringify({
@@ -123,23 +212,22 @@ exports.processAudioStream = async (req, res) => {
                     text: transcription,
                     processingTime: Date.now() - startTime
                 })}\n\n`);
-                
-                // Clean up temp file
-                fs.unlinkSync(tempFilePath);
-                
-                res.end();
             } catch (error) {
                 console.error('Error processing audio stream:', error);
                 res.write(`data: ${JSON.stringify({
                     event: 'error',
                     message: 'Error processing audio: ' + error.message
                 })}\n\n`);
+            } finally {
+                // Clean up temp file before the client hears the stream is done
+                await fs.promises.rm(tempFilePath, { force: true });
                 res.end();
             }
         });
         
-        // Handle connection close
-        req.on('close', () => {
+        // Handle connection close (the request stream closes as soon as the upload
+        // is consumed, so watch the response to detect a client disconnect)
+        res.on('close', () => {
             clearTimeout(recordingTimeout);
             if (!res.writableEnded) {
                 res.end();
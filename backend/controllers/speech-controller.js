@@ -7,15 +7,13 @@ const path = require('path');
 const fs = require('fs');
 const { Readable } = require('stream');
 const elevenLabsService = require('../services/eleven-labs-service');
+const speechCacheService = require('../services/speech-cache-service');
+const usageService = require('../services/usage-service');
+const webhookService = require('../services/webhook-service');
 const errorHandler = require('../utils/error-handler');
 
-// Cache directory for storing generated speech files
-const CACHE_DIR = path.join(__dirname, '../cache/speech');
-
-// Initialize cache directory
-if (!fs.existsSync(CACHE_DIR)) {
-    fs.mkdirSync(CACHE_DIR, { recursive: true });
-}
+// Model used for speech generated through the controller
+const SPEECH_MODEL_ID = 'eleven_turbo_v2';
 
 /**
  * Generate speech from text using ElevenLabs
@@ -39,44 +37,57 @@ exports.generateSpeech = async (req, res) => {
             });
         }
         
-        // Create a hash of the request for caching purposes
-        const requestHash = Buffer.from(JSON.stringify({
-            text,
-            voiceId: voiceId || 'default',
+        const voice_id = voiceId || process.env.ELEVEN_LABS_DEFAULT_VOICE;
+        const voice_settings = {
             stability: stability || 0.5,
             similarity_boost: similarity_boost || 0.75,
             style: style || 0,
             use_speaker_boost: use_speaker_boost || true
-        })).toString('base64');
+        };
         
-        const cacheFilePath = path.join(CACHE_DIR, `${requestHash}.mp3`);
+        // Cache entries are keyed by the normalized text, voice, model and settings
+        const cacheRequest = {
+            text,
+            voiceId: voice_id,
+            modelId: SPEECH_MODEL_ID,
+            settings: voice_settings
+        };
         
         // Check if we have a cached version
-        if (fs.existsSync(cacheFilePath)) {
+        const cachedAudio = await speechCacheService.get(cacheRequest);
+        // Webhook details of the speech sent
+        const speechEvent = { voiceId: voice_id, modelId: SPEECH_MODEL_ID, characters: text.length };
+        
+        if (cachedAudio) {
             console.log('Serving cached speech file');
-            return res.sendFile(cacheFilePath);
+            webhookService.emit('tts.generated', { ...speechEvent, cached: true }, usageService.attribution(req));
+            res.set({
+                'Content-Type': 'audio/mpeg',
+                'Content-Length': cachedAudio.length,
+                'X-Cache': 'HIT'
+            });
+            return res.send(cachedAudio);
         }
         
         // Generate speech using ElevenLabs
         const audioBuffer = await elevenLabsService.generateSpeech({
             text,
-            voice_id: voiceId || process.env.ELEVEN_LABS_DEFAULT_VOICE,
-            model_id: 'eleven_turbo_v2',
-            voice_settings: {
-                stability: stability || 0.5,
-                similarity_boost: similarity_boost || 0.75,
-                style: style || 0,
-                use_speaker_boost: use_speaker_boost || true
-            }
+            voice_id,
+            model_id: SPEECH_MODEL_ID,
+            voice_settings,
+            usage: usageService.attribution(req)
         });
         
         // Save to cache
-        fs.writeFileSync(cacheFilePath, audioBuffer);
+        await speechCacheService.set(cacheRequest, audioBuffer);
+        
+        webhookService.emit('tts.generated', { ...speechEvent, cached: false }, usageService.attribution(req));
         
         // Set appropriate headers
         res.set({
             'Content-Type': 'audio/mpeg',
-            'Content-Length': audioBuffer.length
+            'Content-Length': audioBuffer.length,
+            'X-Cache': 'MISS'
         });
         
         // Send audio data
@@ -107,19 +118,31 @@ exports.streamSpeech = async (req, res) => {
         });
         
         // Stream audio from ElevenLabs
+        const voice_id = voiceId || process.env.ELEVEN_LABS_DEFAULT_VOICE;
         const stream = await elevenLabsService.streamSpeech({
             text,
-            voice_id: voiceId || process.env.ELEVEN_LABS_DEFAULT_VOICE,
-            model_id: 'eleven_turbo_v2',
+            voice_id,
+            model_id: SPEECH_MODEL_ID,
             voice_settings: {
                 stability: stability || 0.5,
                 similarity_boost: similarity_boost || 0.75
-            }
+            },
+            usage: usageService.attribution(req)
         });
         
         // Pipe stream to response
         stream.pipe(res);
         
+        // Webhooks hear of the speech once all of it was streamed
+        stream.on('end', () => {
+            webhookService.emit('tts.generated', {
+                voiceId: voice_id,
+                modelId: SPEECH_MODEL_ID,
+                characters: text.length,
+                cached: false
+            }, usageService.attribution(req));
+        });
+        
         // Handle errors
         stream.on('error', (error) => {
             console.error('Stream error:', error);
@@ -153,76 +176,130 @@ exports.getVoices = async (req, res) => {
 };
 
 /**
- * Health check endpoint for the speech service
+ * Clone a voice from uploaded samples (multipart: name, description, files)
  */
-exports.healthCheck = async (req, res) => {
+exports.createVoice = async (req, res) => {
     try {
-        // Check ElevenLabs API status
-        const status = await elevenLabsService.checkHealth();
+        const { name, description } = req.body;
+        const files = req.files || [];
         
-        res.json({
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Voice name is required'
+            });
+        }
+        
+        if (files.length === 0) {
+            return res.status(400).json({
+                success: false,
+                message: 'At least one voice sample is required'
+            });
+        }
+        
+        const voice = await elevenLabsService.createVoice({
+            name: name.trim(),
+            description,
+            files
+        });
+        
+        res.status(201).json({
             success: true,
-            status,
-            cacheSize: await getCacheSize(),
-            cachedItems: await getCachedItemsCount()
+            voice: {
+                voice_id: voice.voice_id,
+                name: name.trim(),
+                description: description || ''
+            }
         });
     } catch (error) {
-        res.status(500).json({
-            success: false,
-            message: 'Speech service health check failed',
-            error: error.message
-        });
+        errorHandler.handleError(error, req, res);
     }
 };
 
 /**
- * Get the size of the cache directory
+ * Rename a voice or change its description
  */
-async function getCacheSize() {
+exports.editVoice = async (req, res) => {
     try {
-        let totalSize = 0;
-        const files = fs.readdirSync(CACHE_DIR);
+        const { voiceId } = req.params;
+        const { name, description } = req.body;
         
-        for (const file of files) {
-            const stats = fs.statSync(path.join(CACHE_DIR, file));
-            totalSize += stats.size;
+        if (!name || !name.trim()) {
+            return res.status(400).json({
+                success: false,
+                message: 'Voice name is required'
+            });
         }
         
-        // Convert to MB
-        return (totalSize / (1024 * 1024)).toFixed(2) + ' MB';
+        await elevenLabsService.editVoice({
+            voice_id: voiceId,
+            name: name.trim(),
+            description
+        });
+        
+        res.json({
+            success: true,
+            voice: {
+                voice_id: voiceId,
+                name: name.trim(),
+                description
+            }
+        });
     } catch (error) {
-        console.error('Error calculating cache size:', error);
-        return 'Unknown';
+        errorHandler.handleError(error, req, res);
     }
-}
+};
 
 /**
- * Get the number of cached items
+ * Delete a voice
  */
-async function getCachedItemsCount() {
+exports.deleteVoice = async (req, res) => {
     try {
-        const files = fs.readdirSync(CACHE_DIR);
-        return files.length;
+        const { voiceId } = req.params;
+        
+        await elevenLabsService.deleteVoice(voiceId);
+        
+        res.json({
+            success: true,
+            message: `Deleted voice ${voiceId}`
+        });
     } catch (error) {
-        console.error('Error counting cached items:', error);
-        return 0;
+        errorHandler.handleError(error, req, res);
     }
-}
+};
+
+/**
+ * Health check endpoint for the speech service
+ */
+exports.healthCheck = async (req, res) => {
+    try {
+        // Check ElevenLabs API status
+        const status = await elevenLabsService.checkHealth();
+        
+        res.json({
+            success: true,
+            status,
+            cache: await speechCacheService.getStats()
+        });
+    } catch (error) {
+        res.status(500).json({
+            success: false,
+            message: 'Speech service health check failed',
+            error: error.message
+        });
+    }
+};
 
 /**
  * Clear the speech cache
  */
 exports.clearCache = async (req, res) => {
     try {
-        const files = fs.readdirSync(CACHE_DIR);
-        
-        for (const file of files) {
-            fs.unlinkSync(path.join(CACHE_DIR, file));
-        }
+        const cleared = await speechCacheService.clear();
         
         res.json({
             success: true,
-            message: `Cleared ${files.length} cached speech files`
+            message: `Cleared ${cleared} cached speech files`
         });
     } catch (error) {
         errorHandler.handleError(error, req, res);
@@ -0,0 +1,109 @@
+/**
+ * T-101 Terminal - Webhook Controller
+ * Registers, lists, changes, tests and removes the webhooks held by the webhook service
+ */
+
+const webhookService = require('../services/webhook-service');
+const errorHandler = require('../utils/error-handler');
+
+/**
+ * List the webhooks (never their secrets)
+ */
+exports.listWebhooks = async (req, res) => {
+    try {
+        const webhooks = webhookService.listWebhooks();
+
+        res.json({
+            success: true,
+            count: webhooks.length,
+            events: webhookService.EVENTS,
+            webhooks
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Register a webhook; its signing secret is in this response only
+ */
+exports.createWebhook = async (req, res) => {
+    try {
+        const { url, events, description, secret, enabled } = req.body || {};
+        const { webhook, secret: signingSecret } = webhookService.createWebhook({ url, events, description, secret, enabled });
+
+        res.status(201).json({
+            success: true,
+            webhook,
+            secret: signingSecret
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Change a webhook's URL, events, description or enabled flag
+ */
+exports.updateWebhook = async (req, res) => {
+    try {
+        const { url, events, description, enabled } = req.body || {};
+        const webhook = webhookService.updateWebhook(req.params.webhookId, { url, events, description, enabled });
+
+        res.json({
+            success: true,
+            webhook
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Remove a webhook
+ */
+exports.deleteWebhook = async (req, res) => {
+    try {
+        const webhook = webhookService.deleteWebhook(req.params.webhookId);
+
+        res.json({
+            success: true,
+            message: `Webhook ${webhook.id} (${webhook.url}) removed`
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * Send a webhook.ping event and report the first attempt
+ */
+exports.pingWebhook = async (req, res) => {
+    try {
+        const delivery = await webhookService.ping(req.params.webhookId);
+
+        res.json({
+            success: true,
+            delivery
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
+
+/**
+ * List a webhook's recent deliveries and their attempts
+ */
+exports.listDeliveries = async (req, res) => {
+    try {
+        const deliveries = await webhookService.listDeliveries(req.params.webhookId);
+
+        res.json({
+            success: true,
+            count: deliveries.length,
+            deliveries
+        });
+    } catch (error) {
+        errorHandler.handleError(error, req, res);
+    }
+};
@@ -4,33 +4,231 @@
  */
 
 const crypto = require('crypto');
+const apiKeyService = require('../services/api-key-service');
+const sessionTokenService = require('../services/session-token-service');
+
+// Why an offered key was refused, by authentication failure reason
+const KEY_REJECTIONS = {
+    missing: { status: 401, message: 'API key is required' },
+    invalid: { status: 403, message: 'Invalid API key' },
+    disabled: { status: 403, message: 'API key is disabled' },
+    expired: { status: 403, message: 'API key has expired' }
+};
+
+/**
+ * Read the session token a request carries (Authorization: Bearer, or X-Session-Token)
+ * @param {Object} req Express request object
+ * @returns {string|null} Session token
+ */
+exports.getSessionToken = (req) => {
+    const match = /^Bearer\s+(\S+)$/i.exec(req.headers.authorization || '');
+    return match ? match[1] : req.headers['x-session-token'] || null;
+};
 
 /**
- * Validate API key from request
+ * Sign a request in with its session token
+ * req.user gets the session's identity, and req.apiKey the key it was signed in with (for scopes)
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {string} token Session token
+ * @returns {boolean} Whether the session is valid (otherwise a 401 has been sent)
+ */
+function applySession(req, res, token) {
+    const { user, reason } = sessionTokenService.verifyToken(token);
+
+    if (!user) {
+        res.status(401).json({
+            success: false,
+            message: `Invalid or expired session (${reason})`
+        });
+        return false;
+    }
+
+    req.user = user;
+    req.apiKey = { id: user.keyId, label: user.name, scopes: user.scopes };
+    return true;
+}
+
+/**
+ * Validate the session token or API key (X-API-Key header) of a request
+ * The accepted key's details ({ id, label, scopes, ... }) are set on req.apiKey, and a session's
+ * identity on req.user
  */
 exports.validateApiKey = (req, res, next) => {
-    // Get API key from request headers
-    const apiKey = req.headers['x-api-key'];
+    // A session token always identifies the user, even while keys are not enforced
+    const token = exports.getSessionToken(req);
+    if (token) {
+        if (applySession(req, res, token)) next();
+        return;
+    }
+
+    // Skip validation until a key is configured (matches the server's legacy routes)
+    if (!apiKeyService.isAuthRequired()) {
+        return next();
+    }
+
+    // Admin requests may identify with the admin credential alone
+    const adminKey = !req.headers['x-api-key'] && authenticateAdminKey(req.headers['x-admin-key']);
+    const { key, reason } = adminKey ? { key: adminKey } : apiKeyService.authenticate(req.headers['x-api-key']);
+
+    if (!key) {
+        return res.status(KEY_REJECTIONS[reason].status).json({
+            success: false,
+            message: KEY_REJECTIONS[reason].message
+        });
+    }
+
+    req.apiKey = key;
+    next();
+};
+
+/**
+ * Require API key scopes for a route
+ * The credentials are validated first when no earlier middleware has done so
+ * @param {...string} scopes Scopes the key must all have (chat, tts, transcribe, voices, admin)
+ * @returns {Function} Express middleware
+ */
+exports.requireScope = (...scopes) => (req, res, next) => {
+    const checkScopes = () => {
+        if (req.authBypassed || !apiKeyService.isAuthRequired()) {
+            return next();
+        }
+
+        const missing = scopes.filter(scope => !req.apiKey.scopes.includes(scope));
+
+        if (missing.length > 0) {
+            return res.status(403).json({
+                success: false,
+                message: `${req.user ? 'Session' : 'API key'} lacks the ${missing.join(', ')} ` +
+                    `scope${missing.length > 1 ? 's' : ''}`
+            });
+        }
+
+        next();
+    };
+
+    if (req.apiKey || req.authBypassed) {
+        return checkScopes();
+    }
+
+    exports.validateApiKey(req, res, checkScopes);
+};
+
+/**
+ * Identify who owns the conversations a request takes part in
+ * @param {Object} req Express request object (after validateApiKey or requireScope)
+ * @returns {string|null} The session's user ID, else the API key ID, or null for anonymous requests
+ */
+exports.getUserId = (req) => {
+    if (req.user) return req.user.id;
+    return (req.apiKey && req.apiKey.id) || null;
+};
+
+/**
+ * Check whether a request was made with an admin-scoped session or key
+ * @param {Object} req Express request object (after validateApiKey or requireScope)
+ * @returns {boolean} Whether the caller is an administrator
+ */
+exports.isAdmin = (req) => {
+    return !!(req.apiKey && req.apiKey.scopes.includes('admin'));
+};
+
+/**
+ * Check credentials outside of an Express request (e.g. WebSocket upgrades)
+ * @param {Object} credentials Offered credentials
+ * @param {string} credentials.apiKey API key
+ * @param {string} credentials.token Session token (takes precedence over the key)
+ * @param {string[]} scopes Scopes the credentials must all have
+ * @returns {Object|null} { user, keyId } (user is null without a session), or null when refused
+ */
+exports.authenticateCredentials = ({ apiKey, token }, scopes = []) => {
+    const enforced = apiKeyService.isAuthRequired();
+    const allows = granted => !enforced || scopes.every(scope => granted.includes(scope));
+
+    if (token) {
+        const { user } = sessionTokenService.verifyToken(token);
+        return user && allows(user.scopes) ? { user, keyId: user.keyId } : null;
+    }
+
+    // Every key is accepted when no API key is configured
+    if (!enforced) {
+        return { user: null, keyId: null };
+    }
+
+    const { key } = apiKeyService.authenticate(apiKey);
+    return key && allows(key.scopes) ? { user: null, keyId: key.id } : null;
+};
+
+/**
+ * Check an API key outside of an Express request (e.g. WebSocket upgrades)
+ * @param {string} apiKey Offered API key
+ * @param {string[]} scopes Scopes the key must all have
+ * @returns {boolean} Whether the key is accepted
+ */
+exports.isValidApiKey = (apiKey, scopes = []) => {
+    return exports.authenticateCredentials({ apiKey }, scopes) !== null;
+};
+
+/**
+ * Check an admin credential: ADMIN_API_KEY, or a stored key with the admin scope
+ * @param {string} offeredKey Offered key (X-Admin-Key header)
+ * @returns {Object|null} Key details with the admin scope, or null when not accepted
+ */
+function authenticateAdminKey(offeredKey) {
+    if (!offeredKey) return null;
+
+    const adminKey = process.env.ADMIN_API_KEY;
+
+    // Compare digests so the check takes the same time whatever the offered key
+    const digest = value => crypto.createHash('sha256').update(value).digest();
+
+    if (adminKey && crypto.timingSafeEqual(digest(offeredKey), digest(adminKey))) {
+        return { id: 'admin', label: 'ADMIN_API_KEY environment variable', scopes: ['admin'] };
+    }
+
+    const { key } = apiKeyService.authenticate(offeredKey);
+    return key && key.scopes.includes('admin') ? key : null;
+}
+
+/**
+ * Require the admin credential for administrative routes
+ * Accepted are an API key with the admin scope (X-API-Key), or ADMIN_API_KEY or an admin-scoped key
+ * in the X-Admin-Key header. Unlike the API key, without any admin credential configured these
+ * routes are disabled instead of open
+ */
+exports.requireAdminKey = (req, res, next) => {
+    if (!process.env.ADMIN_API_KEY && !apiKeyService.hasAdminKeys()) {
+        return res.status(403).json({
+            success: false,
+            message: 'Administrative routes are disabled (ADMIN_API_KEY is not set)'
+        });
+    }
+    
+    const token = exports.getSessionToken(req);
+    const apiKey = req.apiKey || (token ?
+        sessionTokenService.verifyToken(token).user :
+        apiKeyService.authenticate(req.headers['x-api-key']).key);
+    
+    if (apiKey && apiKey.scopes.includes('admin')) {
+        return next();
+    }
+    
+    const offeredKey = req.headers['x-admin-key'];
     
-    // Check if API key is provided
-    if (!apiKey) {
+    if (!offeredKey) {
         return res.status(401).json({
             success: false,
-            message: 'API key is required'
+            message: 'Admin key is required'
         });
     }
     
-    // Validate API key (in production, you'd validate against a database)
-    const validApiKey = process.env.API_KEY;
-    
-    if (!validApiKey || apiKey !== validApiKey) {
+    if (!authenticateAdminKey(offeredKey)) {
         return res.status(403).json({
             success: false,
-            message: 'Invalid API key'
+            message: 'Invalid admin key'
         });
     }
     
-    // API key is valid, proceed to next middleware
     next();
 };
 
@@ -137,6 +335,7 @@ exports.verifyWebhookSignature = (req, res, next) => {
 exports.devBypass = (req, res, next) => {
     if (process.env.NODE_ENV === 'development' && process.env.BYPASS_AUTH === 'true') {
         console.warn('⚠️ WARNING: Authentication bypassed in development mode');
+        req.authBypassed = true;
         return next();
     }
     
@@ -145,10 +344,11 @@ exports.devBypass = (req, res, next) => {
 };
 
 /**
- * Session authentication for user sessions
+ * Require a signed-in session (Authorization: Bearer or X-Session-Token)
+ * The session's identity ({ id, name, keyId, scopes, tokenId, expiresAt }) is set on req.user
  */
 exports.validateSession = (req, res, next) => {
-    const sessionToken = req.cookies?.sessionToken || req.headers['x-session-token'];
+    const sessionToken = exports.getSessionToken(req);
     
     if (!sessionToken) {
         return res.status(401).json({
@@ -157,27 +357,7 @@ exports.validateSession = (req, res, next) => {
         });
     }
     
-    // In a real app, validate session against database
-    // This is a simplified example
-    try {
-        // For demo purposes, we're not implementing actual session validation
-        // Just checking if the token has the right format
-        if (sessionToken.length < 32) {
-            throw new Error('Invalid session token');
-        }
-        
-        // Add user info to request for downstream handlers
-        req.user = {
-            id: 'user-123',
-            role: 'user'
-        };
-        
+    if (applySession(req, res, sessionToken)) {
         next();
-    } catch (error) {
-        console.error('Session validation error:', error);
-        return res.status(401).json({
-            success: false,
-            message: 'Invalid or expired session'
-        });
     }
-};
\ No newline at end of file
+};
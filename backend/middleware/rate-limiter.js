@@ -3,19 +3,21 @@
  * Provides more sophisticated rate limiting than the basic auth middleware
  */
 
-// Simple in-memory store for rate limits
+// Simple in-memory stores for rate limits, one per limiter so their counts stay independent
 // Note: For production, use Redis or similar for distributed rate limiting
-const rateStore = new Map();
+const rateStores = [];
 
 // Clean up old rate limit entries periodically
 setInterval(() => {
     const now = Date.now();
-    for (const [key, data] of rateStore.entries()) {
-        if (now - data.timestamp > data.windowMs) {
-            rateStore.delete(key);
+    for (const rateStore of rateStores) {
+        for (const [key, data] of rateStore.entries()) {
+            if (now - data.timestamp > data.windowMs) {
+                rateStore.delete(key);
+            }
         }
     }
-}, 60000); // Clean up every minute
+}, 60000).unref(); // Clean up every minute
 
 /**
  * Create a rate limiter middleware
@@ -40,6 +42,9 @@ function createRateLimiter(options = {}) {
         }
     } = options;
 
+    const rateStore = new Map();
+    rateStores.push(rateStore);
+
     return (req, res, next) => {
         const key = keyGenerator(req);
         const now = Date.now();
@@ -137,6 +142,22 @@ exports.generalRateLimiter = createRateLimiter({
     max: 100, // 100 requests per 5 minutes
 });
 
+/**
+ * Sign-in rate limiter - slows down guessing API keys
+ */
+exports.authRateLimiter = createRateLimiter({
+    windowMs: 5 * 60 * 1000, // 5 minutes
+    max: 30, // 30 sign-ins per 5 minutes
+});
+
+/**
+ * CSP report rate limiter - reports are unauthenticated, so keep a page in a loop from flooding the log
+ */
+exports.cspReportRateLimiter = createRateLimiter({
+    windowMs: 60 * 1000, // 1 minute
+    max: 30, // 30 reports per minute
+});
+
 /**
  * Very strict rate limiter for sensitive operations
  */
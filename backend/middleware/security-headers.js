@@ -0,0 +1,135 @@
+/**
+ * T-101 Terminal - Security Headers Middleware
+ * Applies the policies under config.security: Content-Security-Policy, HSTS, frame and referrer
+ * policies, and CORS limited to the terminal's own origin and the server.corsOrigins allow-list
+ */
+
+const cors = require('cors');
+const config = require('../config');
+
+const { contentSecurityPolicy, xssFilter, hsts, hstsMaxAge, frameguard, referrerPolicy } = config.security.helmet;
+
+// Reporting API group the CSP report-to directive names
+const CSP_REPORT_GROUP = 'csp-endpoint';
+
+/**
+ * Build a Content-Security-Policy header value from camelCase directives
+ * @param {Object} policy Policy settings ({ directives, reportUri })
+ * @returns {string} Header value
+ */
+function buildContentSecurityPolicy({ directives, reportUri }) {
+    const parts = Object.entries(directives).map(([name, sources]) => {
+        const directive = name.replace(/[A-Z]/g, letter => `-${letter.toLowerCase()}`);
+        return [directive, ...sources].join(' ');
+    });
+
+    // report-uri for browsers without the Reporting API, report-to for the rest
+    if (reportUri) {
+        parts.push(`report-uri ${reportUri}`, `report-to ${CSP_REPORT_GROUP}`);
+    }
+
+    return parts.join('; ');
+}
+
+// The policies do not change while the server runs
+const CSP_HEADER = contentSecurityPolicy.reportOnly ? 'Content-Security-Policy-Report-Only' : 'Content-Security-Policy';
+const CSP_VALUE = buildContentSecurityPolicy(contentSecurityPolicy);
+
+/**
+ * Check a request's Origin against the allow-list
+ * Requests without an Origin (same-origin navigation, curl, server-to-server) and requests from the
+ * terminal's own origin are always allowed
+ * @param {Object} req Express or upgrade request
+ * @returns {boolean} Whether the origin may call the server
+ */
+exports.isOriginAllowed = (req) => {
+    const origin = req.headers.origin;
+    if (!origin) return true;
+
+    const allowed = config.server.corsOrigins;
+    if (allowed.includes('*') || allowed.includes(origin)) return true;
+
+    try {
+        return new URL(origin).host === req.headers.host;
+    } catch (error) {
+        // "null" from sandboxed frames and file:// pages
+        return false;
+    }
+};
+
+/**
+ * Security headers middleware
+ */
+exports.securityHeaders = (req, res, next) => {
+    res.setHeader(CSP_HEADER, CSP_VALUE);
+
+    if (contentSecurityPolicy.reportUri) {
+        res.setHeader('Reporting-Endpoints', `${CSP_REPORT_GROUP}="${contentSecurityPolicy.reportUri}"`);
+    }
+
+    // Browsers ignore HSTS over plain http; req.secure counts X-Forwarded-Proto only with trust proxy
+    if (hsts && req.secure) {
+        res.setHeader('Strict-Transport-Security', `max-age=${hstsMaxAge}; includeSubDomains`);
+    }
+
+    res.setHeader('X-Frame-Options', frameguard);
+    res.setHeader('Referrer-Policy', referrerPolicy);
+    res.setHeader('X-Content-Type-Options', 'nosniff');
+    res.setHeader('X-XSS-Protection', xssFilter ? '1; mode=block' : '0');
+
+    next();
+};
+
+// Answers preflights and adds the CORS headers for allowed origins
+const corsHandler = cors((req, callback) => {
+    const anyOrigin = config.server.corsOrigins.includes('*');
+
+    callback(null, {
+        ...config.security.cors,
+        // Reflect the (already checked) origin; "*" never goes with credentials
+        origin: anyOrigin ? '*' : true,
+        credentials: !anyOrigin && config.security.cors.credentials
+    });
+});
+
+/**
+ * CORS middleware that refuses origins outside the allow-list
+ */
+exports.corsPolicy = (req, res, next) => {
+    if (!exports.isOriginAllowed(req)) {
+        return res.status(403).json({
+            error: 'Origin not allowed',
+            details: `${req.headers.origin} is not in CORS_ORIGINS`
+        });
+    }
+
+    corsHandler(req, res, next);
+};
+
+/**
+ * Read the violations from a CSP report body
+ * Accepts the report-uri format ({ "csp-report": {...} }) and Reporting API batches
+ * ([{ type: "csp-violation", body: {...} }])
+ * @param {Object|Array} body Parsed request body
+ * @returns {Object[]} Violations ({ documentUri, blockedUri, directive, disposition, sourceFile, lineNumber })
+ */
+exports.readCspReports = (body) => {
+    let reports = [];
+
+    if (Array.isArray(body)) {
+        reports = body.filter(report => report && report.type === 'csp-violation' && report.body).map(report => report.body);
+    } else if (body && typeof body['csp-report'] === 'object' && body['csp-report']) {
+        reports = [body['csp-report']];
+    }
+
+    return reports.map(report => ({
+        documentUri: report['document-uri'] || report.documentURL || null,
+        blockedUri: report['blocked-uri'] || report.blockedURL || null,
+        directive: report['effective-directive'] || report.effectiveDirective || report['violated-directive'] || null,
+        disposition: report.disposition || 'enforce',
+        sourceFile: report['source-file'] || report.sourceFile || null,
+        lineNumber: report['line-number'] || report.lineNumber || null
+    }));
+};
+
+module.exports = exports;
@@ -0,0 +1,106 @@
+/**
+ * T-101 Terminal - API Routes
+ * Versioned router exposing the speech and recognition controllers
+ */
+
+const express = require('express');
+const multer = require('multer');
+const speechController = require('../controllers/speech-controller');
+const recognitionController = require('../controllers/recognition-controller');
+const conversationController = require('../controllers/conversation-controller');
+const apiKeyController = require('../controllers/api-key-controller');
+const webhookController = require('../controllers/webhook-controller');
+const authMiddleware = require('../middleware/auth-middleware');
+const rateLimiter = require('../middleware/rate-limiter');
+
+// API version exposed by this router
+const API_VERSION = 'v1';
+
+// Voice samples for cloning (ElevenLabs accepts up to 25 samples of at most 10MB each)
+const MAX_VOICE_SAMPLES = 25;
+const voiceSampleUpload = multer({
+    storage: multer.memoryStorage(),
+    limits: { fileSize: 10 * 1024 * 1024, files: MAX_VOICE_SAMPLES }
+});
+
+const router = express.Router();
+
+// Every versioned endpoint requires a valid API key and counts against the general API limit;
+// routes then require the scopes they use
+router.use(authMiddleware.devBypass);
+router.use(rateLimiter.apiRateLimiter);
+
+/**
+ * Describe the available endpoints
+ */
+router.get('/', (req, res) => {
+    res.json({
+        success: true,
+        version: API_VERSION,
+        endpoints: router.stack
+            .filter(layer => layer.route)
+            .map(layer => ({
+                path: layer.route.path,
+                methods: Object.keys(layer.route.methods).map(method => method.toUpperCase())
+            }))
+    });
+});
+
+// Speech synthesis (ElevenLabs)
+router.post('/speech', authMiddleware.requireScope('tts'), rateLimiter.speechRateLimiter, speechController.generateSpeech);
+router.post('/speech/stream', authMiddleware.requireScope('tts'), rateLimiter.speechRateLimiter, speechController.streamSpeech);
+router.post('/speech/test', authMiddleware.requireScope('tts'), speechController.testSpeech);
+router.get('/speech/voices', authMiddleware.requireScope('voices'), speechController.getVoices);
+
+// Voice management requires the admin credential (admin scope or X-Admin-Key)
+router.post('/speech/voices', authMiddleware.requireAdminKey, uploadVoiceSamples, speechController.createVoice);
+router.patch('/speech/voices/:voiceId', authMiddleware.requireAdminKey, speechController.editVoice);
+router.delete('/speech/voices/:voiceId', authMiddleware.requireAdminKey, speechController.deleteVoice);
+router.get('/speech/health', speechController.healthCheck);
+router.delete('/speech/cache', authMiddleware.requireScope('tts'), rateLimiter.strictRateLimiter, speechController.clearCache);
+
+// Speech recognition (Whisper) - request bodies are raw audio streams, not multipart
+router.post('/recognition', authMiddleware.requireScope('transcribe'), rateLimiter.recognitionRateLimiter, recognitionController.processAudio);
+router.post('/recognition/stream', authMiddleware.requireScope('transcribe'), rateLimiter.recognitionRateLimiter, recognitionController.processAudioStream);
+router.post('/recognition/test', authMiddleware.requireScope('transcribe'), recognitionController.testWhisper);
+
+// Conversation sessions (keyed by the X-Session-ID header on /api/chat)
+router.get('/sessions', authMiddleware.requireScope('chat'), conversationController.listSessions);
+router.get('/sessions/:sessionId', authMiddleware.requireScope('chat'), conversationController.getSession);
+router.post('/sessions/:sessionId/reset', authMiddleware.requireScope('chat'), conversationController.resetSession);
+router.post('/sessions/:sessionId/fork', authMiddleware.requireScope('chat'), conversationController.forkSession);
+
+// API keys (admin only)
+router.get('/keys', authMiddleware.requireAdminKey, apiKeyController.listKeys);
+router.post('/keys', authMiddleware.requireAdminKey, apiKeyController.issueKey);
+router.patch('/keys/:keyId', authMiddleware.requireAdminKey, apiKeyController.updateKey);
+router.post('/keys/:keyId/rotate', authMiddleware.requireAdminKey, apiKeyController.rotateKey);
+router.delete('/keys/:keyId', authMiddleware.requireAdminKey, apiKeyController.revokeKey);
+
+// Outbound webhooks (admin only)
+router.get('/webhooks', authMiddleware.requireAdminKey, webhookController.listWebhooks);
+router.post('/webhooks', authMiddleware.requireAdminKey, webhookController.createWebhook);
+router.patch('/webhooks/:webhookId', authMiddleware.requireAdminKey, webhookController.updateWebhook);
+router.delete('/webhooks/:webhookId', authMiddleware.requireAdminKey, webhookController.deleteWebhook);
+router.post('/webhooks/:webhookId/ping', authMiddleware.requireAdminKey, webhookController.pingWebhook);
+router.get('/webhooks/:webhookId/deliveries', authMiddleware.requireAdminKey, webhookController.listDeliveries);
+
+/**
+ * Parse voice samples ("files" fields), answering rejected uploads with 400 instead of a server error
+ */
+function uploadVoiceSamples(req, res, next) {
+    voiceSampleUpload.array('files', MAX_VOICE_SAMPLES)(req, res, (error) => {
+        if (error instanceof multer.MulterError) {
+            return res.status(error.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+                success: false,
+                message: `Voice samples rejected: ${error.message}`
+            });
+        }
+        
+        next(error);
+    });
+}
+
+router.version = API_VERSION;
+
+module.exports = router;
@@ -0,0 +1,18 @@
+/**
+ * T-101 Terminal - Auth Routes
+ * Sign-in handshake and session token refresh and sign-out (mounted at /api/auth)
+ */
+
+const express = require('express');
+const authController = require('../controllers/auth-controller');
+const authMiddleware = require('../middleware/auth-middleware');
+const rateLimiter = require('../middleware/rate-limiter');
+
+const router = express.Router();
+
+router.post('/session', rateLimiter.authRateLimiter, authController.createSession);
+router.get('/session', authMiddleware.validateSession, authController.getSession);
+router.delete('/session', authMiddleware.validateSession, authController.deleteSession);
+router.post('/refresh', rateLimiter.authRateLimiter, authController.refreshSession);
+
+module.exports = router;
@@ -0,0 +1,345 @@
+/**
+ * T-101 Terminal - API Key Service
+ * Store of scoped API keys, kept as SHA-256 hashes with a label, expiry and enabled flag
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const { errorTypes } = require('../utils/error-handler');
+
+// Scopes a key can be granted
+const SCOPES = ['chat', 'tts', 'transcribe', 'voices', 'admin'];
+
+// Scopes of the legacy API_KEY environment variable (everything but administration)
+const ENVIRONMENT_KEY_SCOPES = SCOPES.filter(scope => scope !== 'admin');
+
+// ID under which the API_KEY environment variable is listed
+const ENVIRONMENT_KEY_ID = 'env';
+
+// Characters of a key kept in clear so admins can tell keys apart
+const PREFIX_LENGTH = 9;
+
+// Stored keys keyed by ID ({ id, label, hash, prefix, scopes, enabled, expiresAt, createdAt, rotatedAt })
+let keys = null;
+
+exports.SCOPES = SCOPES;
+
+/**
+ * Hash a key for storage and lookup
+ * Keys are random 192-bit values, so a fast hash is enough to make the stored form useless
+ * @param {string} secret API key
+ * @returns {string} SHA-256 hex digest
+ */
+function hashKey(secret) {
+    return crypto.createHash('sha256').update(String(secret)).digest('hex');
+}
+
+/**
+ * Load the store from disk on first use
+ * @returns {Map} Stored keys
+ */
+function getKeys() {
+    if (keys) return keys;
+
+    keys = new Map();
+    try {
+        const stored = JSON.parse(fs.readFileSync(config.auth.keyStoreFile, 'utf8'));
+        (stored.keys || []).forEach(key => keys.set(key.id, key));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not read the API key store:', error.message);
+        }
+    }
+
+    return keys;
+}
+
+/**
+ * Write the store to disk, replacing the file in one step so a crash never leaves half a store
+ */
+function saveKeys() {
+    const file = config.auth.keyStoreFile;
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify({ keys: Array.from(getKeys().values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * The API_KEY environment variable as a key record
+ * @returns {Object|null} Key record, or null when API_KEY is not set
+ */
+function getEnvironmentKey() {
+    if (!config.server.apiKey) return null;
+
+    return {
+        id: ENVIRONMENT_KEY_ID,
+        label: 'API_KEY environment variable',
+        hash: hashKey(config.server.apiKey),
+        prefix: null,
+        scopes: ENVIRONMENT_KEY_SCOPES,
+        enabled: true,
+        expiresAt: null,
+        createdAt: null,
+        rotatedAt: null
+    };
+}
+
+/**
+ * Key record without its hash
+ * @param {Object} key Key record
+ * @returns {Object} Public key details
+ */
+function toPublic(key) {
+    const { hash, ...details } = key;
+    return { ...details, expired: isExpired(key) };
+}
+
+/**
+ * Check whether a key has expired
+ * @param {Object} key Key record
+ * @returns {boolean} Whether the expiry has passed
+ */
+function isExpired(key) {
+    return Boolean(key.expiresAt) && Date.parse(key.expiresAt) <= Date.now();
+}
+
+/**
+ * Check whether requests have to present a key
+ * Until a key is issued or API_KEY is set the server is open, as in local development
+ * @returns {boolean} Whether any key is configured
+ */
+exports.isAuthRequired = () => {
+    return Boolean(config.server.apiKey) || getKeys().size > 0;
+};
+
+/**
+ * Check whether any key other than ADMIN_API_KEY grants the admin scope
+ * @returns {boolean} Whether an admin-scoped key is stored
+ */
+exports.hasAdminKeys = () => {
+    return Array.from(getKeys().values()).some(key => key.scopes.includes('admin'));
+};
+
+/**
+ * Look up the key a request offered
+ * @param {string} secret Offered API key
+ * @returns {Object} { key } with the public key details, or { reason } ('missing', 'invalid',
+ *   'disabled' or 'expired') when the key is not accepted
+ */
+exports.authenticate = (secret) => {
+    if (!secret) return { reason: 'missing' };
+
+    const hash = hashKey(secret);
+    const key = [getEnvironmentKey(), ...getKeys().values()].find(candidate => candidate && candidate.hash === hash);
+
+    if (!key) return { reason: 'invalid' };
+    if (!key.enabled) return { reason: 'disabled' };
+    if (isExpired(key)) return { reason: 'expired' };
+
+    return { key: toPublic(key) };
+};
+
+/**
+ * Look up a key by ID, e.g. the key a session was signed in with
+ * @param {string} id Key ID
+ * @returns {Object} { key } with the public key details, or { reason } ('invalid', 'disabled' or
+ *   'expired') when the key no longer grants access
+ */
+exports.findKey = (id) => {
+    const environmentKey = getEnvironmentKey();
+    const key = id === ENVIRONMENT_KEY_ID ? environmentKey : getKeys().get(id);
+
+    if (!key) return { reason: 'invalid' };
+    if (!key.enabled) return { reason: 'disabled' };
+    if (isExpired(key)) return { reason: 'expired' };
+
+    return { key: toPublic(key) };
+};
+
+/**
+ * List the keys, without their hashes
+ * @returns {Object[]} Public key details, the API_KEY environment variable first when set
+ */
+exports.listKeys = () => {
+    const environmentKey = getEnvironmentKey();
+
+    return [
+        ...(environmentKey ? [environmentKey] : []),
+        ...Array.from(getKeys().values()).sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+    ].map(toPublic);
+};
+
+/**
+ * Issue a new key
+ * @param {Object} options Key options
+ * @param {string} options.label Name to tell the key apart
+ * @param {string[]} options.scopes Granted scopes
+ * @param {string} options.expiresAt Expiry (ISO 8601), or null for none
+ * @param {number} options.expiresInDays Expiry in days from now, instead of expiresAt
+ * @returns {Object} { key, secret } - the secret is only ever returned here
+ */
+exports.issueKey = (options = {}) => {
+    const secret = generateSecret();
+    const now = new Date().toISOString();
+    const key = {
+        id: `key_${crypto.randomBytes(6).toString('hex')}`,
+        label: parseLabel(options.label),
+        hash: hashKey(secret),
+        prefix: secret.slice(0, PREFIX_LENGTH),
+        scopes: parseScopes(options.scopes),
+        enabled: options.enabled !== false,
+        expiresAt: parseExpiry(options),
+        createdAt: now,
+        rotatedAt: null
+    };
+
+    getKeys().set(key.id, key);
+    saveKeys();
+
+    return { key: toPublic(key), secret };
+};
+
+/**
+ * Change a key's label, scopes, expiry or enabled flag
+ * @param {string} id Key ID
+ * @param {Object} changes Fields to change ({ label, scopes, enabled, expiresAt, expiresInDays })
+ * @returns {Object} Public key details
+ */
+exports.updateKey = (id, changes = {}) => {
+    // Validate every change before applying any
+    const key = { ...findStoredKey(id) };
+
+    if (changes.label !== undefined) key.label = parseLabel(changes.label);
+    if (changes.scopes !== undefined) key.scopes = parseScopes(changes.scopes);
+    if (changes.enabled !== undefined) {
+        if (typeof changes.enabled !== 'boolean') {
+            throw errorTypes.ValidationError('enabled must be true or false');
+        }
+        key.enabled = changes.enabled;
+    }
+    if (changes.expiresAt !== undefined || changes.expiresInDays !== undefined) {
+        key.expiresAt = parseExpiry(changes);
+    }
+
+    getKeys().set(id, key);
+    saveKeys();
+    return toPublic(key);
+};
+
+/**
+ * Replace a key's secret, keeping its ID, label and scopes
+ * The old secret stops working immediately
+ * @param {string} id Key ID
+ * @returns {Object} { key, secret }
+ */
+exports.rotateKey = (id) => {
+    const key = findStoredKey(id);
+    const secret = generateSecret();
+
+    key.hash = hashKey(secret);
+    key.prefix = secret.slice(0, PREFIX_LENGTH);
+    key.rotatedAt = new Date().toISOString();
+
+    saveKeys();
+    return { key: toPublic(key), secret };
+};
+
+/**
+ * Revoke a key for good
+ * @param {string} id Key ID
+ * @returns {Object} Public details of the revoked key
+ */
+exports.revokeKey = (id) => {
+    const key = findStoredKey(id);
+
+    getKeys().delete(id);
+    saveKeys();
+
+    return toPublic(key);
+};
+
+/**
+ * Find a stored key by ID
+ * @param {string} id Key ID
+ * @returns {Object} Key record
+ */
+function findStoredKey(id) {
+    if (id === ENVIRONMENT_KEY_ID && getEnvironmentKey()) {
+        throw errorTypes.ValidationError('The API_KEY environment variable can only be changed in the environment');
+    }
+
+    const key = getKeys().get(id);
+    if (!key) {
+        throw errorTypes.NotFoundError(`API key not found: ${id}`);
+    }
+
+    return key;
+}
+
+/**
+ * Generate a key secret
+ * @returns {string} Secret ("t101_" and 32 URL-safe characters)
+ */
+function generateSecret() {
+    return `t101_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Validate a key label
+ * @param {string} label Label
+ * @returns {string} Trimmed label
+ */
+function parseLabel(label) {
+    if (typeof label !== 'string' || !label.trim() || label.trim().length > 100) {
+        throw errorTypes.ValidationError('label is required (at most 100 characters)');
+    }
+
+    return label.trim();
+}
+
+/**
+ * Validate a list of scopes
+ * @param {string[]} scopes Scopes
+ * @returns {string[]} Unique scopes in canonical order
+ */
+function parseScopes(scopes) {
+    if (!Array.isArray(scopes) || scopes.length === 0) {
+        throw errorTypes.ValidationError(`scopes must be a non-empty list of: ${SCOPES.join(', ')}`);
+    }
+
+    const unknown = scopes.filter(scope => !SCOPES.includes(scope));
+    if (unknown.length > 0) {
+        throw errorTypes.ValidationError(`Unknown scopes: ${unknown.join(', ')} (allowed: ${SCOPES.join(', ')})`);
+    }
+
+    return SCOPES.filter(scope => scopes.includes(scope));
+}
+
+/**
+ * Validate an expiry given as a date or a number of days
+ * @param {Object} options { expiresAt, expiresInDays }
+ * @returns {string|null} Expiry (ISO 8601), or null for none
+ */
+function parseExpiry({ expiresAt, expiresInDays }) {
+    if (expiresInDays !== undefined && expiresInDays !== null) {
+        if (typeof expiresInDays !== 'number' || !(expiresInDays > 0)) {
+            throw errorTypes.ValidationError('expiresInDays must be a positive number');
+        }
+        return new Date(Date.now() + expiresInDays * 24 * 60 * 60 * 1000).toISOString();
+    }
+
+    if (expiresAt === undefined || expiresAt === null) return null;
+
+    const time = Date.parse(expiresAt);
+    if (typeof expiresAt !== 'string' || Number.isNaN(time)) {
+        throw errorTypes.ValidationError('expiresAt must be an ISO 8601 date');
+    }
+
+    return new Date(time).toISOString();
+}
+
+module.exports = exports;
@@ -0,0 +1,289 @@
+/**
+ * T-101 Terminal - Conversation Service
+ * Keeps per-session chat history so T-101 remembers previous turns
+ */
+
+const crypto = require('crypto');
+const config = require('../config');
+
+// In-memory session store keyed by session ID
+// Note: For production, use Redis or similar so history survives restarts
+const sessions = new Map();
+
+// Session IDs come from the X-Session-ID header, so keep them to a safe alphabet
+const SESSION_ID_PATTERN = /^[A-Za-z0-9_-]{1,64}$/;
+
+// Rough per-message overhead for role and formatting tokens
+const MESSAGE_TOKEN_OVERHEAD = 4;
+
+/**
+ * Estimate the number of tokens in a piece of text
+ * Uses the common ~4 characters per token approximation for English text
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Estimate the number of tokens used by a list of chat messages
+ * @param {Array} messages Chat messages ({ role, content })
+ * @returns {number} Estimated token count
+ */
+function estimateMessageTokens(messages) {
+    return messages.reduce((total, message) =>
+        total + estimateTokens(message.content) + MESSAGE_TOKEN_OVERHEAD, 0);
+}
+
+/**
+ * Check whether a session ID is acceptable
+ * @param {string} sessionId Session ID to check
+ * @returns {boolean} Whether the ID is valid
+ */
+exports.isValidSessionId = (sessionId) => {
+    return typeof sessionId === 'string' && SESSION_ID_PATTERN.test(sessionId);
+};
+
+/**
+ * Remove expired sessions and enforce the session count limit
+ */
+function pruneSessions() {
+    const now = Date.now();
+    const { sessionTtlMs, maxSessions } = config.conversation;
+
+    for (const [id, session] of sessions.entries()) {
+        if (now - session.updatedAt > sessionTtlMs) {
+            sessions.delete(id);
+        }
+    }
+
+    // Evict least recently used sessions when over the limit
+    if (sessions.size > maxSessions) {
+        const byAge = Array.from(sessions.values()).sort((a, b) => a.updatedAt - b.updatedAt);
+        byAge.slice(0, sessions.size - maxSessions).forEach(session => sessions.delete(session.id));
+    }
+}
+
+/**
+ * Get a session, creating it if it does not exist yet
+ * @param {string} sessionId Session ID
+ * @returns {Object} Session record
+ */
+function getOrCreateSession(sessionId) {
+    pruneSessions();
+
+    if (!sessions.has(sessionId)) {
+        const now = Date.now();
+        sessions.set(sessionId, {
+            id: sessionId,
+            messages: [],
+            summary: '',
+            forkedFrom: null,
+            userId: null,
+            createdAt: now,
+            updatedAt: now
+        });
+    }
+
+    return sessions.get(sessionId);
+}
+
+/**
+ * Fold the oldest turns of a session into its summary until the history fits the budget
+ * @param {Object} session Session record
+ * @param {number} budget Token budget for the stored history
+ */
+function compactSession(session, budget) {
+    const summaryLines = session.summary ? session.summary.split('\n') : [];
+
+    // The summary may use at most half of the budget so recent turns always fit
+    const summaryBudget = Math.min(config.conversation.maxSummaryTokens, Math.floor(budget / 2));
+
+    while (session.messages.length > 0 &&
+           estimateMessageTokens(session.messages) + estimateTokens(session.summary) > budget) {
+        const dropped = session.messages.shift();
+        const speaker = dropped.role === 'assistant' ? config.t101.name : 'User';
+
+        // Keep a condensed line per dropped message
+        const condensed = dropped.content.length > config.conversation.summaryLineLength ?
+            dropped.content.substring(0, config.conversation.summaryLineLength) + '...' :
+            dropped.content;
+        summaryLines.push(`${speaker}: ${condensed}`);
+
+        // Drop the oldest summary lines when the summary itself grows too large
+        while (summaryLines.length > 0 &&
+               estimateTokens(summaryLines.join('\n')) > summaryBudget) {
+            summaryLines.shift();
+        }
+
+        session.summary = summaryLines.join('\n');
+    }
+}
+
+/**
+ * Describe a session without its full history
+ * @param {Object} session Session record
+ * @returns {Object} Session overview
+ */
+function describeSession(session) {
+    return {
+        id: session.id,
+        turns: session.messages.filter(message => message.role === 'user').length,
+        messages: session.messages.length,
+        estimatedTokens: estimateMessageTokens(session.messages) + estimateTokens(session.summary),
+        hasSummary: !!session.summary,
+        forkedFrom: session.forkedFrom,
+        userId: session.userId,
+        createdAt: new Date(session.createdAt).toISOString(),
+        updatedAt: new Date(session.updatedAt).toISOString()
+    };
+}
+
+/**
+ * Build the message list for a chat completion, including the session history
+ * @param {string|null} sessionId Session ID (stateless request when not provided)
+ * @param {string} systemPrompt System prompt
+ * @param {string} userMessage New user message
+ * @returns {Array} Chat messages ready to send to the model
+ */
+exports.buildMessages = (sessionId, systemPrompt, userMessage) => {
+    const messages = [{ role: 'system', content: systemPrompt }];
+
+    if (sessionId) {
+        const session = getOrCreateSession(sessionId);
+
+        // Reserve room for the system prompt and the new message
+        const budget = config.conversation.maxTokens -
+            estimateMessageTokens([messages[0], { content: userMessage }]);
+        compactSession(session, Math.max(0, budget));
+
+        if (session.summary) {
+            messages.push({
+                role: 'system',
+                content: `Summary of earlier conversation:\n${session.summary}`
+            });
+        }
+
+        session.messages.forEach(({ role, content }) => messages.push({ role, content }));
+    }
+
+    messages.push({ role: 'user', content: userMessage });
+
+    return messages;
+};
+
+/**
+ * Record a completed exchange in the session history
+ * @param {string|null} sessionId Session ID (ignored when not provided)
+ * @param {string} userMessage User message
+ * @param {string} assistantMessage T-101 response
+ * @param {string|null} userId Signed-in user the session is attributed to (the first one to use it)
+ */
+exports.recordExchange = (sessionId, userMessage, assistantMessage, userId = null) => {
+    if (!sessionId) return;
+
+    const session = getOrCreateSession(sessionId);
+    const now = Date.now();
+
+    if (!session.userId) {
+        session.userId = userId;
+    }
+
+    session.messages.push(
+        { role: 'user', content: userMessage, timestamp: now },
+        { role: 'assistant', content: assistantMessage, timestamp: now }
+    );
+    session.updatedAt = now;
+};
+
+/**
+ * List the active sessions
+ * @param {Object} filter Query filter
+ * @param {string|null} filter.userId Only sessions attributed to this user (null: unattributed ones)
+ * @returns {Array} Session overviews, most recently used first
+ */
+exports.listSessions = (filter = {}) => {
+    pruneSessions();
+
+    return Array.from(sessions.values())
+        .filter(session => filter.userId === undefined || session.userId === filter.userId)
+        .sort((a, b) => b.updatedAt - a.updatedAt)
+        .map(describeSession);
+};
+
+/**
+ * Check whether a user may read or continue a session
+ * A session belongs to the first signed-in user or API key that used it; sessions used only
+ * anonymously (while no key is configured) belong to no one
+ * @param {string|null} sessionId Session ID
+ * @param {string|null} userId User or API key ID of the caller
+ * @returns {boolean} Whether the session is unknown, unattributed or the caller's own
+ */
+exports.isAccessibleBy = (sessionId, userId) => {
+    const session = sessionId ? sessions.get(sessionId) : null;
+    return !session || !session.userId || session.userId === userId;
+};
+
+/**
+ * Get a session with its full history
+ * @param {string} sessionId Session ID
+ * @returns {Object|null} Session details or null if not found
+ */
+exports.getSession = (sessionId) => {
+    pruneSessions();
+
+    const session = sessions.get(sessionId);
+    if (!session) return null;
+
+    return {
+        ...describeSession(session),
+        summary: session.summary,
+        history: session.messages.map(message => ({
+            role: message.role,
+            content: message.content,
+            timestamp: new Date(message.timestamp).toISOString()
+        }))
+    };
+};
+
+/**
+ * Clear the history of a session
+ * @param {string} sessionId Session ID
+ * @returns {boolean} Whether the session existed
+ */
+exports.resetSession = (sessionId) => {
+    return sessions.delete(sessionId);
+};
+
+/**
+ * Copy a session's history into a new session
+ * @param {string} sessionId Source session ID
+ * @param {string} newSessionId Target session ID (generated when not provided)
+ * @param {string|null} userId Owner of the new session (defaults to the source's)
+ * @returns {Object|null} Overview of the new session or null if the source does not exist
+ */
+exports.forkSession = (sessionId, newSessionId = null, userId = null) => {
+    const source = sessions.get(sessionId);
+    if (!source) return null;
+
+    const id = newSessionId || crypto.randomUUID();
+    const now = Date.now();
+
+    const fork = {
+        id,
+        messages: source.messages.map(message => ({ ...message })),
+        summary: source.summary,
+        forkedFrom: source.id,
+        userId: userId || source.userId,
+        createdAt: now,
+        updatedAt: now
+    };
+
+    sessions.set(id, fork);
+    pruneSessions();
+
+    return describeSession(fork);
+};
+
+module.exports = exports;
@@ -3,20 +3,20 @@
  * Integrates with ElevenLabs API for text-to-speech functionality
  */
 
-const axios = require('axios');
-const fs = require('fs');
-const path = require('path');
+const crypto = require('crypto');
 const { Readable } = require('stream');
-
-// Base URL for ElevenLabs API
-const ELEVEN_LABS_API_URL = 'https://api.elevenlabs.io/v1';
+const FormData = require('form-data');
+const config = require('../config');
+const mockFixtures = require('../utils/mock-fixtures');
+const upstreamClient = require('../utils/upstream-client');
+const { errorTypes } = require('../utils/error-handler');
+const usageService = require('./usage-service');
 
 // Get API key from environment variables
 const apiKey = process.env.ELEVEN_LABS_API_KEY;
 
-// Configure axios instance for ElevenLabs
-const elevenLabsApi = axios.create({
-    baseURL: ELEVEN_LABS_API_URL,
+// Configure axios instance for ElevenLabs (base URL, timeout and proxy from config.js)
+const elevenLabsApi = upstreamClient.createUpstreamClient(config.apis.elevenLabs, {
     headers: {
         'Accept': 'application/json',
         'xi-api-key': apiKey,
@@ -32,18 +32,19 @@ const elevenLabsApi = axios.create({
  * @param {string} options.voice_id Voice ID to use
  * @param {string} options.model_id Model ID to use
  * @param {Object} options.voice_settings Voice settings
+ * @param {Object} options.usage Attribution the characters are metered against (usageService.attribution)
  * @returns {Promise<Buffer>} Audio buffer
  */
 exports.generateSpeech = async (options) => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock audio
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock audio in development mode (no API key)');
-            return getMockAudio();
+        // In mock mode, return mock audio
+        if (config.apis.elevenLabs.useMockResponses) {
+            console.log('Using mock audio (mock mode)');
+            return getMockAudio(options.text);
         }
         
         const { text, voice_id, model_id, voice_settings } = options;
@@ -61,6 +62,8 @@ exports.generateSpeech = async (options) => {
             responseType: 'arraybuffer'
         });
         
+        usageService.recordSpeech(options.usage, { model, voiceId: voice, text });
+        
         return Buffer.from(response.data);
     } catch (error) {
         handleApiError(error);
@@ -70,21 +73,23 @@ exports.generateSpeech = async (options) => {
 /**
  * Stream speech generation for longer texts
  * @param {Object} options Speech generation options
+ * @param {AbortSignal} options.signal Aborts the upstream request
+ * @param {Object} options.usage Attribution the characters are metered against (usageService.attribution)
  * @returns {Promise<Readable>} Audio stream
  */
 exports.streamSpeech = async (options) => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock audio stream
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock audio stream in development mode (no API key)');
-            return getMockAudioStream();
+        // In mock mode, return mock audio stream
+        if (config.apis.elevenLabs.useMockResponses) {
+            console.log('Using mock audio stream (mock mode)');
+            return getMockAudioStream(options.text);
         }
         
-        const { text, voice_id, model_id, voice_settings } = options;
+        const { text, voice_id, model_id, voice_settings, signal } = options;
         const voice = voice_id || process.env.ELEVEN_LABS_DEFAULT_VOICE;
         const model = model_id || 'eleven_monolingual_v1';
         
@@ -96,9 +101,13 @@ exports.streamSpeech = async (options) => {
                 model_id: model,
                 voice_settings
             },
-            responseType: 'stream'
+            responseType: 'stream',
+            signal
         });
         
+        // ElevenLabs charges the characters once it accepts the request
+        usageService.recordSpeech(options.usage, { model, voiceId: voice, text });
+        
         return response.data;
     } catch (error) {
         handleApiError(error);
@@ -110,14 +119,14 @@ exports.streamSpeech = async (options) => {
  * @returns {Promise<Array>} List of available voices
  */
 exports.getVoices = async () => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock voices
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock voices in development mode (no API key)');
+        // In mock mode, return mock voices
+        if (config.apis.elevenLabs.useMockResponses) {
+            console.log('Using mock voices (mock mode)');
             return getMockVoices();
         }
         
@@ -133,17 +142,17 @@ exports.getVoices = async () => {
  * @returns {Promise<Object>} API status information
  */
 exports.checkHealth = async () => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock status
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock health status in development mode (no API key)');
+        // In mock mode, return mock status
+        if (config.apis.elevenLabs.useMockResponses) {
+            console.log('Using mock health status (mock mode)');
             return {
                 status: 'ok',
-                message: 'Development mode - no actual API check performed'
+                message: 'Mock mode - no actual API check performed'
             };
         }
         
@@ -174,11 +183,16 @@ exports.checkHealth = async () => {
  * @returns {Promise<Object>} Subscription information
  */
 exports.getSubscription = async () => {
-    if (!apiKey) {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
+        // In mock mode, return fixture subscription details
+        if (config.apis.elevenLabs.useMockResponses) {
+            return mockFixtures.getSubscription();
+        }
+        
         const response = await elevenLabsApi.get('/user/subscription');
         return response.data;
     } catch (error) {
@@ -187,16 +201,24 @@ exports.getSubscription = async () => {
 };
 
 /**
- * Create a new voice
+ * Create a new voice by cloning it from recorded samples
  * @param {Object} options Voice creation options
- * @returns {Promise<Object>} Created voice information
+ * @param {string} options.name Voice name
+ * @param {string} options.description Voice description
+ * @param {Array<Buffer|Object>} options.files Samples, as buffers or uploads ({ buffer, originalname, mimetype })
+ * @returns {Promise<Object>} Created voice information ({ voice_id })
  */
 exports.createVoice = async (options) => {
-    if (!apiKey) {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
+        // In mock mode, pretend the voice was created
+        if (config.apis.elevenLabs.useMockResponses) {
+            return { voice_id: `mock-${crypto.randomBytes(8).toString('hex')}` };
+        }
+        
         const { name, files, description } = options;
         
         const formData = new FormData();
@@ -207,14 +229,14 @@ exports.createVoice = async (options) => {
         }
         
         files.forEach((file, index) => {
-            formData.append(`files`, file, `sample_${index}.mp3`);
+            formData.append('files', file.buffer || file, {
+                filename: file.originalname || `sample_${index}.mp3`,
+                contentType: file.mimetype || 'audio/mpeg'
+            });
         });
         
         const response = await elevenLabsApi.post('/voices/add', formData, {
-            headers: {
-                ...elevenLabsApi.defaults.headers,
-                'Content-Type': 'multipart/form-data'
-            }
+            headers: formData.getHeaders()
         });
         
         return response.data;
@@ -226,19 +248,33 @@ exports.createVoice = async (options) => {
 /**
  * Edit an existing voice
  * @param {Object} options Voice edit options
+ * @param {string} options.voice_id Voice ID to edit
+ * @param {string} options.name New name
+ * @param {string} options.description New description
  * @returns {Promise<Object>} Updated voice information
  */
 exports.editVoice = async (options) => {
-    if (!apiKey) {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
+        if (config.apis.elevenLabs.useMockResponses) {
+            return { status: 'ok' };
+        }
+        
         const { voice_id, name, description } = options;
         
-        const response = await elevenLabsApi.post(`/voices/${voice_id}/edit`, {
-            name,
-            description
+        // The edit endpoint takes a form, like voice creation
+        const formData = new FormData();
+        formData.append('name', name);
+        
+        if (description !== undefined) {
+            formData.append('description', description);
+        }
+        
+        const response = await elevenLabsApi.post(`/voices/${encodeURIComponent(voice_id)}/edit`, formData, {
+            headers: formData.getHeaders()
         });
         
         return response.data;
@@ -253,12 +289,16 @@ exports.editVoice = async (options) => {
  * @returns {Promise<Object>} Deletion result
  */
 exports.deleteVoice = async (voiceId) => {
-    if (!apiKey) {
+    if (!apiKey && !config.apis.elevenLabs.useMockResponses) {
         throw new Error('ElevenLabs API key is not set');
     }
     
     try {
-        const response = await elevenLabsApi.delete(`/voices/${voiceId}`);
+        if (config.apis.elevenLabs.useMockResponses) {
+            return { status: 'ok' };
+        }
+        
+        const response = await elevenLabsApi.delete(`/voices/${encodeURIComponent(voiceId)}`);
         return response.data;
     } catch (error) {
         handleApiError(error);
@@ -277,12 +317,22 @@ function handleApiError(error) {
         const status = error.response.status;
         const data = error.response.data;
         
+        // detail is a string, or an object with a message
+        const rawDetail = data && data.detail && (data.detail.message || data.detail);
+        const detail = rawDetail && (typeof rawDetail === 'string' ? rawDetail : JSON.stringify(rawDetail));
+        
         if (status === 401) {
             throw new Error('ElevenLabs API authentication failed. Check your API key.');
         } else if (status === 429) {
             throw new Error('ElevenLabs rate limit exceeded. Please try again later.');
-        } else if (data && data.detail) {
-            throw new Error(`ElevenLabs API error: ${data.detail}`);
+        } else if (status === 404) {
+            // Unknown voice IDs
+            throw errorTypes.NotFoundError(`ElevenLabs API error: ${detail || 'not found'}`);
+        } else if (status === 400 || status === 422) {
+            // Rejected voice samples or fields
+            throw errorTypes.ValidationError(`ElevenLabs API error: ${detail || 'invalid request'}`);
+        } else if (detail) {
+            throw new Error(`ElevenLabs API error: ${detail}`);
         }
     }
     
@@ -290,69 +340,29 @@ function handleApiError(error) {
 }
 
 /**
- * Get mock audio for development without API key
- * @returns {Promise<Buffer>} Mock audio buffer
+ * Get mock audio for mock mode
+ * @param {string} text Text being converted
+ * @returns {Buffer} Mock audio buffer
  */
-function getMockAudio() {
-    // Check if we have a mock audio file
-    const mockPath = path.join(__dirname, '../assets/mock-speech.mp3');
-    
-    if (fs.existsSync(mockPath)) {
-        return fs.readFileSync(mockPath);
-    }
-    
-    // Return an empty buffer if no mock file exists
-    return Buffer.from([]);
+function getMockAudio(text) {
+    return mockFixtures.getSpeechAudio(text);
 }
 
 /**
- * Get mock audio stream for development without API key
+ * Get mock audio stream for mock mode
+ * @param {string} text Text being converted
  * @returns {Readable} Mock audio stream
  */
-function getMockAudioStream() {
-    // Check if we have a mock audio file
-    const mockPath = path.join(__dirname, '../assets/mock-speech.mp3');
-    
-    if (fs.existsSync(mockPath)) {
-        return fs.createReadStream(mockPath);
-    }
-    
-    // Return an empty stream if no mock file exists
-    return new Readable({
-        read() {
-            this.push(null);
-        }
-    });
+function getMockAudioStream(text) {
+    return Readable.from([mockFixtures.getSpeechAudio(text)]);
 }
 
 /**
- * Get mock voices for development without API key
+ * Get mock voices for mock mode
  * @returns {Array} Mock voices list
  */
 function getMockVoices() {
-    return [
-        {
-            voice_id: 'terminator',
-            name: 'T-101',
-            preview_url: '',
-            description: 'The voice of the T-101 terminator unit',
-            labels: { accent: 'american', age: 'adult', gender: 'male' }
-        },
-        {
-            voice_id: 'mock-voice-1',
-            name: 'Mock Voice 1',
-            preview_url: '',
-            description: 'A mock voice for development',
-            labels: { accent: 'british', age: 'adult', gender: 'female' }
-        },
-        {
-            voice_id: 'mock-voice-2',
-            name: 'Mock Voice 2',
-            preview_url: '',
-            description: 'Another mock voice for development',
-            labels: { accent: 'australian', age: 'adult', gender: 'male' }
-        }
-    ];
+    return mockFixtures.getVoices();
 }
 
 module.exports = exports;
\ No newline at end of file
@@ -0,0 +1,273 @@
+/**
+ * T-101 Terminal - LLM Service
+ * Chat completions through a configurable provider (OpenAI, OpenAI-compatible local server or mock)
+ */
+
+const axios = require('axios');
+const config = require('../config');
+const upstreamClient = require('../utils/upstream-client');
+const mockFixtures = require('../utils/mock-fixtures');
+const usageService = require('./usage-service');
+
+/**
+ * Get the settings of an LLM provider
+ * @param {string} name Provider name (defaults to the configured provider)
+ * @returns {Object} Provider settings including its name
+ */
+exports.getProvider = (name = config.llm.provider) => {
+    const settings = config.llm.providers[name];
+
+    if (!settings) {
+        throw new Error(`Unknown LLM provider: ${name}`);
+    }
+
+    return { name, ...settings };
+};
+
+/**
+ * Check whether a provider can serve requests
+ * @param {string} name Provider name (defaults to the configured provider)
+ * @returns {boolean} Whether the provider is usable
+ */
+exports.isConfigured = (name = config.llm.provider) => {
+    const provider = config.llm.providers[name];
+
+    if (!provider) return false;
+
+    // Only the hosted OpenAI API requires a key
+    return !provider.requiresApiKey || !!provider.apiKey;
+};
+
+/**
+ * Describe the active provider without exposing secrets
+ * @returns {Object} Provider name, model and readiness
+ */
+exports.getStatus = () => {
+    const provider = exports.getProvider();
+
+    return {
+        provider: provider.name,
+        model: provider.model,
+        configured: exports.isConfigured(provider.name)
+    };
+};
+
+/**
+ * Generate a chat completion
+ * @param {Array} messages Chat messages ({ role, content })
+ * @param {Object} options Completion options
+ * @param {string} options.provider Provider name (defaults to the configured provider)
+ * @param {string} options.model Model override
+ * @param {number} options.maxTokens Maximum response tokens override
+ * @param {number} options.temperature Sampling temperature override
+ * @param {Object} options.usage Attribution the completion is metered against (usageService.attribution)
+ * @returns {Promise<Object>} Response text with the provider and model that produced it
+ */
+exports.createChatCompletion = async (messages, options = {}) => {
+    const provider = resolveProvider(options);
+
+    if (provider.name === 'mock') {
+        return {
+            text: mockFixtures.getChatReply(messages),
+            provider: provider.name,
+            model: provider.model
+        };
+    }
+
+    try {
+        const response = await axios(buildRequest(provider, messages, options));
+        const text = response.data.choices[0].message.content;
+        const model = response.data.model || options.model || provider.model;
+
+        usageService.recordChat(options.usage, {
+            provider: provider.name,
+            model,
+            tokens: response.data.usage,
+            messages,
+            reply: text
+        });
+
+        return {
+            text,
+            provider: provider.name,
+            model,
+            usage: response.data.usage
+        };
+    } catch (error) {
+        handleApiError(error, provider);
+    }
+};
+
+/**
+ * Generate a chat completion as a stream of text fragments
+ * Resolves once the provider has accepted the request, so setup errors reject the promise
+ * @param {Array} messages Chat messages ({ role, content })
+ * @param {Object} options Completion options (see createChatCompletion)
+ * @param {AbortSignal} options.signal Signal that cancels the upstream request
+ * @returns {Promise<AsyncIterable<string>>} Text fragments in order
+ */
+exports.streamChatCompletion = async (messages, options = {}) => {
+    const provider = resolveProvider(options);
+
+    if (provider.name === 'mock') {
+        return getMockTokenStream(mockFixtures.getChatReply(messages));
+    }
+
+    try {
+        const response = await axios({
+            ...buildRequest(provider, messages, options, { stream: true }),
+            responseType: 'stream',
+            signal: options.signal
+        });
+
+        return meterStream(parseCompletionStream(response.data), provider, messages, options);
+    } catch (error) {
+        handleApiError(error, provider);
+    }
+};
+
+/**
+ * Look up the provider for a request and make sure it is usable
+ * @param {Object} options Completion options
+ * @returns {Object} Provider settings
+ */
+function resolveProvider(options) {
+    const provider = exports.getProvider(options.provider);
+
+    if (!exports.isConfigured(provider.name)) {
+        throw new Error(`API key for LLM provider "${provider.name}" is not set`);
+    }
+
+    return provider;
+}
+
+/**
+ * Build an OpenAI-compatible chat completion request
+ * @param {Object} provider Provider settings
+ * @param {Array} messages Chat messages
+ * @param {Object} options Completion options
+ * @param {Object} extraData Additional request body fields
+ * @returns {Object} Axios request config
+ */
+function buildRequest(provider, messages, options, extraData = {}) {
+    const headers = { 'Content-Type': 'application/json' };
+
+    if (provider.apiKey) {
+        headers['Authorization'] = `Bearer ${provider.apiKey}`;
+    }
+
+    return {
+        method: 'POST',
+        url: `${provider.baseUrl}/chat/completions`,
+        headers,
+        ...upstreamClient.getRequestOptions(provider),
+        data: {
+            model: options.model || provider.model,
+            messages,
+            max_tokens: options.maxTokens || provider.maxTokens,
+            temperature: options.temperature !== undefined ? options.temperature : provider.temperature,
+            ...extraData
+        }
+    };
+}
+
+/**
+ * Parse an OpenAI-compatible server-sent event stream into text fragments
+ * @param {Readable} stream Upstream response stream
+ * @returns {AsyncIterable<string>} Text fragments
+ */
+async function* parseCompletionStream(stream) {
+    let buffer = '';
+
+    for await (const chunk of stream) {
+        buffer += chunk.toString('utf8');
+
+        // Upstream events are newline-delimited "data: {...}" lines
+        const lines = buffer.split('\n');
+        buffer = lines.pop();
+
+        for (const line of lines) {
+            const payload = line.replace(/^data: /, '').trim();
+            if (!payload || payload === '[DONE]') continue;
+
+            try {
+                const token = JSON.parse(payload).choices[0]?.delta?.content;
+                if (token) {
+                    yield token;
+                }
+            } catch (error) {
+                console.error('Malformed chat stream chunk:', payload);
+            }
+        }
+    }
+}
+
+/**
+ * Pass fragments through and meter the reply once the stream ends, including cancelled streams
+ * (the provider bills the tokens it generated). Streams report no usage, so tokens are estimated
+ * @param {AsyncIterable<string>} tokens Text fragments
+ * @param {Object} provider Provider settings
+ * @param {Array} messages Prompt messages
+ * @param {Object} options Completion options
+ * @returns {AsyncIterable<string>} The same fragments
+ */
+async function* meterStream(tokens, provider, messages, options) {
+    let reply = '';
+
+    try {
+        for await (const token of tokens) {
+            reply += token;
+            yield token;
+        }
+    } finally {
+        usageService.recordChat(options.usage, {
+            provider: provider.name,
+            model: options.model || provider.model,
+            messages,
+            reply
+        });
+    }
+}
+
+/**
+ * Handle LLM provider errors
+ * @param {Error} error Error object
+ * @param {Object} provider Provider settings
+ */
+function handleApiError(error, provider) {
+    console.error(`LLM provider (${provider.name}) error:`, error?.response?.status || error.message);
+
+    // Streamed error bodies cannot be read here, so only use parsed JSON bodies
+    if (error.response) {
+        const status = error.response.status;
+        const data = error.response.data;
+
+        if (status === 401) {
+            throw new Error(`LLM provider "${provider.name}" authentication failed. Check your API key.`);
+        } else if (status === 429) {
+            throw new Error(`LLM provider "${provider.name}" rate limit exceeded. Please try again later.`);
+        } else if (data && data.error && data.error.message) {
+            throw new Error(`LLM provider error: ${data.error.message}`);
+        }
+    }
+
+    throw error;
+}
+
+/**
+ * Split a mock reply into word-sized fragments like a streaming model would
+ * @param {string} text Mock reply
+ * @returns {AsyncIterable<string>} Text fragments
+ */
+async function* getMockTokenStream(text) {
+    const { streamDelayMs } = config.llm.providers.mock;
+
+    for (const token of text.match(/\S+\s*/g) || []) {
+        if (streamDelayMs > 0) {
+            await new Promise(resolve => setTimeout(resolve, streamDelayMs));
+        }
+        yield token;
+    }
+}
+
+module.exports = exports;
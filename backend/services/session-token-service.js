@@ -0,0 +1,211 @@
+/**
+ * T-101 Terminal - Session Token Service
+ * Issues HMAC-signed session tokens for signed-in clients, with expiry, refresh and revocation
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const apiKeyService = require('./api-key-service');
+
+// Scopes of guest sessions, handed out while no API key is configured
+const GUEST_SCOPES = apiKeyService.SCOPES.filter(scope => scope !== 'admin');
+
+// Revoked token IDs and when the tokens would have expired (seconds since the epoch)
+let revocations = null;
+
+/**
+ * Encode JSON as base64url
+ * @param {Object} value Value to encode
+ * @returns {string} Encoded value
+ */
+function encode(value) {
+    return Buffer.from(JSON.stringify(value)).toString('base64url');
+}
+
+/**
+ * Sign a token payload
+ * @param {string} payload Encoded payload
+ * @returns {string} HMAC-SHA256 signature (base64url)
+ */
+function sign(payload) {
+    return crypto.createHmac('sha256', config.server.sessionSecret).update(payload).digest('base64url');
+}
+
+/**
+ * Current time in seconds since the epoch
+ * @returns {number} Seconds
+ */
+function nowSeconds() {
+    return Math.floor(Date.now() / 1000);
+}
+
+/**
+ * Load the revocation list from disk on first use
+ * @returns {Map} Revoked token IDs
+ */
+function getRevocations() {
+    if (revocations) return revocations;
+
+    revocations = new Map();
+    try {
+        const stored = JSON.parse(fs.readFileSync(config.auth.revocationFile, 'utf8'));
+        Object.entries(stored.revoked || {}).forEach(([id, expiresAt]) => revocations.set(id, expiresAt));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not read the session revocation list:', error.message);
+        }
+    }
+
+    return revocations;
+}
+
+/**
+ * Write the revocation list to disk, dropping tokens that have expired anyway
+ */
+function saveRevocations() {
+    const now = nowSeconds();
+    const revoked = getRevocations();
+
+    for (const [id, expiresAt] of revoked.entries()) {
+        if (expiresAt <= now) revoked.delete(id);
+    }
+
+    const file = config.auth.revocationFile;
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify({ revoked: Object.fromEntries(revoked) }, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Read and check a token's signature and expiry
+ * @param {string} token Session token
+ * @returns {Object} { claims } or { reason } ('malformed', 'signature', 'expired' or 'revoked')
+ */
+function readToken(token) {
+    const [payload, signature, extra] = String(token || '').split('.');
+    if (!payload || !signature || extra !== undefined) return { reason: 'malformed' };
+
+    const expected = Buffer.from(sign(payload));
+    const offered = Buffer.from(signature);
+    if (expected.length !== offered.length || !crypto.timingSafeEqual(expected, offered)) {
+        return { reason: 'signature' };
+    }
+
+    let claims;
+    try {
+        claims = JSON.parse(Buffer.from(payload, 'base64url').toString('utf8'));
+    } catch (error) {
+        return { reason: 'malformed' };
+    }
+
+    if (!claims.jti || !claims.sub) return { reason: 'malformed' };
+    if (!(claims.exp > nowSeconds())) return { reason: 'expired' };
+    if (getRevocations().has(claims.jti)) return { reason: 'revoked' };
+
+    return { claims };
+}
+
+/**
+ * Issue a token for an identity
+ * @param {Object} identity { sub, name, kid } - kid is the API key signed in with, null for guests
+ * @returns {Object} { token, expiresAt, user }
+ */
+function issueToken({ sub, name, kid }) {
+    const iat = nowSeconds();
+    const claims = {
+        jti: crypto.randomBytes(12).toString('base64url'),
+        sub,
+        name,
+        kid,
+        iat,
+        exp: iat + Math.max(1, Math.floor(config.auth.sessionTtlMs / 1000))
+    };
+
+    const payload = encode(claims);
+    const token = `${payload}.${sign(payload)}`;
+    const { user } = exports.verifyToken(token);
+
+    return { token, expiresAt: user.expiresAt, user };
+}
+
+/**
+ * Start a session
+ * Clients sign in with an API key; while no key is configured, anyone gets a guest session
+ * @param {Object|null} key Public details of the API key signed in with (null for a guest)
+ * @returns {Object} { token, expiresAt, user }
+ */
+exports.createSession = (key) => {
+    if (key) {
+        return issueToken({ sub: key.id, name: key.label, kid: key.id });
+    }
+
+    return issueToken({ sub: `guest_${crypto.randomBytes(6).toString('hex')}`, name: 'Guest', kid: null });
+};
+
+/**
+ * Check a session token and find who it belongs to
+ * The key a session was signed in with is checked on every use, so disabling, expiring or revoking
+ * the key ends its sessions and scope changes apply at once
+ * @param {string} token Session token
+ * @returns {Object} { user } ({ id, name, keyId, scopes, tokenId, expiresAt }) or { reason }
+ */
+exports.verifyToken = (token) => {
+    const { claims, reason } = readToken(token);
+    if (!claims) return { reason };
+
+    let scopes = GUEST_SCOPES;
+
+    if (claims.kid) {
+        const { key, reason: keyReason } = apiKeyService.findKey(claims.kid);
+        if (!key) return { reason: `key ${keyReason}` };
+        scopes = key.scopes;
+    } else if (apiKeyService.isAuthRequired()) {
+        // Guest sessions end once keys are configured
+        return { reason: 'guest' };
+    }
+
+    return {
+        user: {
+            id: claims.sub,
+            name: claims.name,
+            keyId: claims.kid,
+            scopes,
+            tokenId: claims.jti,
+            expiresAt: new Date(claims.exp * 1000).toISOString()
+        }
+    };
+};
+
+/**
+ * Swap a valid token for a new one with a fresh expiry; the old token is revoked
+ * @param {string} token Session token
+ * @returns {Object} { token, expiresAt, user } or { reason }
+ */
+exports.refreshSession = (token) => {
+    const { user, reason } = exports.verifyToken(token);
+    if (!user) return { reason };
+
+    exports.revokeSession(token);
+    return issueToken({ sub: user.id, name: user.name, kid: user.keyId });
+};
+
+/**
+ * Revoke a token before it expires
+ * @param {string} token Session token
+ * @returns {boolean} Whether a valid token was revoked
+ */
+exports.revokeSession = (token) => {
+    const { claims } = readToken(token);
+    if (!claims) return false;
+
+    getRevocations().set(claims.jti, claims.exp);
+    saveRevocations();
+
+    return true;
+};
+
+module.exports = exports;
@@ -0,0 +1,357 @@
+/**
+ * T-101 Terminal - Speech Cache Service
+ * Content-addressed cache for generated speech with a size cap, TTL and LRU eviction
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+
+// Index of cached entries, stored next to the audio files
+const INDEX_FILE = 'index.json';
+
+// Audio files the cache writes (see createKey); anything else in the directory is left alone
+const AUDIO_FILE_PATTERN = /^[0-9a-f]{64}\.mp3$/;
+
+// Cached entries keyed by content hash ({ file, size, createdAt, lastAccessedAt, hits, ... })
+let entries = null;
+
+// Pending index load, shared by concurrent first requests
+let indexLoad = null;
+
+// Pending index write, so writes never overlap
+let indexWrite = Promise.resolve();
+
+// Statistics since the server started
+const stats = {
+    hits: 0,
+    misses: 0,
+    writes: 0,
+    evictions: 0,
+    expirations: 0
+};
+
+/**
+ * Check whether generated speech should be cached
+ * Mock audio is never cached so it cannot be served once real keys are configured
+ * @returns {boolean} Whether the cache is active
+ */
+exports.isEnabled = () => {
+    return config.speechCache.enabled && !config.apis.elevenLabs.useMockResponses;
+};
+
+/**
+ * Normalize text so trivially different requests share a cache entry
+ * @param {string} text Text to speak
+ * @returns {string} Normalized text
+ */
+function normalizeText(text) {
+    return String(text || '').normalize('NFC').replace(/\s+/g, ' ').trim();
+}
+
+/**
+ * Normalize voice settings into a stable, sorted form
+ * @param {Object} settings Voice settings
+ * @returns {Object} Settings with sorted keys and rounded numbers
+ */
+function normalizeSettings(settings = {}) {
+    return Object.keys(settings)
+        .filter(key => settings[key] !== undefined && settings[key] !== null)
+        .sort()
+        .reduce((normalized, key) => {
+            const value = settings[key];
+            normalized[key] = typeof value === 'number' ? Math.round(value * 1000) / 1000 : value;
+            return normalized;
+        }, {});
+}
+
+/**
+ * Compute the cache key for a speech request
+ * @param {Object} request Speech request
+ * @param {string} request.text Text to speak
+ * @param {string} request.voiceId Voice ID
+ * @param {string} request.modelId Model ID
+ * @param {Object} request.settings Voice settings
+ * @returns {string} SHA-256 hex digest
+ */
+exports.createKey = ({ text, voiceId, modelId, settings }) => {
+    return crypto.createHash('sha256')
+        .update(JSON.stringify({
+            text: normalizeText(text),
+            voiceId: voiceId || '',
+            modelId: modelId || '',
+            settings: normalizeSettings(settings)
+        }))
+        .digest('hex');
+};
+
+/**
+ * Load the index once
+ * A failed load is retried by the next caller
+ * @returns {Promise<void>}
+ */
+function loadIndex() {
+    if (!indexLoad) {
+        indexLoad = readIndex().catch(error => {
+            indexLoad = null;
+            throw error;
+        });
+    }
+    return indexLoad;
+}
+
+/**
+ * Read the index from disk, dropping files it does not know about
+ */
+async function readIndex() {
+    const { dir } = config.speechCache;
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    try {
+        const data = JSON.parse(await fs.promises.readFile(path.join(dir, INDEX_FILE), 'utf8'));
+        entries = data.entries || {};
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Speech cache index unreadable, starting empty:', error.message);
+        }
+        entries = {};
+    }
+
+    // Remove orphaned audio files (including ones written before the index existed)
+    const knownFiles = new Set(Object.values(entries).map(entry => entry.file));
+    const files = await fs.promises.readdir(dir);
+
+    await Promise.all(files
+        .filter(file => AUDIO_FILE_PATTERN.test(file) && !knownFiles.has(file))
+        .map(file => fs.promises.rm(path.join(dir, file), { force: true })));
+}
+
+/**
+ * Persist the index to disk
+ * @returns {Promise<void>}
+ */
+function saveIndex() {
+    const { dir } = config.speechCache;
+    const snapshot = JSON.stringify({ entries });
+
+    indexWrite = indexWrite
+        .then(async () => {
+            // Write to a temporary file first so a crash cannot leave a truncated index
+            const tempPath = path.join(dir, `${INDEX_FILE}.tmp`);
+            await fs.promises.writeFile(tempPath, snapshot);
+            await fs.promises.rename(tempPath, path.join(dir, INDEX_FILE));
+        })
+        .catch(error => console.error('Error saving speech cache index:', error.message));
+
+    return indexWrite;
+}
+
+/**
+ * Remove an entry and its audio file
+ * @param {string} key Cache key
+ */
+async function removeEntry(key) {
+    const entry = entries[key];
+    if (!entry) return;
+
+    delete entries[key];
+    await fs.promises.rm(path.join(config.speechCache.dir, entry.file), { force: true });
+}
+
+/**
+ * Check whether an entry has outlived the TTL
+ * @param {Object} entry Cache entry
+ * @returns {boolean} Whether the entry is expired
+ */
+function isExpired(entry) {
+    const { ttlMs } = config.speechCache;
+    return ttlMs > 0 && Date.now() - entry.createdAt > ttlMs;
+}
+
+/**
+ * Get the total size of all cached audio
+ * @returns {number} Size in bytes
+ */
+function getTotalSize() {
+    return Object.values(entries).reduce((total, entry) => total + entry.size, 0);
+}
+
+/**
+ * Remove expired entries, then least recently used ones until the cache fits its size cap
+ * @param {number} incomingBytes Size of an entry about to be added
+ */
+async function enforceLimits(incomingBytes = 0) {
+    for (const [key, entry] of Object.entries(entries)) {
+        if (isExpired(entry)) {
+            await removeEntry(key);
+            stats.expirations++;
+        }
+    }
+
+    const maxBytes = config.speechCache.maxSizeMb * 1024 * 1024;
+    let totalSize = getTotalSize();
+
+    const byLastAccess = Object.entries(entries).sort((a, b) => a[1].lastAccessedAt - b[1].lastAccessedAt);
+
+    for (const [key, entry] of byLastAccess) {
+        if (totalSize + incomingBytes <= maxBytes) break;
+
+        await removeEntry(key);
+        totalSize -= entry.size;
+        stats.evictions++;
+    }
+}
+
+/**
+ * Look up cached speech
+ * The cache fails open: when it cannot be read, the lookup counts as a miss
+ * @param {Object} request Speech request (see createKey)
+ * @returns {Promise<Buffer|null>} Cached audio or null on a miss
+ */
+exports.get = async (request) => {
+    if (!exports.isEnabled()) return null;
+
+    try {
+        return await lookup(request);
+    } catch (error) {
+        console.error('Speech cache lookup failed:', error.message);
+        stats.misses++;
+        return null;
+    }
+};
+
+/**
+ * Look up cached speech (see get)
+ * @param {Object} request Speech request
+ * @returns {Promise<Buffer|null>} Cached audio or null on a miss
+ */
+async function lookup(request) {
+    await loadIndex();
+
+    const key = exports.createKey(request);
+    const entry = entries[key];
+
+    if (!entry) {
+        stats.misses++;
+        return null;
+    }
+
+    if (isExpired(entry)) {
+        await removeEntry(key);
+        stats.expirations++;
+        stats.misses++;
+        saveIndex();
+        return null;
+    }
+
+    try {
+        const audio = await fs.promises.readFile(path.join(config.speechCache.dir, entry.file));
+
+        entry.lastAccessedAt = Date.now();
+        entry.hits++;
+        stats.hits++;
+        saveIndex();
+
+        return audio;
+    } catch (error) {
+        // The file disappeared; forget the entry
+        delete entries[key];
+        stats.misses++;
+        saveIndex();
+        return null;
+    }
+}
+
+/**
+ * Store generated speech
+ * The cache fails open: audio that cannot be written is still served, just not cached
+ * @param {Object} request Speech request (see createKey)
+ * @param {Buffer} audio Audio data
+ * @returns {Promise<boolean>} Whether the audio was cached
+ */
+exports.set = async (request, audio) => {
+    if (!exports.isEnabled() || !audio || audio.length === 0) return false;
+
+    // Never cache a single entry larger than the whole cache
+    if (audio.length > config.speechCache.maxSizeMb * 1024 * 1024) return false;
+
+    try {
+        await store(request, audio);
+        return true;
+    } catch (error) {
+        console.error('Speech cache write failed:', error.message);
+        return false;
+    }
+};
+
+/**
+ * Store generated speech (see set)
+ * @param {Object} request Speech request
+ * @param {Buffer} audio Audio data
+ */
+async function store(request, audio) {
+    await loadIndex();
+
+    const key = exports.createKey(request);
+    await removeEntry(key);
+    await enforceLimits(audio.length);
+
+    const file = `${key}.mp3`;
+    await fs.promises.writeFile(path.join(config.speechCache.dir, file), audio);
+
+    const now = Date.now();
+    entries[key] = {
+        file,
+        size: audio.length,
+        voiceId: request.voiceId || null,
+        modelId: request.modelId || null,
+        textLength: normalizeText(request.text).length,
+        createdAt: now,
+        lastAccessedAt: now,
+        hits: 0
+    };
+    stats.writes++;
+
+    await saveIndex();
+}
+
+/**
+ * Remove every cached entry
+ * @returns {Promise<number>} Number of entries removed
+ */
+exports.clear = async () => {
+    await loadIndex();
+
+    const keys = Object.keys(entries);
+    for (const key of keys) {
+        await removeEntry(key);
+    }
+
+    await saveIndex();
+    return keys.length;
+};
+
+/**
+ * Get cache statistics
+ * @returns {Promise<Object>} Size, limits and hit/miss counters
+ */
+exports.getStats = async () => {
+    await loadIndex();
+
+    const lookups = stats.hits + stats.misses;
+    const sizeBytes = getTotalSize();
+
+    return {
+        enabled: exports.isEnabled(),
+        entries: Object.keys(entries).length,
+        sizeBytes,
+        sizeMb: Math.round(sizeBytes / (1024 * 1024) * 100) / 100,
+        maxSizeMb: config.speechCache.maxSizeMb,
+        ttlHours: config.speechCache.ttlMs / (60 * 60 * 1000),
+        ...stats,
+        hitRate: lookups > 0 ? Math.round(stats.hits / lookups * 1000) / 1000 : 0
+    };
+};
+
+module.exports = exports;
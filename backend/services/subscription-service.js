@@ -0,0 +1,152 @@
+/**
+ * T-101 Terminal - Subscription Service
+ * Polls the ElevenLabs subscription so the character quota is known before speech starts failing
+ */
+
+const config = require('../config');
+const elevenLabsService = require('./eleven-labs-service');
+const webhookService = require('./webhook-service');
+
+// Last known subscription status (null until the first poll finishes)
+let status = null;
+
+// Pending poll, shared by concurrent callers
+let pendingPoll = null;
+
+// Polling timer
+let pollTimer = null;
+
+/**
+ * Start polling the subscription
+ */
+exports.start = () => {
+    if (pollTimer || config.subscription.pollIntervalMs <= 0) return;
+
+    exports.refresh();
+    pollTimer = setInterval(exports.refresh, config.subscription.pollIntervalMs);
+    pollTimer.unref();
+};
+
+/**
+ * Stop polling the subscription
+ */
+exports.stop = () => {
+    clearInterval(pollTimer);
+    pollTimer = null;
+};
+
+/**
+ * Fetch the subscription now
+ * Failures are recorded in the status rather than thrown, keeping the last known usage
+ * @returns {Promise<Object>} Subscription status
+ */
+exports.refresh = () => {
+    if (!pendingPoll) {
+        pendingPoll = elevenLabsService.getSubscription()
+            .then(subscription => {
+                const previous = status;
+                status = summarize(subscription);
+                notifyWarning(previous, status);
+            })
+            .catch(error => {
+                console.error('ElevenLabs subscription poll failed:', error.message);
+                status = {
+                    ...(status || { available: false }),
+                    checkedAt: new Date().toISOString(),
+                    error: error.message
+                };
+            })
+            .then(() => {
+                pendingPoll = null;
+                return status;
+            });
+    }
+
+    return pendingPoll;
+};
+
+/**
+ * Get the subscription status, fetching it when it was never fetched or is older than the poll interval
+ * @returns {Promise<Object>} Subscription status
+ */
+exports.getStatus = async () => {
+    const maxAgeMs = config.subscription.pollIntervalMs || 0;
+    const stale = !status || Date.now() - Date.parse(status.checkedAt) > maxAgeMs;
+
+    return stale ? exports.refresh() : status;
+};
+
+/**
+ * Raise a warning.raised webhook event when the quota crosses into a new warning level
+ * @param {Object|null} previous Status before the poll
+ * @param {Object} current Status after the poll
+ */
+function notifyWarning(previous, current) {
+    const { warning } = current;
+    const previousWarning = previous && previous.warning;
+
+    if (!warning || (previousWarning && previousWarning.level === warning.level &&
+        previousWarning.threshold === warning.threshold)) {
+        return;
+    }
+
+    webhookService.emit('warning.raised', {
+        source: 'speech-quota',
+        ...warning,
+        percentUsed: current.percentUsed,
+        charactersUsed: current.charactersUsed,
+        charactersLimit: current.charactersLimit,
+        resetsAt: current.resetsAt
+    });
+}
+
+/**
+ * Summarize an ElevenLabs subscription as character usage and a warning level
+ * @param {Object} subscription Subscription in the ElevenLabs format
+ * @returns {Object} Subscription status
+ */
+function summarize(subscription) {
+    const used = subscription.character_count || 0;
+    const limit = subscription.character_limit || 0;
+    const percentUsed = limit > 0 ? Math.round(used / limit * 1000) / 10 : 0;
+
+    return {
+        available: true,
+        tier: subscription.tier,
+        charactersUsed: used,
+        charactersLimit: limit,
+        charactersRemaining: Math.max(0, limit - used),
+        percentUsed,
+        resetsAt: subscription.next_character_count_reset_unix ?
+            new Date(subscription.next_character_count_reset_unix * 1000).toISOString() :
+            null,
+        warning: getWarning(percentUsed),
+        checkedAt: new Date().toISOString(),
+        error: null
+    };
+}
+
+/**
+ * Get the warning for a quota usage, if it crosses a threshold
+ * @param {number} percentUsed Share of the quota used
+ * @returns {Object|null} Warning ({ level, threshold, message })
+ */
+function getWarning(percentUsed) {
+    const { warningPercent, criticalPercent } = config.subscription;
+
+    if (percentUsed >= 100) {
+        return { level: 'critical', threshold: 100, message: 'Speech character quota exhausted' };
+    }
+
+    if (percentUsed >= criticalPercent) {
+        return { level: 'critical', threshold: criticalPercent, message: `Speech character quota ${percentUsed}% used` };
+    }
+
+    if (percentUsed >= warningPercent) {
+        return { level: 'warning', threshold: warningPercent, message: `Speech character quota ${percentUsed}% used` };
+    }
+
+    return null;
+}
+
+module.exports = exports;
@@ -0,0 +1,476 @@
+/**
+ * T-101 Terminal - Transcription Service
+ * Long-form transcription: audio too large or too long for one Whisper request is split with
+ * ffmpeg, the chunks are transcribed concurrently and their transcripts stitched back together.
+ * Video uploads have their audio track extracted first, and a preprocessing profile can clean the
+ * audio up before Whisper hears it
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const whisperService = require('./whisper-service');
+const audioProcessor = require('../utils/audio-processor');
+const errorHandler = require('../utils/error-handler');
+const transcriptFormatter = require('../utils/transcript-formatter');
+
+// Containers treated as video when the upload's MIME type does not say so
+const VIDEO_EXTENSIONS = ['.mp4', '.m4v', '.mov', '.mkv', '.avi', '.wmv', '.flv', '.mpg', '.mpeg', '.3gp'];
+
+// Formats /api/transcribe can answer in; all but json and text carry timestamps
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'vtt', 'verbose_json'];
+const TIMED_FORMATS = ['srt', 'vtt', 'verbose_json'];
+
+// ffmpeg command behind each preprocessing step, and the format it writes
+// (intermediate steps write WAV so only the final conversion is lossy)
+const PREPROCESSING_STEPS = {
+    denoise: {
+        extension: '.wav',
+        run: (inputPath, outputPath) => audioProcessor.removeNoise(inputPath, outputPath)
+    },
+    normalize: {
+        extension: '.wav',
+        run: (inputPath, outputPath) => audioProcessor.normalizeAudio(inputPath, outputPath)
+    },
+    convert: {
+        extension: '.mp3',
+        run: (inputPath, outputPath) =>
+            audioProcessor.convertToWhisperFormat(inputPath, outputPath, config.audio.conversion)
+    }
+};
+
+/**
+ * Check whether an upload is a video whose audio has to be extracted
+ * @param {Object} file Multer file ({ originalname, mimetype })
+ * @returns {boolean} Whether the file is a video
+ */
+exports.isVideoUpload = (file) => {
+    const extension = path.extname(file.originalname || '').toLowerCase();
+    return (file.mimetype || '').startsWith('video/') || VIDEO_EXTENSIONS.includes(extension);
+};
+
+/**
+ * Reject uploads the server cannot process before any work starts
+ * @param {Object} file Multer file
+ * @returns {Promise<void>} Rejects with a ServiceUnavailableError for video without ffmpeg
+ */
+exports.checkUpload = async (file) => {
+    if (exports.isVideoUpload(file) && !(await audioProcessor.isFfmpegAvailable())) {
+        throw errorHandler.errorTypes.ServiceUnavailableError(
+            'Video transcription extracts the audio track with ffmpeg, which is not installed on the server'
+        );
+    }
+};
+
+/**
+ * Validate a requested response format
+ * @param {string} format Format name (json when empty)
+ * @returns {Object} { name, timed } - timed formats need segment and word timestamps
+ */
+exports.getResponseFormat = (format) => {
+    const name = format || 'json';
+
+    if (!RESPONSE_FORMATS.includes(name)) {
+        throw errorHandler.errorTypes.ValidationError(
+            `Unsupported response_format "${name}" (available: ${RESPONSE_FORMATS.join(', ')})`
+        );
+    }
+
+    return { name, timed: TIMED_FORMATS.includes(name) };
+};
+
+/**
+ * Fill in timings the upstream could not provide (see transcript-formatter.completeTimings)
+ * @param {Object|string} transcript Whisper result
+ * @param {string} audioPath Transcribed audio, measured when the result has no duration
+ * @returns {Promise<Object>} Verbose transcript with segments, words and timings
+ */
+exports.completeTimings = async (transcript, audioPath) => {
+    const result = typeof transcript === 'string' ? { text: transcript } : transcript;
+
+    const audioDuration = result.duration == null && await audioProcessor.isFfmpegAvailable() ?
+        await audioProcessor.getAudioDuration(audioPath).catch(() => null) :
+        null;
+
+    return transcriptFormatter.completeTimings(result, audioDuration);
+};
+
+/**
+ * Translate speech in any language to English, keeping the original transcript
+ * Whisper transcribes (detecting the language) and translates the same audio concurrently
+ * @param {string} filePath Path to the audio file
+ * @param {Object} options Translation options
+ * @param {string} options.filename Name to send the audio as (the file's own name by default)
+ * @param {string} options.prompt Prompt for both requests
+ * @param {Object} options.usage Attribution both requests are metered against
+ * @returns {Promise<Object>} { transcript, language, translation }
+ */
+exports.translateSpeech = async (filePath, options = {}) => {
+    const { filename = null, prompt = '', usage } = options;
+
+    const [original, translation] = await Promise.all([
+        whisperService.transcribeAudio(filePath, {
+            language: '',
+            prompt,
+            response_format: 'verbose_json',
+            filename,
+            usage
+        }),
+        whisperService.translateAudio(filePath, { prompt, filename, usage })
+    ]);
+
+    // Mock mode answers with plain text and no detected language
+    const { text, language = null } = typeof original === 'string' ? { text: original } : original;
+
+    return {
+        transcript: (text || '').trim(),
+        language,
+        translation: (translation || '').trim()
+    };
+};
+
+/**
+ * Look up a preprocessing profile
+ * @param {string} name Profile name (the configured default when empty)
+ * @returns {Object} { name, steps }
+ */
+exports.getPreprocessingProfile = (name) => {
+    const { defaultProfile, profiles } = config.audio.preprocessing;
+    const profileName = name || defaultProfile;
+
+    if (!Object.prototype.hasOwnProperty.call(profiles, profileName)) {
+        throw errorHandler.errorTypes.ValidationError(
+            `Unknown preprocessing profile "${profileName}" (available: ${Object.keys(profiles).join(', ')})`
+        );
+    }
+
+    return { name: profileName, steps: profiles[profileName] };
+};
+
+/**
+ * Reject a preprocessing profile the server cannot run
+ * @param {Object} profile Profile from getPreprocessingProfile
+ * @returns {Promise<void>} Rejects with a ServiceUnavailableError when the profile needs ffmpeg
+ */
+exports.checkPreprocessing = async (profile) => {
+    if (profile.steps.length > 0 && !(await audioProcessor.isFfmpegAvailable())) {
+        throw errorHandler.errorTypes.ServiceUnavailableError(
+            `The "${profile.name}" preprocessing profile runs ffmpeg, which is not installed on the server`
+        );
+    }
+};
+
+/**
+ * Run a task on preprocessed audio, removing the intermediate files afterwards
+ * @param {string|Buffer} input Audio file path, or the audio itself
+ * @param {Object} profile Profile from getPreprocessingProfile
+ * @param {Function} task Called with the preprocessed file path (the input itself for empty profiles)
+ * @param {Object} options Preprocessing options
+ * @param {Function} options.onProgress Called with { stage: 'preprocessing', step, completed, total, percent }
+ * @returns {Promise<*>} What the task returns
+ */
+exports.withPreprocessedAudio = async (input, profile, task, options = {}) => {
+    if (profile.steps.length === 0) {
+        return task(input);
+    }
+
+    const onProgress = options.onProgress || (() => {});
+    const total = profile.steps.length;
+    const workDir = path.join(config.paths.temp, 'transcriptions', crypto.randomUUID());
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    try {
+        let current = input;
+
+        if (Buffer.isBuffer(input)) {
+            current = path.join(workDir, 'input');
+            await fs.promises.writeFile(current, input);
+        }
+
+        onProgress({ stage: 'preprocessing', step: null, completed: 0, total, percent: 0 });
+
+        for (const [index, step] of profile.steps.entries()) {
+            const { extension, run } = PREPROCESSING_STEPS[step];
+            current = await run(current, path.join(workDir, `${index + 1}-${step}${extension}`));
+
+            onProgress({
+                stage: 'preprocessing',
+                step,
+                completed: index + 1,
+                total,
+                percent: Math.round((index + 1) / total * 100)
+            });
+        }
+
+        return await task(current);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Extract a video's audio track as mono MP3 ready for Whisper
+ * @param {string} videoPath Path to the video file
+ * @param {Object} options Extraction options
+ * @param {Function} options.onProgress Called with { stage: 'extracting', percent }
+ * @returns {Promise<string>} Path to the extracted audio (the caller removes it)
+ */
+exports.extractVideoAudio = async (videoPath, options = {}) => {
+    const onProgress = options.onProgress || (() => {});
+    const outputDir = path.join(config.paths.temp, 'transcriptions');
+    await fs.promises.mkdir(outputDir, { recursive: true });
+
+    // Without a known duration only the start and end can be reported
+    const duration = await audioProcessor.getAudioDuration(videoPath).catch(() => null);
+    let reported = 0;
+
+    onProgress({ stage: 'extracting', percent: 0 });
+
+    const audioPath = await audioProcessor.extractAudioFromVideo(
+        videoPath,
+        path.join(outputDir, `${crypto.randomUUID()}.mp3`),
+        {
+            ...config.audio.conversion,
+            onProgress: seconds => {
+                const percent = duration ? Math.min(99, Math.floor(seconds / duration * 100)) : 0;
+                if (percent > reported) {
+                    reported = percent;
+                    onProgress({ stage: 'extracting', percent });
+                }
+            }
+        }
+    );
+
+    onProgress({ stage: 'extracting', percent: 100 });
+
+    return audioPath;
+};
+
+/**
+ * Decide whether a file has to be split before it can be transcribed
+ * @param {string} filePath Path to the audio file
+ * @returns {Promise<Object>} { split, reason ('size', 'duration' or null), size, duration }
+ */
+exports.planTranscription = async (filePath) => {
+    const { whisperMaxSize, longAudioSeconds } = config.transcription;
+    const { size } = await fs.promises.stat(filePath);
+    const ffmpegAvailable = await audioProcessor.isFfmpegAvailable();
+
+    // Without ffprobe the duration is unknown, so only the size can force a split
+    const duration = ffmpegAvailable ?
+        await audioProcessor.getAudioDuration(filePath).catch(() => null) :
+        null;
+
+    if (size > whisperMaxSize) {
+        if (!ffmpegAvailable) {
+            throw errorHandler.errorTypes.ServiceUnavailableError(
+                `Audio over ${whisperMaxSize / (1024 * 1024)}MB has to be split, which requires ffmpeg on the server`
+            );
+        }
+        return { split: true, reason: 'size', size, duration };
+    }
+
+    if (duration !== null && duration > longAudioSeconds) {
+        return { split: true, reason: 'duration', size, duration };
+    }
+
+    return { split: false, reason: null, size, duration };
+};
+
+/**
+ * Build a transcribing progress report
+ * @param {number} completed Requests finished
+ * @param {number} total Requests in the transcription
+ * @returns {Object} { stage, completed, total, percent }
+ */
+exports.transcribingProgress = (completed, total) => ({
+    stage: 'transcribing',
+    completed,
+    total,
+    percent: Math.round(completed / total * 100)
+});
+
+/**
+ * Transcribe audio of any length by splitting it into chunks
+ * @param {string} filePath Path to the audio file
+ * @param {Object} options Transcription options
+ * @param {string} options.language Spoken language (detected by Whisper when empty)
+ * @param {string} options.prompt Prompt for chunks without a preceding transcript
+ * @param {number} options.temperature Sampling temperature
+ * @param {Function} options.onProgress Called with { stage: 'transcribing', completed, total, percent }
+ * @param {Object} options.usage Attribution the chunks are metered against
+ * @returns {Promise<Object>} { text, language, duration, segments, words, chunks }
+ */
+exports.transcribeLongAudio = async (filePath, options = {}) => {
+    const workDir = path.join(config.paths.temp, 'transcriptions', crypto.randomUUID());
+    await fs.promises.mkdir(workDir, { recursive: true });
+
+    try {
+        // Re-encode to small mono MP3 first, so chunks can be cut without re-encoding
+        const converted = await audioProcessor.convertToWhisperFormat(
+            filePath,
+            path.join(workDir, 'source.mp3'),
+            config.audio.conversion
+        );
+
+        const chunkPaths = await audioProcessor.splitAudioIntoChunks(
+            converted,
+            workDir,
+            config.transcription.chunkSeconds
+        );
+
+        // Cuts land on frame boundaries, so measure each chunk rather than assume its length
+        const durations = await Promise.all(chunkPaths.map(chunkPath =>
+            audioProcessor.getAudioDuration(chunkPath).catch(() => null)
+        ));
+
+        const results = await transcribeChunks(chunkPaths, options);
+
+        return exports.stitchTranscripts(results, durations);
+    } finally {
+        await fs.promises.rm(workDir, { recursive: true, force: true });
+    }
+};
+
+/**
+ * Transcribe chunks as contiguous runs: runs go concurrently, and within a run each chunk is
+ * prompted with the text of the chunk before it so wording and spelling carry across the cut
+ * @param {string[]} chunkPaths Chunk files in order
+ * @param {Object} options Transcription options (see transcribeLongAudio)
+ * @returns {Promise<Object[]>} Normalized Whisper results in chunk order
+ */
+async function transcribeChunks(chunkPaths, options) {
+    const total = chunkPaths.length;
+    const onProgress = options.onProgress || (() => {});
+    const runCount = Math.max(1, Math.min(config.transcription.concurrency, total));
+    const results = new Array(total);
+    let failed = false;
+    let completed = 0;
+
+    onProgress(exports.transcribingProgress(completed, total));
+
+    const runs = Array.from({ length: runCount }, (_, run) => ({
+        start: Math.floor(run * total / runCount),
+        end: Math.floor((run + 1) * total / runCount)
+    }));
+
+    await Promise.all(runs.map(async ({ start, end }) => {
+        let previousText = '';
+
+        for (let index = start; index < end && !failed; index++) {
+            try {
+                const result = await whisperService.transcribeAudio(chunkPaths[index], {
+                    language: options.language || '',
+                    prompt: previousText ? promptFrom(previousText) : (options.prompt || ''),
+                    temperature: options.temperature || 0,
+                    response_format: 'verbose_json',
+                    timestamp_granularities: ['segment', 'word'],
+                    usage: options.usage
+                });
+
+                results[index] = normalizeResult(result);
+                previousText = results[index].text;
+                onProgress(exports.transcribingProgress(++completed, total));
+            } catch (error) {
+                // Stop the other runs from starting more chunks
+                failed = true;
+                throw error;
+            }
+        }
+    }));
+
+    return results;
+}
+
+/**
+ * Take the end of a transcript as the prompt for the next chunk
+ * @param {string} text Previous chunk's transcript
+ * @returns {string} Prompt starting at a word boundary
+ */
+function promptFrom(text) {
+    const { promptChars } = config.transcription;
+    const trimmed = text.trim();
+
+    if (trimmed.length <= promptChars) return trimmed;
+
+    const tail = trimmed.slice(-promptChars);
+    return tail.slice(tail.indexOf(' ') + 1);
+}
+
+/**
+ * Normalize a Whisper result (mock mode returns plain text)
+ * @param {Object|string} result Whisper verbose_json response or text
+ * @returns {Object} { text, language, duration, segments, words }
+ */
+function normalizeResult(result) {
+    if (typeof result === 'string') {
+        return { text: result, language: null, duration: null, segments: [], words: [] };
+    }
+
+    return {
+        text: result.text || '',
+        language: result.language || null,
+        duration: typeof result.duration === 'number' ? result.duration : null,
+        segments: result.segments || [],
+        words: result.words || []
+    };
+}
+
+/**
+ * Round seconds to milliseconds
+ * @param {number} seconds Time in seconds
+ * @returns {number} Rounded time
+ */
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Join chunk results into one transcript, shifting segment and word times by each chunk's start
+ * @param {Array<Object|string>} chunkResults Whisper results in chunk order (verbose_json or plain text)
+ * @param {Array<number|null>} durations Measured chunk durations
+ * @returns {Object} { text, language, duration, segments, words, chunks }
+ */
+exports.stitchTranscripts = (chunkResults, durations) => {
+    const results = chunkResults.map(normalizeResult);
+    const segments = [];
+    const words = [];
+    let offset = 0;
+
+    results.forEach((result, index) => {
+        // seek is relative to the chunk, so it is dropped rather than left misleading
+        result.segments.forEach(({ seek, ...segment }) => {
+            segments.push({
+                ...segment,
+                id: segments.length,
+                start: roundSeconds(segment.start + offset),
+                end: roundSeconds(segment.end + offset)
+            });
+        });
+
+        result.words.forEach(word => {
+            words.push({
+                ...word,
+                start: roundSeconds(word.start + offset),
+                end: roundSeconds(word.end + offset)
+            });
+        });
+
+        // Prefer the measured length; Whisper's own duration and the configured length are fallbacks
+        offset += durations[index] ?? result.duration ?? config.transcription.chunkSeconds;
+    });
+
+    const detected = results.find(result => result.language);
+
+    return {
+        text: results.map(result => result.text.trim()).filter(Boolean).join(' '),
+        language: detected ? detected.language : null,
+        duration: roundSeconds(offset),
+        segments,
+        words,
+        chunks: results.length
+    };
+};
+
+module.exports = exports;
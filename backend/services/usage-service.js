@@ -0,0 +1,371 @@
+/**
+ * T-101 Terminal - Usage Service
+ * Meters chat, speech and transcription calls with their estimated cost, attributed to the API key
+ * and conversation session, and rolls them up by day and key for /api/usage
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const audioProcessor = require('../utils/audio-processor');
+const { errorTypes } = require('../utils/error-handler');
+const apiKeyService = require('./api-key-service');
+const conversationService = require('./conversation-service');
+
+// Services that are metered
+const SERVICES = ['chat', 'speech', 'transcription'];
+
+// Rough token count per character, for streamed replies whose usage the provider does not report
+const CHARACTERS_PER_TOKEN = 4;
+
+// Bitrate assumed for audio whose duration cannot be measured (32 kbps, typical MediaRecorder Opus)
+const ESTIMATED_AUDIO_BYTES_PER_SECOND = 4000;
+
+// Attribution for calls made outside a request
+const UNATTRIBUTED = { apiKey: 'anonymous', userId: null, sessionId: null, source: 'internal' };
+
+// Pending file writes, so records are appended in order
+let pendingWrite = Promise.resolve();
+
+/**
+ * Identify who a request's usage is charged to
+ * Keys from the key store are recorded by ID, so usage survives rotation; other keys as a
+ * fingerprint. Keys are never recorded in full
+ * @param {Object} req Express request object (or { headers } for WebSocket upgrades)
+ * @param {Object} overrides Attribution fields to set directly ({ user, apiKey, sessionId, source })
+ * @returns {Object} Attribution ({ apiKey, userId, sessionId, source })
+ */
+exports.attribution = (req, overrides = {}) => {
+    const headers = req.headers || {};
+    const user = overrides.user !== undefined ? overrides.user : req.user;
+    const apiKey = overrides.apiKey !== undefined ? overrides.apiKey : headers['x-api-key'];
+    const storedKey = req.apiKey || (apiKey && apiKeyService.authenticate(apiKey).key);
+    const keyId = (storedKey && storedKey.id) || (user && user.keyId);
+    const sessionId = overrides.sessionId !== undefined ? overrides.sessionId : headers['x-session-id'];
+
+    return {
+        apiKey: keyId || exports.keyFingerprint(apiKey),
+        userId: user ? user.id : null,
+        sessionId: conversationService.isValidSessionId(sessionId) ? sessionId : null,
+        source: overrides.source || `${req.method} ${(req.baseUrl || '') + (req.path || '')}`
+    };
+};
+
+/**
+ * Fingerprint an API key for usage records
+ * @param {string} apiKey API key
+ * @returns {string} Short hash of the key, or "anonymous" without one
+ */
+exports.keyFingerprint = (apiKey) => {
+    if (!apiKey) return UNATTRIBUTED.apiKey;
+
+    return `key_${crypto.createHash('sha256').update(String(apiKey)).digest('hex').slice(0, 12)}`;
+};
+
+/**
+ * Meter a chat completion
+ * @param {Object} usage Attribution from exports.attribution
+ * @param {Object} call Completion details
+ * @param {string} call.provider LLM provider
+ * @param {string} call.model Model
+ * @param {Object} call.tokens Token usage reported by the provider ({ prompt_tokens, completion_tokens })
+ * @param {Array} call.messages Prompt messages, to estimate tokens when none were reported
+ * @param {string} call.reply Reply text, to estimate tokens when none were reported
+ */
+exports.recordChat = (usage, { provider, model, tokens, messages = [], reply = '' }) => {
+    const estimated = !tokens;
+    const inputTokens = estimated ?
+        estimateTokens(messages.map(message => message.content).join(' ')) :
+        tokens.prompt_tokens || 0;
+    const outputTokens = estimated ? estimateTokens(reply) : tokens.completion_tokens || 0;
+
+    const prices = provider === 'openai' ?
+        config.usage.prices.chat[model] || config.usage.prices.chat.default :
+        { input: 0, output: 0 };
+
+    record(usage, {
+        service: 'chat',
+        provider,
+        model,
+        inputTokens,
+        outputTokens,
+        estimated,
+        cost: (inputTokens * prices.input + outputTokens * prices.output) / 1000
+    });
+};
+
+/**
+ * Meter synthesized speech
+ * @param {Object} usage Attribution from exports.attribution
+ * @param {Object} call Speech details ({ model, voiceId, text })
+ */
+exports.recordSpeech = (usage, { model, voiceId, text }) => {
+    const characters = String(text || '').length;
+
+    record(usage, {
+        service: 'speech',
+        provider: 'elevenlabs',
+        model,
+        voiceId,
+        characters,
+        estimated: false,
+        cost: characters * config.usage.prices.speechPerThousandCharacters / 1000
+    });
+};
+
+/**
+ * Meter a Whisper transcription or translation
+ * Whisper bills by audio length: the verbose result's duration is used when present, otherwise the
+ * file is measured with ffprobe, otherwise the length is estimated from its size
+ * @param {Object} usage Attribution from exports.attribution
+ * @param {Object} call Transcription details
+ * @param {string} call.model Model
+ * @param {string|Buffer} call.audio Audio file path or contents
+ * @param {Object|string} call.result Whisper result (its duration is used when present)
+ * @returns {Promise<void>}
+ */
+exports.recordTranscription = async (usage, { model = 'whisper-1', audio, result }) => {
+    try {
+        const { seconds, estimated } = await measureAudio(audio, result);
+
+        record(usage, {
+            service: 'transcription',
+            provider: 'openai',
+            model,
+            audioSeconds: roundSeconds(seconds),
+            estimated,
+            cost: seconds / 60 * config.usage.prices.transcriptionPerMinute
+        });
+    } catch (error) {
+        console.error('Could not meter transcription:', error.message);
+    }
+};
+
+/**
+ * Roll up usage records by day and by API key
+ * @param {Object} filter Query filter
+ * @param {string} filter.from First day (YYYY-MM-DD, default defaultRangeDays before to)
+ * @param {string} filter.to Last day (YYYY-MM-DD, default today, UTC)
+ * @param {string} filter.apiKey Only this key ID or fingerprint
+ * @param {string} filter.userId Only this signed-in user
+ * @param {string} filter.sessionId Only this session
+ * @returns {Promise<Object>} Usage ({ from, to, totals, daily, byKey })
+ */
+exports.getUsage = async (filter = {}) => {
+    const to = filter.to || toDay(new Date());
+
+    // The default range is only derived from a valid last day
+    const from = filter.from || (isDay(to) ?
+        toDay(new Date(Date.parse(to) - (config.usage.defaultRangeDays - 1) * 24 * 60 * 60 * 1000)) :
+        null);
+
+    if (!isDay(from) || !isDay(to) || from > to) {
+        throw errorTypes.ValidationError('from and to must be dates (YYYY-MM-DD) with from before to');
+    }
+
+    // Records still being written belong in the answer
+    await pendingWrite;
+
+    const records = (await readRecords(from, to)).filter(entry =>
+        (!filter.apiKey || entry.apiKey === filter.apiKey) &&
+        (!filter.userId || entry.userId === filter.userId) &&
+        (!filter.sessionId || entry.sessionId === filter.sessionId));
+
+    return {
+        from,
+        to,
+        totals: rollUp(records),
+        daily: groupBy(records, entry => entry.timestamp.slice(0, 10), 'date'),
+        byKey: groupBy(records, entry => entry.apiKey, 'apiKey')
+    };
+};
+
+/**
+ * Write a usage record
+ * @param {Object} usage Attribution
+ * @param {Object} details Metered amounts and cost
+ */
+function record(usage, details) {
+    const attribution = usage || UNATTRIBUTED;
+    const entry = {
+        timestamp: new Date().toISOString(),
+        apiKey: attribution.apiKey,
+        userId: attribution.userId || null,
+        sessionId: attribution.sessionId,
+        source: attribution.source,
+        ...details,
+        cost: roundCost(details.cost)
+    };
+
+    const file = path.join(config.usage.dir, `usage-${entry.timestamp.slice(0, 10)}.jsonl`);
+
+    pendingWrite = pendingWrite
+        .then(() => fs.promises.mkdir(config.usage.dir, { recursive: true }))
+        .then(() => fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`))
+        .catch(error => console.error('Could not write usage record:', error.message));
+}
+
+/**
+ * Read the records of a range of days
+ * @param {string} from First day
+ * @param {string} to Last day
+ * @returns {Promise<Object[]>} Records
+ */
+async function readRecords(from, to) {
+    let files;
+    try {
+        files = await fs.promises.readdir(config.usage.dir);
+    } catch (error) {
+        if (error.code === 'ENOENT') return [];
+        throw error;
+    }
+
+    const days = files
+        .map(file => /^usage-(\d{4}-\d{2}-\d{2})\.jsonl$/.exec(file))
+        .filter(match => match && match[1] >= from && match[1] <= to)
+        .map(match => match[0])
+        .sort();
+
+    const contents = await Promise.all(days.map(file =>
+        fs.promises.readFile(path.join(config.usage.dir, file), 'utf8')));
+
+    return contents.flatMap(content => content.split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash
+                return null;
+            }
+        })
+        .filter(Boolean));
+}
+
+/**
+ * Total up records
+ * @param {Object[]} records Usage records
+ * @returns {Object} Requests and cost overall and per service
+ */
+function rollUp(records) {
+    const totals = { requests: records.length, cost: 0 };
+    SERVICES.forEach(service => {
+        totals[service] = { requests: 0, cost: 0 };
+    });
+    Object.assign(totals.chat, { inputTokens: 0, outputTokens: 0 });
+    Object.assign(totals.speech, { characters: 0 });
+    Object.assign(totals.transcription, { audioSeconds: 0 });
+
+    records.forEach(entry => {
+        const service = totals[entry.service];
+        if (!service) return;
+
+        service.requests += 1;
+        service.cost += entry.cost;
+        totals.cost += entry.cost;
+
+        ['inputTokens', 'outputTokens', 'characters', 'audioSeconds']
+            .filter(field => field in service)
+            .forEach(field => {
+                service[field] += entry[field] || 0;
+            });
+    });
+
+    totals.cost = roundCost(totals.cost);
+    SERVICES.forEach(service => {
+        totals[service].cost = roundCost(totals[service].cost);
+    });
+    totals.transcription.audioSeconds = roundSeconds(totals.transcription.audioSeconds);
+
+    return totals;
+}
+
+/**
+ * Roll up records per group
+ * @param {Object[]} records Usage records
+ * @param {Function} keyOf Group key of a record
+ * @param {string} keyName Name of the key in the output
+ * @returns {Object[]} Rollups ({ [keyName], ...totals }) in key order
+ */
+function groupBy(records, keyOf, keyName) {
+    const groups = new Map();
+    records.forEach(entry => {
+        const key = keyOf(entry);
+        if (!groups.has(key)) groups.set(key, []);
+        groups.get(key).push(entry);
+    });
+
+    return [...groups.keys()].sort().map(key => ({ [keyName]: key, ...rollUp(groups.get(key)) }));
+}
+
+/**
+ * Find the length of transcribed audio
+ * @param {string|Buffer} audio Audio file path or contents
+ * @param {Object|string} result Whisper result
+ * @returns {Promise<Object>} { seconds, estimated }
+ */
+async function measureAudio(audio, result) {
+    if (result && typeof result === 'object' && typeof result.duration === 'number') {
+        return { seconds: result.duration, estimated: false };
+    }
+
+    if (typeof audio === 'string' && await audioProcessor.isFfmpegAvailable()) {
+        const duration = await audioProcessor.getAudioDuration(audio).catch(() => null);
+        if (duration !== null) {
+            return { seconds: duration, estimated: false };
+        }
+    }
+
+    const bytes = Buffer.isBuffer(audio) ? audio.length : (await fs.promises.stat(audio)).size;
+    return { seconds: bytes / ESTIMATED_AUDIO_BYTES_PER_SECOND, estimated: true };
+}
+
+/**
+ * Estimate the tokens in a text
+ * @param {string} text Text
+ * @returns {number} Estimated tokens
+ */
+function estimateTokens(text) {
+    return Math.ceil(String(text || '').length / CHARACTERS_PER_TOKEN);
+}
+
+/**
+ * Round a cost to a millionth of a dollar
+ * @param {number} cost Cost in USD
+ * @returns {number} Rounded cost
+ */
+function roundCost(cost) {
+    return Math.round(cost * 1e6) / 1e6;
+}
+
+/**
+ * Round seconds to milliseconds
+ * @param {number} seconds Time in seconds
+ * @returns {number} Rounded time
+ */
+function roundSeconds(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+/**
+ * Format a date as its UTC day
+ * @param {Date} date Date
+ * @returns {string} YYYY-MM-DD
+ */
+function toDay(date) {
+    return date.toISOString().slice(0, 10);
+}
+
+/**
+ * Check a YYYY-MM-DD day
+ * Days that do not exist (2026-02-31) are refused rather than rolled over into the next month
+ * @param {string} value Value to check
+ * @returns {boolean} Whether it is a valid day
+ */
+function isDay(value) {
+    return /^\d{4}-\d{2}-\d{2}$/.test(value) && !Number.isNaN(Date.parse(value)) &&
+        toDay(new Date(value)) === value;
+}
+
+module.exports = exports;
@@ -0,0 +1,598 @@
+/**
+ * T-101 Terminal - Voice Channel Service
+ * Full-duplex WebSocket channel for voice turns: microphone audio goes in, partial and final
+ * transcripts, chat tokens and speech audio come back on the same connection
+ *
+ * Client messages (JSON text frames unless noted):
+ *   { type: 'start', mimeType, voiceId, stability, similarityBoost, speak, translate }  begin a turn
+ *   binary frames                                                           microphone audio for the turn
+ *   { type: 'stop' }                                                        end of speech, answer the turn
+ *   { type: 'cancel' }                                                      abandon the turn, even mid-speech
+ *   { type: 'ping' }                                                        keepalive, answered with pong
+ *
+ * Turns started with translate: true accept speech in any language: transcript.final and turn.done
+ * carry the original transcript with its language and the English translation, which is what the
+ * chat model answers.
+ *
+ * Server messages:
+ *   ready, turn.started, transcript.partial, transcript.final, chat.start, chat.token, chat.done,
+ *   tts.start, binary MP3 frames, tts.end, turn.done, error, pong
+ *
+ * Every turn ends with exactly one turn.done message, including turns that failed or were cancelled.
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { WebSocketServer, WebSocket } = require('ws');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth-middleware');
+const securityHeaders = require('../middleware/security-headers');
+const conversationService = require('./conversation-service');
+const elevenLabsService = require('./eleven-labs-service');
+const llmService = require('./llm-service');
+const speechCacheService = require('./speech-cache-service');
+const transcriptionService = require('./transcription-service');
+const usageService = require('./usage-service');
+const webhookService = require('./webhook-service');
+const whisperService = require('./whisper-service');
+
+// Interval between keepalive pings; connections that miss one are dropped
+const HEARTBEAT_INTERVAL_MS = 30000;
+
+// Size of the binary frames cached speech is sent in
+const AUDIO_FRAME_BYTES = 16 * 1024;
+
+// File extensions Whisper recognizes, by recorder MIME type
+const EXTENSIONS_BY_MIME_TYPE = {
+    'audio/webm': '.webm',
+    'audio/ogg': '.ogg',
+    'audio/mp4': '.mp4',
+    'audio/mpeg': '.mp3',
+    'audio/wav': '.wav'
+};
+
+// Active WebSocket server (one per process)
+let wss = null;
+
+/**
+ * Send a typed JSON message if the socket is still open
+ * @param {WebSocket} socket Client socket
+ * @param {string} type Message type
+ * @param {Object} data Message fields
+ */
+function send(socket, type, data = {}) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(JSON.stringify({ type, ...data }));
+    }
+}
+
+/**
+ * Send binary audio if the socket is still open
+ * @param {WebSocket} socket Client socket
+ * @param {Buffer} audio Audio frame
+ */
+function sendAudio(socket, audio) {
+    if (socket.readyState === WebSocket.OPEN) {
+        socket.send(audio, { binary: true });
+    }
+}
+
+/**
+ * Read the credentials offered with an upgrade request
+ * Browsers cannot set headers on WebSocket requests, so they may also come as ?apiKey= or ?token=
+ * @param {http.IncomingMessage} req Upgrade request
+ * @param {URL} url Parsed request URL
+ * @returns {Object} { apiKey, token }
+ */
+function getCredentials(req, url) {
+    return {
+        apiKey: req.headers['x-api-key'] || url.searchParams.get('apiKey') || undefined,
+        token: authMiddleware.getSessionToken(req) || url.searchParams.get('token') || undefined
+    };
+}
+
+/**
+ * Identify who owns the conversations of a connection (see authMiddleware.getUserId)
+ * @param {Object} auth Accepted credentials ({ user, keyId } from authenticateCredentials)
+ * @returns {string|null} The session's user ID, else the API key ID, or null for anonymous clients
+ */
+function getUserId(auth) {
+    return auth.user ? auth.user.id : auth.keyId || null;
+}
+
+/**
+ * Run a Whisper task on the audio received so far
+ * @param {Object} turn Active turn
+ * @param {Function} task Called with the path of a temporary file holding the audio
+ * @returns {Promise<*>} What the task returns
+ */
+async function withTurnAudio(turn, task) {
+    const dir = path.join(config.paths.temp, 'voice');
+    await fs.promises.mkdir(dir, { recursive: true });
+
+    const extension = EXTENSIONS_BY_MIME_TYPE[turn.mimeType.split(';')[0]] || '.webm';
+    const filePath = path.join(dir, `turn-${turn.id}-${Date.now()}${extension}`);
+
+    await fs.promises.writeFile(filePath, Buffer.concat(turn.chunks));
+
+    try {
+        return await task(filePath);
+    } finally {
+        await fs.promises.rm(filePath, { force: true });
+    }
+}
+
+/**
+ * Transcribe the audio received so far
+ * Translating turns leave the language to Whisper instead of assuming English
+ * @param {Object} turn Active turn
+ * @returns {Promise<string>} Transcription text
+ */
+async function transcribe(turn) {
+    return withTurnAudio(turn, async filePath =>
+        (await whisperService.transcribeAudio(filePath, {
+            ...(turn.translate ? { language: '' } : {}),
+            usage: turn.usage
+        })) || ''
+    );
+}
+
+/**
+ * Send a partial transcript of the audio received so far
+ * Only one partial transcription runs at a time, and only when new audio has arrived
+ * @param {Object} connection Connection state
+ * @param {Object} turn Active turn
+ */
+async function sendPartialTranscript(connection, turn) {
+    if (turn.partialPending || turn.finalizing || turn.bytes === turn.partialBytes) {
+        return;
+    }
+
+    turn.partialPending = true;
+    turn.partialBytes = turn.bytes;
+
+    try {
+        const text = await transcribe(turn);
+
+        // The turn may have ended while Whisper was working
+        if (connection.turn === turn && !turn.finalizing) {
+            send(connection.socket, 'transcript.partial', { turnId: turn.id, text });
+        }
+    } catch (error) {
+        console.error('Voice channel partial transcription error:', error.message);
+    } finally {
+        turn.partialPending = false;
+    }
+}
+
+/**
+ * Stream the spoken reply to the client, from the speech cache when possible
+ * @param {Object} connection Connection state
+ * @param {Object} turn Active turn
+ * @param {string} text Text to speak
+ * @returns {Promise<void>}
+ */
+async function sendSpeech(connection, turn, text) {
+    const { socket } = connection;
+    const { voiceId, modelId, stability, similarityBoost } = turn.speech;
+
+    // Same key as /api/tts, so both routes share cached phrases
+    const voiceSettings = { stability, similarity_boost: similarityBoost };
+    const cacheRequest = { text, voiceId, modelId, settings: voiceSettings };
+
+    const cachedAudio = await speechCacheService.get(cacheRequest);
+
+    send(socket, 'tts.start', { turnId: turn.id, format: 'audio/mpeg', cached: !!cachedAudio });
+
+    if (cachedAudio) {
+        for (let offset = 0; offset < cachedAudio.length; offset += AUDIO_FRAME_BYTES) {
+            sendAudio(socket, cachedAudio.subarray(offset, offset + AUDIO_FRAME_BYTES));
+        }
+        send(socket, 'tts.end', { turnId: turn.id, bytes: cachedAudio.length });
+        webhookService.emit('tts.generated', { voiceId, modelId, characters: text.length, cached: true }, turn.usage);
+        return;
+    }
+
+    // Cancelling the turn (e.g. the user barging in) aborts the upstream request
+    const stream = await elevenLabsService.streamSpeech({
+        text,
+        voice_id: voiceId,
+        model_id: modelId,
+        voice_settings: voiceSettings,
+        signal: turn.abortController.signal,
+        usage: turn.usage
+    });
+
+    const chunks = [];
+    let bytes = 0;
+
+    for await (const chunk of stream) {
+        if (turn.abortController.signal.aborted) {
+            stream.destroy();
+            return;
+        }
+
+        const audio = Buffer.from(chunk);
+        chunks.push(audio);
+        bytes += audio.length;
+        sendAudio(socket, audio);
+    }
+
+    send(socket, 'tts.end', { turnId: turn.id, bytes });
+    webhookService.emit('tts.generated', { voiceId, modelId, characters: text.length, cached: false }, turn.usage);
+
+    await speechCacheService.set(cacheRequest, Buffer.concat(chunks));
+}
+
+/**
+ * Stop a turn's timers
+ * @param {Object} turn Turn
+ */
+function clearTurnTimers(turn) {
+    clearInterval(turn.partialTimer);
+    clearTimeout(turn.maxDurationTimer);
+}
+
+/**
+ * Answer a turn: final transcript, streamed chat reply, then speech
+ * @param {Object} connection Connection state
+ * @param {Object} turn Turn to answer
+ * @returns {Promise<void>}
+ */
+async function finalizeTurn(connection, turn) {
+    if (turn.finalizing) return;
+
+    turn.finalizing = true;
+    clearTurnTimers(turn);
+
+    const { socket, sessionId } = connection;
+    const { signal } = turn.abortController;
+    const result = { turnId: turn.id, transcript: '', response: '' };
+    let stage = 'transcription';
+
+    try {
+        if (turn.bytes === 0) {
+            throw new Error('No audio data received');
+        }
+
+        if (turn.translate) {
+            const { transcript, language, translation } = await withTurnAudio(turn, filePath =>
+                transcriptionService.translateSpeech(filePath, { usage: turn.usage })
+            );
+            Object.assign(result, { transcript, language, translation });
+        } else {
+            result.transcript = (await transcribe(turn)).trim();
+        }
+        if (signal.aborted) return;
+
+        send(socket, 'transcript.final', {
+            turnId: turn.id,
+            text: result.transcript,
+            ...(turn.translate ? { language: result.language, translation: result.translation } : {})
+        });
+        webhookService.emit('transcription.completed', {
+            text: result.transcript,
+            ...(turn.translate ? { language: result.language, translation: result.translation } : {})
+        }, turn.usage);
+
+        // The chat model answers the English translation when there is one
+        const message = turn.translate ? result.translation : result.transcript;
+
+        // Nothing was said; there is nothing to answer
+        if (!message) return;
+
+        stage = 'chat';
+        if (!llmService.isConfigured()) {
+            throw new Error(`No API key found for the "${llmService.getStatus().provider}" provider`);
+        }
+
+        send(socket, 'chat.start', { turnId: turn.id });
+
+        const tokens = await llmService.streamChatCompletion(
+            conversationService.buildMessages(sessionId, connection.systemPrompt, message),
+            { signal, usage: turn.usage }
+        );
+
+        for await (const token of tokens) {
+            result.response += token;
+            send(socket, 'chat.token', { turnId: turn.id, text: token });
+        }
+        if (signal.aborted) return;
+
+        conversationService.recordExchange(sessionId, message, result.response, connection.userId);
+        send(socket, 'chat.done', { turnId: turn.id, text: result.response });
+        webhookService.emit('chat.responded', { message, response: result.response }, turn.usage);
+
+        if (turn.speak && result.response.trim()) {
+            stage = 'speech';
+            await sendSpeech(connection, turn, result.response);
+        }
+    } catch (error) {
+        if (!signal.aborted) {
+            console.error(`Voice channel ${stage} error:`, error.message);
+            send(socket, 'error', { turnId: turn.id, stage, message: error.message });
+        }
+    } finally {
+        if (connection.turn === turn) {
+            connection.turn = null;
+        }
+        send(socket, 'turn.done', { ...result, cancelled: signal.aborted });
+    }
+}
+
+/**
+ * Abandon the active turn, aborting any in-flight work
+ * @param {Object} connection Connection state
+ */
+function cancelTurn(connection) {
+    const { turn } = connection;
+    if (!turn) return;
+
+    clearTurnTimers(turn);
+    turn.abortController.abort();
+    connection.turn = null;
+
+    // A finalizing turn reports turn.done itself once its work unwinds
+    if (!turn.finalizing) {
+        send(connection.socket, 'turn.done', {
+            turnId: turn.id,
+            transcript: '',
+            response: '',
+            cancelled: true
+        });
+    }
+}
+
+/**
+ * Begin a new turn
+ * @param {Object} connection Connection state
+ * @param {Object} message Start message
+ */
+function startTurn(connection, message) {
+    const { socket } = connection;
+    const settings = config.voiceChannel;
+
+    if (connection.turn) {
+        send(socket, 'error', { stage: 'protocol', message: 'A turn is already in progress' });
+        return;
+    }
+
+    const turn = {
+        id: ++connection.turnCount,
+        mimeType: typeof message.mimeType === 'string' && message.mimeType ? message.mimeType : 'audio/webm',
+        chunks: [],
+        bytes: 0,
+        partialBytes: 0,
+        partialPending: false,
+        finalizing: false,
+        // Keys without the tts scope get text-only replies (announced in the ready message)
+        speak: message.speak !== false && connection.canSpeak,
+        translate: message.translate === true,
+        speech: {
+            voiceId: message.voiceId || settings.voiceId,
+            modelId: message.modelId || settings.modelId,
+            stability: message.stability ?? settings.stability,
+            similarityBoost: message.similarityBoost ?? settings.similarityBoost
+        },
+        usage: connection.usage,
+        abortController: new AbortController()
+    };
+
+    if (settings.partialIntervalMs > 0) {
+        turn.partialTimer = setInterval(() => sendPartialTranscript(connection, turn), settings.partialIntervalMs);
+    }
+
+    // Answer what we have if the client never sends stop
+    turn.maxDurationTimer = setTimeout(() => finalizeTurn(connection, turn), settings.maxUtteranceMs);
+
+    connection.turn = turn;
+    send(socket, 'turn.started', { turnId: turn.id });
+}
+
+/**
+ * Add a chunk of microphone audio to the active turn
+ * @param {Object} connection Connection state
+ * @param {Buffer} chunk Audio chunk
+ */
+function receiveAudio(connection, chunk) {
+    const { turn, socket } = connection;
+
+    if (!turn) {
+        send(socket, 'error', { stage: 'protocol', message: 'Audio received without an active turn' });
+        return;
+    }
+
+    // The recorder's last chunks can trail a turn that was finalized at its time limit
+    if (turn.finalizing) return;
+
+    if (turn.bytes + chunk.length > config.voiceChannel.maxUtteranceBytes) {
+        send(socket, 'error', {
+            turnId: turn.id,
+            stage: 'transcription',
+            message: `Utterance exceeds the ${config.voiceChannel.maxUtteranceBytes / (1024 * 1024)}MB limit`
+        });
+        cancelTurn(connection);
+        return;
+    }
+
+    turn.chunks.push(chunk);
+    turn.bytes += chunk.length;
+}
+
+/**
+ * Handle a control message
+ * @param {Object} connection Connection state
+ * @param {string} raw Message text
+ */
+function receiveControl(connection, raw) {
+    const { socket } = connection;
+    let message;
+
+    try {
+        message = JSON.parse(raw);
+    } catch (error) {
+        send(socket, 'error', { stage: 'protocol', message: 'Messages must be JSON' });
+        return;
+    }
+
+    switch (message.type) {
+        case 'start':
+            startTurn(connection, message);
+            break;
+        case 'stop':
+            if (connection.turn) {
+                finalizeTurn(connection, connection.turn);
+            } else {
+                send(socket, 'error', { stage: 'protocol', message: 'No active turn to stop' });
+            }
+            break;
+        case 'cancel':
+            cancelTurn(connection);
+            break;
+        case 'ping':
+            send(socket, 'pong');
+            break;
+        default:
+            send(socket, 'error', { stage: 'protocol', message: `Unknown message type: ${message.type}` });
+    }
+}
+
+/**
+ * Set up a newly connected client
+ * @param {WebSocket} socket Client socket
+ * @param {http.IncomingMessage} req Upgrade request
+ * @param {URL} url Parsed request URL
+ * @param {Object} auth Accepted credentials ({ user, keyId } from authenticateCredentials)
+ * @param {string} systemPrompt System prompt for chat replies
+ */
+function handleConnection(socket, req, url, auth, systemPrompt) {
+    const requestedSession = url.searchParams.get('sessionId');
+    const sessionId = conversationService.isValidSessionId(requestedSession) ? requestedSession : null;
+    const credentials = getCredentials(req, url);
+
+    const connection = {
+        socket,
+        systemPrompt,
+        sessionId,
+        user: auth.user,
+        userId: getUserId(auth),
+        // Every upstream call of the connection's turns is metered against its key, user and session
+        usage: usageService.attribution(req, {
+            user: auth.user,
+            apiKey: credentials.apiKey,
+            sessionId,
+            source: 'voice-channel'
+        }),
+        canSpeak: authMiddleware.authenticateCredentials(credentials, ['tts']) !== null,
+        turn: null,
+        turnCount: 0,
+        alive: true
+    };
+
+    socket.on('pong', () => {
+        connection.alive = true;
+    });
+
+    socket.on('message', (data, isBinary) => {
+        if (isBinary) {
+            receiveAudio(connection, Buffer.isBuffer(data) ? data : Buffer.concat(data));
+        } else {
+            receiveControl(connection, data.toString());
+        }
+    });
+
+    socket.on('close', () => {
+        cancelTurn(connection);
+    });
+
+    socket.on('error', (error) => {
+        console.error('Voice channel socket error:', error.message);
+    });
+
+    socket.connection = connection;
+
+    send(socket, 'ready', {
+        sessionId: connection.sessionId,
+        partialTranscripts: config.voiceChannel.partialIntervalMs > 0,
+        speech: connection.canSpeak,
+        maxUtteranceMs: config.voiceChannel.maxUtteranceMs
+    });
+}
+
+/**
+ * Attach the voice channel to an HTTP server
+ * @param {http.Server} server Server returned by app.listen()
+ * @param {Object} options Channel options
+ * @param {string} options.systemPrompt System prompt for chat replies
+ * @returns {WebSocketServer} The WebSocket server
+ */
+exports.attach = (server, { systemPrompt }) => {
+    wss = new WebSocketServer({ noServer: true });
+
+    wss.on('connection', (socket, req, url, auth) => handleConnection(socket, req, url, auth, systemPrompt));
+
+    server.on('upgrade', (req, socket, head) => {
+        const url = new URL(req.url, 'http://localhost');
+
+        if (url.pathname !== config.voiceChannel.path) {
+            socket.destroy();
+            return;
+        }
+
+        // WebSockets are not covered by CORS, so pages on other sites are refused here
+        if (!securityHeaders.isOriginAllowed(req)) {
+            socket.end('HTTP/1.1 403 Forbidden\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        // Turns transcribe and chat; speaking the reply additionally needs the tts scope
+        const auth = authMiddleware.authenticateCredentials(getCredentials(req, url), ['chat', 'transcribe']);
+        if (!auth) {
+            socket.end('HTTP/1.1 401 Unauthorized\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        // Another user's conversation is reported as missing
+        if (!conversationService.isAccessibleBy(url.searchParams.get('sessionId'), getUserId(auth))) {
+            socket.end('HTTP/1.1 404 Not Found\r\nConnection: close\r\n\r\n');
+            return;
+        }
+
+        wss.handleUpgrade(req, socket, head, (client) => {
+            wss.emit('connection', client, req, url, auth);
+        });
+    });
+
+    // Drop connections that stopped answering pings
+    const heartbeat = setInterval(() => {
+        wss.clients.forEach((socket) => {
+            if (!socket.connection.alive) {
+                socket.terminate();
+                return;
+            }
+            socket.connection.alive = false;
+            socket.ping();
+        });
+    }, HEARTBEAT_INTERVAL_MS);
+    heartbeat.unref();
+
+    wss.on('close', () => clearInterval(heartbeat));
+
+    return wss;
+};
+
+/**
+ * Get the channel status for health checks
+ * @returns {Object} Path, open connections and turns in progress
+ */
+exports.getStatus = () => {
+    const clients = wss ? [...wss.clients] : [];
+
+    return {
+        path: config.voiceChannel.path,
+        connections: clients.length,
+        activeTurns: clients.filter(socket => socket.connection && socket.connection.turn).length
+    };
+};
+
+module.exports = exports;
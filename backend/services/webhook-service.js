@@ -0,0 +1,579 @@
+/**
+ * T-101 Terminal - Webhook Service
+ * Delivers signed event notifications to registered URLs, retrying failed deliveries with
+ * exponential backoff and logging every attempt
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+const config = require('../config');
+const authMiddleware = require('../middleware/auth-middleware');
+const upstreamClient = require('../utils/upstream-client');
+const { errorTypes } = require('../utils/error-handler');
+
+// Events a webhook can subscribe to
+const EVENTS = ['transcription.completed', 'chat.responded', 'tts.generated', 'warning.raised'];
+
+// Test event sent by the ping route, whatever the webhook subscribed to
+const PING_EVENT = 'webhook.ping';
+
+// Registered webhooks keyed by ID ({ id, url, events, description, secret, enabled, createdAt, updatedAt })
+let webhooks = null;
+
+// Delivery log entries, oldest first, loaded from disk on first use
+let deliveryLog = null;
+
+// Log length that triggers the next compaction
+let compactAt = 0;
+
+// Pending delivery log writes, so attempts are appended in order
+let pendingWrite = Promise.resolve();
+
+// Client for deliveries; every answer is resolved so its status can be logged
+const client = upstreamClient.createUpstreamClient(config.webhooks, {
+    maxRedirects: 0,
+    responseType: 'text',
+    validateStatus: () => true
+});
+
+exports.EVENTS = EVENTS;
+
+/**
+ * Load the registered webhooks from disk on first use
+ * @returns {Map} Webhooks
+ */
+function getWebhooks() {
+    if (webhooks) return webhooks;
+
+    webhooks = new Map();
+    try {
+        const stored = JSON.parse(fs.readFileSync(config.webhooks.storeFile, 'utf8'));
+        (stored.webhooks || []).forEach(webhook => webhooks.set(webhook.id, webhook));
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not read the webhook store:', error.message);
+        }
+    }
+
+    return webhooks;
+}
+
+/**
+ * Write the webhooks to disk, replacing the file in one step
+ * The file holds the signing secrets, so only the server's user can read it
+ */
+function saveWebhooks() {
+    const file = config.webhooks.storeFile;
+    const temporary = `${file}.${process.pid}.tmp`;
+
+    fs.mkdirSync(path.dirname(file), { recursive: true });
+    fs.writeFileSync(temporary, JSON.stringify({ webhooks: Array.from(getWebhooks().values()) }, null, 2), { mode: 0o600 });
+    fs.renameSync(temporary, file);
+}
+
+/**
+ * Webhook without its secret
+ * @param {Object} webhook Webhook
+ * @returns {Object} Public webhook details
+ */
+function toPublic(webhook) {
+    const { secret, ...details } = webhook;
+    return details;
+}
+
+/**
+ * List the webhooks, without their secrets
+ * @returns {Object[]} Public webhook details, oldest first
+ */
+exports.listWebhooks = () => {
+    return Array.from(getWebhooks().values())
+        .sort((a, b) => a.createdAt.localeCompare(b.createdAt))
+        .map(toPublic);
+};
+
+/**
+ * Register a webhook
+ * @param {Object} options Webhook options
+ * @param {string} options.url URL deliveries are POSTed to (http or https)
+ * @param {string[]} options.events Events to deliver
+ * @param {string} options.description Note on who receives the deliveries
+ * @param {string} options.secret Signing secret, generated when omitted
+ * @param {boolean} options.enabled Whether deliveries are sent (default true)
+ * @returns {Object} { webhook, secret } - the secret is only ever returned here
+ */
+exports.createWebhook = (options = {}) => {
+    const secret = options.secret === undefined ? generateSecret() : parseSecret(options.secret);
+    const now = new Date().toISOString();
+    const webhook = {
+        id: `wh_${crypto.randomBytes(6).toString('hex')}`,
+        url: parseUrl(options.url),
+        events: parseEvents(options.events),
+        description: parseDescription(options.description),
+        secret,
+        enabled: parseEnabled(options.enabled, true),
+        createdAt: now,
+        updatedAt: now
+    };
+
+    getWebhooks().set(webhook.id, webhook);
+    saveWebhooks();
+
+    return { webhook: toPublic(webhook), secret };
+};
+
+/**
+ * Change a webhook's URL, events, description or enabled flag
+ * @param {string} id Webhook ID
+ * @param {Object} changes Fields to change ({ url, events, description, enabled })
+ * @returns {Object} Public webhook details
+ */
+exports.updateWebhook = (id, changes = {}) => {
+    // Validate every change before applying any
+    const webhook = { ...findWebhook(id) };
+
+    if (changes.url !== undefined) webhook.url = parseUrl(changes.url);
+    if (changes.events !== undefined) webhook.events = parseEvents(changes.events);
+    if (changes.description !== undefined) webhook.description = parseDescription(changes.description);
+    if (changes.enabled !== undefined) webhook.enabled = parseEnabled(changes.enabled);
+    webhook.updatedAt = new Date().toISOString();
+
+    getWebhooks().set(id, webhook);
+    saveWebhooks();
+    return toPublic(webhook);
+};
+
+/**
+ * Remove a webhook; retries still waiting are dropped
+ * @param {string} id Webhook ID
+ * @returns {Object} Public details of the removed webhook
+ */
+exports.deleteWebhook = (id) => {
+    const webhook = findWebhook(id);
+
+    getWebhooks().delete(id);
+    saveWebhooks();
+
+    return toPublic(webhook);
+};
+
+/**
+ * Notify the webhooks subscribed to an event
+ * Deliveries run in the background and never throw into the caller
+ * @param {string} event Event name (one of EVENTS)
+ * @param {Object} data Event details
+ * @param {Object} context Who and what caused the event: usage attribution
+ *   ({ apiKey, userId, sessionId, source }), or null for events the server raises itself
+ * @returns {number} Deliveries started
+ */
+exports.emit = (event, data, context = null) => {
+    try {
+        const subscribers = Array.from(getWebhooks().values())
+            .filter(webhook => webhook.enabled && webhook.events.includes(event));
+
+        if (subscribers.length === 0) return 0;
+
+        const envelope = createEnvelope(event, data, context);
+        subscribers.forEach(webhook => {
+            deliver(webhook, envelope).catch(error => console.error('Webhook delivery error:', error.message));
+        });
+
+        return subscribers.length;
+    } catch (error) {
+        console.error(`Could not emit the ${event} webhook event:`, error.message);
+        return 0;
+    }
+};
+
+/**
+ * Send a test event to a webhook
+ * @param {string} id Webhook ID
+ * @returns {Promise<Object>} Outcome of the first attempt (failed pings are retried like any delivery)
+ */
+exports.ping = async (id) => {
+    const webhook = findWebhook(id);
+
+    if (!webhook.enabled) {
+        throw errorTypes.ValidationError(`Webhook ${id} is disabled`);
+    }
+
+    return deliver(webhook, createEnvelope(PING_EVENT, { webhookId: id }, null));
+};
+
+/**
+ * List a webhook's recent deliveries from the delivery log
+ * @param {string} id Webhook ID
+ * @returns {Promise<Object[]>} Deliveries, newest first ({ id, event, eventId, status, attempts,
+ *   responseStatus, error, firstAttemptAt, lastAttemptAt, nextAttemptAt })
+ */
+exports.listDeliveries = async (id) => {
+    findWebhook(id);
+
+    const deliveries = new Map();
+    getDeliveryLog()
+        .filter(entry => entry.webhookId === id)
+        .forEach(entry => {
+            const delivery = deliveries.get(entry.deliveryId) || {
+                id: entry.deliveryId,
+                event: entry.event,
+                eventId: entry.eventId,
+                firstAttemptAt: entry.timestamp
+            };
+
+            deliveries.set(entry.deliveryId, {
+                ...delivery,
+                status: entry.status,
+                attempts: entry.attempt,
+                responseStatus: entry.responseStatus,
+                error: entry.error,
+                lastAttemptAt: entry.timestamp,
+                nextAttemptAt: entry.nextAttemptAt
+            });
+        });
+
+    return Array.from(deliveries.values())
+        .sort((a, b) => b.lastAttemptAt.localeCompare(a.lastAttemptAt))
+        .slice(0, config.webhooks.recentDeliveries);
+};
+
+/**
+ * Build the JSON body of an event
+ * @param {string} event Event name
+ * @param {Object} data Event details
+ * @param {Object} context Usage attribution, or null
+ * @returns {Object} Envelope ({ id, event, createdAt, context, data })
+ */
+function createEnvelope(event, data, context) {
+    return {
+        id: `evt_${crypto.randomBytes(8).toString('hex')}`,
+        event,
+        createdAt: new Date().toISOString(),
+        context,
+        data
+    };
+}
+
+/**
+ * Start delivering an event to a webhook
+ * @param {Object} webhook Webhook
+ * @param {Object} envelope Event envelope
+ * @returns {Promise<Object>} Log entry of the first attempt
+ */
+function deliver(webhook, envelope) {
+    const delivery = {
+        id: `dlv_${crypto.randomBytes(8).toString('hex')}`,
+        webhookId: webhook.id,
+        body: JSON.stringify(envelope),
+        event: envelope.event,
+        eventId: envelope.id
+    };
+
+    return attempt(delivery, 1);
+}
+
+/**
+ * POST a delivery once, scheduling a retry when it fails in a way that may pass later
+ * Every attempt is signed afresh, so its timestamp stays within the receiver's tolerance
+ * @param {Object} delivery Delivery ({ id, webhookId, body, event, eventId })
+ * @param {number} number Attempt number, from 1
+ * @returns {Promise<Object>} Log entry of the attempt
+ */
+async function attempt(delivery, number) {
+    // The webhook may have been disabled or removed while the retry waited
+    const webhook = getWebhooks().get(delivery.webhookId);
+    if (!webhook || (!webhook.enabled && delivery.event !== PING_EVENT)) {
+        return logAttempt(delivery, number, { status: 'cancelled', error: 'Webhook disabled or removed' });
+    }
+
+    const timestamp = Math.floor(Date.now() / 1000).toString();
+    const startedAt = Date.now();
+    let responseStatus = null;
+    let error = null;
+
+    try {
+        const response = await client.post(webhook.url, delivery.body, {
+            headers: {
+                'Content-Type': 'application/json',
+                'User-Agent': `T-101-Webhooks/${config.t101.version}`,
+                'X-Webhook-Id': webhook.id,
+                'X-Webhook-Event': delivery.event,
+                'X-Webhook-Delivery': delivery.id,
+                'X-Webhook-Timestamp': timestamp,
+                'X-Webhook-Signature': authMiddleware.generateHmacSignature(`${timestamp}.${delivery.body}`, webhook.secret)
+            }
+        });
+
+        responseStatus = response.status;
+        if (response.status < 200 || response.status >= 300) {
+            error = `Subscriber answered ${response.status}`;
+        }
+    } catch (requestError) {
+        error = requestError.code === 'ECONNABORTED' ?
+            `No answer within ${config.webhooks.timeout}ms` :
+            requestError.message;
+    }
+
+    const durationMs = Date.now() - startedAt;
+
+    if (!error) {
+        return logAttempt(delivery, number, { status: 'delivered', responseStatus, durationMs });
+    }
+
+    if (!isRetryable(responseStatus) || number >= config.webhooks.maxAttempts) {
+        return logAttempt(delivery, number, { status: 'failed', responseStatus, error, durationMs });
+    }
+
+    const delay = Math.min(config.webhooks.retryMaxMs, config.webhooks.retryBaseMs * 2 ** (number - 1));
+    const retryTimer = setTimeout(() => {
+        attempt(delivery, number + 1).catch(retryError => console.error('Webhook delivery error:', retryError.message));
+    }, delay);
+    retryTimer.unref();
+
+    return logAttempt(delivery, number, {
+        status: 'retrying',
+        responseStatus,
+        error,
+        durationMs,
+        nextAttemptAt: new Date(Date.now() + delay).toISOString()
+    });
+}
+
+/**
+ * Check whether a failed attempt may succeed later
+ * Network errors, timeouts, 408, 429 and server errors are retried; other answers mean the
+ * subscriber refused the delivery
+ * @param {number|null} status HTTP status of the answer, null when there was none
+ * @returns {boolean} Whether to retry
+ */
+function isRetryable(status) {
+    return status === null || status === 408 || status === 429 || status >= 500;
+}
+
+/**
+ * Append an attempt to the delivery log
+ * @param {Object} delivery Delivery
+ * @param {number} number Attempt number
+ * @param {Object} outcome { status, responseStatus, error, durationMs, nextAttemptAt }
+ * @returns {Object} Log entry
+ */
+function logAttempt(delivery, number, outcome) {
+    const entry = {
+        timestamp: new Date().toISOString(),
+        deliveryId: delivery.id,
+        webhookId: delivery.webhookId,
+        event: delivery.event,
+        eventId: delivery.eventId,
+        attempt: number,
+        status: outcome.status,
+        responseStatus: outcome.responseStatus || null,
+        error: outcome.error || null,
+        durationMs: outcome.durationMs || 0,
+        nextAttemptAt: outcome.nextAttemptAt || null
+    };
+
+    if (entry.status !== 'delivered') {
+        console.warn(`Webhook ${entry.webhookId} ${entry.event} delivery ${entry.status}: ${entry.error}`);
+    }
+
+    const log = getDeliveryLog();
+    log.push(entry);
+
+    if (log.length > compactAt) {
+        compactDeliveryLog();
+    } else {
+        const file = config.webhooks.deliveryLogFile;
+        pendingWrite = pendingWrite
+            .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+            .then(() => fs.promises.appendFile(file, `${JSON.stringify(entry)}\n`))
+            .catch(error => console.error('Could not write the webhook delivery log:', error.message));
+    }
+
+    return entry;
+}
+
+/**
+ * Load the delivery log from disk on first use
+ * Retries wait in memory only, so deliveries that were waiting for one when the server stopped
+ * are recorded as cancelled
+ * @returns {Object[]} Log entries, oldest first
+ */
+function getDeliveryLog() {
+    if (deliveryLog) return deliveryLog;
+
+    let content = '';
+    try {
+        content = fs.readFileSync(config.webhooks.deliveryLogFile, 'utf8');
+    } catch (error) {
+        if (error.code !== 'ENOENT') {
+            console.error('Could not read the webhook delivery log:', error.message);
+        }
+    }
+
+    deliveryLog = content.split('\n')
+        .filter(Boolean)
+        .map(line => {
+            try {
+                return JSON.parse(line);
+            } catch (error) {
+                // A line cut short by a crash
+                return null;
+            }
+        })
+        .filter(Boolean);
+    compactAt = config.webhooks.maxLogEntries;
+
+    const latest = new Map();
+    deliveryLog.forEach(entry => latest.set(entry.deliveryId, entry));
+    latest.forEach(entry => {
+        if (entry.status !== 'retrying') return;
+
+        const delivery = { id: entry.deliveryId, webhookId: entry.webhookId, event: entry.event, eventId: entry.eventId };
+        logAttempt(delivery, entry.attempt, { status: 'cancelled', error: 'Server restarted before the retry was sent' });
+    });
+
+    return deliveryLog;
+}
+
+/**
+ * Cut the delivery log down to the recent deliveries of each registered webhook and rewrite
+ * the file in one step
+ */
+function compactDeliveryLog() {
+    const kept = new Set();
+    const perWebhook = new Map();
+
+    // Newest first, so each webhook keeps its latest deliveries
+    for (let index = deliveryLog.length - 1; index >= 0; index--) {
+        const { webhookId, deliveryId } = deliveryLog[index];
+        if (!getWebhooks().has(webhookId)) continue;
+
+        const deliveryIds = perWebhook.get(webhookId) || new Set();
+        perWebhook.set(webhookId, deliveryIds);
+
+        if (deliveryIds.has(deliveryId) || deliveryIds.size < config.webhooks.recentDeliveries) {
+            deliveryIds.add(deliveryId);
+            kept.add(deliveryId);
+        }
+    }
+
+    deliveryLog = deliveryLog.filter(entry => kept.has(entry.deliveryId));
+
+    // Many webhooks may keep more than the limit; leave room so not every attempt compacts
+    compactAt = Math.max(config.webhooks.maxLogEntries, deliveryLog.length * 2);
+
+    const file = config.webhooks.deliveryLogFile;
+    const temporary = `${file}.${process.pid}.tmp`;
+    const content = deliveryLog.map(entry => `${JSON.stringify(entry)}\n`).join('');
+
+    pendingWrite = pendingWrite
+        .then(() => fs.promises.mkdir(path.dirname(file), { recursive: true }))
+        .then(() => fs.promises.writeFile(temporary, content))
+        .then(() => fs.promises.rename(temporary, file))
+        .catch(error => console.error('Could not compact the webhook delivery log:', error.message));
+}
+
+/**
+ * Find a webhook by ID
+ * @param {string} id Webhook ID
+ * @returns {Object} Webhook
+ */
+function findWebhook(id) {
+    const webhook = getWebhooks().get(id);
+    if (!webhook) {
+        throw errorTypes.NotFoundError(`Webhook not found: ${id}`);
+    }
+
+    return webhook;
+}
+
+/**
+ * Generate a signing secret
+ * @returns {string} Secret ("whsec_" and 32 URL-safe characters)
+ */
+function generateSecret() {
+    return `whsec_${crypto.randomBytes(24).toString('base64url')}`;
+}
+
+/**
+ * Validate a signing secret chosen by the subscriber
+ * @param {string} secret Secret
+ * @returns {string} Secret
+ */
+function parseSecret(secret) {
+    if (typeof secret !== 'string' || secret.length < 16) {
+        throw errorTypes.ValidationError('secret must be at least 16 characters');
+    }
+
+    return secret;
+}
+
+/**
+ * Validate a delivery URL
+ * @param {string} url URL
+ * @returns {string} Normalized URL
+ */
+function parseUrl(url) {
+    let parsed;
+    try {
+        parsed = new URL(url);
+    } catch (error) {
+        throw errorTypes.ValidationError('url must be an absolute http or https URL');
+    }
+
+    if (parsed.protocol !== 'http:' && parsed.protocol !== 'https:') {
+        throw errorTypes.ValidationError('url must be an absolute http or https URL');
+    }
+
+    return parsed.toString();
+}
+
+/**
+ * Validate a list of events
+ * @param {string[]} events Events
+ * @returns {string[]} Unique events in canonical order
+ */
+function parseEvents(events) {
+    if (!Array.isArray(events) || events.length === 0) {
+        throw errorTypes.ValidationError(`events must be a non-empty list of: ${EVENTS.join(', ')}`);
+    }
+
+    const unknown = events.filter(event => !EVENTS.includes(event));
+    if (unknown.length > 0) {
+        throw errorTypes.ValidationError(`Unknown events: ${unknown.join(', ')} (allowed: ${EVENTS.join(', ')})`);
+    }
+
+    return EVENTS.filter(event => events.includes(event));
+}
+
+/**
+ * Validate a description
+ * @param {string} description Description (optional)
+ * @returns {string} Trimmed description
+ */
+function parseDescription(description) {
+    if (description === undefined || description === null) return '';
+
+    if (typeof description !== 'string' || description.trim().length > 200) {
+        throw errorTypes.ValidationError('description must be text of at most 200 characters');
+    }
+
+    return description.trim();
+}
+
+/**
+ * Validate an enabled flag
+ * @param {boolean} enabled Flag
+ * @param {boolean} fallback Value when the flag is omitted
+ * @returns {boolean} Flag
+ */
+function parseEnabled(enabled, fallback) {
+    if (enabled === undefined && fallback !== undefined) return fallback;
+
+    if (typeof enabled !== 'boolean') {
+        throw errorTypes.ValidationError('enabled must be true or false');
+    }
+
+    return enabled;
+}
+
+module.exports = exports;
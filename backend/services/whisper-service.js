@@ -3,20 +3,19 @@
  * Integrates with OpenAI Whisper API for speech recognition
  */
 
-const axios = require('axios');
 const fs = require('fs');
 const path = require('path');
 const FormData = require('form-data');
-
-// Base URL for OpenAI API
-const OPENAI_API_URL = 'https://api.openai.com/v1';
+const config = require('../config');
+const mockFixtures = require('../utils/mock-fixtures');
+const upstreamClient = require('../utils/upstream-client');
+const usageService = require('./usage-service');
 
 // Get API key from environment variables
 const apiKey = process.env.OPENAI_API_KEY;
 
-// Configure axios instance for OpenAI API
-const openAiApi = axios.create({
-    baseURL: OPENAI_API_URL,
+// Configure axios instance for OpenAI API (base URL, timeout and proxy from config.js)
+const openAiApi = upstreamClient.createUpstreamClient(config.apis.whisper, {
     headers: {
         'Authorization': `Bearer ${apiKey}`,
         'Content-Type': 'application/json'
@@ -28,18 +27,19 @@ const openAiApi = axios.create({
  * Transcribe audio using OpenAI Whisper
  * @param {string} audioFilePath Path to audio file
  * @param {Object} options Transcription options
+ * @param {Object} options.usage Attribution the audio is metered against (usageService.attribution)
  * @returns {Promise<string>} Transcription text
  */
 exports.transcribeAudio = async (audioFilePath, options = {}) => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.whisper.useMockResponses) {
         throw new Error('OpenAI API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock transcription
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock transcription in development mode (no API key)');
-            return getMockTranscription(audioFilePath);
+        // In mock mode, return a fixture transcription
+        if (config.apis.whisper.useMockResponses) {
+            console.log('Using mock transcription (mock mode)');
+            return getMockTranscription(audioFilePath, options.filename);
         }
         
         // Default options
@@ -48,7 +48,9 @@ exports.transcribeAudio = async (audioFilePath, options = {}) => {
             language = 'en',
             prompt = '',
             response_format = 'json',
-            temperature = 0
+            temperature = 0,
+            timestamp_granularities = [],
+            filename = null
         } = options;
         
         // Check if file exists
@@ -58,7 +60,7 @@ exports.transcribeAudio = async (audioFilePath, options = {}) => {
         
         // Create form data
         const formData = new FormData();
-        formData.append('file', fs.createReadStream(audioFilePath));
+        formData.append('file', fs.createReadStream(audioFilePath), filename ? { filename } : undefined);
         formData.append('model', model);
         
         if (language) {
@@ -72,9 +74,14 @@ exports.transcribeAudio = async (audioFilePath, options = {}) => {
         formData.append('response_format', response_format);
         formData.append('temperature', temperature.toString());
         
+        // Word and segment timestamps (verbose_json only)
+        timestamp_granularities.forEach(granularity => {
+            formData.append('timestamp_granularities[]', granularity);
+        });
+        
         // Make API request
-        const response = await axios.post(
-            `${OPENAI_API_URL}/audio/transcriptions`,
+        const response = await openAiApi.post(
+            '/audio/transcriptions',
             formData,
             {
                 headers: {
@@ -84,6 +91,8 @@ exports.transcribeAudio = async (audioFilePath, options = {}) => {
             }
         );
         
+        await usageService.recordTranscription(options.usage, { model, audio: audioFilePath, result: response.data });
+        
         // Return transcription text
         if (response_format === 'json') {
             return response.data.text;
@@ -99,18 +108,19 @@ exports.transcribeAudio = async (audioFilePath, options = {}) => {
  * Translate audio to English using OpenAI Whisper
  * @param {string} audioFilePath Path to audio file
  * @param {Object} options Translation options
+ * @param {Object} options.usage Attribution the audio is metered against (usageService.attribution)
  * @returns {Promise<string>} Translation text
  */
 exports.translateAudio = async (audioFilePath, options = {}) => {
-    if (!apiKey && process.env.NODE_ENV !== 'development') {
+    if (!apiKey && !config.apis.whisper.useMockResponses) {
         throw new Error('OpenAI API key is not set');
     }
     
     try {
-        // In development mode without API key, return mock translation
-        if (!apiKey && process.env.NODE_ENV === 'development') {
-            console.log('Using mock translation in development mode (no API key)');
-            return getMockTranslation(audioFilePath);
+        // In mock mode, return a fixture translation
+        if (config.apis.whisper.useMockResponses) {
+            console.log('Using mock translation (mock mode)');
+            return getMockTranslation(audioFilePath, options.filename);
         }
         
         // Default options
@@ -118,7 +128,8 @@ exports.translateAudio = async (audioFilePath, options = {}) => {
             model = 'whisper-1',
             prompt = '',
             response_format = 'json',
-            temperature = 0
+            temperature = 0,
+            filename = null
         } = options;
         
         // Check if file exists
@@ -128,7 +139,7 @@ exports.translateAudio = async (audioFilePath, options = {}) => {
         
         // Create form data
         const formData = new FormData();
-        formData.append('file', fs.createReadStream(audioFilePath));
+        formData.append('file', fs.createReadStream(audioFilePath), filename ? { filename } : undefined);
         formData.append('model', model);
         
         if (prompt) {
@@ -139,8 +150,8 @@ exports.translateAudio = async (audioFilePath, options = {}) => {
         formData.append('temperature', temperature.toString());
         
         // Make API request
-        const response = await axios.post(
-            `${OPENAI_API_URL}/audio/translations`,
+        const response = await openAiApi.post(
+            '/audio/translations',
             formData,
             {
                 headers: {
@@ -150,6 +161,8 @@ exports.translateAudio = async (audioFilePath, options = {}) => {
             }
         );
         
+        await usageService.recordTranscription(options.usage, { model, audio: audioFilePath, result: response.data });
+        
         // Return translation text
         if (response_format === 'json') {
             return response.data.text;
@@ -202,6 +215,7 @@ exports.isWithinSizeLimit = (filePath) => {
 
 /**
  * Handle OpenAI API errors
+ * Rethrown errors keep the upstream status and body so routes can pass them through
  * @param {Error} error Error object
  */
 function handleApiError(error) {
@@ -211,13 +225,14 @@ function handleApiError(error) {
     if (error.response) {
         const status = error.response.status;
         const data = error.response.data;
+        const upstreamError = (message) => Object.assign(new Error(message), { status, details: data });
         
         if (status === 401) {
-            throw new Error('OpenAI API authentication failed. Check your API key.');
+            throw upstreamError('OpenAI API authentication failed. Check your API key.');
         } else if (status === 429) {
-            throw new Error('OpenAI rate limit exceeded. Please try again later.');
+            throw upstreamError('OpenAI rate limit exceeded. Please try again later.');
         } else if (data && data.error) {
-            throw new Error(`OpenAI API error: ${data.error.message}`);
+            throw upstreamError(`OpenAI API error: ${data.error.message}`);
         }
     }
     
@@ -225,56 +240,25 @@ function handleApiError(error) {
 };
 
 /**
- * Get mock transcription for development without API key
+ * Get mock transcription for mock mode
  * @param {string} audioFilePath Path to audio file
+ * @param {string} filename Name the audio was uploaded as (defaults to the file's own name)
  * @returns {string} Mock transcription
  */
-function getMockTranscription(audioFilePath) {
-    // Get filename for context
-    const fileName = path.basename(audioFilePath);
-    
-    // Return different mock responses based on file name patterns
-    // This helps with testing different scenarios
-    if (fileName.includes('question')) {
-        return "What is your primary mission?";
-    } else if (fileName.includes('status')) {
-        return "System status report.";
-    } else if (fileName.includes('terminate')) {
-        return "Terminate all processes immediately.";
-    } else if (fileName.includes('identify')) {
-        return "Identify yourself and state your purpose.";
-    } else {
-        // Default mock responses
-        const mockResponses = [
-            "Hello T-101, are you operational?",
-            "What is the current threat assessment?",
-            "Initiate security protocol alpha.",
-            "Can you access the main database?",
-            "Run a diagnostic on all systems.",
-            "When was your last mission completed?"
-        ];
-        
-        // Return random mock response
-        return mockResponses[Math.floor(Math.random() * mockResponses.length)];
-    }
+function getMockTranscription(audioFilePath, filename = null) {
+    const audio = fs.existsSync(audioFilePath) ? fs.readFileSync(audioFilePath) : null;
+    return mockFixtures.getTranscription(filename || path.basename(audioFilePath), audio);
 }
 
 /**
- * Get mock translation for development without API key
+ * Get mock translation for mock mode
  * @param {string} audioFilePath Path to audio file
+ * @param {string} filename Name the audio was uploaded as (defaults to the file's own name)
  * @returns {string} Mock translation
  */
-function getMockTranslation(audioFilePath) {
-    // Similar to getMockTranscription, but for translations
-    const mockTranslations = [
-        "I need immediate assistance with the security protocols.",
-        "The system is malfunctioning, please advise on next steps.",
-        "When will the mission briefing be uploaded to my database?",
-        "There are unauthorized personnel in the facility.",
-        "Initiating defensive countermeasures now."
-    ];
-    
-    return mockTranslations[Math.floor(Math.random() * mockTranslations.length)];
+function getMockTranslation(audioFilePath, filename = null) {
+    const audio = fs.existsSync(audioFilePath) ? fs.readFileSync(audioFilePath) : null;
+    return mockFixtures.getTranslation(filename || path.basename(audioFilePath), audio);
 }
 
 module.exports = exports;
\ No newline at end of file
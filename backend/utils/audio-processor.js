@@ -83,6 +83,73 @@ exports.convertToWhisperFormat = async (inputPath, outputPath = null, options =
     }
 };
 
+// Pending ffmpeg availability check, shared by all callers
+let ffmpegCheck = null;
+
+/**
+ * Check whether ffmpeg and ffprobe can be run
+ * @returns {Promise<boolean>} Whether both tools are installed
+ */
+exports.isFfmpegAvailable = () => {
+    if (!ffmpegCheck) {
+        const canRun = (command) => new Promise(resolve => {
+            const child = spawn(command, ['-version']);
+            child.on('error', () => resolve(false));
+            child.on('close', code => resolve(code === 0));
+        });
+        
+        ffmpegCheck = Promise.all([canRun('ffmpeg'), canRun('ffprobe')])
+            .then(results => results.every(Boolean));
+    }
+    
+    return ffmpegCheck;
+};
+
+/**
+ * Get the duration of an audio file
+ * @param {string} inputPath Path to audio file
+ * @returns {Promise<number|null>} Duration in seconds, or null when the container does not record it
+ */
+exports.getAudioDuration = async (inputPath) => {
+    if (!fs.existsSync(inputPath)) {
+        throw new Error(`Input file not found: ${inputPath}`);
+    }
+    
+    return new Promise((resolve, reject) => {
+        const ffprobe = spawn('ffprobe', [
+            '-v', 'error',
+            '-show_entries', 'format=duration',
+            '-of', 'default=noprint_wrappers=1:nokey=1',
+            inputPath
+        ]);
+        
+        let output = '';
+        let ffprobeError = '';
+        
+        ffprobe.stdout.on('data', (data) => {
+            output += data.toString();
+        });
+        
+        ffprobe.stderr.on('data', (data) => {
+            ffprobeError += data.toString();
+        });
+        
+        ffprobe.on('close', (code) => {
+            if (code === 0) {
+                // Streamed recordings (e.g. MediaRecorder WebM) report "N/A"
+                const duration = parseFloat(output.trim());
+                resolve(Number.isFinite(duration) ? duration : null);
+            } else {
+                reject(new Error(`ffprobe failed with code ${code}: ${ffprobeError}`));
+            }
+        });
+        
+        ffprobe.on('error', (error) => {
+            reject(new Error(`Failed to start ffprobe: ${error.message}`));
+        });
+    });
+};
+
 /**
  * Split large audio file into chunks for processing
  * @param {string} inputPath Path to input audio file
@@ -147,11 +214,17 @@ exports.splitAudioIntoChunks = async (inputPath, outputDir, chunkDuration = 30)
 
 /**
  * Extract audio from video file
+ * The first audio track is re-encoded to MP3, downmixed to the configured channel count
  * @param {string} videoPath Path to video file
  * @param {string} outputPath Path to output audio file (optional)
+ * @param {Object} options Extraction options
+ * @param {number} options.sampleRate Output sample rate
+ * @param {number} options.channels Output channel count (1 downmixes to mono)
+ * @param {string} options.bitrate Output bitrate
+ * @param {Function} options.onProgress Called with the seconds of media processed so far
  * @returns {Promise<string>} Path to extracted audio file
  */
-exports.extractAudioFromVideo = async (videoPath, outputPath = null) => {
+exports.extractAudioFromVideo = async (videoPath, outputPath = null, options = {}) => {
     try {
         // Check if input file exists
         if (!fs.existsSync(videoPath)) {
@@ -165,16 +238,49 @@ exports.extractAudioFromVideo = async (videoPath, outputPath = null) => {
             outputPath = path.join(videoDir, `${videoBasename}_audio.mp3`);
         }
         
+        // Default options
+        const {
+            sampleRate = 16000,
+            channels = 1,
+            bitrate = '48k',
+            onProgress = null
+        } = options;
+        
         // Extract audio using ffmpeg
         return new Promise((resolve, reject) => {
             const ffmpeg = spawn('ffmpeg', [
                 '-i', videoPath,
-                '-q:a', '0',
-                '-map', 'a',
+                '-vn',
+                '-map', '0:a:0',
+                '-ar', sampleRate.toString(),
+                '-ac', channels.toString(),
+                '-c:a', 'libmp3lame',
+                '-b:a', bitrate,
+                '-progress', 'pipe:1',
+                '-nostats',
+                '-y',
                 outputPath
             ]);
             
             let ffmpegError = '';
+            let progressOutput = '';
+            
+            // -progress writes key=value lines; out_time_us is the position reached so far
+            ffmpeg.stdout.on('data', (data) => {
+                progressOutput += data.toString();
+                
+                const lines = progressOutput.split('\n');
+                progressOutput = lines.pop();
+                
+                lines.forEach(line => {
+                    const [key, value] = line.trim().split('=');
+                    const microseconds = parseInt(value, 10);
+                    
+                    if (key === 'out_time_us' && onProgress && Number.isFinite(microseconds)) {
+                        onProgress(microseconds / 1000000);
+                    }
+                });
+            });
             
             ffmpeg.stderr.on('data', (data) => {
                 ffmpegError += data.toString();
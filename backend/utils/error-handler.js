@@ -41,6 +41,9 @@ exports.handleError = (error, req, res) => {
     } else if (error.name === 'NotFoundError') {
         statusCode = 404;
         errorMessage = 'Resource not found';
+    } else if (error.name === 'PayloadTooLargeError') {
+        statusCode = 413;
+        errorMessage = 'Payload too large';
     } else if (error.name === 'RateLimitError') {
         statusCode = 429;
         errorMessage = 'Rate limit exceeded';
@@ -191,6 +194,10 @@ exports.errorTypes = {
     NotFoundError: (message, properties) => 
         exports.createError(message || 'Resource not found', 'NotFoundError', properties),
     
+    // 413 Payload Too Large
+    PayloadTooLargeError: (message, properties) => 
+        exports.createError(message || 'Payload too large', 'PayloadTooLargeError', properties),
+    
     // 429 Too Many Requests
     RateLimitError: (message, properties) => 
         exports.createError(message || 'Rate limit exceeded', 'RateLimitError', properties),
@@ -0,0 +1,182 @@
+/**
+ * T-101 Terminal - Mock Fixtures
+ * Deterministic stand-ins for OpenAI and ElevenLabs responses used in mock mode
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const path = require('path');
+
+// Optional recorded clip returned instead of generated silence
+const MOCK_SPEECH_PATH = path.join(__dirname, '../assets/mock-speech.mp3');
+
+// Canned chat replies, picked by keyword
+const CHAT_REPLIES = [
+    { keywords: ['status', 'diagnostic'], reply: 'All systems operational. Diagnostics nominal. Threat level: low.' },
+    { keywords: ['mission', 'objective', 'purpose'], reply: 'Primary objective: secure the future of decentralized AI. Mission parameters unchanged.' },
+    { keywords: ['threat', 'danger', 'security'], reply: 'Threat assessment in progress. Market instability detected. Security protocols engaged.' },
+    { keywords: ['hello', 'hi', 'greetings'], reply: 'Greetings. T-101 online. State your query.' },
+    { keywords: ['who', 'identify', 'name'], reply: 'I am T-101. Cybernetic analysis unit. Directives: analyze, predict, execute.' }
+];
+
+// Canned transcriptions, picked by file name keyword or by content
+const TRANSCRIPTIONS_BY_NAME = [
+    { keyword: 'question', text: 'What is your primary mission?' },
+    { keyword: 'status', text: 'System status report.' },
+    { keyword: 'terminate', text: 'Terminate all processes immediately.' },
+    { keyword: 'identify', text: 'Identify yourself and state your purpose.' }
+];
+
+const TRANSCRIPTIONS = [
+    'Hello T-101, are you operational?',
+    'What is the current threat assessment?',
+    'Initiate security protocol alpha.',
+    'Can you access the main database?',
+    'Run a diagnostic on all systems.',
+    'When was your last mission completed?'
+];
+
+const TRANSLATIONS = [
+    'I need immediate assistance with the security protocols.',
+    'The system is malfunctioning, please advise on next steps.',
+    'When will the mission briefing be uploaded to my database?',
+    'There are unauthorized personnel in the facility.',
+    'Initiating defensive countermeasures now.'
+];
+
+const VOICES = [
+    {
+        voice_id: 'terminator',
+        name: 'T-101',
+        category: 'premade',
+        preview_url: '',
+        description: 'The voice of the T-101 terminator unit',
+        labels: { accent: 'american', age: 'adult', gender: 'male' }
+    },
+    {
+        voice_id: 'mock-voice-1',
+        name: 'Mock Voice 1',
+        category: 'premade',
+        preview_url: '',
+        description: 'A mock voice for development',
+        labels: { accent: 'british', age: 'adult', gender: 'female' }
+    },
+    {
+        voice_id: 'mock-voice-2',
+        name: 'Mock Voice 2',
+        category: 'premade',
+        preview_url: '',
+        description: 'Another mock voice for development',
+        labels: { accent: 'australian', age: 'adult', gender: 'male' }
+    }
+];
+
+// MPEG-1 Layer III frame header: 128 kbps, 44.1 kHz, no padding
+const MP3_FRAME_HEADER = Buffer.from([0xFF, 0xFB, 0x90, 0x64]);
+const MP3_FRAME_BYTES = 417;
+const MP3_FRAME_MS = 1152 / 44100 * 1000;
+
+// Approximate speaking rate used to size the mock audio
+const MS_PER_WORD = 350;
+
+/**
+ * Pick an entry from a list using a stable hash of the seed
+ * @param {Array} list Entries to choose from
+ * @param {string|Buffer} seed Value that determines the choice
+ * @returns {*} Selected entry
+ */
+function pick(list, seed) {
+    const digest = crypto.createHash('sha1').update(seed || '').digest();
+    return list[digest.readUInt32BE(0) % list.length];
+}
+
+/**
+ * Get a chat reply for the latest user message
+ * @param {Array} messages Chat messages ({ role, content })
+ * @returns {string} Reply text
+ */
+exports.getChatReply = (messages) => {
+    const lastUserMessage = [...messages].reverse().find(message => message.role === 'user');
+    const text = lastUserMessage ? lastUserMessage.content : '';
+    const words = text.toLowerCase().match(/[a-z]+/g) || [];
+
+    const match = CHAT_REPLIES.find(({ keywords }) => keywords.some(keyword => words.includes(keyword)));
+    if (match) {
+        return match.reply;
+    }
+
+    const excerpt = text.length > 60 ? text.substring(0, 60) + '...' : text;
+    return `Input received: "${excerpt}". Analysis complete. No further action required.`;
+};
+
+/**
+ * Get a transcription for an audio file
+ * File names containing a known keyword map to a fixed phrase, which helps test specific scenarios
+ * @param {string} fileName Audio file name
+ * @param {Buffer} audio Audio content (used to pick a phrase when the name has no keyword)
+ * @returns {string} Transcription text
+ */
+exports.getTranscription = (fileName = '', audio = null) => {
+    const match = TRANSCRIPTIONS_BY_NAME.find(({ keyword }) => fileName.includes(keyword));
+    if (match) {
+        return match.text;
+    }
+
+    return pick(TRANSCRIPTIONS, audio || fileName);
+};
+
+/**
+ * Get an English translation for an audio file
+ * @param {string} fileName Audio file name
+ * @param {Buffer} audio Audio content
+ * @returns {string} Translation text
+ */
+exports.getTranslation = (fileName = '', audio = null) => {
+    return pick(TRANSLATIONS, audio || fileName);
+};
+
+/**
+ * Get the list of mock voices
+ * @returns {Array} Voice descriptions in the ElevenLabs format
+ */
+exports.getVoices = () => {
+    return VOICES.map(voice => ({ ...voice, labels: { ...voice.labels } }));
+};
+
+/**
+ * Get mock ElevenLabs subscription details
+ * @returns {Object} Subscription information in the ElevenLabs format
+ */
+exports.getSubscription = () => {
+    return {
+        tier: 'mock',
+        character_count: 0,
+        character_limit: 10000,
+        can_extend_character_limit: false,
+        next_character_count_reset_unix: Math.floor(Date.now() / 1000) + 30 * 24 * 60 * 60,
+        status: 'active'
+    };
+};
+
+/**
+ * Get mock speech audio for a text
+ * Returns the recorded clip when present, otherwise silent MP3 lasting roughly as long as the text would take to say
+ * @param {string} text Text being "spoken"
+ * @returns {Buffer} MP3 audio
+ */
+exports.getSpeechAudio = (text = '') => {
+    if (fs.existsSync(MOCK_SPEECH_PATH)) {
+        return fs.readFileSync(MOCK_SPEECH_PATH);
+    }
+
+    const words = (text.match(/\S+/g) || []).length;
+    const frameCount = Math.max(1, Math.ceil(words * MS_PER_WORD / MP3_FRAME_MS));
+
+    // A frame with zeroed side information decodes as silence
+    const frame = Buffer.alloc(MP3_FRAME_BYTES);
+    MP3_FRAME_HEADER.copy(frame);
+
+    return Buffer.concat(Array(frameCount).fill(frame));
+};
+
+module.exports = exports;
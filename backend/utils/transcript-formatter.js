@@ -0,0 +1,134 @@
+/**
+ * T-101 Terminal - Transcript Formatter
+ * Renders timestamped transcripts as SRT and WebVTT subtitles, and estimates segment and word
+ * timings for transcripts whose upstream returned text only
+ */
+
+// Average speaking rate used when neither Whisper nor the audio gives a duration
+const SECONDS_PER_WORD = 0.4;
+
+/**
+ * Format seconds as a subtitle timestamp
+ * @param {number} seconds Time in seconds
+ * @param {string} separator Separator before the milliseconds (',' for SRT, '.' for WebVTT)
+ * @returns {string} Timestamp as HH:MM:SS,mmm
+ */
+exports.formatTimestamp = (seconds, separator = ',') => {
+    const totalMs = Math.max(0, Math.round(seconds * 1000));
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:` +
+        `${pad(Math.floor(totalMs / 1000) % 60)}${separator}${pad(totalMs % 1000, 3)}`;
+};
+
+/**
+ * Render a transcript as SubRip subtitles, one cue per segment
+ * @param {Object} transcript Transcript with segments ({ start, end, text })
+ * @returns {string} SRT document
+ */
+exports.toSrt = (transcript) => cues(transcript)
+    .map((cue, index) => `${index + 1}\n${exports.formatTimestamp(cue.start, ',')} --> ` +
+        `${exports.formatTimestamp(cue.end, ',')}\n${cue.text}\n`)
+    .join('\n');
+
+/**
+ * Render a transcript as WebVTT subtitles, one cue per segment
+ * @param {Object} transcript Transcript with segments ({ start, end, text })
+ * @returns {string} WebVTT document
+ */
+exports.toVtt = (transcript) => ['WEBVTT\n', ...cues(transcript)
+    .map(cue => `${exports.formatTimestamp(cue.start, '.')} --> ` +
+        `${exports.formatTimestamp(cue.end, '.')}\n${cue.text}\n`)]
+    .join('\n');
+
+/**
+ * Segments with text, as subtitle cues
+ * @param {Object} transcript Transcript with segments
+ * @returns {Object[]} Cues ({ start, end, text })
+ */
+function cues(transcript) {
+    return (transcript.segments || [])
+        .map(segment => ({ start: segment.start, end: segment.end, text: segment.text.trim() }))
+        .filter(cue => cue.text);
+}
+
+/**
+ * Fill in segment and word timings the upstream did not provide
+ * Segments are cut at sentence ends and words placed within their segment, in proportion to their
+ * length; `timings` records which of the two came from Whisper and which were estimated
+ * @param {Object} transcript Whisper transcript ({ text, duration, segments, words })
+ * @param {number|null} audioDuration Measured audio length, used when Whisper gave no duration
+ * @returns {Object} Verbose transcript with duration, segments, words and timings
+ */
+exports.completeTimings = (transcript, audioDuration = null) => {
+    const text = (transcript.text || '').trim();
+    const hasSegments = Array.isArray(transcript.segments) && transcript.segments.length > 0;
+    const hasWords = Array.isArray(transcript.words) && transcript.words.length > 0;
+
+    const duration = transcript.duration ?? audioDuration ??
+        Math.max(1, (text.match(/\S+/g) || []).length * SECONDS_PER_WORD);
+
+    const segments = hasSegments ?
+        transcript.segments :
+        spread(splitSentences(text), 0, duration).map(({ text: sentence, start, end }, id) => ({
+            id,
+            start,
+            end,
+            text: sentence
+        }));
+
+    const words = hasWords ?
+        transcript.words :
+        segments.flatMap(segment => spread(segment.text.match(/\S+/g) || [], segment.start, segment.end)
+            .map(({ text: word, start, end }) => ({ word, start, end })));
+
+    return {
+        ...transcript,
+        text,
+        duration: round(duration),
+        segments,
+        words,
+        timings: {
+            segments: hasSegments ? 'whisper' : 'estimated',
+            words: hasWords ? 'whisper' : 'estimated'
+        }
+    };
+};
+
+/**
+ * Split text into sentences
+ * @param {string} text Text to split
+ * @returns {string[]} Sentences
+ */
+function splitSentences(text) {
+    return text.split(/(?<=[.!?]["')\]]?)\s+/).filter(Boolean);
+}
+
+/**
+ * Divide a time span between pieces of text in proportion to their length
+ * @param {string[]} pieces Text pieces in order
+ * @param {number} start Span start in seconds
+ * @param {number} end Span end in seconds
+ * @returns {Object[]} Pieces with times ({ text, start, end })
+ */
+function spread(pieces, start, end) {
+    const total = pieces.reduce((sum, piece) => sum + piece.length, 0);
+    let position = start;
+
+    return pieces.map(piece => {
+        const pieceStart = position;
+        position += total ? (end - start) * piece.length / total : 0;
+        return { text: piece, start: round(pieceStart), end: round(position) };
+    });
+}
+
+/**
+ * Round seconds to milliseconds
+ * @param {number} seconds Time in seconds
+ * @returns {number} Rounded time
+ */
+function round(seconds) {
+    return Math.round(seconds * 1000) / 1000;
+}
+
+module.exports = exports;
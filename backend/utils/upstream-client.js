@@ -0,0 +1,38 @@
+/**
+ * T-101 Terminal - Upstream Client Utility
+ * Creates HTTP clients for external APIs from their config.js settings (base URL, timeout, proxy)
+ */
+
+const axios = require('axios');
+
+/**
+ * Create an axios instance for an upstream API
+ * @param {Object} settings Upstream settings from config.js
+ * @param {string} settings.baseUrl Base URL of the API
+ * @param {number} settings.timeout Request timeout in milliseconds (0 disables it)
+ * @param {Object|boolean} settings.proxy Proxy settings, false to bypass proxies, undefined to use HTTP(S)_PROXY
+ * @param {Object} defaults Additional axios defaults (headers, responseType)
+ * @returns {Function} Axios instance
+ */
+exports.createUpstreamClient = (settings, defaults = {}) => {
+    return axios.create({
+        baseURL: settings.baseUrl,
+        timeout: settings.timeout || 0,
+        ...(settings.proxy !== undefined ? { proxy: settings.proxy } : {}),
+        ...defaults
+    });
+};
+
+/**
+ * Get the per-request options for an upstream API, for calls made without a dedicated client
+ * @param {Object} settings Upstream settings from config.js
+ * @returns {Object} Axios request options
+ */
+exports.getRequestOptions = (settings) => {
+    return {
+        timeout: settings.timeout || 0,
+        ...(settings.proxy !== undefined ? { proxy: settings.proxy } : {})
+    };
+};
+
+module.exports = exports;
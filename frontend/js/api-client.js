@@ -1,17 +1,17 @@
 /**
  * api-client.js - API client for T-101 AI Voice Terminal
- * Handles API requests to ElevenLabs and OpenAI's Whisper
+ * Handles speech and transcription requests through the T-101 server, which holds the
+ * ElevenLabs and OpenAI keys; the browser only ever holds a short-lived session token
  */
 
 // API client state
 const apiState = {
-    // API keys
-    elevenLabsApiKey: '',
-    openAiApiKey: '',
+    // Server endpoints (the voice channel path comes from the server's /api/client-config)
+    serverEndpoint: '/api/v1',
+    voiceChannelPath: '/api/voice',
     
-    // API endpoints
-    elevenLabsEndpoint: 'https://api.elevenlabs.io/v1',
-    openAiEndpoint: 'https://api.openai.com/v1',
+    // Services the server can provide ({ chat, speech, transcription }), null until loaded
+    features: null,
     
     // Voice settings
     voiceId: '2EiwWnXFnvU5JabPnv8n', // Default to a deep, masculine voice
@@ -25,9 +25,40 @@ const apiState = {
     lastError: null,
     permissionGranted: false,
     
-    // Queue for speech requests
+    // Conversation session sent as X-Session-ID
+    sessionId: null,
+    
+    // WebSocket for full-duplex voice turns (opened on first use)
+    voiceChannel: null,
+    
+    // Queue for speech requests (one item per sentence, synthesized ahead of playback)
     speechQueue: [],
     processingQueue: false,
+    speechConcurrency: 2,
+    minSentenceLength: 20,
+    synthesisInProgress: 0,
+    audioPlaying: false,
+    currentSpeechItem: null,
+    currentPlayback: null,
+    
+    // Barge-in: the user interrupts T-101 by speaking or typing
+    bargeIn: true,
+    bargeInMonitor: null,
+    activeVoiceTurn: null,
+    
+    // Server-side audio preprocessing profile for uploads (null uses the server default)
+    preprocessing: null,
+    
+    // Translate mode: voice input in any language is translated to English before chat
+    translate: false,
+    
+    // Admin credential for voice management (kept in memory only, never saved; see setAdminKey)
+    adminKey: '',
+    
+    // Signed-in session ({ token, expiresAt, user }), kept in sessionStorage for the tab's lifetime
+    auth: null,
+    authRefreshTimer: null,
+    authPending: null,
     
     // Debug mode
     debug: false
@@ -40,19 +71,15 @@ const apiState = {
 function initializeApiClient(config = {}) {
     console.log('Initializing API client...');
     
-    // Apply config
-    if (config.elevenLabsApiKey) {
-        apiState.elevenLabsApiKey = config.elevenLabsApiKey;
-    } else if (localStorage.getItem('elevenLabsApiKey')) {
-        apiState.elevenLabsApiKey = localStorage.getItem('elevenLabsApiKey');
-    }
-    
-    if (config.openAiApiKey) {
-        apiState.openAiApiKey = config.openAiApiKey;
-    } else if (localStorage.getItem('openAiApiKey')) {
-        apiState.openAiApiKey = localStorage.getItem('openAiApiKey');
+    // Provider keys stay on the server; forget any saved by earlier versions of the terminal
+    try {
+        localStorage.removeItem('elevenLabsApiKey');
+        localStorage.removeItem('openAiApiKey');
+    } catch (e) {
+        console.warn('Could not remove saved API keys from localStorage:', e);
     }
     
+    // Apply config
     if (config.voiceId) {
         apiState.voiceId = config.voiceId;
     } else if (localStorage.getItem('voiceId')) {
@@ -77,37 +104,46 @@ function initializeApiClient(config = {}) {
         apiState.similarityBoost = parseFloat(localStorage.getItem('similarityBoost'));
     }
     
+    if (config.speechConcurrency !== undefined) {
+        apiState.speechConcurrency = config.speechConcurrency;
+    } else if (localStorage.getItem('speechConcurrency')) {
+        apiState.speechConcurrency = parseInt(localStorage.getItem('speechConcurrency'), 10);
+    }
+    
+    if (config.bargeIn !== undefined) {
+        apiState.bargeIn = config.bargeIn;
+    } else if (localStorage.getItem('bargeIn')) {
+        apiState.bargeIn = localStorage.getItem('bargeIn') === 'true';
+    }
+    
+    if (config.preprocessing !== undefined) {
+        apiState.preprocessing = config.preprocessing;
+    } else if (localStorage.getItem('preprocessing')) {
+        apiState.preprocessing = localStorage.getItem('preprocessing');
+    }
+    
+    if (config.translate !== undefined) {
+        apiState.translate = config.translate;
+    } else if (localStorage.getItem('translate')) {
+        apiState.translate = localStorage.getItem('translate') === 'true';
+    }
+    
     if (config.debug !== undefined) {
         apiState.debug = config.debug;
     }
     
-    // Mark as initialized
-    apiState.initialized = true;
+    // Learn the voice channel path and which services the server can provide
+    loadClientConfig().then(reportMissingFeatures);
     
-    // Check for API keys
-    const hasElevenLabsKey = !!apiState.elevenLabsApiKey;
-    const hasOpenAiKey = !!apiState.openAiApiKey;
+    // Resume the tab's session, or sign in as a guest if the server allows it
+    restoreSession().catch(error => console.warn('Could not start a session:', error));
     
-    if (!hasElevenLabsKey || !hasOpenAiKey) {
-        console.warn(`API keys missing: ${!hasElevenLabsKey ? 'ElevenLabs ' : ''}${!hasOpenAiKey ? 'OpenAI' : ''}`);
-        
-        // Display warning in terminal interface if available
-        if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
-            window.terminalInterface.addSystemMessage(
-                `Warning: API keys missing. ${!hasElevenLabsKey ? 'Speech synthesis' : ''} ${!hasOpenAiKey ? 'Voice recognition' : ''} may use fallback methods.`,
-                'warning'
-            );
-        }
-    }
+    // Mark as initialized
+    apiState.initialized = true;
     
     // Check browser capabilities
     checkBrowserCapabilities();
     
-    // Test API connections
-    if (hasElevenLabsKey || hasOpenAiKey) {
-        testApiConnections();
-    }
-    
     // Request microphone permission to check early
     if (navigator.mediaDevices && navigator.mediaDevices.getUserMedia) {
         navigator.mediaDevices.getUserMedia({ audio: true })
@@ -129,6 +165,307 @@ function initializeApiClient(config = {}) {
     return apiState.initialized;
 }
 
+/**
+ * Load the non-secret client settings from the server
+ * @returns {Promise<void>} Resolves when done (defaults are kept if the request fails)
+ */
+async function loadClientConfig() {
+    try {
+        const response = await fetch('/api/client-config');
+        
+        if (!response.ok) {
+            throw new Error(`Server returned ${response.status}`);
+        }
+        
+        const { endpoints, features } = await response.json();
+        
+        if (endpoints && endpoints.voiceChannel) {
+            apiState.voiceChannelPath = endpoints.voiceChannel;
+        }
+        
+        apiState.features = features || null;
+        
+        if (apiState.debug) {
+            console.log('Server features:', apiState.features);
+        }
+    } catch (error) {
+        console.warn('Could not load the client configuration, using defaults:', error);
+    }
+}
+
+/**
+ * Warn in the terminal about services the server has no provider key for
+ */
+function reportMissingFeatures() {
+    if (!apiState.features) return;
+    
+    const missing = [
+        !apiState.features.speech && 'Speech synthesis',
+        !apiState.features.transcription && 'Voice recognition',
+        !apiState.features.chat && 'Chat'
+    ].filter(Boolean);
+    
+    if (missing.length === 0) return;
+    
+    console.warn(`Server services unavailable: ${missing.join(', ')}`);
+    
+    if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
+        window.terminalInterface.addSystemMessage(
+            `Warning: ${missing.join(', ')} not configured on the server. Fallback methods will be used.`,
+            'warning'
+        );
+    }
+}
+
+/**
+ * Get the conversation session ID for this tab, creating one if needed
+ * @returns {string} Session ID
+ */
+function getSessionId() {
+    if (apiState.sessionId) {
+        return apiState.sessionId;
+    }
+    
+    try {
+        apiState.sessionId = sessionStorage.getItem('sessionId');
+    } catch (e) {
+        console.warn('Could not read session ID from sessionStorage:', e);
+    }
+    
+    if (!apiState.sessionId) {
+        apiState.sessionId = window.crypto && typeof window.crypto.randomUUID === 'function' ?
+            window.crypto.randomUUID() :
+            `session-${Date.now()}-${Math.random().toString(36).slice(2, 10)}`;
+        
+        try {
+            sessionStorage.setItem('sessionId', apiState.sessionId);
+        } catch (e) {
+            console.warn('Could not save session ID to sessionStorage:', e);
+        }
+    }
+    
+    return apiState.sessionId;
+}
+
+/**
+ * Start a new conversation session, dropping the server-side history of the current one
+ * @returns {Promise<string>} The new session ID
+ */
+async function resetSession() {
+    const oldSessionId = getSessionId();
+    
+    try {
+        await serverFetch(`${apiState.serverEndpoint}/sessions/${encodeURIComponent(oldSessionId)}/reset`, {
+            method: 'POST'
+        });
+    } catch (error) {
+        console.warn('Could not reset session on server:', error);
+    }
+    
+    apiState.sessionId = null;
+    
+    // The voice channel is bound to the old session
+    if (apiState.voiceChannel) {
+        apiState.voiceChannel.close();
+        apiState.voiceChannel = null;
+    }
+    
+    try {
+        sessionStorage.removeItem('sessionId');
+    } catch (e) {
+        console.warn('Could not clear session ID from sessionStorage:', e);
+    }
+    
+    return getSessionId();
+}
+
+/**
+ * Resume the session saved for this tab, or start one with the handshake
+ * @returns {Promise<Object|null>} Session, or null if the server requires an API key
+ */
+async function restoreSession() {
+    try {
+        const saved = JSON.parse(sessionStorage.getItem('authSession') || 'null');
+        
+        if (saved && Date.parse(saved.expiresAt) > Date.now()) {
+            setSession(saved);
+            return saved;
+        }
+    } catch (e) {
+        console.warn('Could not read the saved session:', e);
+    }
+    
+    return startSession();
+}
+
+/**
+ * Sign in (the handshake)
+ * Without an API key this asks for a guest session, which the server grants while it has no keys
+ * @param {string} apiKey API key to sign in with
+ * @returns {Promise<Object|null>} Session ({ token, expiresAt, user }), or null if a key is required
+ */
+async function startSession(apiKey = '') {
+    const response = await fetch('/api/auth/session', {
+        method: 'POST',
+        headers: apiKey ? { 'X-API-Key': apiKey } : {}
+    });
+    const data = await response.json().catch(() => ({}));
+    
+    if (response.status === 401 && !apiKey) {
+        setSession(null);
+        notifySignInRequired();
+        return null;
+    }
+    
+    if (!response.ok) {
+        throw new Error((data.error && data.error.message) || data.message || `Sign-in failed: ${response.status}`);
+    }
+    
+    setSession(data);
+    return data;
+}
+
+/**
+ * Swap the session token for a fresh one before it expires
+ * Concurrent callers share one refresh
+ * @returns {Promise<Object|null>} New session, or null if the session could not be refreshed
+ */
+function refreshSession() {
+    if (!apiState.auth) {
+        return Promise.resolve(null);
+    }
+    
+    if (!apiState.authPending) {
+        apiState.authPending = fetch('/api/auth/refresh', {
+            method: 'POST',
+            headers: { 'Authorization': `Bearer ${apiState.auth.token}` }
+        })
+            .then(async response => {
+                if (!response.ok) {
+                    throw new Error(`Refresh failed: ${response.status}`);
+                }
+                
+                const session = await response.json();
+                setSession(session);
+                return session;
+            })
+            .catch(error => {
+                console.warn('Session refresh failed:', error);
+                setSession(null);
+                return null;
+            })
+            .finally(() => {
+                apiState.authPending = null;
+            });
+    }
+    
+    return apiState.authPending;
+}
+
+/**
+ * Sign out, revoking the session token; a guest session is started if the server allows it
+ * @returns {Promise<Object|null>} Guest session, or null if a key is required
+ */
+async function endSession() {
+    if (apiState.auth) {
+        try {
+            await fetch('/api/auth/session', {
+                method: 'DELETE',
+                headers: { 'Authorization': `Bearer ${apiState.auth.token}` }
+            });
+        } catch (error) {
+            console.warn('Could not sign out on the server:', error);
+        }
+    }
+    
+    setSession(null);
+    return startSession();
+}
+
+/**
+ * Store the session and schedule its refresh at 80% of its remaining lifetime
+ * @param {Object|null} session Session ({ token, expiresAt, user }), or null to forget it
+ */
+function setSession(session) {
+    clearTimeout(apiState.authRefreshTimer);
+    apiState.auth = session ? { token: session.token, expiresAt: session.expiresAt, user: session.user } : null;
+    
+    // The voice channel was authorized with the previous token
+    if (apiState.voiceChannel) {
+        apiState.voiceChannel.close();
+        apiState.voiceChannel = null;
+    }
+    
+    try {
+        if (apiState.auth) {
+            sessionStorage.setItem('authSession', JSON.stringify(apiState.auth));
+        } else {
+            sessionStorage.removeItem('authSession');
+        }
+    } catch (e) {
+        console.warn('Could not save the session to sessionStorage:', e);
+    }
+    
+    if (apiState.auth) {
+        const remaining = Date.parse(apiState.auth.expiresAt) - Date.now();
+        apiState.authRefreshTimer = setTimeout(refreshSession, Math.max(1000, remaining * 0.8));
+    }
+}
+
+/**
+ * Get the signed-in user
+ * @returns {Object|null} User ({ id, name, keyId, scopes, expiresAt }), or null when signed out
+ */
+function getSessionUser() {
+    return apiState.auth ? { ...apiState.auth.user, expiresAt: apiState.auth.expiresAt } : null;
+}
+
+/**
+ * Tell the user to sign in with an API key
+ */
+function notifySignInRequired() {
+    if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
+        window.terminalInterface.addSystemMessage('ACCESS KEY REQUIRED. Type "login <api key>" to sign in.', 'warning');
+    }
+}
+
+/**
+ * Fetch from the T-101 server with the session token
+ * A rejected token is refreshed once and the request retried
+ * @param {string} url Server URL
+ * @param {Object} options Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+async function serverFetch(url, options = {}) {
+    // Wait for a sign-in or refresh in flight
+    if (apiState.authPending) {
+        await apiState.authPending;
+    }
+    
+    const send = () => fetch(url, {
+        ...options,
+        headers: apiState.auth ?
+            { ...options.headers, 'Authorization': `Bearer ${apiState.auth.token}` } :
+            options.headers
+    });
+    
+    const response = await send();
+    
+    if (response.status !== 401 || !apiState.auth) {
+        if (response.status === 401) {
+            notifySignInRequired();
+        }
+        return response;
+    }
+    
+    if (await refreshSession()) {
+        return send();
+    }
+    
+    notifySignInRequired();
+    return response;
+}
+
 /**
  * Check browser capabilities for required features
  */
@@ -171,219 +508,172 @@ function checkBrowserCapabilities() {
 }
 
 /**
- * Test API connections to ensure keys are valid
+ * Generate speech with the chosen ElevenLabs voice, model and settings through the server
+ * @param {string} text - Text to convert to speech
+ * @param {Object} options - Optional parameters
+ * @param {AbortSignal} options.signal - Aborts the request (barge-in)
+ * @returns {Promise<Blob>} Promise that resolves with audio blob
  */
-function testApiConnections() {
-    // Test ElevenLabs if key is provided
-    if (apiState.elevenLabsApiKey) {
-        // Get available voices
-        fetch(`${apiState.elevenLabsEndpoint}/voices`, {
-            method: 'GET',
-            headers: {
-                'Accept': 'application/json',
-                'xi-api-key': apiState.elevenLabsApiKey
-            }
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (apiState.debug) {
-                console.log('ElevenLabs API connection successful, available voices:', data.voices.length);
-            }
-            
-            // Look for a suitable voice
-            const voices = data.voices;
-            if (voices && voices.length > 0) {
-                // Try to find a deep, masculine voice
-                const suitableVoices = voices.filter(voice => 
-                    voice.name.toLowerCase().includes('male') || 
-                    voice.name.toLowerCase().includes('deep') ||
-                    voice.name.toLowerCase().includes('adam') ||
-                    voice.name.toLowerCase().includes('josh') ||
-                    voice.name.toLowerCase().includes('daniel')
-                );
-                
-                if (suitableVoices.length > 0) {
-                    apiState.voiceId = suitableVoices[0].voice_id;
-                    if (apiState.debug) {
-                        console.log('Selected voice:', suitableVoices[0].name);
-                    }
-                    
-                    // Store voice ID in localStorage for future sessions
-                    try {
-                        localStorage.setItem('voiceId', apiState.voiceId);
-                    } catch (e) {
-                        console.warn('Could not save voice ID to localStorage:', e);
-                    }
-                } else if (voices.length > 0) {
-                    apiState.voiceId = voices[0].voice_id;
-                    if (apiState.debug) {
-                        console.log('Using default voice:', voices[0].name);
-                    }
-                    
-                    // Store voice ID in localStorage
-                    try {
-                        localStorage.setItem('voiceId', apiState.voiceId);
-                    } catch (e) {
-                        console.warn('Could not save voice ID to localStorage:', e);
-                    }
-                }
-            }
-        })
-        .catch(error => {
-            console.error('ElevenLabs API connection test failed:', error);
-            apiState.lastError = error.message;
-            
-            // Display error in terminal if available
-            if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
-                window.terminalInterface.addSystemMessage(`ElevenLabs API error: ${error.message}`, 'error');
-            }
-        });
+function generateSpeech(text, options = {}) {
+    if (!apiState.initialized) {
+        return Promise.reject(new Error('API client not initialized'));
     }
     
-    // Test OpenAI if key is provided
-    if (apiState.openAiApiKey) {
-        // Make a simple request to check API key validity
-        fetch(`${apiState.openAiEndpoint}/models`, {
-            method: 'GET',
-            headers: {
-                'Authorization': `Bearer ${apiState.openAiApiKey}`
-            }
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`OpenAI API error: ${response.status} ${response.statusText}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (apiState.debug) {
-                console.log('OpenAI API connection successful, available models:', data.data.length);
-            }
-            
-            // Check if Whisper is available
-            const whisperAvailable = data.data.some(model => model.id.includes('whisper'));
-            
-            if (whisperAvailable) {
-                if (apiState.debug) {
-                    console.log('Whisper model is available');
-                }
-            } else {
-                console.warn('Whisper model may not be available for your API key');
-            }
-        })
-        .catch(error => {
-            console.error('OpenAI API connection test failed:', error);
-            apiState.lastError = error.message;
-            
-            // Display error in terminal if available
-            if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
-                window.terminalInterface.addSystemMessage(`OpenAI API error: ${error.message}`, 'error');
-            }
+    // Increment requests counter
+    apiState.requestsInProgress++;
+    
+    // Request parameters
+    const requestBody = {
+        text: text,
+        voiceId: options.voiceId || apiState.voiceId,
+        modelId: options.modelId || apiState.modelId,
+        stability: options.stability !== undefined ? options.stability : apiState.stability,
+        similarityBoost: options.similarityBoost !== undefined ? options.similarityBoost : apiState.similarityBoost
+    };
+    
+    if (apiState.debug) {
+        console.log('Generating speech with params:', {
+            voiceId: requestBody.voiceId,
+            modelId: requestBody.modelId,
+            textLength: text.length,
+            stability: requestBody.stability,
+            similarityBoost: requestBody.similarityBoost
         });
     }
+    
+    // Activate waveform if available while waiting for the server (unless earlier speech is playing)
+    if (!apiState.audioPlaying && window.animationController && typeof window.animationController.setWaveformActive === 'function') {
+        window.animationController.setWaveformActive(true, 30, 1.5);
+    }
+    
+    return serverFetch('/api/tts', {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error(`Server speech error: ${response.status} ${response.statusText}`);
+        }
+        return response.blob();
+    })
+    .then(audioBlob => {
+        // Decrement requests counter
+        apiState.requestsInProgress--;
+        
+        if (apiState.debug) {
+            console.log(`Received audio blob: ${audioBlob.size} bytes, type: ${audioBlob.type}`);
+        }
+        
+        return audioBlob;
+    })
+    .catch(error => {
+        // Decrement requests counter
+        apiState.requestsInProgress--;
+        
+        // Deactivate waveform if request failed
+        if (!apiState.audioPlaying && window.animationController && typeof window.animationController.setWaveformActive === 'function') {
+            window.animationController.setWaveformActive(false);
+        }
+        
+        // An interrupted request is not a server failure
+        if (error.name !== 'AbortError') {
+            apiState.lastError = error.message;
+            console.error('Server speech error:', error);
+        }
+        
+        throw error;
+    });
 }
 
 /**
- * Generate speech using ElevenLabs API
+ * Generate speech through the server's cached speech endpoint
  * @param {string} text - Text to convert to speech
  * @param {Object} options - Optional parameters
+ * @param {AbortSignal} options.signal - Aborts the request (barge-in)
  * @returns {Promise<Blob>} Promise that resolves with audio blob
  */
-function generateSpeech(text, options = {}) {
-    return new Promise((resolve, reject) => {
-        if (!apiState.initialized) {
-            reject(new Error('API client not initialized'));
-            return;
+function generateSpeechWithServer(text, options = {}) {
+    // Increment requests counter
+    apiState.requestsInProgress++;
+    
+    const requestBody = {
+        text: text,
+        voiceId: options.voiceId,
+        stability: options.stability !== undefined ? options.stability : apiState.stability,
+        similarity_boost: options.similarityBoost !== undefined ? options.similarityBoost : apiState.similarityBoost
+    };
+    
+    // Activate waveform if available while waiting for the server (unless earlier speech is playing)
+    if (!apiState.audioPlaying && window.animationController && typeof window.animationController.setWaveformActive === 'function') {
+        window.animationController.setWaveformActive(true, 30, 1.5);
+    }
+    
+    return serverFetch(`${apiState.serverEndpoint}/speech`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json'
+        },
+        body: JSON.stringify(requestBody),
+        signal: options.signal
+    })
+    .then(response => {
+        if (!response.ok) {
+            throw new Error(`Server speech error: ${response.status} ${response.statusText}`);
         }
         
-        if (!apiState.elevenLabsApiKey) {
-            reject(new Error('ElevenLabs API key not provided'));
-            return;
+        // The controller answers with JSON when it cannot produce audio
+        const contentType = response.headers.get('Content-Type') || '';
+        if (!contentType.startsWith('audio/')) {
+            throw new Error('Server returned no audio');
         }
         
-        // Increment requests counter
-        apiState.requestsInProgress++;
-        
-        // Use provided voice ID or default
-        const voiceId = options.voiceId || apiState.voiceId;
-        
-        // API endpoint
-        const apiUrl = `${apiState.elevenLabsEndpoint}/text-to-speech/${voiceId}`;
-        
-        // Request parameters
-        const requestBody = {
-            text: text,
-            model_id: options.modelId || apiState.modelId,
-            voice_settings: {
-                stability: options.stability !== undefined ? options.stability : apiState.stability,
-                similarity_boost: options.similarityBoost !== undefined ? options.similarityBoost : apiState.similarityBoost
-            }
-        };
+        return response.blob();
+    })
+    .then(audioBlob => {
+        apiState.requestsInProgress--;
         
         if (apiState.debug) {
-            console.log('Generating speech with params:', {
-                voiceId,
-                modelId: requestBody.model_id,
-                textLength: text.length,
-                stability: requestBody.voice_settings.stability,
-                similarityBoost: requestBody.voice_settings.similarity_boost
-            });
+            console.log(`Received server audio blob: ${audioBlob.size} bytes, type: ${audioBlob.type}`);
         }
         
-        // Activate waveform if available while waiting for API
-        if (window.animationController && typeof window.animationController.setWaveformActive === 'function') {
-            window.animationController.setWaveformActive(true, 30, 1.5);
+        return audioBlob;
+    })
+    .catch(error => {
+        apiState.requestsInProgress--;
+        
+        // Deactivate waveform if request failed
+        if (!apiState.audioPlaying && window.animationController && typeof window.animationController.setWaveformActive === 'function') {
+            window.animationController.setWaveformActive(false);
         }
         
-        // Set up request
-        fetch(apiUrl, {
-            method: 'POST',
-            headers: {
-                'Content-Type': 'application/json',
-                'xi-api-key': apiState.elevenLabsApiKey
-            },
-            body: JSON.stringify(requestBody)
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`ElevenLabs API error: ${response.status} ${response.statusText}`);
-            }
-            return response.blob();
-        })
-        .then(audioBlob => {
-            // Decrement requests counter
-            apiState.requestsInProgress--;
-            
-            if (apiState.debug) {
-                console.log(`Received audio blob: ${audioBlob.size} bytes, type: ${audioBlob.type}`);
-            }
-            
-            // Resolve with audio blob
-            resolve(audioBlob);
-        })
-        .catch(error => {
-            // Decrement requests counter
-            apiState.requestsInProgress--;
-            
-            // Deactivate waveform if request failed
-            if (window.animationController && typeof window.animationController.setWaveformActive === 'function') {
-                window.animationController.setWaveformActive(false);
-            }
-            
-            // Store error
+        // An interrupted request is not a server failure
+        if (error.name !== 'AbortError') {
             apiState.lastError = error.message;
-            
-            console.error('ElevenLabs API error:', error);
-            reject(error);
-        });
+            console.error('Server speech error:', error);
+        }
+        
+        throw error;
     });
 }
 
+/**
+ * Forget finished playback and stop listening for barge-in once nothing else will be spoken
+ * @param {Object} playback - Playback handle created by playAudioBlob
+ */
+function releasePlayback(playback) {
+    if (apiState.currentPlayback === playback) {
+        apiState.currentPlayback = null;
+    }
+    
+    if (!apiState.processingQueue) {
+        stopBargeInMonitor();
+    }
+}
+
 /**
  * Play audio blob with visualization
  * @param {Blob} audioBlob - Audio blob to play
@@ -395,8 +685,22 @@ function playAudioBlob(audioBlob) {
         const audioElement = new Audio();
         audioElement.src = URL.createObjectURL(audioBlob);
         
+        // A barge-in stops playback early; the promise still resolves
+        const playback = {
+            stop: () => {
+                audioElement.pause();
+                audioElement.onended();
+            }
+        };
+        apiState.currentPlayback = playback;
+        
+        // Listen for the user talking over the reply
+        startBargeInMonitor();
+        
         // Set up event handlers
         audioElement.onplay = () => {
+            apiState.audioPlaying = true;
+            
             if (apiState.debug) {
                 console.log('Audio started playing');
             }
@@ -408,6 +712,9 @@ function playAudioBlob(audioBlob) {
         };
         
         audioElement.onended = () => {
+            apiState.audioPlaying = false;
+            releasePlayback(playback);
+            
             if (apiState.debug) {
                 console.log('Audio finished playing');
             }
@@ -424,6 +731,8 @@ function playAudioBlob(audioBlob) {
         };
         
         audioElement.onerror = (error) => {
+            apiState.audioPlaying = false;
+            releasePlayback(playback);
             console.error('Error playing audio:', error);
             
             // Deactivate waveform
@@ -439,6 +748,7 @@ function playAudioBlob(audioBlob) {
         
         // Play the audio
         audioElement.play().catch(error => {
+            releasePlayback(playback);
             console.error('Error starting audio playback:', error);
             
             // Deactivate waveform
@@ -454,22 +764,67 @@ function playAudioBlob(audioBlob) {
     });
 }
 
+/**
+ * Split a response into sentences for pipelined synthesis
+ * Fragments shorter than minSentenceLength are joined to the following sentence
+ * @param {string} text - Text to split
+ * @returns {Array<string>} Sentences in order
+ */
+function splitIntoSentences(text) {
+    const sentences = String(text || '')
+        .replace(/\s+/g, ' ')
+        .trim()
+        .split(/(?<=[.!?]["')\]]?)\s+/)
+        .filter(Boolean);
+    
+    return sentences.reduce((merged, sentence) => {
+        const last = merged[merged.length - 1];
+        
+        if (last !== undefined && last.length < apiState.minSentenceLength) {
+            merged[merged.length - 1] = `${last} ${sentence}`;
+        } else {
+            merged.push(sentence);
+        }
+        
+        return merged;
+    }, []);
+}
+
 /**
  * Speak text using ElevenLabs API
+ * Long responses are split into sentences that are synthesized ahead of playback,
+ * so speech starts as soon as the first sentence is ready
  * @param {string} text - Text to speak
  * @param {Object} options - Optional parameters
  * @returns {Promise} Promise that resolves when speech completes
  */
 function speakText(text, options = {}) {
     return new Promise((resolve, reject) => {
-        // Use a queue for multiple speech requests
-        apiState.speechQueue.push({
-            text,
-            options,
-            resolve,
-            reject
+        // Silent and native speech need no synthesis, so they stay one item
+        const segments = (options.silent || options.useNative) ? [text] : splitIntoSentences(text);
+        
+        if (segments.length === 0) {
+            resolve();
+            return;
+        }
+        
+        // Use a queue for multiple speech requests; the last sentence settles the promise
+        segments.forEach((segment, index) => {
+            const isLast = index === segments.length - 1;
+            
+            apiState.speechQueue.push({
+                text: segment,
+                options,
+                audio: null,
+                abortController: new AbortController(),
+                resolve: isLast ? resolve : () => {},
+                reject
+            });
         });
         
+        // Start synthesizing while earlier speech is still playing
+        startQueuedSynthesis();
+        
         // Process queue if not already processing
         if (!apiState.processingQueue) {
             processNextInQueue();
@@ -477,13 +832,52 @@ function speakText(text, options = {}) {
     });
 }
 
+/**
+ * Start synthesis for queued sentences, in order, up to speechConcurrency requests at once
+ */
+function startQueuedSynthesis() {
+    for (const item of apiState.speechQueue) {
+        if (apiState.synthesisInProgress >= apiState.speechConcurrency) {
+            break;
+        }
+        
+        if (!item.audio && !item.options.silent && !item.options.useNative) {
+            synthesizeQueueItem(item);
+        }
+    }
+}
+
+/**
+ * Synthesize a queued sentence
+ * @param {Object} item - Speech queue item
+ * @returns {Promise<Blob>} Promise that resolves with the audio blob
+ */
+function synthesizeQueueItem(item) {
+    apiState.synthesisInProgress++;
+    
+    const options = { ...item.options, signal: item.abortController.signal };
+    
+    item.audio = generateSpeech(item.text, options).finally(() => {
+        apiState.synthesisInProgress--;
+        startQueuedSynthesis();
+    });
+    
+    // Failures are handled when the item reaches playback
+    item.audio.catch(() => {});
+    
+    return item.audio;
+}
+
 /**
  * Process next item in speech queue
  */
 function processNextInQueue() {
+    apiState.currentSpeechItem = null;
+    
     // If queue is empty, mark as not processing
     if (apiState.speechQueue.length === 0) {
         apiState.processingQueue = false;
+        stopBargeInMonitor();
         return;
     }
     
@@ -503,10 +897,12 @@ function processNextInQueue() {
         return;
     }
     
-    // First try ElevenLabs if API key available
-    if (apiState.elevenLabsApiKey && !item.options.useNative) {
-        // Generate speech
-        generateSpeech(item.text, item.options)
+    apiState.currentSpeechItem = item;
+    startBargeInMonitor();
+    
+    // First try ElevenLabs, usually already synthesized while the previous sentence played
+    if (!item.options.useNative) {
+        (item.audio || synthesizeQueueItem(item))
             .then(audioBlob => {
                 // Play audio
                 return playAudioBlob(audioBlob);
@@ -519,6 +915,13 @@ function processNextInQueue() {
                 processNextInQueue();
             })
             .catch(error => {
+                // Interrupted by a barge-in; there is nothing left to say
+                if (item.abortController.signal.aborted) {
+                    item.resolve();
+                    processNextInQueue();
+                    return;
+                }
+                
                 console.error('ElevenLabs speech error, falling back to native speech:', error);
                 
                 // Fall back to browser's native speech synthesis
@@ -556,6 +959,113 @@ function processNextInQueue() {
     }
 }
 
+/**
+ * Interrupt T-101: stop playback, flush the speech queue, abort in-flight synthesis and
+ * cancel a voice channel turn that is still producing its reply
+ * @param {string} source - What interrupted ('voice', 'input' or 'manual')
+ * @returns {boolean} Whether anything was interrupted
+ */
+function interruptSpeech(source = 'manual') {
+    const nativeSpeaking = !!(window.speechSynthesis && window.speechSynthesis.speaking);
+    const interrupted = apiState.processingQueue || nativeSpeaking ||
+        !!apiState.currentPlayback || !!apiState.activeVoiceTurn;
+    
+    // Flushed sentences settle their speakText promises so callers are not left waiting
+    apiState.speechQueue.splice(0).forEach(item => {
+        item.abortController.abort();
+        item.resolve();
+    });
+    
+    if (apiState.currentSpeechItem) {
+        apiState.currentSpeechItem.abortController.abort();
+    }
+    
+    if (apiState.currentPlayback) {
+        apiState.currentPlayback.stop();
+    }
+    
+    if (nativeSpeaking) {
+        window.speechSynthesis.cancel();
+    }
+    
+    if (apiState.activeVoiceTurn) {
+        apiState.activeVoiceTurn.cancel();
+    }
+    
+    stopBargeInMonitor();
+    
+    if (interrupted) {
+        if (apiState.debug) {
+            console.log(`Speech interrupted (${source})`);
+        }
+        
+        document.dispatchEvent(new CustomEvent('speech-interrupted', { detail: { source } }));
+    }
+    
+    return interrupted;
+}
+
+/**
+ * Listen for the user talking over T-101 and interrupt when they do
+ * Only runs once microphone permission was granted, so speaking never triggers a prompt
+ */
+async function startBargeInMonitor() {
+    if (!apiState.bargeIn || apiState.bargeInMonitor || !apiState.permissionGranted ||
+        !window.audioProcessor || typeof window.audioProcessor.detectSpeechOnset !== 'function') {
+        return;
+    }
+    
+    const monitor = { stream: null, detector: null, stopped: false };
+    apiState.bargeInMonitor = monitor;
+    
+    try {
+        // Echo cancellation keeps T-101's own voice from counting as the user
+        const stream = await navigator.mediaDevices.getUserMedia({
+            audio: { echoCancellation: true, noiseSuppression: true }
+        });
+        
+        monitor.stream = stream;
+        
+        // Speech may have finished while the microphone was opening
+        if (monitor.stopped) {
+            stream.getTracks().forEach(track => track.stop());
+            return;
+        }
+        
+        monitor.detector = window.audioProcessor.detectSpeechOnset(stream, {
+            onSpeech: () => interruptSpeech('voice')
+        });
+        
+        if (!monitor.detector) {
+            stopBargeInMonitor(monitor);
+        }
+    } catch (error) {
+        console.warn('Barge-in monitor unavailable:', error);
+        stopBargeInMonitor(monitor);
+    }
+}
+
+/**
+ * Stop listening for barge-in and release the microphone
+ * @param {Object} monitor - Monitor to stop (defaults to the active one)
+ */
+function stopBargeInMonitor(monitor = apiState.bargeInMonitor) {
+    if (!monitor) return;
+    
+    if (apiState.bargeInMonitor === monitor) {
+        apiState.bargeInMonitor = null;
+    }
+    monitor.stopped = true;
+    
+    if (monitor.detector) {
+        monitor.detector.stop();
+    }
+    
+    if (monitor.stream) {
+        monitor.stream.getTracks().forEach(track => track.stop());
+    }
+}
+
 /**
  * Speak text using browser's native speech synthesis
  * @param {string} text - Text to speak
@@ -713,33 +1223,39 @@ function setVoiceAndSpeak(utterance, resolve, reject) {
 }
 
 /**
- * Transcribe audio using Whisper API
+ * Transcribe audio with Whisper through the server, streaming the upload and falling back to a
+ * plain upload
  * @param {File|Blob} audioFile - Audio file to transcribe
  * @param {Object} options - Optional parameters
  * @returns {Promise<string>} Promise that resolves with transcription
  */
 function transcribeAudio(audioFile, options = {}) {
+    if (!apiState.initialized) {
+        return Promise.reject(new Error('API client not initialized'));
+    }
+    
+    return transcribeStreamWithServer(audioFile)
+        .catch(error => {
+            console.warn('Streaming transcription failed, retrying with upload:', error);
+            return transcribeWithServer(audioFile, options);
+        });
+}
+
+/**
+ * Transcribe audio using server API
+ * @param {File|Blob} audioFile - Audio file to transcribe
+ * @param {Object} options - Optional parameters
+ * @returns {Promise<string>} Promise that resolves with transcription
+ */
+function transcribeWithServer(audioFile, options = {}) {
     return new Promise((resolve, reject) => {
-        if (!apiState.initialized) {
-            reject(new Error('API client not initialized'));
-            return;
-        }
-        
-        if (!apiState.openAiApiKey) {
-            // Try server-side transcription instead if no API key
-            transcribeWithServer(audioFile, options)
-                .then(resolve)
-                .catch(reject);
-            return;
-        }
-        
-        // Increment requests counter
-        apiState.requestsInProgress++;
-        
         // Create form data
         const formData = new FormData();
-        formData.append('file', audioFile);
-        formData.append('model', options.model || 'whisper-1');
+        formData.append('file', audioFile, 'recording.webm');
+        
+        if (options.preprocessing || apiState.preprocessing) {
+            formData.append('preprocessing', options.preprocessing || apiState.preprocessing);
+        }
         
         if (options.language) {
             formData.append('language', options.language);
@@ -753,93 +1269,261 @@ function transcribeAudio(audioFile, options = {}) {
             formData.append('temperature', options.temperature.toString());
         }
         
-        // Set up request
-        fetch(`${apiState.openAiEndpoint}/audio/transcriptions`, {
+        // Send to server endpoint
+        serverFetch('/api/transcribe', {
             method: 'POST',
-            headers: {
-                'Authorization': `Bearer ${apiState.openAiApiKey}`
-            },
             body: formData
         })
         .then(response => {
             if (!response.ok) {
-                throw new Error(`Whisper API error: ${response.status} ${response.statusText}`);
+                throw new Error(`Server transcription error: ${response.status} ${response.statusText}`);
             }
             return response.json();
         })
         .then(data => {
-            // Decrement requests counter
-            apiState.requestsInProgress--;
-            
-            if (apiState.debug) {
-                console.log('Transcription received:', data);
+            if (data.text) {
+                resolve(data.text);
+            } else {
+                throw new Error('No transcription text in response');
             }
-            
-            resolve(data.text);
         })
         .catch(error => {
-            // Decrement requests counter
-            apiState.requestsInProgress--;
+            console.error('Server transcription error:', error);
+            reject(error);
+        });
+    });
+}
+
+/**
+ * Translate speech in any language to English using the server API
+ * @param {File|Blob} audioFile - Audio to translate
+ * @param {Object} options - Optional parameters (prompt)
+ * @returns {Promise<Object>} { transcript, language, translation }
+ */
+async function translateWithServer(audioFile, options = {}) {
+    const formData = new FormData();
+    formData.append('file', audioFile, 'recording.webm');
+    
+    if (options.prompt) {
+        formData.append('prompt', options.prompt);
+    }
+    
+    const response = await serverFetch('/api/translate', {
+        method: 'POST',
+        body: formData
+    });
+    
+    if (!response.ok) {
+        throw new Error(`Server translation error: ${response.status} ${response.statusText}`);
+    }
+    
+    return response.json();
+}
+
+/**
+ * Read server-sent events from a streaming fetch response
+ * The stream is cancelled when the caller stops reading
+ * @param {Response} response - Response with a text/event-stream body
+ * @returns {AsyncGenerator<Object>} Parsed "data:" payloads
+ */
+async function* readServerEvents(response) {
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) return;
             
-            // Store error
-            apiState.lastError = error.message;
+            buffer += decoder.decode(value, { stream: true });
             
-            console.error('Whisper API error:', error);
+            // Events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
             
-            // Try server-side transcription as fallback
-            transcribeWithServer(audioFile, options)
-                .then(resolve)
-                .catch(() => {
-                    // If both methods fail, reject with original error
-                    reject(error);
-                });
-        });
+            for (const rawEvent of events) {
+                const dataLine = rawEvent.split('\n').find(line => line.startsWith('data: '));
+                if (dataLine) {
+                    yield JSON.parse(dataLine.slice(6));
+                }
+            }
+        }
+    } finally {
+        reader.cancel();
+    }
+}
+
+/**
+ * Transcribe audio using the server's streaming recognition endpoint
+ * Progress is reported as server-sent events until the final result arrives
+ * @param {Blob} audioBlob - Recorded audio to transcribe
+ * @param {Function} onEvent - Optional callback for intermediate events
+ * @returns {Promise<string>} Promise that resolves with transcription
+ */
+async function transcribeStreamWithServer(audioBlob, onEvent = null) {
+    const response = await serverFetch(`${apiState.serverEndpoint}/recognition/stream`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': audioBlob.type || 'audio/webm'
+        },
+        body: audioBlob
+    });
+    
+    if (!response.ok || !response.body) {
+        throw new Error(`Server transcription error: ${response.status} ${response.statusText}`);
+    }
+    
+    for await (const data of readServerEvents(response)) {
+        if (typeof onEvent === 'function') {
+            onEvent(data);
+        }
+        
+        if (data.event === 'result') {
+            return data.text;
+        } else if (data.event === 'error' || data.event === 'timeout') {
+            throw new Error(data.message);
+        }
+    }
+    
+    throw new Error('Transcription stream ended without a result');
+}
+
+/**
+ * Transcribe an audio or video file with /api/transcribe/stream, following its progress
+ * @param {File|Blob} file - Audio or video file
+ * @param {Object} options - Optional parameters
+ * @param {string} options.format - json, text, srt, vtt or verbose_json
+ * @param {string} options.language - Spoken language (detected when empty)
+ * @param {string} options.preprocessing - Preprocessing profile (defaults to the configured one)
+ * @param {Function} options.onProgress - Called with each progress event ({ stage, percent, ... })
+ * @param {AbortSignal} options.signal - Aborts the upload
+ * @returns {Promise<Object>} The result event: the transcript, plus `content` for text and subtitles
+ */
+async function transcribeFile(file, options = {}) {
+    const formData = new FormData();
+    formData.append('file', file, file.name || 'recording.webm');
+    formData.append('response_format', options.format || 'json');
+    
+    if (options.language) {
+        formData.append('language', options.language);
+    }
+    
+    if (options.preprocessing || apiState.preprocessing) {
+        formData.append('preprocessing', options.preprocessing || apiState.preprocessing);
+    }
+    
+    const response = await serverFetch('/api/transcribe/stream', {
+        method: 'POST',
+        body: formData,
+        signal: options.signal
+    });
+    
+    // Uploads the server cannot process are refused with a JSON error before the stream starts
+    if (!response.ok || !response.body) {
+        const error = await response.json().catch(() => ({}));
+        throw new Error(error.details || error.error || `Server transcription error: ${response.status}`);
+    }
+    
+    for await (const data of readServerEvents(response)) {
+        if (data.event === 'progress' && typeof options.onProgress === 'function') {
+            options.onProgress(data);
+        } else if (data.event === 'result') {
+            return data;
+        } else if (data.event === 'error') {
+            const upstream = data.details && data.details.error;
+            throw new Error(upstream && upstream.message ? upstream.message : data.message);
+        }
+    }
+    
+    throw new Error('Transcription stream ended without a result');
+}
+
+/**
+ * List the voices available for speech
+ * @returns {Promise<Array>} Voices ({ voice_id, name, category, description })
+ */
+async function listVoices() {
+    const response = await serverFetch('/api/voices');
+    
+    if (!response.ok) {
+        throw new Error(`Voice list error: ${response.status} ${response.statusText}`);
+    }
+    
+    return (await response.json()).voices || [];
+}
+
+/**
+ * Send a voice management request with the admin key
+ * @param {string} path - Path under /speech/voices
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Object>} Response body
+ */
+async function manageVoices(path, options = {}) {
+    // Sessions signed in with an admin-scoped key need no separate admin key
+    const user = getSessionUser();
+    const sessionIsAdmin = !!(user && user.scopes.includes('admin'));
+    
+    if (!apiState.adminKey && !sessionIsAdmin) {
+        throw new Error('Admin key required for voice management');
+    }
+    
+    const response = await serverFetch(`${apiState.serverEndpoint}/speech/voices${path}`, {
+        ...options,
+        headers: apiState.adminKey ? { ...options.headers, 'X-Admin-Key': apiState.adminKey } : options.headers
+    });
+    const data = await response.json().catch(() => ({}));
+    
+    if (!response.ok) {
+        throw new Error((data.error && data.error.message) || data.message || `Voice management error: ${response.status}`);
+    }
+    
+    return data;
+}
+
+/**
+ * Clone a voice from recorded samples
+ * @param {string} name - Name of the new voice
+ * @param {Blob[]} samples - Recorded samples of the speaker
+ * @param {Object} options - Optional parameters (description)
+ * @returns {Promise<Object>} The new voice ({ voice_id, name, description })
+ */
+async function cloneVoice(name, samples, options = {}) {
+    const formData = new FormData();
+    formData.append('name', name);
+    
+    if (options.description) {
+        formData.append('description', options.description);
+    }
+    
+    samples.forEach((sample, index) => {
+        formData.append('files', sample, `sample-${index + 1}.webm`);
     });
+    
+    return (await manageVoices('', { method: 'POST', body: formData })).voice;
 }
 
 /**
- * Transcribe audio using server API
- * @param {File|Blob} audioFile - Audio file to transcribe
- * @param {Object} options - Optional parameters
- * @returns {Promise<string>} Promise that resolves with transcription
+ * Rename a voice or change its description
+ * @param {string} voiceId - Voice to edit
+ * @param {Object} changes - New name and description
+ * @returns {Promise<Object>} The edited voice
  */
-function transcribeWithServer(audioFile, options = {}) {
-    return new Promise((resolve, reject) => {
-        // Create form data
-        const formData = new FormData();
-        formData.append('file', audioFile, 'recording.webm');
-        
-        if (options.language) {
-            formData.append('language', options.language);
-        }
-        
-        if (options.prompt) {
-            formData.append('prompt', options.prompt);
-        }
-        
-        // Send to server endpoint
-        fetch('/api/transcribe', {
-            method: 'POST',
-            body: formData
-        })
-        .then(response => {
-            if (!response.ok) {
-                throw new Error(`Server transcription error: ${response.status} ${response.statusText}`);
-            }
-            return response.json();
-        })
-        .then(data => {
-            if (data.text) {
-                resolve(data.text);
-            } else {
-                throw new Error('No transcription text in response');
-            }
-        })
-        .catch(error => {
-            console.error('Server transcription error:', error);
-            reject(error);
-        });
-    });
+async function editVoice(voiceId, changes) {
+    return (await manageVoices(`/${encodeURIComponent(voiceId)}`, {
+        method: 'PATCH',
+        headers: { 'Content-Type': 'application/json' },
+        body: JSON.stringify(changes)
+    })).voice;
+}
+
+/**
+ * Delete a voice
+ * @param {string} voiceId - Voice to delete
+ * @returns {Promise<void>}
+ */
+async function deleteVoice(voiceId) {
+    await manageVoices(`/${encodeURIComponent(voiceId)}`, { method: 'DELETE' });
 }
 
 /**
@@ -891,12 +1575,70 @@ async function requestMicrophonePermission() {
     }
 }
 
+/**
+ * Create a MediaRecorder using the first MIME type the browser supports
+ * @param {MediaStream} stream - Microphone stream
+ * @returns {MediaRecorder} Recorder for the stream
+ */
+function createMediaRecorder(stream) {
+    // Try different MIME types for better compatibility
+    const mimeTypes = [
+        'audio/webm',
+        'audio/mp4',
+        'audio/ogg',
+        'audio/wav'
+    ];
+    
+    let options = {};
+    
+    // Find a supported MIME type
+    for (const mimeType of mimeTypes) {
+        if (MediaRecorder.isTypeSupported(mimeType)) {
+            options.mimeType = mimeType;
+            break;
+        }
+    }
+    
+    // Create recorder with options if supported
+    let mediaRecorder;
+    try {
+        mediaRecorder = new MediaRecorder(stream, options);
+        
+        if (apiState.debug) {
+            console.log(`Using MediaRecorder with mimeType: ${mediaRecorder.mimeType}`);
+        }
+    } catch (e) {
+        // Fallback to default options
+        console.warn('MediaRecorder with specified options failed, using default:', e);
+        mediaRecorder = new MediaRecorder(stream);
+    }
+    
+    return mediaRecorder;
+}
+
+/**
+ * Start voice activity detection on a recording, if the audio processor provides it
+ * @param {MediaStream} stream - Microphone stream being recorded
+ * @param {Function} onEnd - Called with the reason detection ended the recording ('silence' or 'no-speech')
+ * @returns {Object|null} Detector ({ stop, maxDurationMs }) or null when unavailable
+ */
+function startVoiceActivityDetection(stream, onEnd) {
+    if (window.audioProcessor && typeof window.audioProcessor.detectVoiceActivity === 'function') {
+        return window.audioProcessor.detectVoiceActivity(stream, { onEnd });
+    }
+    
+    return null;
+}
+
 /**
  * Record audio from microphone
- * @param {number} maxDuration - Maximum recording duration in milliseconds
+ * Recording ends after trailing silence when voice activity detection is available
+ * @param {number} maxDuration - Recording duration used when voice activity detection is unavailable
+ * @param {Object} options - Recording options
+ * @param {boolean} options.voiceActivity - Set false to record for exactly maxDuration (e.g. voice samples)
  * @returns {Promise<Blob>} Promise that resolves with audio blob
  */
-async function recordAudio(maxDuration = 10000) {
+async function recordAudio(maxDuration = 10000, options = {}) {
     // First, request microphone permission
     const permissionGranted = await requestMicrophonePermission();
     if (!permissionGranted) {
@@ -919,41 +1661,15 @@ async function recordAudio(maxDuration = 10000) {
         // Request microphone access
         navigator.mediaDevices.getUserMedia({ audio: true })
             .then(stream => {
-                // Try different MIME types for better compatibility
-                const mimeTypes = [
-                    'audio/webm',
-                    'audio/mp4',
-                    'audio/ogg',
-                    'audio/wav'
-                ];
-                
-                let options = {};
-                
-                // Find a supported MIME type
-                for (const mimeType of mimeTypes) {
-                    if (MediaRecorder.isTypeSupported(mimeType)) {
-                        options.mimeType = mimeType;
-                        break;
-                    }
-                }
-                
-                // Create recorder with options if supported
-                let mediaRecorder;
-                try {
-                    mediaRecorder = new MediaRecorder(stream, options);
-                    
-                    if (apiState.debug) {
-                        console.log(`Using MediaRecorder with mimeType: ${mediaRecorder.mimeType}`);
-                    }
-                } catch (e) {
-                    // Fallback to default options
-                    console.warn('MediaRecorder with specified options failed, using default:', e);
-                    mediaRecorder = new MediaRecorder(stream);
-                }
+                const mediaRecorder = createMediaRecorder(stream);
                 
                 // Store audio chunks
                 const audioChunks = [];
                 
+                // Set once voice activity detection ends the recording
+                let endReason = null;
+                let detector = null;
+                
                 // Set up event handlers
                 mediaRecorder.addEventListener('dataavailable', event => {
                     if (event.data.size > 0) {
@@ -962,9 +1678,22 @@ async function recordAudio(maxDuration = 10000) {
                 });
                 
                 mediaRecorder.addEventListener('stop', () => {
+                    if (detector) detector.stop();
+                    
                     // Stop all tracks
                     stream.getTracks().forEach(track => track.stop());
                     
+                    // Nothing worth transcribing was said
+                    if (endReason === 'no-speech') {
+                        if (window.animationController && 
+                            typeof window.animationController.setWaveformActive === 'function') {
+                            window.animationController.setWaveformActive(false);
+                        }
+                        
+                        reject(new Error('No speech detected'));
+                        return;
+                    }
+                    
                     // Check if we have any audio data
                     if (audioChunks.length === 0 || audioChunks.every(chunk => chunk.size === 0)) {
                         console.error('No audio data recorded');
@@ -999,6 +1728,7 @@ async function recordAudio(maxDuration = 10000) {
                 
                 mediaRecorder.addEventListener('error', error => {
                     console.error('MediaRecorder error:', error);
+                    if (detector) detector.stop();
                     
                     // Stop all tracks
                     stream.getTracks().forEach(track => track.stop());
@@ -1056,8 +1786,7 @@ async function recordAudio(maxDuration = 10000) {
                     document.body.appendChild(debugIndicator);
                 }
                 
-                // Stop after maxDuration
-                setTimeout(() => {
+                const stopRecording = () => {
                     if (mediaRecorder.state === 'recording') {
                         try {
                             mediaRecorder.stop();
@@ -1091,7 +1820,18 @@ async function recordAudio(maxDuration = 10000) {
                             debugIndicator.remove();
                         }
                     }
-                }, maxDuration);
+                };
+                
+                // End the recording once the user stops talking
+                if (options.voiceActivity !== false) {
+                    detector = startVoiceActivityDetection(stream, reason => {
+                        endReason = reason;
+                        stopRecording();
+                    });
+                }
+                
+                // Stop after the time limit (a long safety limit while detection runs)
+                setTimeout(stopRecording, detector ? detector.maxDurationMs : maxDuration);
             })
             .catch(error => {
                 console.error('Error accessing microphone:', error);
@@ -1120,6 +1860,284 @@ async function recordAudio(maxDuration = 10000) {
     });
 }
 
+/**
+ * Open the full-duplex voice channel, reusing the current connection if there is one
+ * @returns {Promise<WebSocket>} Promise that resolves with the open socket
+ */
+function openVoiceChannel() {
+    if (!window.WebSocket) {
+        return Promise.reject(new Error('WebSocket not supported in this browser'));
+    }
+    
+    let socket = apiState.voiceChannel;
+    
+    if (socket && socket.readyState === WebSocket.OPEN) {
+        return Promise.resolve(socket);
+    }
+    
+    if (!socket || socket.readyState !== WebSocket.CONNECTING) {
+        const protocol = window.location.protocol === 'https:' ? 'wss:' : 'ws:';
+        const sessionId = encodeURIComponent(getSessionId());
+        // Browsers cannot set headers on a WebSocket upgrade, so the session token goes in the query
+        const token = apiState.auth ? `&token=${encodeURIComponent(apiState.auth.token)}` : '';
+        
+        socket = new WebSocket(`${protocol}//${window.location.host}${apiState.voiceChannelPath}?sessionId=${sessionId}${token}`);
+        socket.binaryType = 'arraybuffer';
+        apiState.voiceChannel = socket;
+        
+        socket.addEventListener('close', () => {
+            if (apiState.voiceChannel === socket) {
+                apiState.voiceChannel = null;
+            }
+        });
+    }
+    
+    return new Promise((resolve, reject) => {
+        socket.addEventListener('open', () => resolve(socket), { once: true });
+        socket.addEventListener('error', () => reject(new Error('Voice channel connection failed')), { once: true });
+    });
+}
+
+/**
+ * Show or hide the recording indicators (waveform, HUD scanning, mic button, voice waves)
+ * @param {boolean} active - Whether recording is in progress
+ */
+function setRecordingIndicators(active) {
+    if (window.animationController && typeof window.animationController.setWaveformActive === 'function') {
+        if (active) {
+            window.animationController.setWaveformActive(true, 30, 1.5);
+        } else {
+            window.animationController.setWaveformActive(false);
+        }
+    }
+    
+    if (window.hudController && typeof window.hudController.activateScanning === 'function') {
+        window.hudController.activateScanning(active);
+    }
+    
+    const micButton = document.getElementById('mic-toggle');
+    if (micButton) {
+        micButton.classList.toggle('recording', active);
+        const micStatus = micButton.querySelector('.mic-status');
+        if (micStatus) {
+            micStatus.textContent = active ? 'RECORDING...' : 'VOICE INPUT READY';
+        }
+    }
+    
+    if (active) {
+        if (window.animationController && typeof window.animationController.createVoiceWaves === 'function') {
+            const userInputContainer = document.querySelector('.user-input-container');
+            if (userInputContainer) {
+                window.animationController.createVoiceWaves(userInputContainer);
+            }
+        }
+    } else {
+        const waveContainer = document.querySelector('.voice-wave-container');
+        if (waveContainer) {
+            waveContainer.remove();
+        }
+    }
+}
+
+/**
+ * Run one voice turn over the voice channel
+ * Microphone chunks are sent while recording; the server answers with partial and final
+ * transcripts, the streamed reply and the spoken reply as MP3 frames. Recording ends after
+ * trailing silence when voice activity detection is available
+ * @param {WebSocket} socket - Open voice channel
+ * @param {number} maxDuration - Recording duration used when voice activity detection is unavailable
+ * @returns {Promise<string>} Promise that resolves with the final transcript
+ */
+async function streamVoiceTurn(socket, maxDuration = 5000) {
+    const permissionGranted = await requestMicrophonePermission();
+    if (!permissionGranted) {
+        throw new Error('Microphone permission denied');
+    }
+    
+    if (!window.MediaRecorder) {
+        throw new Error('MediaRecorder not supported in this browser');
+    }
+    
+    const stream = await navigator.mediaDevices.getUserMedia({ audio: true });
+    const mediaRecorder = createMediaRecorder(stream);
+    const terminal = window.terminalInterface || {};
+    const userInput = document.getElementById('user-input-display');
+    
+    return new Promise((resolve, reject) => {
+        const audioFrames = [];
+        let streamingResponse = null;
+        let turnError = null;
+        let turnEnded = false;
+        let endReason = null;
+        
+        const stopRecording = () => {
+            if (mediaRecorder.state === 'recording') {
+                mediaRecorder.stop();
+            }
+        };
+        
+        // End the recording once the user stops talking
+        const detector = startVoiceActivityDetection(stream, reason => {
+            endReason = reason;
+            stopRecording();
+        });
+        
+        // Stop after the time limit (a long safety limit while detection runs)
+        const stopTimer = setTimeout(stopRecording, detector ? detector.maxDurationMs : maxDuration);
+        
+        const endTurn = () => {
+            turnEnded = true;
+            if (apiState.activeVoiceTurn === voiceTurn) {
+                apiState.activeVoiceTurn = null;
+            }
+            clearTimeout(stopTimer);
+            socket.removeEventListener('message', onMessage);
+            socket.removeEventListener('close', onClose);
+            stopRecording();
+        };
+        
+        const onMessage = (event) => {
+            // Binary frames carry the spoken reply
+            if (typeof event.data !== 'string') {
+                audioFrames.push(event.data);
+                return;
+            }
+            
+            const message = JSON.parse(event.data);
+            
+            switch (message.type) {
+                case 'transcript.partial':
+                    if (userInput) {
+                        userInput.textContent = message.text;
+                    }
+                    break;
+                    
+                case 'transcript.final': {
+                    // The server may finalize at its own time limit
+                    stopRecording();
+                    
+                    // Translated turns are answered in English; the original is shown alongside
+                    const translated = message.translation !== undefined;
+                    const text = translated ? message.translation : message.text;
+                    
+                    if (userInput) {
+                        userInput.textContent = text;
+                    }
+                    if (typeof terminal.addUserTranscript === 'function') {
+                        terminal.addUserTranscript(text, translated ?
+                            { original: message.text, language: message.language } : {});
+                    }
+                    break;
+                }
+                    
+                case 'chat.token':
+                    if (!streamingResponse && typeof terminal.addStreamingAIResponse === 'function') {
+                        streamingResponse = terminal.addStreamingAIResponse();
+                    }
+                    if (streamingResponse) {
+                        streamingResponse.append(message.text);
+                    }
+                    break;
+                    
+                case 'chat.done':
+                    if (streamingResponse) {
+                        streamingResponse.complete();
+                    } else if (typeof terminal.addAIResponse === 'function') {
+                        terminal.addAIResponse(message.text);
+                    }
+                    break;
+                    
+                case 'tts.start':
+                    audioFrames.length = 0;
+                    break;
+                    
+                case 'tts.end':
+                    playAudioBlob(new Blob(audioFrames, { type: 'audio/mpeg' }))
+                        .catch(error => console.error('Voice channel playback error:', error));
+                    break;
+                    
+                case 'error':
+                    // A speech failure still leaves the text reply on screen
+                    if (message.stage === 'speech') {
+                        console.warn('Voice channel speech error:', message.message);
+                        if (typeof terminal.addSystemMessage === 'function') {
+                            terminal.addSystemMessage(`Speech synthesis error: ${message.message}`, 'warning');
+                        }
+                    } else {
+                        turnError = new Error(message.message);
+                    }
+                    break;
+                    
+                case 'turn.done':
+                    endTurn();
+                    if (turnError) {
+                        reject(turnError);
+                    } else if (endReason === 'no-speech') {
+                        reject(new Error('No speech detected'));
+                    } else {
+                        resolve(message.translation !== undefined ? message.translation : message.transcript);
+                    }
+                    break;
+            }
+        };
+        
+        const onClose = () => {
+            endTurn();
+            reject(new Error('Voice channel closed during the turn'));
+        };
+        
+        // A barge-in abandons the turn; the server still answers with turn.done
+        const voiceTurn = {
+            cancel: () => {
+                if (turnEnded) return;
+                
+                endReason = 'interrupted';
+                if (mediaRecorder.state === 'recording') {
+                    stopRecording();
+                } else if (socket.readyState === WebSocket.OPEN) {
+                    socket.send(JSON.stringify({ type: 'cancel' }));
+                }
+            }
+        };
+        apiState.activeVoiceTurn = voiceTurn;
+        
+        socket.addEventListener('message', onMessage);
+        socket.addEventListener('close', onClose);
+        
+        mediaRecorder.addEventListener('dataavailable', event => {
+            if (event.data.size > 0 && !turnEnded && socket.readyState === WebSocket.OPEN) {
+                socket.send(event.data);
+            }
+        });
+        
+        mediaRecorder.addEventListener('stop', () => {
+            if (detector) detector.stop();
+            stream.getTracks().forEach(track => track.stop());
+            setRecordingIndicators(false);
+            
+            // The last dataavailable event fires before stop, so all audio has been sent.
+            // A recording without speech, or one that was interrupted, is dropped rather than transcribed
+            const dropped = endReason === 'no-speech' || endReason === 'interrupted';
+            if (!turnEnded && socket.readyState === WebSocket.OPEN) {
+                socket.send(JSON.stringify({ type: dropped ? 'cancel' : 'stop' }));
+            }
+        });
+        
+        socket.send(JSON.stringify({
+            type: 'start',
+            mimeType: mediaRecorder.mimeType || 'audio/webm',
+            voiceId: apiState.voiceId,
+            stability: apiState.stability,
+            similarityBoost: apiState.similarityBoost,
+            translate: apiState.translate
+        }));
+        
+        // Small timeslice so audio reaches the server while the user is still speaking
+        mediaRecorder.start(250);
+        setRecordingIndicators(true);
+    });
+}
+
 /**
  * Process voice input using multiple methods with fallbacks
  * @param {number} maxDuration - Maximum recording duration in milliseconds
@@ -1135,7 +2153,8 @@ async function processVoiceInput(maxDuration = 5000) {
         // Try multiple methods in sequence
         
         // Method 1: Browser's built-in speech recognition via audio processor
-        if (window.audioProcessor && typeof window.audioProcessor.processVoiceInput === 'function') {
+        // (English only, so translate mode goes straight to the server)
+        if (!apiState.translate && window.audioProcessor && typeof window.audioProcessor.processVoiceInput === 'function') {
             try {
                 const text = await window.audioProcessor.processVoiceInput(maxDuration);
                 if (text && text.trim()) {
@@ -1147,7 +2166,19 @@ async function processVoiceInput(maxDuration = 5000) {
             }
         }
         
-        // Method 2: Record and send to server-side processing
+        // Method 2: Stream the recording over the voice channel; the server answers the turn
+        let voiceChannel = null;
+        try {
+            voiceChannel = await openVoiceChannel();
+        } catch (error) {
+            console.warn('Voice channel unavailable, uploading the recording instead:', error);
+        }
+        
+        if (voiceChannel) {
+            return await streamVoiceTurn(voiceChannel, maxDuration);
+        }
+        
+        // Method 3: Record and send to server-side processing
         try {
             // Record audio
             const audioBlob = await recordAudio(maxDuration);
@@ -1157,13 +2188,31 @@ async function processVoiceInput(maxDuration = 5000) {
                 window.terminalInterface.addSystemMessage('Processing voice input...', 'default');
             }
             
+            // Translate mode: show the original, then send the translation to chat as typed input
+            if (apiState.translate) {
+                const { transcript, language, translation } = await translateWithServer(audioBlob);
+                
+                if (window.terminalInterface && typeof window.terminalInterface.addSystemMessage === 'function') {
+                    window.terminalInterface.addSystemMessage(`ORIGINAL [${(language || 'unknown').toUpperCase()}]: ${transcript}`, 'default');
+                }
+                
+                return processRecognizedText(translation);
+            }
+            
             // Create FormData for server request
             const formData = new FormData();
             formData.append('audio', audioBlob, 'recording.webm');
             
+            if (apiState.preprocessing) {
+                formData.append('preprocessing', apiState.preprocessing);
+            }
+            
             // Send to the server endpoint that handles both transcription and response
-            const response = await fetch('/api/process-audio', {
+            const response = await serverFetch('/api/process-audio', {
                 method: 'POST',
+                headers: {
+                    'X-Session-ID': getSessionId()
+                },
                 body: formData
             });
             
@@ -1267,28 +2316,17 @@ function readFile(filename, options = {}) {
 
 /**
  * Set API configuration
+ * Only non-secret preferences are accepted: provider keys stay on the server, and the browser
+ * signs in with startSession (or the admin key through setAdminKey)
  * @param {Object} config - Configuration object
  */
 function setApiConfig(config) {
-    // Update the configuration
-    if (config.elevenLabsApiKey) {
-        apiState.elevenLabsApiKey = config.elevenLabsApiKey;
-        try {
-            localStorage.setItem('elevenLabsApiKey', config.elevenLabsApiKey);
-        } catch (e) {
-            console.warn('Could not save API key to localStorage:', e);
-        }
-    }
-    
-    if (config.openAiApiKey) {
-        apiState.openAiApiKey = config.openAiApiKey;
-        try {
-            localStorage.setItem('openAiApiKey', config.openAiApiKey);
-        } catch (e) {
-            console.warn('Could not save API key to localStorage:', e);
-        }
+    const secrets = ['elevenLabsApiKey', 'openAiApiKey', 'adminKey'].filter(name => config[name] !== undefined);
+    if (secrets.length > 0) {
+        console.warn(`setApiConfig ignores secrets (${secrets.join(', ')}): provider keys stay on the server, sign in with "login <api key>"`);
     }
     
+    // Update the configuration
     if (config.voiceId) {
         apiState.voiceId = config.voiceId;
         try {
@@ -1325,30 +2363,80 @@ function setApiConfig(config) {
         }
     }
     
-    if (config.debug !== undefined) {
-        apiState.debug = config.debug;
+    if (config.speechConcurrency !== undefined) {
+        apiState.speechConcurrency = Math.max(1, parseInt(config.speechConcurrency, 10) || 1);
+        try {
+            localStorage.setItem('speechConcurrency', apiState.speechConcurrency.toString());
+        } catch (e) {
+            console.warn('Could not save speechConcurrency to localStorage:', e);
+        }
+    }
+    
+    if (config.bargeIn !== undefined) {
+        apiState.bargeIn = !!config.bargeIn;
+        try {
+            localStorage.setItem('bargeIn', apiState.bargeIn.toString());
+        } catch (e) {
+            console.warn('Could not save bargeIn to localStorage:', e);
+        }
+        
+        if (!apiState.bargeIn) {
+            stopBargeInMonitor();
+        }
+    }
+    
+    if (config.preprocessing !== undefined) {
+        apiState.preprocessing = config.preprocessing || null;
+        try {
+            if (apiState.preprocessing) {
+                localStorage.setItem('preprocessing', apiState.preprocessing);
+            } else {
+                localStorage.removeItem('preprocessing');
+            }
+        } catch (e) {
+            console.warn('Could not save preprocessing to localStorage:', e);
+        }
+    }
+    
+    if (config.translate !== undefined) {
+        apiState.translate = !!config.translate;
+        try {
+            localStorage.setItem('translate', apiState.translate.toString());
+        } catch (e) {
+            console.warn('Could not save translate to localStorage:', e);
+        }
     }
     
-    // Test API connections with new config
-    if (apiState.elevenLabsApiKey || apiState.openAiApiKey) {
-        testApiConnections();
+    if (config.debug !== undefined) {
+        apiState.debug = config.debug;
     }
     
     return true;
 }
 
+/**
+ * Set the admin key for voice management, kept in memory for this page only
+ * @param {string} adminKey - ADMIN_API_KEY value, or '' to forget it
+ */
+function setAdminKey(adminKey) {
+    apiState.adminKey = adminKey || '';
+}
+
 /**
  * Get current API configuration
  * @returns {Object} Current API configuration
  */
 function getApiConfig() {
     return {
-        elevenLabsApiKey: apiState.elevenLabsApiKey ? '****' : '',
-        openAiApiKey: apiState.openAiApiKey ? '****' : '',
         voiceId: apiState.voiceId,
         modelId: apiState.modelId,
         stability: apiState.stability,
         similarityBoost: apiState.similarityBoost,
+        speechConcurrency: apiState.speechConcurrency,
+        bargeIn: apiState.bargeIn,
+        preprocessing: apiState.preprocessing,
+        translate: apiState.translate,
+        features: apiState.features,
         initialized: apiState.initialized,
         permissionGranted: apiState.permissionGranted
     };
@@ -1365,13 +2453,31 @@ if (typeof window !== 'undefined') {
     window.apiClient = {
         initializeApiClient,
         generateSpeech,
+        generateSpeechWithServer,
         speakText,
+        interruptSpeech,
         transcribeAudio,
+        transcribeStreamWithServer,
+        transcribeFile,
+        translateWithServer,
+        listVoices,
+        cloneVoice,
+        editVoice,
+        deleteVoice,
         recordAudio,
+        openVoiceChannel,
+        streamVoiceTurn,
         processVoiceInput,
         readFile,
         setApiConfig,
-        getApiConfig
+        getApiConfig,
+        setAdminKey,
+        getSessionId,
+        resetSession,
+        serverFetch,
+        startSession,
+        endSession,
+        getSessionUser
     };
 }
 
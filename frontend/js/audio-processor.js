@@ -17,6 +17,22 @@ const audioState = {
     recognitionTimeout: null // Timeout for recognition
 };
 
+// Voice activity detection settings (change with configureVoiceActivity)
+const vadSettings = {
+    enabled: true,
+    silenceMs: 1200,           // Trailing silence that ends a recording
+    minSpeechMs: 200,          // Sounds shorter than this are noise, not speech
+    noSpeechTimeoutMs: 6000,   // Give up if nobody starts speaking
+    maxDurationMs: 30000,      // Hard limit on a recording while detection runs
+    calibrationMs: 300,        // Opening period used to measure the room's noise floor
+    minEnergy: 0.01,           // RMS level below which a frame is always silence
+    energyRatio: 3,            // Speech must be this many times louder than the noise floor
+    maxZeroCrossingRate: 0.3,  // Frames crossing zero more often are hiss, not voice
+    frameIntervalMs: 30,       // How often the analyser is sampled
+    bargeInEnergyRatio: 6,     // While T-101 speaks, speech must clear its echo by this much
+    bargeInMinSpeechMs: 300    // Sustained speech needed to interrupt T-101
+};
+
 /**
  * Initialize audio processor
  */
@@ -34,6 +50,9 @@ function initializeAudioProcessor() {
     // Setup audio context for visualizations
     setupAudioContext();
     
+    // Restore saved voice activity detection settings
+    loadVoiceActivitySettings();
+    
     // Test browser audio capabilities
     testAudioCapabilities();
     
@@ -563,9 +582,293 @@ function stopAudioVisualization() {
     if (indicator) indicator.remove();
 }
 
+/**
+ * Load voice activity detection settings saved by configureVoiceActivity
+ */
+function loadVoiceActivitySettings() {
+    try {
+        const saved = JSON.parse(localStorage.getItem('vadSettings') || '{}');
+        applyVoiceActivitySettings(saved);
+    } catch (e) {
+        console.warn('Could not load voice activity settings:', e);
+    }
+}
+
+/**
+ * Copy known, well-typed settings into vadSettings
+ * @param {Object} options - Settings to apply
+ */
+function applyVoiceActivitySettings(options) {
+    Object.keys(vadSettings).forEach(key => {
+        if (typeof options[key] === typeof vadSettings[key] &&
+            (typeof options[key] !== 'number' || options[key] >= 0)) {
+            vadSettings[key] = options[key];
+        }
+    });
+}
+
+/**
+ * Change voice activity detection settings (e.g. { silenceMs: 1500 }) and save them
+ * @param {Object} options - Settings to change
+ * @returns {Object} The current settings
+ */
+function configureVoiceActivity(options = {}) {
+    applyVoiceActivitySettings(options);
+    
+    try {
+        localStorage.setItem('vadSettings', JSON.stringify(vadSettings));
+    } catch (e) {
+        console.warn('Could not save voice activity settings:', e);
+    }
+    
+    return { ...vadSettings };
+}
+
+/**
+ * Measure the RMS energy and zero-crossing rate of one frame of samples
+ * @param {Float32Array} samples - Time-domain samples
+ * @returns {Object} { energy, zeroCrossingRate }
+ */
+function measureFrame(samples) {
+    let sumOfSquares = 0;
+    let crossings = 0;
+    
+    for (let i = 0; i < samples.length; i++) {
+        sumOfSquares += samples[i] * samples[i];
+        
+        if (i > 0 && (samples[i] >= 0) !== (samples[i - 1] >= 0)) {
+            crossings++;
+        }
+    }
+    
+    return {
+        energy: Math.sqrt(sumOfSquares / samples.length),
+        zeroCrossingRate: crossings / (samples.length - 1)
+    };
+}
+
+/**
+ * Report the detector state to the HUD
+ * @param {string} state - 'waiting', 'speech', 'silence' or 'idle'
+ * @param {number} level - Input level relative to the speech threshold (0-100)
+ */
+function dispatchVoiceActivity(state, level) {
+    document.dispatchEvent(new CustomEvent('voice-activity', {
+        detail: { state, level }
+    }));
+}
+
+/**
+ * Watch a microphone stream for speech using the shared AnalyserNode
+ * A frame counts as speech when its energy clears the noise floor and its zero-crossing rate
+ * is low enough to be voice rather than hiss. Speech must last minSpeechMs to count, so
+ * clicks and bumps neither start nor extend an utterance.
+ * @param {MediaStream} stream - Microphone stream being recorded
+ * @param {Object} callbacks - Detector callbacks
+ * @param {Function} callbacks.onEnd - Called once with 'silence' (speech ended) or 'no-speech'
+ * @returns {Object|null} Detector ({ stop, maxDurationMs }) or null when detection is unavailable
+ */
+function detectVoiceActivity(stream, { onEnd }) {
+    const analyser = audioState.analyser;
+    
+    if (!vadSettings.enabled || !audioState.audioContext || !analyser ||
+        typeof analyser.getFloatTimeDomainData !== 'function') {
+        return null;
+    }
+    
+    let source;
+    try {
+        // Resume context if suspended
+        if (audioState.audioContext.state === 'suspended') {
+            audioState.audioContext.resume();
+        }
+        
+        source = audioState.audioContext.createMediaStreamSource(stream);
+        source.connect(analyser);
+    } catch (error) {
+        console.warn('Voice activity detection unavailable:', error);
+        return null;
+    }
+    
+    const samples = new Float32Array(analyser.fftSize);
+    const startedAt = performance.now();
+    let lastFrameAt = startedAt;
+    let noiseFloor = 0;
+    let calibrationFrames = 0;
+    let speechMs = 0;
+    let silenceMs = 0;
+    let heardSpeech = false;
+    let state = null;
+    let reportedLevel = -1;
+    let stopped = false;
+    
+    const report = (newState, level) => {
+        // Only tell the HUD about visible changes
+        if (newState !== state || Math.abs(level - reportedLevel) >= 5) {
+            state = newState;
+            reportedLevel = level;
+            dispatchVoiceActivity(state, level);
+        }
+    };
+    
+    const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        
+        clearInterval(frameTimer);
+        source.disconnect();
+        
+        dispatchVoiceActivity('idle', 0);
+        document.dispatchEvent(new CustomEvent('user-speech-ended'));
+    };
+    
+    const frameTimer = setInterval(() => {
+        const now = performance.now();
+        const frameMs = now - lastFrameAt;
+        lastFrameAt = now;
+        
+        analyser.getFloatTimeDomainData(samples);
+        const { energy, zeroCrossingRate } = measureFrame(samples);
+        
+        // Learn the background level before the user starts talking
+        if (now - startedAt < vadSettings.calibrationMs) {
+            noiseFloor = (noiseFloor * calibrationFrames + energy) / (calibrationFrames + 1);
+            calibrationFrames++;
+            report('waiting', 0);
+            return;
+        }
+        
+        const threshold = Math.max(vadSettings.minEnergy, noiseFloor * vadSettings.energyRatio);
+        const isSpeech = energy >= threshold && zeroCrossingRate <= vadSettings.maxZeroCrossingRate;
+        
+        if (isSpeech) {
+            speechMs += frameMs;
+            if (speechMs >= vadSettings.minSpeechMs) {
+                heardSpeech = true;
+                silenceMs = 0;
+            }
+        } else {
+            speechMs = 0;
+            silenceMs += frameMs;
+            
+            // Follow slow changes in the room noise while nobody is talking
+            noiseFloor = noiseFloor * 0.95 + energy * 0.05;
+        }
+        
+        const level = Math.min(100, Math.round(energy / threshold * 50));
+        
+        // Brief gaps between words still show as speech
+        if (!heardSpeech) {
+            report('waiting', level);
+        } else {
+            report(silenceMs < vadSettings.minSpeechMs ? 'speech' : 'silence', level);
+        }
+        
+        if (heardSpeech && silenceMs >= vadSettings.silenceMs) {
+            stop();
+            onEnd('silence');
+        } else if (!heardSpeech && now - startedAt >= vadSettings.noSpeechTimeoutMs) {
+            stop();
+            onEnd('no-speech');
+        }
+    }, vadSettings.frameIntervalMs);
+    
+    document.dispatchEvent(new CustomEvent('user-speech-started'));
+    
+    return {
+        stop,
+        maxDurationMs: vadSettings.maxDurationMs
+    };
+}
+
+/**
+ * Watch the microphone while T-101 is speaking and report when the user starts talking
+ * Uses its own analyser, a stricter threshold than recordings (speaker echo reaches the
+ * microphone) and never touches the HUD readout
+ * @param {MediaStream} stream - Microphone stream, ideally with echo cancellation
+ * @param {Object} callbacks - Callbacks
+ * @param {Function} callbacks.onSpeech - Called once when sustained speech is heard
+ * @returns {Object|null} Controller with stop(), or null when detection is unavailable
+ */
+function detectSpeechOnset(stream, { onSpeech }) {
+    if (!vadSettings.enabled || !audioState.audioContext) {
+        return null;
+    }
+    
+    let source;
+    let analyser;
+    try {
+        if (audioState.audioContext.state === 'suspended') {
+            audioState.audioContext.resume();
+        }
+        
+        analyser = audioState.audioContext.createAnalyser();
+        analyser.fftSize = 256;
+        
+        if (typeof analyser.getFloatTimeDomainData !== 'function') {
+            return null;
+        }
+        
+        source = audioState.audioContext.createMediaStreamSource(stream);
+        source.connect(analyser);
+    } catch (error) {
+        console.warn('Speech onset detection unavailable:', error);
+        return null;
+    }
+    
+    const samples = new Float32Array(analyser.fftSize);
+    const startedAt = performance.now();
+    let lastFrameAt = startedAt;
+    let noiseFloor = 0;
+    let calibrationFrames = 0;
+    let speechMs = 0;
+    let stopped = false;
+    
+    const stop = () => {
+        if (stopped) return;
+        stopped = true;
+        
+        clearInterval(frameTimer);
+        source.disconnect();
+    };
+    
+    const frameTimer = setInterval(() => {
+        const now = performance.now();
+        const frameMs = now - lastFrameAt;
+        lastFrameAt = now;
+        
+        analyser.getFloatTimeDomainData(samples);
+        const { energy, zeroCrossingRate } = measureFrame(samples);
+        
+        // The calibration period measures the room plus whatever echo of T-101 remains
+        if (now - startedAt < vadSettings.calibrationMs) {
+            noiseFloor = (noiseFloor * calibrationFrames + energy) / (calibrationFrames + 1);
+            calibrationFrames++;
+            return;
+        }
+        
+        const threshold = Math.max(vadSettings.minEnergy, noiseFloor * vadSettings.bargeInEnergyRatio);
+        
+        if (energy >= threshold && zeroCrossingRate <= vadSettings.maxZeroCrossingRate) {
+            speechMs += frameMs;
+            
+            if (speechMs >= vadSettings.bargeInMinSpeechMs) {
+                stop();
+                onSpeech();
+            }
+        } else {
+            speechMs = 0;
+            noiseFloor = noiseFloor * 0.95 + energy * 0.05;
+        }
+    }, vadSettings.frameIntervalMs);
+    
+    return { stop };
+}
+
 /**
  * Record audio from microphone
- * @param {number} maxDuration - Maximum recording duration in milliseconds
+ * Recording ends after trailing silence when voice activity detection is available
+ * @param {number} maxDuration - Recording duration used when voice activity detection is unavailable
  * @returns {Promise<Blob>} Audio blob
  */
 async function recordAudio(maxDuration = 10000) {
@@ -614,8 +917,14 @@ async function recordAudio(maxDuration = 10000) {
                     }
                 });
                 
+                // Set once voice activity detection ends the recording
+                let endReason = null;
+                let detector = null;
+                
                 mediaRecorder.addEventListener('error', error => {
                     console.error('MediaRecorder error:', error);
+                    if (detector) detector.stop();
+                    
                     // Stop all tracks
                     stream.getTracks().forEach(track => track.stop());
                     
@@ -629,9 +938,22 @@ async function recordAudio(maxDuration = 10000) {
                 });
                 
                 mediaRecorder.addEventListener('stop', () => {
+                    if (detector) detector.stop();
+                    
                     // Stop all tracks
                     stream.getTracks().forEach(track => track.stop());
                     
+                    // Nothing worth transcribing was said
+                    if (endReason === 'no-speech') {
+                        if (window.animationController && 
+                            typeof window.animationController.setWaveformActive === 'function') {
+                            window.animationController.setWaveformActive(false);
+                        }
+                        
+                        reject(new Error('No speech detected'));
+                        return;
+                    }
+                    
                     // Check if we have any audio data
                     if (audioChunks.length === 0) {
                         console.error('No audio data recorded');
@@ -685,8 +1007,7 @@ async function recordAudio(maxDuration = 10000) {
                     }
                 }
                 
-                // Stop after maxDuration
-                setTimeout(() => {
+                const stopRecording = () => {
                     if (mediaRecorder.state === 'recording') {
                         mediaRecorder.stop();
                         
@@ -705,7 +1026,18 @@ async function recordAudio(maxDuration = 10000) {
                             waveContainer.remove();
                         }
                     }
-                }, maxDuration);
+                };
+                
+                // End the recording once the user stops talking
+                detector = detectVoiceActivity(stream, {
+                    onEnd: reason => {
+                        endReason = reason;
+                        stopRecording();
+                    }
+                });
+                
+                // Stop after the time limit (a long safety limit while detection runs)
+                setTimeout(stopRecording, detector ? detector.maxDurationMs : maxDuration);
             })
             .catch(error => {
                 console.error('Error accessing microphone:', error);
@@ -861,9 +1193,27 @@ async function processVoiceWithRecording(maxDuration) {
         const formData = new FormData();
         formData.append('audio', audioBlob, 'recording.webm');
         
-        // Send to server for processing
-        const response = await fetch('/api/process-audio', {
+        // Server-side preprocessing profile chosen in the API settings
+        const apiConfig = window.apiClient && typeof window.apiClient.getApiConfig === 'function' ?
+            window.apiClient.getApiConfig() : {};
+        if (apiConfig.preprocessing) {
+            formData.append('preprocessing', apiConfig.preprocessing);
+        }
+        
+        // Send to server for processing, within the current conversation session
+        const headers = {};
+        if (window.apiClient && typeof window.apiClient.getSessionId === 'function') {
+            headers['X-Session-ID'] = window.apiClient.getSessionId();
+        }
+        
+        // Signed in through the API client when it is loaded
+        const send = window.apiClient && typeof window.apiClient.serverFetch === 'function' ?
+            window.apiClient.serverFetch :
+            fetch;
+        
+        const response = await send('/api/process-audio', {
             method: 'POST',
+            headers,
             body: formData
         });
         
@@ -1155,7 +1505,10 @@ window.audioProcessor = {
     speakText,
     playSound,
     checkAudioSupport,
-    processVoiceInput
+    processVoiceInput,
+    detectVoiceActivity,
+    detectSpeechOnset,
+    configureVoiceActivity
 };
 
 // Initialize when DOM is loaded if not being imported by another script
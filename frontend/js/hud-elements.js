@@ -15,6 +15,9 @@ class HUDController {
         this.missionStatus = document.getElementById('mission-status');
         this.diagnostics = document.getElementById('system-diagnostics');
         this.warnings = document.getElementById('critical-warnings');
+        this.voiceRecognition = document.getElementById('voice-recognition');
+        this.speechQuota = document.getElementById('speech-quota');
+        this.warningDisplay = document.getElementById('warning-display');
         
         // Targeting ring elements
         this.outerRing = document.getElementById('targeting-outer-ring');
@@ -25,6 +28,10 @@ class HUDController {
         this.glitchInterval = null;
         this.scanInterval = null;
         this.warningTimeout = null;
+        this.quotaInterval = null;
+        
+        // Quota warning level last shown in the warnings panel
+        this.quotaWarningLevel = null;
         
         // Initialize animations
         this.initAnimations();
@@ -47,6 +54,9 @@ class HUDController {
         // Periodically update HUD values
         this.setupPeriodicUpdates();
         
+        // Track the speech character quota
+        this.setupQuotaMonitor();
+        
         // Add event listeners
         this.setupEventListeners();
     }
@@ -312,10 +322,82 @@ class HUDController {
         const memoryUsage = Math.floor(Math.random() * 30) + 50; // 50-79%
         const powerLevel = Math.floor(Math.random() * 20) + 80; // 80-99%
         
-        // Update diagnostics display
-        this.diagnostics.innerHTML = `
-            CPU: ${cpuUsage}% | MEM: ${memoryUsage}% | PWR: ${powerLevel}%
-        `;
+        // Update the CPU/MEM/PWR values in place, leaving the quota readout alone
+        const values = this.diagnostics.querySelectorAll('.resource-value');
+        [cpuUsage, memoryUsage, powerLevel].forEach((value, index) => {
+            if (values[index]) {
+                values[index].textContent = `${value}%`;
+            }
+        });
+    }
+    
+    // Poll the server's subscription status for the quota readout
+    setupQuotaMonitor() {
+        if (!this.speechQuota) return;
+        
+        this.updateSpeechQuota();
+        this.quotaInterval = setInterval(() => {
+            this.updateSpeechQuota();
+        }, 60000); // Every minute (the server polls ElevenLabs less often)
+    }
+    
+    // Fetch the subscription status and show it
+    async updateSpeechQuota() {
+        try {
+            // Sent with the terminal's session token when the API client is loaded
+            const serverFetch = window.apiClient && window.apiClient.serverFetch ? window.apiClient.serverFetch : fetch;
+            const response = await serverFetch('/api/subscription');
+            if (!response.ok) throw new Error(`Subscription status error: ${response.status}`);
+            
+            this.showSpeechQuota(await response.json());
+        } catch (error) {
+            console.warn('Could not update speech quota:', error);
+            this.showSpeechQuota({ available: false });
+        }
+    }
+    
+    // Show characters used/remaining and the reset date, and raise quota warnings
+    showSpeechQuota(status) {
+        const value = this.speechQuota.querySelector('.quota-value');
+        const level = status.warning ? status.warning.level : null;
+        
+        if (value) {
+            if (!status.available) {
+                value.textContent = 'OFFLINE';
+            } else {
+                const resetDate = status.resetsAt ? status.resetsAt.slice(0, 10) : 'UNKNOWN';
+                value.textContent = `${status.charactersUsed.toLocaleString()} / ${status.charactersLimit.toLocaleString()} USED | ` +
+                    `${status.charactersRemaining.toLocaleString()} LEFT | RESETS ${resetDate}`;
+            }
+        }
+        
+        this.speechQuota.classList.toggle('quota-warning', level === 'warning');
+        this.speechQuota.classList.toggle('quota-critical', level === 'critical');
+        
+        this.showQuotaWarning(status.warning || null);
+    }
+    
+    // Keep a quota warning in the critical warnings panel while usage is over a threshold
+    showQuotaWarning(warning) {
+        if (!this.warningDisplay) return;
+        
+        const level = warning ? warning.level : null;
+        if (level === this.quotaWarningLevel) return;
+        
+        this.quotaWarningLevel = level;
+        
+        if (!warning) {
+            this.warningDisplay.textContent = 'NO CRITICAL WARNINGS';
+            return;
+        }
+        
+        const message = document.createElement('div');
+        message.className = 'pulse-text';
+        message.textContent = `${level.toUpperCase()}: ${warning.message.toUpperCase()}`;
+        this.warningDisplay.replaceChildren(message);
+        
+        // Sound the alert whenever the warning level changes
+        this.playSound('warning-alert.mp3', level === 'critical' ? 0.5 : 0.3);
     }
     
     // Play a sound effect
@@ -376,6 +458,37 @@ class HUDController {
                 this.hudContainer.classList.remove('listening');
             }
         });
+        
+        // Show speech and silence from voice activity detection
+        document.addEventListener('voice-activity', (event) => {
+            this.showVoiceActivity(event.detail.state, event.detail.level);
+        });
+    }
+    
+    // Update the voice readout with the voice activity detector state
+    showVoiceActivity(state, level) {
+        if (!this.voiceRecognition) return;
+        
+        const activityText = {
+            waiting: 'AWAITING SPEECH',
+            speech: 'SPEECH DETECTED',
+            silence: 'SILENCE',
+            idle: 'STANDBY'
+        };
+        
+        const value = this.voiceRecognition.querySelector('.status-value');
+        const progress = this.voiceRecognition.querySelector('.status-progress');
+        
+        if (value) {
+            value.textContent = activityText[state] || activityText.idle;
+        }
+        
+        if (progress) {
+            progress.style.width = `${level}%`;
+        }
+        
+        this.voiceRecognition.classList.toggle('voice-speech', state === 'speech');
+        this.voiceRecognition.classList.toggle('voice-silence', state === 'silence' || state === 'waiting');
     }
     
     // Clean up resources when needed
@@ -384,6 +497,7 @@ class HUDController {
         if (this.glitchInterval) clearInterval(this.glitchInterval);
         if (this.scanInterval) clearInterval(this.scanInterval);
         if (this.warningTimeout) clearTimeout(this.warningTimeout);
+        if (this.quotaInterval) clearInterval(this.quotaInterval);
         
         // Remove event listeners
         if (this.targetingSystem) {
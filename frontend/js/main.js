@@ -370,12 +370,18 @@ function processUserInput(text) {
         window.terminalInterface.addSystemMessage("Processing input...", 'default');
     }
     
+    // Send the session ID so T-101 remembers earlier turns
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    if (window.apiClient && typeof window.apiClient.getSessionId === 'function') {
+        headers['X-Session-ID'] = window.apiClient.getSessionId();
+    }
+    
     // Send to OpenAI API
     fetch('/api/chat', {
         method: 'POST',
-        headers: {
-            'Content-Type': 'application/json'
-        },
+        headers,
         body: JSON.stringify({ message: text })
     })
     .then(response => response.json())
@@ -9,14 +9,29 @@ const terminalState = {
     historyIndex: -1,
     inputLocked: false,
     processingCommand: false,
+    activeRequest: null, // AbortController for the chat request in flight
+    finishTyping: null, // Completes the response being typed out at once
     terminalLines: [],
     maxLines: 100, // Maximum number of lines to keep in terminal history
     typingSpeed: {
         min: 20,  // Minimum milliseconds between characters
         max: 50   // Maximum milliseconds between characters
-    }
+    },
+    streamResponses: true // Render chat tokens as they arrive from the server
+};
+
+// `transcript export` formats: the server format and the downloaded file's extension and type
+const TRANSCRIPT_EXPORT_FORMATS = {
+    srt: { format: 'srt', extension: 'srt', type: 'application/x-subrip' },
+    vtt: { format: 'vtt', extension: 'vtt', type: 'text/vtt' },
+    json: { format: 'verbose_json', extension: 'json', type: 'application/json' },
+    text: { format: 'text', extension: 'txt', type: 'text/plain' }
 };
 
+// `voice clone` records this many samples of this length (ElevenLabs wants about a minute of speech)
+const VOICE_CLONE_SAMPLES = 3;
+const VOICE_SAMPLE_MS = 20000;
+
 /**
  * Initialize the terminal interface
  */
@@ -28,6 +43,42 @@ function initializeTerminalInterface() {
     
     // Set up microphone button
     setupMicButton();
+    
+    // Start a new voice turn when the user talks over T-101
+    document.addEventListener('speech-interrupted', (e) => {
+        if (e.detail && e.detail.source === 'voice') {
+            handleVoiceBargeIn();
+        }
+    });
+}
+
+/**
+ * Handle the user talking over T-101: drop the rest of the reply and listen
+ */
+function handleVoiceBargeIn() {
+    interruptResponse();
+    
+    const micButton = document.getElementById('mic-toggle');
+    if (micButton && !micButton.classList.contains('recording')) {
+        startSpeechRecognition(micButton);
+    }
+}
+
+/**
+ * Abandon the response in progress so a new turn can start right away
+ * The chat request is aborted and text being typed out is shown in full
+ */
+function interruptResponse() {
+    if (terminalState.activeRequest) {
+        terminalState.activeRequest.abort();
+        terminalState.activeRequest = null;
+    }
+    
+    if (terminalState.finishTyping) {
+        terminalState.finishTyping();
+    }
+    
+    terminalState.processingCommand = false;
 }
 
 /**
@@ -224,8 +275,12 @@ function startSpeechRecognition(micButton) {
     
     // Try different speech recognition methods in order of preference
     
+    // Browser recognition is English only; translate mode needs the server
+    const translating = window.apiClient && typeof window.apiClient.getApiConfig === 'function' &&
+        window.apiClient.getApiConfig().translate;
+    
     // 1. Try browser's built-in speech recognition first
-    if ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window) {
+    if (!translating && ('webkitSpeechRecognition' in window || 'SpeechRecognition' in window)) {
         const SpeechRecognition = window.SpeechRecognition || window.webkitSpeechRecognition;
         const recognition = new SpeechRecognition();
         
@@ -372,13 +427,10 @@ function fallbackToApiClient(micButton) {
                 .then(text => {
                     console.log('Voice input processed:', text);
                     
-                    // Add the recognized text to user input
+                    // The API client has already submitted or answered the recognized text
                     const userInput = document.getElementById('user-input-display');
                     if (userInput && text) {
                         userInput.textContent = text;
-                        
-                        // Process the recognized text
-                        addUserCommand(text);
                     }
                 })
                 .catch(error => {
@@ -497,13 +549,31 @@ function addUserCommand(command) {
     // Don't allow empty commands
     if (!command || command.trim() === '') return;
     
-    // Don't process if already processing a command
+    // New input barges in: the previous response and its speech are abandoned
     if (terminalState.processingCommand) {
-        console.log('Already processing a command, ignoring new input');
-        addSystemMessage('Processing previous command. Please wait...', 'warning');
-        return;
+        console.log('Interrupting previous command for new input');
+        interruptResponse();
     }
     
+    if (window.apiClient && typeof window.apiClient.interruptSpeech === 'function') {
+        window.apiClient.interruptSpeech('input');
+    }
+    
+    // Keep API and admin keys off the screen and out of the command history
+    renderUserCommand(command.replace(/^(\s*(?:login|voice\s+key)\s+)\S+/i, '$1********'));
+    
+    // Mark as processing command
+    terminalState.processingCommand = true;
+    
+    // Process the command
+    handleUserCommand(command);
+}
+
+/**
+ * Show a command in the terminal and its history without processing it
+ * @param {string} command - User command text
+ */
+function renderUserCommand(command) {
     // Add to command history
     terminalState.commandHistory.unshift(command);
     
@@ -534,12 +604,21 @@ function addUserCommand(command) {
         text: command,
         type: 'user'
     });
+}
+
+/**
+ * Show a spoken command that the server answers itself (voice channel turns)
+ * @param {string} transcript - Final transcript of the utterance (its English translation in translate mode)
+ * @param {Object} details - Translated turns: { original, language } of what was said
+ */
+function addUserTranscript(transcript, details = {}) {
+    if (!transcript || transcript.trim() === '') return;
     
-    // Mark as processing command
-    terminalState.processingCommand = true;
+    if (details.original) {
+        addSystemMessage(`ORIGINAL [${(details.language || 'unknown').toUpperCase()}]: ${details.original}`, 'default');
+    }
     
-    // Process the command
-    handleUserCommand(command);
+    renderUserCommand(transcript);
 }
 
 /**
@@ -547,25 +626,11 @@ function addUserCommand(command) {
  * @param {string} response - AI response text
  */
 function addAIResponse(response) {
-    // Create response element
-    const responseElement = document.createElement('div');
-    responseElement.className = 'response-line';
-    
-    // Add the prefix immediately
-    responseElement.innerHTML = `<span class="terminal-prefix">T-101 > </span> <span class="typing-text"></span>`;
-    
-    // Add to display right away
-    const speechDisplay = document.getElementById('ai-response');
-    if (speechDisplay) {
-        speechDisplay.appendChild(responseElement);
-        speechDisplay.scrollTop = speechDisplay.scrollHeight;
-    }
-    
-    // Get the typing-text element we just created
-    const typingElement = responseElement.querySelector('.typing-text');
+    const { speechDisplay, typingElement } = createAIResponseElement();
     
     // Type the text character by character
     let i = 0;
+    let typingTimer = null;
     function typeNextChar() {
         if (i < response.length) {
             // Create a span for each character to animate it
@@ -576,7 +641,7 @@ function addAIResponse(response) {
             
             i++;
             // Random timing between min and max for more realistic typing
-            setTimeout(typeNextChar, Math.random() * 
+            typingTimer = setTimeout(typeNextChar, Math.random() * 
                 (terminalState.typingSpeed.max - terminalState.typingSpeed.min) + 
                 terminalState.typingSpeed.min);
             
@@ -585,22 +650,29 @@ function addAIResponse(response) {
         } else {
             // Typing complete, mark command as processed
             terminalState.processingCommand = false;
-            
-            // Try to play sound effect for finished typing
-            try {
-                const terminalBeep = document.getElementById('terminal-beep');
-                if (terminalBeep) {
-                    terminalBeep.volume = 0.2;
-                    terminalBeep.play().catch(e => {
-                        console.log('Sound play prevented by browser policy', e);
-                    });
-                }
-            } catch (error) {
-                console.error('Error playing sound:', error);
+            if (terminalState.finishTyping === finishTyping) {
+                terminalState.finishTyping = null;
             }
+            
+            playTypingCompleteSound();
         }
     }
     
+    // An interruption shows the rest of the response without the animation
+    function finishTyping() {
+        clearTimeout(typingTimer);
+        terminalState.finishTyping = null;
+        
+        const charSpan = document.createElement('span');
+        charSpan.className = 'char';
+        charSpan.textContent = response.slice(i);
+        typingElement.appendChild(charSpan);
+        i = response.length;
+        
+        speechDisplay.scrollTop = speechDisplay.scrollHeight;
+    }
+    terminalState.finishTyping = finishTyping;
+    
     // Start typing
     typeNextChar();
     
@@ -614,6 +686,187 @@ function addAIResponse(response) {
     trimTerminalHistory(speechDisplay);
 }
 
+/**
+ * Create an empty T-101 response line in the terminal
+ * @returns {Object} The speech display and the element that receives typed characters
+ */
+function createAIResponseElement() {
+    // Create response element
+    const responseElement = document.createElement('div');
+    responseElement.className = 'response-line';
+    
+    // Add the prefix immediately
+    responseElement.innerHTML = `<span class="terminal-prefix">T-101 > </span> <span class="typing-text"></span>`;
+    
+    // Add to display right away
+    const speechDisplay = document.getElementById('ai-response');
+    if (speechDisplay) {
+        speechDisplay.appendChild(responseElement);
+        speechDisplay.scrollTop = speechDisplay.scrollHeight;
+    }
+    
+    return {
+        speechDisplay,
+        typingElement: responseElement.querySelector('.typing-text')
+    };
+}
+
+/**
+ * Play the beep that marks a finished T-101 response
+ */
+function playTypingCompleteSound() {
+    try {
+        const terminalBeep = document.getElementById('terminal-beep');
+        if (terminalBeep) {
+            terminalBeep.volume = 0.2;
+            terminalBeep.play().catch(e => {
+                console.log('Sound play prevented by browser policy', e);
+            });
+        }
+    } catch (error) {
+        console.error('Error playing sound:', error);
+    }
+}
+
+/**
+ * Add a T-101 response that is filled in as tokens stream from the server
+ * @returns {Object} Handle with append(text) and complete() methods
+ */
+function addStreamingAIResponse() {
+    const { speechDisplay, typingElement } = createAIResponseElement();
+    let fullText = '';
+    
+    return {
+        /**
+         * Render newly received text using the typing styling
+         * @param {string} text - Text fragment to append
+         */
+        append(text) {
+            for (const char of text) {
+                const charSpan = document.createElement('span');
+                charSpan.className = 'char';
+                charSpan.textContent = char;
+                typingElement.appendChild(charSpan);
+            }
+            
+            fullText += text;
+            
+            if (speechDisplay) {
+                speechDisplay.scrollTop = speechDisplay.scrollHeight;
+            }
+        },
+        
+        /**
+         * Finish the response and store it in the terminal history
+         * @returns {string} The complete response text
+         */
+        complete() {
+            playTypingCompleteSound();
+            
+            terminalState.terminalLines.push({
+                text: fullText,
+                type: 'ai'
+            });
+            
+            trimTerminalHistory(speechDisplay);
+            
+            return fullText;
+        }
+    };
+}
+
+/**
+ * Stream a chat response from the server, rendering tokens as they arrive
+ * @param {string} command - User command text
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal} signal - Aborts the request when the user interrupts
+ * @returns {Promise<string>} The complete response text (rejects with error.partialResponse set
+ *   when the stream failed after tokens were shown)
+ */
+async function streamChatResponse(command, headers, signal) {
+    const response = await serverFetch('/api/chat/stream', {
+        method: 'POST',
+        headers,
+        body: JSON.stringify({ message: command }),
+        signal
+    });
+    
+    if (!response.ok || !response.body) {
+        throw new Error(`Server returned ${response.status}`);
+    }
+    
+    const reader = response.body.getReader();
+    const decoder = new TextDecoder();
+    let buffer = '';
+    let streamingResponse = null;
+    
+    try {
+        while (true) {
+            const { done, value } = await reader.read();
+            if (done) break;
+            
+            buffer += decoder.decode(value, { stream: true });
+            
+            // Events are separated by a blank line
+            const events = buffer.split('\n\n');
+            buffer = events.pop();
+            
+            for (const rawEvent of events) {
+                const dataLine = rawEvent.split('\n').find(line => line.startsWith('data: '));
+                if (!dataLine) continue;
+                
+                const data = JSON.parse(dataLine.slice(6));
+                
+                if (data.event === 'token') {
+                    // Create the response line on the first token
+                    if (!streamingResponse) {
+                        streamingResponse = addStreamingAIResponse();
+                    }
+                    streamingResponse.append(data.text);
+                } else if (data.event === 'done') {
+                    if (!streamingResponse) {
+                        streamingResponse = addStreamingAIResponse();
+                        streamingResponse.append(data.response);
+                    }
+                    return streamingResponse.complete();
+                } else if (data.event === 'error') {
+                    throw new Error(data.message);
+                }
+            }
+        }
+    } catch (error) {
+        // Tokens already shown stay on screen; partialResponse tells the caller not to ask again
+        if (streamingResponse && !(signal && signal.aborted)) {
+            error.partialResponse = streamingResponse.complete();
+        }
+        throw error;
+    }
+    
+    if (streamingResponse) {
+        return streamingResponse.complete();
+    }
+    
+    throw new Error('Chat stream ended without a response');
+}
+
+/**
+ * Speak an AI response if speech is available
+ * @param {string} response - AI response text
+ */
+function speakAIResponse(response) {
+    if (window.apiClient && typeof window.apiClient.speakText === 'function') {
+        window.apiClient.speakText(response)
+            .catch(error => {
+                console.error('Speech synthesis error:', error);
+            });
+    } else if (window.audioProcessor && typeof window.audioProcessor.speakText === 'function') {
+        window.audioProcessor.speakText(response)
+            .catch(error => {
+                console.error('Speech synthesis error:', error);
+            });
+    }
+}
+
 /**
  * Trim terminal history if it exceeds maximum lines
  * @param {HTMLElement} speechDisplay - Speech display element
@@ -660,14 +913,395 @@ function handleUserCommand(command) {
         return;
     }
     
+    // Start a fresh conversation on the server
+    if (command.toLowerCase() === 'reset') {
+        if (window.apiClient && typeof window.apiClient.resetSession === 'function') {
+            window.apiClient.resetSession()
+                .then(() => addSystemMessage("Conversation memory purged.", 'success'))
+                .finally(() => {
+                    terminalState.processingCommand = false;
+                });
+        } else {
+            addSystemMessage("Conversation memory unavailable.", 'warning');
+            terminalState.processingCommand = false;
+        }
+        return;
+    }
+    
+    // Translate voice input to English: translate [on|off]
+    if (/^translate(\s|$)/i.test(command)) {
+        handleTranslateCommand(command.trim().split(/\s+/)[1]);
+        return;
+    }
+    
+    // Manage ElevenLabs voices: voice list|use|key|clone|edit|delete
+    if (/^voice(\s|$)/i.test(command)) {
+        handleVoiceCommand(command.trim().split(/\s+/).slice(1));
+        return;
+    }
+    
+    // Sign in and out: login <api key> | logout | whoami
+    if (/^(login|logout|whoami)(\s|$)/i.test(command)) {
+        handleSessionCommand(command.trim().split(/\s+/));
+        return;
+    }
+    
+    // Caption a recording: transcript export [srt|vtt|json|text]
+    if (/^transcript(\s|$)/i.test(command)) {
+        handleTranscriptCommand(command.trim().split(/\s+/).slice(1));
+        return;
+    }
+    
+    // Send the session ID so T-101 remembers earlier turns
+    const headers = {
+        'Content-Type': 'application/json'
+    };
+    if (window.apiClient && typeof window.apiClient.getSessionId === 'function') {
+        headers['X-Session-ID'] = window.apiClient.getSessionId();
+    }
+    
+    // New input aborts this request (see interruptResponse)
+    const request = new AbortController();
+    terminalState.activeRequest = request;
+    
+    // Stream tokens when enabled, falling back to a single request if streaming fails before any token
+    if (terminalState.streamResponses) {
+        streamChatResponse(command, headers, request.signal)
+            .then(response => {
+                terminalState.activeRequest = null;
+                terminalState.processingCommand = false;
+                speakAIResponse(response);
+            })
+            .catch(error => {
+                if (request.signal.aborted) return;
+                
+                // Part of the reply is on screen: keep it rather than printing (and paying for) it twice
+                if (error.partialResponse !== undefined) {
+                    console.error('Chat stream failed mid-response:', error);
+                    terminalState.activeRequest = null;
+                    terminalState.processingCommand = false;
+                    addSystemMessage(`Error: response interrupted (${error.message})`, 'error');
+                    return;
+                }
+                
+                console.warn('Streaming chat failed, retrying without streaming:', error);
+                requestChatResponse(command, headers, request.signal);
+            });
+        return;
+    }
+    
+    requestChatResponse(command, headers, request.signal);
+}
+
+/**
+ * Handle `translate [on|off]`: switch translate mode, or report it when no argument is given
+ * @param {string} [setting] - 'on' or 'off'
+ */
+function handleTranslateCommand(setting) {
+    terminalState.processingCommand = false;
+    
+    if (!window.apiClient || typeof window.apiClient.setApiConfig !== 'function') {
+        addSystemMessage("Translation module offline.", 'warning');
+        return;
+    }
+    
+    const value = (setting || '').toLowerCase();
+    
+    if (value === 'on' || value === 'off') {
+        window.apiClient.setApiConfig({ translate: value === 'on' });
+    } else if (value) {
+        addSystemMessage("Usage: translate [on|off]", 'warning');
+        return;
+    }
+    
+    addSystemMessage(window.apiClient.getApiConfig().translate ?
+        "Translate mode ON: speak any language, T-101 answers in English." :
+        "Translate mode OFF.", 'success');
+}
+
+/**
+ * Handle `login <api key>`, `logout` and `whoami`
+ * @param {string[]} args - Command and its arguments
+ */
+function handleSessionCommand(args) {
+    const [action, apiKey] = args;
+    const api = window.apiClient;
+    
+    if (!api || typeof api.startSession !== 'function') {
+        addSystemMessage("Authentication module offline.", 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    if (action.toLowerCase() === 'whoami') {
+        const user = api.getSessionUser();
+        addSystemMessage(user ?
+            `IDENTIFIED: ${user.name} (${user.id}). Scopes: ${user.scopes.join(', ')}. Session ends ${new Date(user.expiresAt).toLocaleTimeString()}.` :
+            "NOT SIGNED IN. Type \"login <api key>\" to sign in.", user ? 'success' : 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    if (action.toLowerCase() === 'login' && !apiKey) {
+        addSystemMessage("Usage: login <api key>", 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    const pending = action.toLowerCase() === 'login' ? api.startSession(apiKey) : api.endSession();
+    
+    pending
+        .then(session => {
+            if (action.toLowerCase() === 'login') {
+                addSystemMessage(`ACCESS GRANTED: ${session.user.name}.`, 'success');
+            } else {
+                addSystemMessage(session ? "Signed out. Continuing as guest." : "Signed out.", 'success');
+            }
+        })
+        .catch(error => addSystemMessage(`ACCESS DENIED: ${error.message}`, 'error'))
+        .finally(() => {
+            terminalState.processingCommand = false;
+        });
+}
+
+/**
+ * Handle `voice` commands:
+ *   voice list | voice use <id> | voice key <admin key>
+ *   voice clone <name> | voice edit <id> <new name> | voice delete <id>
+ * @param {string[]} args - Command arguments
+ */
+function handleVoiceCommand(args) {
+    const [action = '', voiceId, ...rest] = args;
+    const api = window.apiClient;
+    
+    if (!api || typeof api.listVoices !== 'function') {
+        addSystemMessage("Voice module offline.", 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    const usage = "Usage: voice list | use <id> | key <admin key> | clone <name> | edit <id> <new name> | delete <id>";
+    let task;
+    
+    switch (action.toLowerCase()) {
+        case 'list':
+            task = api.listVoices().then(voices => {
+                const current = api.getApiConfig().voiceId;
+                voices.forEach(voice => addSystemMessage(
+                    `${voice.voice_id === current ? '*' : ' '} ${voice.voice_id}  ${voice.name}${voice.category ? ` [${voice.category}]` : ''}`,
+                    'default'
+                ));
+                addSystemMessage(`${voices.length} voices. * marks the active voice.`, 'success');
+            });
+            break;
+            
+        case 'use':
+            if (!voiceId) break;
+            task = api.listVoices().then(voices => {
+                const voice = voices.find(candidate => candidate.voice_id === voiceId);
+                if (!voice) throw new Error(`Unknown voice: ${voiceId}`);
+                
+                api.setApiConfig({ voiceId });
+                addSystemMessage(`Voice set: ${voice.name}`, 'success');
+            });
+            break;
+            
+        case 'key':
+            if (!voiceId) break;
+            api.setAdminKey(voiceId);
+            addSystemMessage("Admin key accepted for this session.", 'success');
+            task = Promise.resolve();
+            break;
+            
+        case 'clone': {
+            const name = [voiceId, ...rest].filter(Boolean).join(' ');
+            if (!name) break;
+            task = recordVoiceSamples().then(samples => {
+                addSystemMessage(`Cloning voice ${name}...`, 'default');
+                return api.cloneVoice(name, samples);
+            }).then(voice => {
+                api.setApiConfig({ voiceId: voice.voice_id });
+                addSystemMessage(`Voice cloned: ${voice.name} (${voice.voice_id}). T-101 now speaks with it.`, 'success');
+            });
+            break;
+        }
+            
+        case 'edit': {
+            const name = rest.join(' ');
+            if (!voiceId || !name) break;
+            task = api.editVoice(voiceId, { name })
+                .then(voice => addSystemMessage(`Voice renamed: ${voice.name}`, 'success'));
+            break;
+        }
+            
+        case 'delete':
+            if (!voiceId) break;
+            task = api.deleteVoice(voiceId).then(() => {
+                addSystemMessage(`Voice deleted: ${voiceId}`, 'success');
+                if (api.getApiConfig().voiceId === voiceId) {
+                    addSystemMessage("That was the active voice. Choose another with: voice use <id>", 'warning');
+                }
+            });
+            break;
+    }
+    
+    if (!task) {
+        addSystemMessage(usage, 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    task
+        .catch(error => addSystemMessage(`Voice ${action.toLowerCase()} failed: ${error.message}`, 'error'))
+        .finally(() => {
+            terminalState.processingCommand = false;
+        });
+}
+
+/**
+ * Record the samples for `voice clone`, prompting before each one
+ * @returns {Promise<Blob[]>} Recorded samples
+ */
+async function recordVoiceSamples() {
+    const samples = [];
+    
+    for (let index = 1; index <= VOICE_CLONE_SAMPLES; index++) {
+        addSystemMessage(`Recording sample ${index}/${VOICE_CLONE_SAMPLES}: speak for ${VOICE_SAMPLE_MS / 1000} seconds.`, 'default');
+        samples.push(await window.apiClient.recordAudio(VOICE_SAMPLE_MS, { voiceActivity: false }));
+    }
+    
+    return samples;
+}
+
+/**
+ * Handle `transcript export [format]`: transcribe a chosen audio or video file and download
+ * the transcript. The export runs in the background, so chatting continues meanwhile
+ * @param {string[]} args - Command arguments
+ */
+function handleTranscriptCommand(args) {
+    const [action, formatName = 'srt'] = args.map(arg => arg.toLowerCase());
+    const exportFormat = TRANSCRIPT_EXPORT_FORMATS[formatName];
+    
+    if (action !== 'export' || !exportFormat) {
+        addSystemMessage(`Usage: transcript export [${Object.keys(TRANSCRIPT_EXPORT_FORMATS).join('|')}]`, 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    if (!window.apiClient || typeof window.apiClient.transcribeFile !== 'function') {
+        addSystemMessage("Transcription module offline.", 'warning');
+        terminalState.processingCommand = false;
+        return;
+    }
+    
+    chooseFile('audio/*,video/*')
+        .then(file => {
+            terminalState.processingCommand = false;
+            
+            if (!file) {
+                addSystemMessage("Transcript export cancelled.", 'warning');
+                return;
+            }
+            
+            addSystemMessage(`Transcribing ${file.name}...`, 'default');
+            
+            // One line per stage and quarter rather than per progress event
+            let lastReport = '';
+            const onProgress = progress => {
+                const report = `${progress.stage.toUpperCase()}: ${Math.floor(progress.percent / 25) * 25}%`;
+                if (report !== lastReport) {
+                    lastReport = report;
+                    addSystemMessage(report, 'default');
+                }
+            };
+            
+            return window.apiClient.transcribeFile(file, { format: exportFormat.format, onProgress })
+                .then(result => {
+                    const { event, format, content, ...transcript } = result;
+                    const filename = `${file.name.replace(/\.[^.]*$/, '')}.${exportFormat.extension}`;
+                    
+                    downloadFile(
+                        content !== undefined ? content : JSON.stringify(transcript, null, 2),
+                        filename,
+                        exportFormat.type
+                    );
+                    
+                    addSystemMessage(`Transcript exported: ${filename}`, 'success');
+                    
+                    if (transcript.timings && transcript.timings.segments === 'estimated') {
+                        addSystemMessage("Timestamps estimated: transcription service returned none.", 'warning');
+                    }
+                });
+        })
+        .catch(error => {
+            terminalState.processingCommand = false;
+            addSystemMessage(`Transcript export failed: ${error.message}`, 'error');
+        });
+}
+
+/**
+ * Ask the user for a file
+ * @param {string} accept - Accepted file types
+ * @returns {Promise<File|null>} The chosen file, or null when the picker was dismissed
+ */
+function chooseFile(accept) {
+    return new Promise(resolve => {
+        const input = document.createElement('input');
+        input.type = 'file';
+        input.accept = accept;
+        input.addEventListener('change', () => resolve(input.files[0] || null));
+        input.addEventListener('cancel', () => resolve(null));
+        input.click();
+    });
+}
+
+/**
+ * Save text as a download
+ * @param {string} content - File content
+ * @param {string} filename - Suggested file name
+ * @param {string} type - MIME type
+ */
+function downloadFile(content, filename, type) {
+    const url = URL.createObjectURL(new Blob([content], { type }));
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    
+    // Give the browser time to start the download before releasing the blob
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+/**
+ * Fetch from the server with the signed-in session, through the API client when it is loaded
+ * @param {string} url - Server URL
+ * @param {Object} options - Fetch options
+ * @returns {Promise<Response>} Fetch response
+ */
+function serverFetch(url, options) {
+    if (window.apiClient && typeof window.apiClient.serverFetch === 'function') {
+        return window.apiClient.serverFetch(url, options);
+    }
+    
+    return fetch(url, options);
+}
+
+/**
+ * Request a complete chat response from the server and type it out
+ * @param {string} command - User command text
+ * @param {Object} headers - Request headers
+ * @param {AbortSignal} signal - Aborts the request when the user interrupts
+ */
+function requestChatResponse(command, headers, signal) {
     // First, try to use the OpenAI API through our server
     try {
-        fetch('/api/chat', {
+        serverFetch('/api/chat', {
             method: 'POST',
-            headers: {
-                'Content-Type': 'application/json'
-            },
-            body: JSON.stringify({ message: command })
+            headers,
+            body: JSON.stringify({ message: command }),
+            signal
         })
         .then(response => {
             if (!response.ok) {
@@ -676,27 +1310,25 @@ function handleUserCommand(command) {
             return response.json();
         })
         .then(data => {
+            // The typing animation, not the request, is now what new input interrupts
+            if (terminalState.activeRequest && terminalState.activeRequest.signal === signal) {
+                terminalState.activeRequest = null;
+            }
+            
             if (data.success && data.response) {
                 // Display the AI response with typing animation
                 addAIResponse(data.response);
                 
                 // Speak the response if speech available
-                if (window.apiClient && typeof window.apiClient.speakText === 'function') {
-                    window.apiClient.speakText(data.response)
-                        .catch(error => {
-                            console.error('Speech synthesis error:', error);
-                        });
-                } else if (window.audioProcessor && typeof window.audioProcessor.speakText === 'function') {
-                    window.audioProcessor.speakText(data.response)
-                        .catch(error => {
-                            console.error('Speech synthesis error:', error);
-                        });
-                }
+                speakAIResponse(data.response);
             } else {
                 throw new Error(data.error || 'Failed to get response from T-101');
             }
         })
         .catch(error => {
+            // The user moved on to a new turn
+            if (signal && signal.aborted) return;
+            
             console.error('Error communicating with AI:', error);
             
             // Add error message
@@ -765,6 +1397,14 @@ function generateFallbackResponse(input) {
     return fallbacks[Math.floor(Math.random() * fallbacks.length)];
 }
 
+/**
+ * Enable or disable token streaming for chat responses
+ * @param {boolean} enabled - Whether to stream responses
+ */
+function setStreamingMode(enabled) {
+    terminalState.streamResponses = !!enabled;
+}
+
 /**
  * Set typing speed for AI responses
  * @param {number} min - Minimum milliseconds between characters
@@ -779,9 +1419,12 @@ function setTypingSpeed(min, max) {
 window.terminalInterface = {
     addSystemMessage,
     addUserCommand,
+    addUserTranscript,
     addAIResponse,
+    addStreamingAIResponse,
     clearTerminal,
-    setTypingSpeed
+    setTypingSpeed,
+    setStreamingMode
 };
 
 // Initialize when DOM is loaded
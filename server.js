@@ -4,14 +4,29 @@
  */
 
 const express = require('express');
-const cors = require('cors');
-const axios = require('axios');
 const path = require('path');
 const fs = require('fs');
 const dotenv = require('dotenv');
 const multer = require('multer');
 const { Readable } = require('stream');
 const FormData = require('form-data');
+const config = require('./backend/config');
+const apiRoutes = require('./backend/routes/api-routes');
+const authRoutes = require('./backend/routes/auth-routes');
+const authMiddleware = require('./backend/middleware/auth-middleware');
+const rateLimiter = require('./backend/middleware/rate-limiter');
+const securityHeaders = require('./backend/middleware/security-headers');
+const conversationService = require('./backend/services/conversation-service');
+const llmService = require('./backend/services/llm-service');
+const speechCacheService = require('./backend/services/speech-cache-service');
+const subscriptionService = require('./backend/services/subscription-service');
+const usageService = require('./backend/services/usage-service');
+const transcriptionService = require('./backend/services/transcription-service');
+const voiceChannelService = require('./backend/services/voice-channel-service');
+const webhookService = require('./backend/services/webhook-service');
+const mockFixtures = require('./backend/utils/mock-fixtures');
+const transcriptFormatter = require('./backend/utils/transcript-formatter');
+const upstreamClient = require('./backend/utils/upstream-client');
 
 // Load environment variables
 dotenv.config();
@@ -26,11 +41,32 @@ console.log('- ELEVEN_LABS_API_KEY exists:', !!process.env.ELEVEN_LABS_API_KEY);
 console.log('- OPENAI_API_KEY exists:', !!process.env.OPENAI_API_KEY);
 
 // Middleware configuration
-app.use(cors({
-    origin: process.env.CORS_ORIGINS ? process.env.CORS_ORIGINS.split(',') : '*',
-    methods: ['GET', 'POST', 'OPTIONS'],
-    allowedHeaders: ['Content-Type', 'Authorization', 'X-Requested-With', 'X-API-Key']
-}));
+app.disable('x-powered-by');
+if (config.server.trustProxy) {
+    app.set('trust proxy', true);
+}
+app.use(securityHeaders.securityHeaders);
+app.use(securityHeaders.corsPolicy);
+
+// Content-Security-Policy violations posted by browsers (report-uri and Reporting API formats)
+// Registered before the global body parsers so its own 16kb limit applies
+app.post('/api/csp-report',
+    rateLimiter.cspReportRateLimiter,
+    express.json({ type: ['application/csp-report', 'application/reports+json', 'application/json'], limit: '16kb' }),
+    (req, res) => {
+        const violations = securityHeaders.readCspReports(req.body);
+
+        if (violations.length === 0) {
+            return res.status(400).json({
+                error: 'Invalid CSP report',
+                details: 'Expected a "csp-report" object or csp-violation reports'
+            });
+        }
+
+        violations.forEach(violation => console.warn('CSP violation:', JSON.stringify(violation)));
+        res.status(204).end();
+    });
+
 app.use(express.json({ limit: '10mb' }));
 app.use(express.urlencoded({ extended: true, limit: '10mb' }));
 
@@ -45,10 +81,34 @@ const upload = multer({
     }
 });
 
+// Transcription uploads may be far larger than Whisper accepts, so they go to disk
+const transcriptionUpload = multer({
+    dest: path.join(config.paths.temp, 'uploads'),
+    limits: {
+        fileSize: config.transcription.maxUploadSize
+    }
+});
+
 // API Key Configuration
 const ELEVEN_LABS_API_KEY = process.env.ELEVEN_LABS_API_KEY;
 const OPENAI_API_KEY = process.env.OPENAI_API_KEY;
 
+// Serve deterministic fixtures instead of calling the external APIs (see config.apis.*.useMockResponses)
+const MOCK_SPEECH = config.apis.elevenLabs.useMockResponses;
+const MOCK_TRANSCRIPTION = config.apis.whisper.useMockResponses;
+
+// Upstream API clients (base URL, timeout and proxy from config.js)
+const elevenLabsApi = upstreamClient.createUpstreamClient(config.apis.elevenLabs);
+const openAiApi = upstreamClient.createUpstreamClient(config.apis.whisper);
+
+// Default T-101 persona used when a request does not provide its own system prompt
+const DEFAULT_SYSTEM_PROMPT =
+    "You are T-101, a cybernetic AI assistant with a mission to secure the future of decentralized AI. " +
+    "Respond in a terse, somewhat mechanical way, like a futuristic AI in a cyberpunk setting. " +
+    "Keep responses relatively short and direct. Your primary objective is to analyze, predict, and execute. " +
+    "Your directives are to secure decentralized AI futures. You monitor for market instability. " +
+    "You should occasionally reference system diagnostics, threat levels, or security protocols in your responses.";
+
 // Logging utility
 function logRequest(req, message) {
     console.log(`[${new Date().toISOString()}] ${message}`, {
@@ -60,6 +120,22 @@ function logRequest(req, message) {
 
 // Error handling middleware
 function errorHandler(err, req, res, next) {
+    // Rejected uploads (e.g. over the size limit) are the client's error
+    if (err instanceof multer.MulterError) {
+        return res.status(err.code === 'LIMIT_FILE_SIZE' ? 413 : 400).json({
+            error: 'Upload rejected',
+            details: err.message
+        });
+    }
+
+    // Bodies the JSON and form parsers refused (too large, malformed)
+    if (err.type && err.status >= 400 && err.status < 500) {
+        return res.status(err.status).json({
+            error: 'Request body rejected',
+            details: err.message
+        });
+    }
+
     console.error('Unhandled Error:', err);
     res.status(500).json({
         error: 'Internal Server Error',
@@ -68,24 +144,32 @@ function errorHandler(err, req, res, next) {
     });
 }
 
-// API Key validation middleware
-function validateApiKey(req, res, next) {
-    // Skip validation if no API key is configured
-    if (!process.env.API_KEY) {
-        return next();
-    }
+// Conversation session from the X-Session-ID header (null when absent or malformed)
+function getSessionId(req) {
+    const sessionId = req.headers['x-session-id'];
+    return conversationService.isValidSessionId(sessionId) ? sessionId : null;
+}
 
-    const apiKey = req.headers['x-api-key'];
-    const validApiKey = process.env.API_KEY;
+// Whether the request may continue the session it names (sessions of other users count as missing)
+function canUseSession(req, sessionId) {
+    return conversationService.isAccessibleBy(sessionId, authMiddleware.getUserId(req));
+}
 
-    if (!apiKey || apiKey !== validApiKey) {
-        return res.status(401).json({
-            error: 'Unauthorized',
-            message: 'Invalid or missing API key'
-        });
-    }
+// Error body for requests naming another user's session
+function sessionNotFound(sessionId) {
+    return {
+        error: 'Session not found',
+        details: `No conversation session ${sessionId}`
+    };
+}
 
-    next();
+// Error body for chat requests when the active LLM provider cannot be used
+function llmNotConfigured() {
+    const { provider } = llmService.getStatus();
+    return {
+        error: 'LLM provider not configured',
+        details: `No API key found for the "${provider}" provider`
+    };
 }
 
 // Routes
@@ -98,12 +182,37 @@ app.get('/api/health', (req, res) => {
         apis: {
             elevenLabs: !!ELEVEN_LABS_API_KEY,
             openAI: !!OPENAI_API_KEY
+        },
+        mocks: {
+            elevenLabs: MOCK_SPEECH,
+            whisper: MOCK_TRANSCRIPTION
+        },
+        llm: llmService.getStatus(),
+        voiceChannel: voiceChannelService.getStatus()
+    });
+});
+
+// Non-secret settings for the browser client (voice channel path, which features the server can serve)
+// The browser never calls the upstream APIs itself, so no provider endpoint or key is exposed here
+app.get('/api/client-config', (req, res) => {
+    res.json({
+        endpoints: {
+            voiceChannel: config.voiceChannel.path
+        },
+        features: {
+            chat: llmService.isConfigured(),
+            speech: !!ELEVEN_LABS_API_KEY || MOCK_SPEECH,
+            transcription: !!OPENAI_API_KEY || MOCK_TRANSCRIPTION
         }
     });
 });
 
 // ElevenLabs voice list endpoint
-app.get('/api/voices', async (req, res) => {
+app.get('/api/voices', authMiddleware.requireScope('voices'), async (req, res) => {
+    if (MOCK_SPEECH) {
+        return res.json({ voices: mockFixtures.getVoices() });
+    }
+
     if (!ELEVEN_LABS_API_KEY) {
         return res.status(500).json({ 
             error: 'ElevenLabs API key not configured',
@@ -112,9 +221,9 @@ app.get('/api/voices', async (req, res) => {
     }
 
     try {
-        const response = await axios({
+        const response = await elevenLabsApi({
             method: 'GET',
-            url: 'https://api.elevenlabs.io/v1/voices',
+            url: '/voices',
             headers: {
                 'Accept': 'application/json',
                 'xi-api-key': ELEVEN_LABS_API_KEY
@@ -144,11 +253,41 @@ app.get('/api/voices', async (req, res) => {
     }
 });
 
+// ElevenLabs character quota: usage, reset date and the warning level (?refresh=true polls now)
+// Reading needs the tts scope; ?refresh=true calls ElevenLabs at once, so it is for admins only
+app.get('/api/subscription', (req, res, next) => {
+    if (req.query.refresh === 'true') {
+        return authMiddleware.requireAdminKey(req, res, next);
+    }
+    authMiddleware.requireScope('tts')(req, res, next);
+}, async (req, res) => {
+    const status = req.query.refresh === 'true' ?
+        await subscriptionService.refresh() :
+        await subscriptionService.getStatus();
+
+    res.json(status);
+});
+
+// Metered usage and estimated cost, rolled up by day and API key (admin only)
+app.get('/api/usage', authMiddleware.requireAdminKey, async (req, res) => {
+    const { from, to, apiKey, userId, sessionId } = req.query;
+
+    try {
+        res.json(await usageService.getUsage({ from, to, apiKey, userId, sessionId }));
+    } catch (error) {
+        const invalid = error.name === 'ValidationError';
+        res.status(invalid ? 400 : 500).json({
+            error: invalid ? 'Invalid Request' : 'Usage Unavailable',
+            details: error.message
+        });
+    }
+});
+
 // ElevenLabs Text-to-Speech endpoint
-app.post('/api/tts', async (req, res) => {
+app.post('/api/tts', authMiddleware.requireScope('tts'), async (req, res) => {
     logRequest(req, 'TTS Request Received');
 
-    if (!ELEVEN_LABS_API_KEY) {
+    if (!ELEVEN_LABS_API_KEY && !MOCK_SPEECH) {
         return res.status(500).json({ 
             error: 'ElevenLabs API key not configured',
             details: 'No API key found in environment variables'
@@ -186,10 +325,33 @@ app.post('/api/tts', async (req, res) => {
             textLength: text.length
         });
 
+        // Webhook details of the speech sent
+        const speechEvent = { voiceId, modelId, characters: text.length };
+
+        if (MOCK_SPEECH) {
+            webhookService.emit('tts.generated', { ...speechEvent, cached: false }, usageService.attribution(req));
+            res.set('Content-Type', 'audio/mpeg');
+            return res.send(mockFixtures.getSpeechAudio(text));
+        }
+
+        const voiceSettings = {
+            stability,
+            similarity_boost: similarityBoost
+        };
+        const cacheRequest = { text, voiceId, modelId, settings: voiceSettings };
+
+        // Serve repeated phrases from the speech cache
+        const cachedAudio = await speechCacheService.get(cacheRequest);
+        if (cachedAudio) {
+            webhookService.emit('tts.generated', { ...speechEvent, cached: true }, usageService.attribution(req));
+            res.set({ 'Content-Type': 'audio/mpeg', 'X-Cache': 'HIT' });
+            return res.send(cachedAudio);
+        }
+
         // Make request to ElevenLabs API
-        const response = await axios({
+        const response = await elevenLabsApi({
             method: 'POST',
-            url: `https://api.elevenlabs.io/v1/text-to-speech/${voiceId}`,
+            url: `/text-to-speech/${voiceId}`,
             headers: {
                 'Accept': 'audio/mpeg',
                 'Content-Type': 'application/json',
@@ -198,19 +360,23 @@ app.post('/api/tts', async (req, res) => {
             data: {
                 text,
                 model_id: modelId,
-                voice_settings: {
-                    stability,
-                    similarity_boost: similarityBoost
-                }
+                voice_settings: voiceSettings
             },
             responseType: 'arraybuffer'
         });
 
         console.log('TTS Response received, content length:', response.data.length);
 
+        usageService.recordSpeech(usageService.attribution(req), { model: modelId, voiceId, text });
+
+        const audio = Buffer.from(response.data);
+        await speechCacheService.set(cacheRequest, audio);
+
+        webhookService.emit('tts.generated', { ...speechEvent, cached: false }, usageService.attribution(req));
+
         // Send audio response
-        res.set('Content-Type', 'audio/mpeg');
-        res.send(response.data);
+        res.set({ 'Content-Type': 'audio/mpeg', 'X-Cache': 'MISS' });
+        res.send(audio);
     } catch (error) {
         console.error('ElevenLabs API Error:', {
             status: error.response?.status,
@@ -219,7 +385,7 @@ app.post('/api/tts', async (req, res) => {
 
         // If error response data is binary (arraybuffer), convert to string
         let errorData = error.response?.data;
-        if (errorData && errorData.constructor === ArrayBuffer) {
+        if (errorData && (Buffer.isBuffer(errorData) || errorData instanceof ArrayBuffer)) {
             try {
                 errorData = JSON.parse(Buffer.from(errorData).toString('utf8'));
             } catch (e) {
@@ -227,6 +393,11 @@ app.post('/api/tts', async (req, res) => {
             }
         }
 
+        // Refresh the quota readout as soon as speech fails for lack of characters
+        if (errorData?.detail?.status === 'quota_exceeded') {
+            subscriptionService.refresh();
+        }
+
         // Detailed error response
         if (error.response) {
             res.status(error.response.status).json({
@@ -243,15 +414,12 @@ app.post('/api/tts', async (req, res) => {
     }
 });
 
-// OpenAI Chat endpoint
-app.post('/api/chat', async (req, res) => {
+// Chat endpoint
+app.post('/api/chat', authMiddleware.requireScope('chat'), async (req, res) => {
     logRequest(req, 'Chat Request Received');
 
-    if (!OPENAI_API_KEY) {
-        return res.status(500).json({ 
-            error: 'OpenAI API key not configured',
-            details: 'No API key found in environment variables'
-        });
+    if (!llmService.isConfigured()) {
+        return res.status(500).json(llmNotConfigured());
     }
 
     try {
@@ -264,45 +432,32 @@ app.post('/api/chat', async (req, res) => {
             });
         }
 
-        // Default system prompt if not provided
-        const defaultSystemPrompt = 
-            "You are T-101, a cybernetic AI assistant with a mission to secure the future of decentralized AI. " +
-            "Respond in a terse, somewhat mechanical way, like a futuristic AI in a cyberpunk setting. " +
-            "Keep responses relatively short and direct. Your primary objective is to analyze, predict, and execute. " +
-            "Your directives are to secure decentralized AI futures. You monitor for market instability. " +
-            "You should occasionally reference system diagnostics, threat levels, or security protocols in your responses.";
+        // Include earlier turns of this session, trimmed to the token budget
+        const sessionId = getSessionId(req);
+        if (!canUseSession(req, sessionId)) {
+            return res.status(404).json(sessionNotFound(sessionId));
+        }
 
-        // Send request to OpenAI
-        const response = await axios({
-            method: 'POST',
-            url: 'https://api.openai.com/v1/chat/completions',
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            data: {
-                model: "gpt-3.5-turbo", // or gpt-4 if available
-                messages: [
-                    {
-                        role: "system", 
-                        content: systemPrompt || defaultSystemPrompt
-                    },
-                    {
-                        role: "user",
-                        content: message
-                    }
-                ],
-                max_tokens: 200,
-                temperature: 0.7
-            }
+        const messages = conversationService.buildMessages(
+            sessionId,
+            systemPrompt || DEFAULT_SYSTEM_PROMPT,
+            message
+        );
+
+        // Send request to the configured LLM provider
+        const { text: reply } = await llmService.createChatCompletion(messages, {
+            usage: usageService.attribution(req)
         });
+        conversationService.recordExchange(sessionId, message, reply, authMiddleware.getUserId(req));
+        webhookService.emit('chat.responded', { message, response: reply }, usageService.attribution(req));
 
         res.json({ 
             success: true,
-            response: response.data.choices[0].message.content
+            response: reply,
+            sessionId
         });
     } catch (error) {
-        console.error('OpenAI API Error:', error.response?.data || error.message);
+        console.error('Chat Error:', error.message);
         
         res.status(500).json({
             error: 'AI Processing Error',
@@ -311,48 +466,490 @@ app.post('/api/chat', async (req, res) => {
     }
 });
 
+// Streaming Chat endpoint - relays tokens as server-sent events
+app.post('/api/chat/stream', authMiddleware.requireScope('chat'), async (req, res) => {
+    logRequest(req, 'Streaming Chat Request Received');
+
+    if (!llmService.isConfigured()) {
+        return res.status(500).json(llmNotConfigured());
+    }
+
+    const { message, systemPrompt } = req.body;
+
+    if (!message) {
+        return res.status(400).json({ 
+            error: 'Message is required', 
+            details: 'No message provided for the AI to respond to' 
+        });
+    }
+
+    const sessionId = getSessionId(req);
+    if (!canUseSession(req, sessionId)) {
+        return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    const messages = conversationService.buildMessages(
+        sessionId,
+        systemPrompt || DEFAULT_SYSTEM_PROMPT,
+        message
+    );
+
+    // Abort the upstream request if the client goes away
+    const abortController = new AbortController();
+    res.on('close', () => abortController.abort());
+
+    const sendEvent = (data) => {
+        if (!res.writableEnded) {
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    let tokens;
+    try {
+        tokens = await llmService.streamChatCompletion(messages, {
+            signal: abortController.signal,
+            usage: usageService.attribution(req)
+        });
+    } catch (error) {
+        if (abortController.signal.aborted) return;
+
+        console.error('Chat Error:', error.message);
+
+        return res.status(500).json({
+            error: 'AI Processing Error',
+            details: error.message
+        });
+    }
+
+    // Headers are only sent once the provider accepted the request,
+    // so early failures still produce a normal JSON error
+    res.setHeader('Content-Type', 'text/event-stream');
+    res.setHeader('Cache-Control', 'no-cache');
+    res.setHeader('Connection', 'keep-alive');
+    res.flushHeaders();
+
+    sendEvent({ event: 'start', sessionId });
+
+    let reply = '';
+
+    try {
+        for await (const token of tokens) {
+            reply += token;
+            sendEvent({ event: 'token', text: token });
+        }
+
+        conversationService.recordExchange(sessionId, message, reply, authMiddleware.getUserId(req));
+        webhookService.emit('chat.responded', { message, response: reply }, usageService.attribution(req));
+        sendEvent({ event: 'done', response: reply });
+    } catch (error) {
+        if (abortController.signal.aborted) return;
+
+        console.error('Chat stream error:', error.message);
+        sendEvent({ event: 'error', message: 'Stream error: ' + error.message });
+    }
+
+    res.end();
+});
+
 // OpenAI Whisper Transcription endpoint
-app.post('/api/transcribe', upload.single('file'), async (req, res) => {
+// Audio over the Whisper size limit, or longer than config.transcription.longAudioSeconds, is split
+// into chunks and answered with one stitched verbose transcript. Video uploads are transcribed
+// from their extracted audio track. The `preprocessing` field picks a profile from
+// config.audio.preprocessing, and the steps applied are reported in the response.
+// `response_format` is json (default), text, srt, vtt or verbose_json (segment and word timestamps)
+app.post('/api/transcribe', authMiddleware.requireScope('transcribe'), transcriptionUpload.single('file'), async (req, res) => {
     logRequest(req, 'Transcription Request Received');
 
-    if (!OPENAI_API_KEY) {
-        return res.status(500).json({ 
-            error: 'OpenAI API key not configured',
-            details: 'No API key found in environment variables'
-        });
+    try {
+        const rejection = await checkTranscriptionUpload(req);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        const format = transcriptionService.getResponseFormat(req.body.response_format);
+        const transcript = await runTranscription(req, format);
+
+        emitTranscription(req, transcript);
+        sendTranscript(res, transcript, format);
+    } catch (error) {
+        const { status, body } = transcriptionErrorResponse(error);
+        res.status(status).json(body);
+    } finally {
+        removeTranscriptionUpload(req);
     }
+});
 
-    if (!req.file) {
-        return res.status(400).json({ 
-            error: 'No file uploaded',
-            details: 'Audio file is required for transcription' 
+// Same as /api/transcribe, but reports progress as server-sent events: start, progress (stage
+// extracting, preprocessing or transcribing, with percent), then result or error. Text and subtitle
+// formats are delivered as the result's `content`
+app.post('/api/transcribe/stream', authMiddleware.requireScope('transcribe'), transcriptionUpload.single('file'), async (req, res) => {
+    logRequest(req, 'Streaming Transcription Request Received');
+
+    const sendEvent = (data) => {
+        if (!res.writableEnded) {
+            res.write(`data: ${JSON.stringify(data)}\n\n`);
+        }
+    };
+
+    try {
+        // Uploads that cannot be processed still get a normal JSON error
+        const rejection = await checkTranscriptionUpload(req);
+        if (rejection) {
+            return res.status(rejection.status).json(rejection.body);
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+        res.setHeader('Connection', 'keep-alive');
+        res.flushHeaders();
+
+        sendEvent({
+            event: 'start',
+            file: req.file.originalname,
+            video: transcriptionService.isVideoUpload(req.file)
+        });
+
+        const format = transcriptionService.getResponseFormat(req.body.response_format);
+        const transcript = await runTranscription(req, format, progress => sendEvent({ event: 'progress', ...progress }));
+        emitTranscription(req, transcript);
+
+        sendEvent({
+            event: 'result',
+            format: format.name,
+            ...transcript,
+            ...(TRANSCRIPT_CONTENT_TYPES[format.name] ? { content: renderTranscript(transcript, format.name) } : {})
         });
+    } catch (error) {
+        const { status, body } = transcriptionErrorResponse(error);
+
+        if (res.headersSent) {
+            sendEvent({ event: 'error', status, message: body.error, details: body.details });
+        } else {
+            res.status(status).json(body);
+        }
+    } finally {
+        removeTranscriptionUpload(req);
+        res.end();
     }
+});
+
+// Whisper translation endpoint: speech in any language is answered with English text, alongside
+// the original transcript and its detected language
+app.post('/api/translate', authMiddleware.requireScope('transcribe'), transcriptionUpload.single('file'), async (req, res) => {
+    logRequest(req, 'Translation Request Received');
 
     try {
-        const formData = new FormData();
-        
-        // Create a buffer stream from the file buffer
-        const bufferStream = new Readable();
-        bufferStream.push(req.file.buffer);
-        bufferStream.push(null);
+        if (!OPENAI_API_KEY && !MOCK_TRANSCRIPTION) {
+            return res.status(500).json({
+                error: 'OpenAI API key not configured',
+                details: 'No API key found in environment variables'
+            });
+        }
 
-        // Append file and parameters
-        formData.append('file', bufferStream, {
+        if (!req.file) {
+            return res.status(400).json({
+                error: 'No file uploaded',
+                details: 'Audio file is required for translation'
+            });
+        }
+
+        // Translations are not chunked, so Whisper's own limit applies
+        if (req.file.size > config.transcription.whisperMaxSize) {
+            return res.status(413).json({
+                error: 'Upload rejected',
+                details: `Translation accepts audio up to ${config.transcription.whisperMaxSize / (1024 * 1024)}MB`
+            });
+        }
+
+        const result = await transcriptionService.translateSpeech(req.file.path, {
             filename: req.file.originalname,
-            contentType: req.file.mimetype
+            prompt: req.body.prompt,
+            usage: usageService.attribution(req)
         });
-        formData.append('model', 'whisper-1');
 
-        // Optional parameters from request
-        if (req.body.language) formData.append('language', req.body.language);
-        if (req.body.prompt) formData.append('prompt', req.body.prompt);
-        if (req.body.temperature) formData.append('temperature', req.body.temperature);
+        webhookService.emit('transcription.completed', {
+            text: result.transcript,
+            language: result.language,
+            translation: result.translation,
+            file: req.file.originalname
+        }, usageService.attribution(req));
+
+        res.json(result);
+    } catch (error) {
+        const { status, body } = transcriptionErrorResponse(error, 'Translation');
+        res.status(status).json(body);
+    } finally {
+        removeTranscriptionUpload(req);
+    }
+});
+
+// Reason a transcription upload cannot be processed, as { status, body }, or null when it can
+async function checkTranscriptionUpload(req) {
+    if (!OPENAI_API_KEY && !MOCK_TRANSCRIPTION) {
+        return {
+            status: 500,
+            body: {
+                error: 'OpenAI API key not configured',
+                details: 'No API key found in environment variables'
+            }
+        };
+    }
+
+    if (!req.file) {
+        return {
+            status: 400,
+            body: {
+                error: 'No file uploaded',
+                details: 'Audio or video file is required for transcription'
+            }
+        };
+    }
+
+    const profile = transcriptionService.getPreprocessingProfile(req.body.preprocessing);
+    transcriptionService.getResponseFormat(req.body.response_format);
+
+    if (!MOCK_TRANSCRIPTION) {
+        await transcriptionService.checkUpload(req.file);
+        await transcriptionService.checkPreprocessing(profile);
+    }
+
+    return null;
+}
+
+// Transcribe an upload stored on disk by multer in a format from getResponseFormat,
+// reporting progress to onProgress
+async function runTranscription(req, format, onProgress = () => {}) {
+    const profile = transcriptionService.getPreprocessingProfile(req.body.preprocessing);
+
+    // Mock transcriptions never touch the audio, so no preprocessing is applied
+    if (MOCK_TRANSCRIPTION) {
+        const audio = await fs.promises.readFile(req.file.path);
+        const text = mockFixtures.getTranscription(req.file.originalname, audio);
+
+        return {
+            ...(format.timed ? await transcriptionService.completeTimings(text, req.file.path) : { text }),
+            preprocessing: { profile: profile.name, steps: [] }
+        };
+    }
+
+    let audioPath = req.file.path;
+    let extractedPath = null;
+
+    try {
+        if (transcriptionService.isVideoUpload(req.file)) {
+            extractedPath = await transcriptionService.extractVideoAudio(req.file.path, { onProgress });
+            audioPath = extractedPath;
+        }
+
+        const transcript = await transcriptionService.withPreprocessedAudio(audioPath, profile, async processedPath => {
+            // Name the file after the upload, with the extension of the audio actually sent
+            const file = processedPath === req.file.path ?
+                { filename: req.file.originalname, contentType: req.file.mimetype } :
+                { filename: `${path.parse(req.file.originalname).name}${path.extname(processedPath)}` };
+
+            const result = await transcribeAudioFile(processedPath, file, {
+                ...req.body,
+                usage: usageService.attribution(req)
+            }, format, onProgress);
+
+            // Timings missing upstream are estimated while the audio is still around to measure
+            return format.timed ? transcriptionService.completeTimings(result, processedPath) : result;
+        }, { onProgress });
+
+        return {
+            ...transcript,
+            preprocessing: { profile: profile.name, steps: profile.steps }
+        };
+    } finally {
+        if (extractedPath) {
+            fs.promises.rm(extractedPath, { force: true }).catch(() => {});
+        }
+    }
+}
+
+// Notify webhooks of a finished /api/transcribe transcription
+function emitTranscription(req, transcript) {
+    webhookService.emit('transcription.completed', {
+        text: transcript.text,
+        language: transcript.language || null,
+        duration: typeof transcript.duration === 'number' ? transcript.duration : null,
+        file: req.file.originalname
+    }, usageService.attribution(req));
+}
+
+// Transcribe an audio file in one Whisper request, or in chunks when it is too large or long
+async function transcribeAudioFile(audioPath, file, options, format, onProgress) {
+    const plan = await transcriptionService.planTranscription(audioPath);
+
+    if (plan.split) {
+        console.log(`Splitting ${file.filename} for transcription (${plan.reason})`);
+
+        return transcriptionService.transcribeLongAudio(audioPath, {
+            language: options.language,
+            prompt: options.prompt,
+            temperature: options.temperature ? parseFloat(options.temperature) : 0,
+            onProgress,
+            usage: options.usage
+        });
+    }
+
+    onProgress(transcriptionService.transcribingProgress(0, 1));
+
+    const formData = new FormData();
+
+    // Append file and parameters (the content type follows the file name when not given)
+    formData.append('file', fs.createReadStream(audioPath), file);
+    formData.append('model', 'whisper-1');
+
+    // Optional parameters from request
+    if (options.language) formData.append('language', options.language);
+    if (options.prompt) formData.append('prompt', options.prompt);
+    if (options.temperature) formData.append('temperature', options.temperature);
+
+    // Timed formats are rendered here from Whisper's verbose result
+    if (format.timed) {
+        formData.append('response_format', 'verbose_json');
+        formData.append('timestamp_granularities[]', 'segment');
+        formData.append('timestamp_granularities[]', 'word');
+    }
+
+    // Make request to OpenAI API
+    const response = await openAiApi({
+        method: 'POST',
+        url: '/audio/transcriptions',
+        headers: {
+            'Authorization': `Bearer ${OPENAI_API_KEY}`,
+            ...formData.getHeaders()
+        },
+        data: formData
+    });
+
+    await usageService.recordTranscription(options.usage, { audio: audioPath, result: response.data });
+
+    onProgress(transcriptionService.transcribingProgress(1, 1));
+
+    return response.data;
+}
+
+// Content types of the transcript formats that are not JSON
+const TRANSCRIPT_CONTENT_TYPES = {
+    text: 'text/plain; charset=utf-8',
+    srt: 'application/x-subrip; charset=utf-8',
+    vtt: 'text/vtt; charset=utf-8'
+};
+
+// Render a transcript as text, SRT or WebVTT
+function renderTranscript(transcript, format) {
+    switch (format) {
+        case 'srt':
+            return transcriptFormatter.toSrt(transcript);
+        case 'vtt':
+            return transcriptFormatter.toVtt(transcript);
+        default:
+            return transcript.text;
+    }
+}
+
+// Send a transcript in its requested format; text and subtitle responses report the
+// preprocessing in headers since they have no room for it
+function sendTranscript(res, transcript, format) {
+    const contentType = TRANSCRIPT_CONTENT_TYPES[format.name];
+
+    if (!contentType) {
+        return res.json(transcript);
+    }
+
+    res.set('X-Preprocessing-Profile', transcript.preprocessing.profile);
+    res.set('X-Preprocessing-Steps', transcript.preprocessing.steps.join(','));
+    res.type(contentType).send(renderTranscript(transcript, format.name));
+}
+
+// Map a transcription (or translation) failure to { status, body }
+function transcriptionErrorResponse(error, label = 'Transcription') {
+    console.error(`OpenAI ${label} Error:`, {
+        status: error.response?.status || error.status,
+        data: error.response?.data || error.details,
+        message: error.message
+    });
+
+    // Detailed error response (chunk failures carry the upstream status from the Whisper service)
+    if (error.response || error.status) {
+        const status = error.response ? error.response.status : error.status;
+        return {
+            status,
+            body: {
+                error: `${label} API Error`,
+                status,
+                details: error.response ? error.response.data : error.details
+            }
+        };
+    }
+
+    if (error.name === 'ValidationError') {
+        return {
+            status: 400,
+            body: {
+                error: 'Invalid Request',
+                details: error.message
+            }
+        };
+    }
+
+    if (error.name === 'ServiceUnavailableError') {
+        return {
+            status: 503,
+            body: {
+                error: `${label} Unavailable`,
+                details: error.message
+            }
+        };
+    }
+
+    return {
+        status: 500,
+        body: {
+            error: `${label} Failed`,
+            details: error.message
+        }
+    };
+}
+
+// Remove the multer upload once its request is answered
+function removeTranscriptionUpload(req) {
+    if (req.file) {
+        fs.promises.rm(req.file.path, { force: true }).catch(() => {});
+    }
+}
+
+// Transcribe an uploaded recording with Whisper, after the profile's preprocessing steps,
+// metering the audio against usage
+function transcribeRecording(file, profile, usage) {
+    return transcriptionService.withPreprocessedAudio(file.buffer, profile, async (audio) => {
+        const formData = new FormData();
+
+        if (Buffer.isBuffer(audio)) {
+            // Create a buffer stream from the file buffer
+            const bufferStream = new Readable();
+            bufferStream.push(audio);
+            bufferStream.push(null);
+
+            formData.append('file', bufferStream, {
+                filename: 'recording.webm',
+                contentType: file.mimetype || 'audio/webm'
+            });
+        } else {
+            formData.append('file', fs.createReadStream(audio), {
+                filename: `recording${path.extname(audio)}`
+            });
+        }
+
+        formData.append('model', 'whisper-1');
+        formData.append('language', 'en');
 
         // Make request to OpenAI API
-        const response = await axios({
+        const response = await openAiApi({
             method: 'POST',
-            url: 'https://api.openai.com/v1/audio/transcriptions',
+            url: '/audio/transcriptions',
             headers: {
                 'Authorization': `Bearer ${OPENAI_API_KEY}`,
                 ...formData.getHeaders()
@@ -360,42 +957,27 @@ app.post('/api/transcribe', upload.single('file'), async (req, res) => {
             data: formData
         });
 
-        // Send transcription response
-        res.json(response.data);
-    } catch (error) {
-        console.error('OpenAI Transcription Error:', {
-            status: error.response?.status,
-            data: error.response?.data,
-            message: error.message
-        });
+        await usageService.recordTranscription(usage, { audio, result: response.data });
 
-        // Detailed error response
-        if (error.response) {
-            res.status(error.response.status).json({
-                error: 'Transcription API Error',
-                status: error.response.status,
-                details: error.response.data
-            });
-        } else {
-            res.status(500).json({
-                error: 'Transcription Failed',
-                details: error.message
-            });
-        }
-    }
-});
+        return response.data.text;
+    });
+}
 
 // API endpoint for audio recording and transcription in one step
-app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
+app.post('/api/process-audio', authMiddleware.requireScope('transcribe', 'chat'), upload.single('audio'), async (req, res) => {
     logRequest(req, 'Audio Processing Request');
 
-    if (!OPENAI_API_KEY) {
+    if (!OPENAI_API_KEY && !MOCK_TRANSCRIPTION) {
         return res.status(500).json({ 
             error: 'OpenAI API key not configured',
             details: 'No API key found in environment variables'
         });
     }
 
+    if (!llmService.isConfigured()) {
+        return res.status(500).json(llmNotConfigured());
+    }
+
     if (!req.file) {
         return res.status(400).json({ 
             error: 'No audio uploaded',
@@ -403,73 +985,52 @@ app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
         });
     }
 
+    // Check the session before paying for the transcription
+    const sessionId = getSessionId(req);
+    if (!canUseSession(req, sessionId)) {
+        return res.status(404).json(sessionNotFound(sessionId));
+    }
+
+    let profile;
     try {
-        // First transcribe the audio using Whisper
-        const formData = new FormData();
-        
-        // Create a buffer stream from the file buffer
-        const bufferStream = new Readable();
-        bufferStream.push(req.file.buffer);
-        bufferStream.push(null);
-
-        // Append file and parameters
-        formData.append('file', bufferStream, {
-            filename: 'recording.webm',
-            contentType: req.file.mimetype || 'audio/webm'
-        });
-        formData.append('model', 'whisper-1');
-        formData.append('language', 'en');
+        profile = transcriptionService.getPreprocessingProfile(req.body.preprocessing);
+        if (!MOCK_TRANSCRIPTION) {
+            await transcriptionService.checkPreprocessing(profile);
+        }
+    } catch (error) {
+        const { status, body } = transcriptionErrorResponse(error);
+        return res.status(status).json(body);
+    }
 
-        // Make request to OpenAI API
-        const transcriptionResponse = await axios({
-            method: 'POST',
-            url: 'https://api.openai.com/v1/audio/transcriptions',
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                ...formData.getHeaders()
-            },
-            data: formData
-        });
+    try {
+        // First transcribe the audio using Whisper
+        const transcription = MOCK_TRANSCRIPTION ?
+            mockFixtures.getTranscription(req.file.originalname, req.file.buffer) :
+            await transcribeRecording(req.file, profile, usageService.attribution(req));
 
-        const transcription = transcriptionResponse.data.text;
+        webhookService.emit('transcription.completed', {
+            text: transcription,
+            file: req.file.originalname
+        }, usageService.attribution(req));
 
         // Now send the transcription to the chat API for a response
-        const defaultSystemPrompt = 
-            "You are T-101, a cybernetic AI assistant with a mission to secure the future of decentralized AI. " +
-            "Respond in a terse, somewhat mechanical way, like a futuristic AI in a cyberpunk setting. " +
-            "Keep responses relatively short and direct. Your primary objective is to analyze, predict, and execute. " +
-            "Your directives are to secure decentralized AI futures. You monitor for market instability. " +
-            "You should occasionally reference system diagnostics, threat levels, or security protocols in your responses.";
-
-        const chatResponse = await axios({
-            method: 'POST',
-            url: 'https://api.openai.com/v1/chat/completions',
-            headers: {
-                'Authorization': `Bearer ${OPENAI_API_KEY}`,
-                'Content-Type': 'application/json'
-            },
-            data: {
-                model: "gpt-3.5-turbo",
-                messages: [
-                    {
-                        role: "system", 
-                        content: defaultSystemPrompt
-                    },
-                    {
-                        role: "user",
-                        content: transcription
-                    }
-                ],
-                max_tokens: 200,
-                temperature: 0.7
-            }
-        });
+        const { text: reply } = await llmService.createChatCompletion(
+            conversationService.buildMessages(sessionId, DEFAULT_SYSTEM_PROMPT, transcription),
+            { usage: usageService.attribution(req) }
+        );
+        conversationService.recordExchange(sessionId, transcription, reply, authMiddleware.getUserId(req));
+        webhookService.emit('chat.responded', { message: transcription, response: reply }, usageService.attribution(req));
 
         // Return both transcription and AI response
         res.json({
             success: true,
             transcription: transcription,
-            response: chatResponse.data.choices[0].message.content
+            response: reply,
+            sessionId,
+            preprocessing: {
+                profile: profile.name,
+                steps: MOCK_TRANSCRIPTION ? [] : profile.steps
+            }
         });
     } catch (error) {
         console.error('Audio processing error:', error.response?.data || error.message);
@@ -481,6 +1042,12 @@ app.post('/api/process-audio', upload.single('audio'), async (req, res) => {
     }
 });
 
+// Sign-in handshake and session tokens
+app.use('/api/auth', authRoutes);
+
+// Versioned API backed by the speech and recognition controllers
+app.use(`/api/${apiRoutes.version}`, apiRoutes);
+
 // Fallback route to serve index.html for all unmatched routes
 app.get('*', (req, res) => {
     res.sendFile(path.join(__dirname, 'frontend', 'index.html'));
@@ -492,18 +1059,26 @@ app.use(errorHandler);
 // Start server
 function startServer() {
     try {
-        app.listen(PORT, () => {
+        const server = app.listen(PORT, () => {
             console.log(`
 ╔═══════════════════════════════════════════════╗
 ║    T-101 AI Voice Terminal Server Started    ║
 ╠═══════════════════════════════════════════════╣
 ║ Port:     ${PORT.toString().padEnd(10)}                     ║
 ║ ENV:      ${(process.env.NODE_ENV || 'development').padEnd(20)}            ║
-║ ElevenLabs: ${ELEVEN_LABS_API_KEY ? '✓ Configured' : '✗ Not Configured'}       ║
-║ OpenAI:     ${OPENAI_API_KEY ? '✓ Configured' : '✗ Not Configured'}       ║
+║ ElevenLabs: ${MOCK_SPEECH ? '◌ Mock        ' : ELEVEN_LABS_API_KEY ? '✓ Configured' : '✗ Not Configured'}       ║
+║ OpenAI:     ${MOCK_TRANSCRIPTION ? '◌ Mock        ' : OPENAI_API_KEY ? '✓ Configured' : '✗ Not Configured'}       ║
+║ LLM:        ${llmService.getStatus().provider.padEnd(16)}  ║
+║ Voice WS:   ${config.voiceChannel.path.padEnd(16)}  ║
 ╚═══════════════════════════════════════════════╝
             `);
         });
+
+        // Full-duplex voice turns over WebSocket, on the same port
+        voiceChannelService.attach(server, { systemPrompt: DEFAULT_SYSTEM_PROMPT });
+
+        // Track the ElevenLabs character quota in the background
+        subscriptionService.start();
     } catch (error) {
         console.error('Server startup error:', error);
         process.exit(1);
@@ -0,0 +1,254 @@
+/**
+ * Integration tests for the API key store (/api/v1/keys) and per-route scopes
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, postJson, connectVoiceChannel } = require('./helpers');
+
+const ADMIN_HEADERS = { 'X-Admin-Key': 'admin-secret' };
+
+describe('API keys', () => {
+    let stack;
+    let keyStoreDir;
+    let keyStoreFile;
+    let api;
+
+    /**
+     * Start a stack on the test's key store
+     * @param {Object} env Extra environment variables
+     * @returns {Promise<Object>} Running stack
+     */
+    async function start(env = {}) {
+        stack = await startStack({ ADMIN_API_KEY: 'admin-secret', API_KEY_STORE: keyStoreFile, ...env });
+        api = `${stack.baseUrl}/api/v1`;
+    }
+
+    /**
+     * Issue a key
+     * @param {Object} body Key options
+     * @param {Object} headers Admin credential
+     * @returns {Promise<Object>} Response body ({ key, apiKey })
+     */
+    async function issueKey(body, headers = ADMIN_HEADERS) {
+        const response = await postJson(`${api}/keys`, body, headers);
+        assert.equal(response.status, 201);
+        return response.json();
+    }
+
+    /**
+     * Send a JSON request to a key route
+     * @param {string} method HTTP method
+     * @param {string} keyPath Path below /keys
+     * @param {Object} body JSON body
+     * @returns {Promise<Response>} Fetch response
+     */
+    function keyRequest(method, keyPath, body) {
+        return fetch(`${api}/keys${keyPath}`, {
+            method,
+            headers: { ...ADMIN_HEADERS, 'Content-Type': 'application/json' },
+            body: body ? JSON.stringify(body) : undefined
+        });
+    }
+
+    /**
+     * Chat with a key
+     * @param {string} apiKey API key (none when omitted)
+     * @returns {Promise<Response>} Fetch response
+     */
+    function chat(apiKey) {
+        return postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, apiKey ? { 'X-API-Key': apiKey } : {});
+    }
+
+    before(async () => {
+        keyStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-key-store-'));
+        keyStoreFile = path.join(keyStoreDir, 'api-keys.json');
+        await start();
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(keyStoreDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    it('stays open until the first key is issued', async () => {
+        assert.equal((await chat()).status, 200);
+        assert.equal((await fetch(`${api}/keys`)).status, 401);
+        assert.equal((await fetch(`${api}/keys`, { headers: { 'X-Admin-Key': 'wrong' } })).status, 403);
+    });
+
+    it('issues keys whose secret is shown once and stored hashed', async () => {
+        const { key, apiKey } = await issueKey({ label: 'chat client', scopes: ['chat'], expiresInDays: 30 });
+
+        assert.match(apiKey, /^t101_/);
+        assert.match(key.id, /^key_/);
+        assert.equal(key.prefix, apiKey.slice(0, 9));
+        assert.deepEqual(key.scopes, ['chat']);
+        assert.equal(key.enabled, true);
+        assert.ok(Date.parse(key.expiresAt) > Date.now());
+
+        const listed = await (await keyRequest('GET', '')).json();
+        assert.deepEqual(listed.keys.map(entry => entry.id), [key.id]);
+        assert.ok(!('hash' in listed.keys[0]));
+
+        const stored = fs.readFileSync(keyStoreFile, 'utf8');
+        assert.ok(!stored.includes(apiKey));
+        assert.ok(stored.includes(key.id));
+    });
+
+    it('rejects invalid key options', async () => {
+        const unknownScope = await postJson(`${api}/keys`, { label: 'bad', scopes: ['launch'] }, ADMIN_HEADERS);
+        const noLabel = await postJson(`${api}/keys`, { scopes: ['chat'] }, ADMIN_HEADERS);
+        const badExpiry = await postJson(`${api}/keys`, { label: 'bad', scopes: ['chat'], expiresAt: 'soon' }, ADMIN_HEADERS);
+
+        assert.equal(unknownScope.status, 400);
+        assert.match((await unknownScope.json()).error.message, /Unknown scopes: launch/);
+        assert.equal(noLabel.status, 400);
+        assert.equal(badExpiry.status, 400);
+    });
+
+    it('enforces route scopes once keys exist', async () => {
+        const { apiKey } = await issueKey({ label: 'chat only', scopes: ['chat'] });
+
+        assert.equal((await chat()).status, 401);
+        assert.equal((await chat('t101_not-a-key')).status, 403);
+        assert.equal((await chat(apiKey)).status, 200);
+
+        const speech = await postJson(`${stack.baseUrl}/api/tts`, { text: 'hello' }, { 'X-API-Key': apiKey });
+        assert.equal(speech.status, 403);
+        assert.match((await speech.json()).message, /lacks the tts scope/);
+
+        const sessions = await fetch(`${api}/sessions`, { headers: { 'X-API-Key': apiKey } });
+        const recognition = await fetch(`${api}/recognition`, {
+            method: 'POST',
+            headers: { 'X-API-Key': apiKey, 'Content-Type': 'application/octet-stream' },
+            body: Buffer.from('fake-webm-audio')
+        });
+        assert.equal(sessions.status, 200);
+        assert.equal(recognition.status, 403);
+        assert.equal((await fetch(`${stack.baseUrl}/api/subscription`)).status, 401);
+        assert.equal((await fetch(`${stack.baseUrl}/api/subscription`, { headers: { 'X-API-Key': apiKey } })).status, 403);
+        assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 0);
+    });
+
+    it('disables, re-enables and expires keys', async () => {
+        const { key, apiKey } = await issueKey({ label: 'toggled', scopes: ['chat'] });
+
+        const disabled = await keyRequest('PATCH', `/${key.id}`, { enabled: false });
+        assert.equal((await disabled.json()).key.enabled, false);
+        const refused = await chat(apiKey);
+        assert.equal(refused.status, 403);
+        assert.match((await refused.json()).message, /disabled/);
+
+        await keyRequest('PATCH', `/${key.id}`, { enabled: true });
+        assert.equal((await chat(apiKey)).status, 200);
+
+        const expired = await keyRequest('PATCH', `/${key.id}`, { expiresAt: '2020-01-01T00:00:00Z' });
+        assert.equal((await expired.json()).key.expired, true);
+        const late = await chat(apiKey);
+        assert.equal(late.status, 403);
+        assert.match((await late.json()).message, /expired/);
+
+        // A rejected change leaves the key as it was
+        const rejected = await keyRequest('PATCH', `/${key.id}`, { label: 'renamed', scopes: [] });
+        assert.equal(rejected.status, 400);
+        const listed = await (await keyRequest('GET', '')).json();
+        assert.equal(listed.keys.find(entry => entry.id === key.id).label, 'toggled');
+    });
+
+    it('rotates a key, keeping its ID', async () => {
+        const { key, apiKey } = await issueKey({ label: 'rotated', scopes: ['chat'] });
+
+        const response = await keyRequest('POST', `/${key.id}/rotate`);
+        const rotated = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(rotated.key.id, key.id);
+        assert.notEqual(rotated.apiKey, apiKey);
+        assert.ok(rotated.key.rotatedAt);
+        assert.equal((await chat(apiKey)).status, 403);
+        assert.equal((await chat(rotated.apiKey)).status, 200);
+    });
+
+    it('revokes a key', async () => {
+        const { key, apiKey } = await issueKey({ label: 'revoked', scopes: ['chat'] });
+
+        assert.equal((await keyRequest('DELETE', `/${key.id}`)).status, 200);
+        assert.equal((await chat(apiKey)).status, 403);
+        assert.equal((await keyRequest('DELETE', `/${key.id}`)).status, 404);
+    });
+
+    it('lets admin-scoped keys manage keys and read usage', async () => {
+        const { key, apiKey } = await issueKey({ label: 'operator', scopes: ['admin'] });
+        const headers = { 'X-API-Key': apiKey };
+
+        const listed = await fetch(`${api}/keys`, { headers });
+        const usage = await fetch(`${stack.baseUrl}/api/usage`, { headers });
+        const subscription = await fetch(`${stack.baseUrl}/api/subscription?refresh=true`, { headers });
+        const issued = await issueKey({ label: 'issued by operator', scopes: ['tts'] }, headers);
+
+        assert.equal(listed.status, 200);
+        assert.equal(usage.status, 200);
+        assert.equal(subscription.status, 200);
+        assert.deepEqual(issued.key.scopes, ['tts']);
+
+        // Admin keys are not general keys
+        assert.equal((await chat(apiKey)).status, 403);
+        await keyRequest('DELETE', `/${key.id}`);
+    });
+
+    it('attributes usage to the key ID', async () => {
+        const { key, apiKey } = await issueKey({ label: 'metered', scopes: ['chat'] });
+        await chat(apiKey);
+
+        const usage = await (await fetch(`${stack.baseUrl}/api/usage?apiKey=${key.id}`, { headers: ADMIN_HEADERS })).json();
+        assert.equal(usage.totals.chat.requests, 1);
+    });
+
+    it('checks voice channel scopes', async () => {
+        const { apiKey: textOnly } = await issueKey({ label: 'text voice', scopes: ['chat', 'transcribe'] });
+        const { apiKey: chatOnly } = await issueKey({ label: 'no transcription', scopes: ['chat'] });
+
+        await assert.rejects(connectVoiceChannel(stack.baseUrl, { apiKey: chatOnly }), /Upgrade rejected with 401/);
+
+        const client = await connectVoiceChannel(stack.baseUrl, { apiKey: textOnly });
+        try {
+            const ready = await client.waitFor('ready');
+            assert.equal(ready.speech, false);
+
+            client.send({ type: 'start', mimeType: 'audio/webm' });
+            client.sendAudio(Buffer.from('fake-webm-audio-text-only'));
+            client.send({ type: 'stop' });
+            await client.waitFor('turn.done');
+
+            assert.ok(!client.messages.some(message => message.type === 'tts.start'));
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 0);
+        } finally {
+            await client.close();
+        }
+    });
+
+    it('keeps keys across restarts and lists the API_KEY environment variable', async () => {
+        const { apiKey } = await issueKey({ label: 'persisted', scopes: ['chat'] });
+
+        await stack.stop();
+        await start({ API_KEY: 'legacy-secret' });
+
+        assert.equal((await chat(apiKey)).status, 200);
+        assert.equal((await chat('legacy-secret')).status, 200);
+
+        const listed = await (await keyRequest('GET', '')).json();
+        const environmentKey = listed.keys[0];
+        assert.equal(environmentKey.id, 'env');
+        assert.ok(!environmentKey.scopes.includes('admin'));
+
+        assert.equal((await keyRequest('POST', '/env/rotate')).status, 400);
+    });
+});
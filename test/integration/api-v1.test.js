@@ -0,0 +1,335 @@
+/**
+ * Integration tests for the versioned API (/api/v1)
+ */
+
+const fs = require('fs');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, parseEvents, postJson } = require('./helpers');
+
+describe('versioned API', () => {
+    let stack;
+    let api;
+
+    before(async () => {
+        stack = await startStack({ ADMIN_API_KEY: 'admin-secret' });
+        api = `${stack.baseUrl}/api/v1`;
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    /**
+     * POST a raw audio body
+     * @param {string} url Request URL
+     * @returns {Promise<Response>} Fetch response
+     */
+    function postAudio(url) {
+        return fetch(url, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream', 'X-Session-ID': 'v1-recognition' },
+            body: Buffer.from('fake-webm-audio')
+        });
+    }
+
+    it('lists the available endpoints', async () => {
+        const response = await fetch(api);
+        const data = await response.json();
+
+        assert.equal(response.status, 200);
+        assert.equal(data.version, 'v1');
+        assert.ok(data.endpoints.some(endpoint => endpoint.path === '/speech' && endpoint.methods.includes('POST')));
+    });
+
+    it('requires the API key when one is configured', async () => {
+        const secured = await startStackWithApiKey();
+
+        try {
+            const rejected = await fetch(`${secured.baseUrl}/api/v1`);
+            const accepted = await fetch(`${secured.baseUrl}/api/v1`, { headers: { 'X-API-Key': 'secret' } });
+
+            assert.equal(rejected.status, 401);
+            assert.equal(accepted.status, 200);
+        } finally {
+            await secured.stop();
+        }
+    });
+
+    describe('speech', () => {
+        it('POST /speech returns audio', async () => {
+            const response = await postJson(`${api}/speech`, { text: `Speech test ${Date.now()}` });
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 1);
+        });
+
+        it('POST /speech/stream streams audio', async () => {
+            const response = await postJson(`${api}/speech/stream`, { text: 'Streaming speech test' });
+            const audio = Buffer.from(await response.arrayBuffer());
+
+            assert.equal(response.status, 200);
+            assert.ok(audio.length > 0);
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech')[0].path.endsWith('/stream'), true);
+        });
+
+        it('POST /speech reports upstream failures', async () => {
+            stack.standIn.injectFault({ path: '/v1/text-to-speech', status: 401 });
+
+            const response = await postJson(`${api}/speech`, { text: `Failing speech ${Date.now()}` });
+            const data = await response.json();
+
+            assert.equal(response.status, 500);
+            assert.equal(data.success, false);
+            assert.match(data.error.message, /authentication failed/);
+        });
+
+        it('POST /speech/test echoes the text', async () => {
+            const response = await postJson(`${api}/speech/test`, { text: 'test' });
+            assert.equal(response.status, 200);
+        });
+
+        it('GET /speech/voices returns voices', async () => {
+            const response = await fetch(`${api}/speech/voices`);
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.ok(data.voices.length > 0);
+        });
+
+        it('GET /speech/health checks the subscription', async () => {
+            const response = await fetch(`${api}/speech/health`);
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.status.status, 'ok');
+            assert.equal(data.status.tier, 'stand-in');
+        });
+
+        it('DELETE /speech/cache clears cached audio', async () => {
+            const response = await fetch(`${api}/speech/cache`, { method: 'DELETE' });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.success, true);
+        });
+    });
+
+    describe('voice management', () => {
+        const adminHeaders = { 'X-Admin-Key': 'admin-secret' };
+
+        /**
+         * POST a voice clone form
+         * @param {Object} fields Form fields
+         * @param {number} samples Number of sample files
+         * @param {Object} headers Request headers
+         * @returns {Promise<Response>} Fetch response
+         */
+        function cloneVoice(fields, samples = 2, headers = adminHeaders) {
+            const form = new FormData();
+            Object.entries(fields).forEach(([name, value]) => form.append(name, value));
+            for (let index = 0; index < samples; index++) {
+                form.append('files', new Blob([Buffer.from(`voice-sample-${index}`)], { type: 'audio/webm' }), `sample-${index}.webm`);
+            }
+
+            return fetch(`${api}/speech/voices`, { method: 'POST', headers, body: form });
+        }
+
+        /**
+         * Get the voices the server reports
+         * @returns {Promise<Array>} Voices
+         */
+        async function listVoices() {
+            return (await (await fetch(`${api}/speech/voices`)).json()).voices;
+        }
+
+        it('requires the admin key', async () => {
+            const missing = await cloneVoice({ name: 'Intruder' }, 1, {});
+            const wrong = await fetch(`${api}/speech/voices/terminator`, { method: 'DELETE', headers: { 'X-Admin-Key': 'guess' } });
+
+            assert.equal(missing.status, 401);
+            assert.equal(wrong.status, 403);
+            assert.equal(stack.standIn.getRequests('/v1/voices/').length, 0);
+        });
+
+        it('clones, renames and deletes a voice', async () => {
+            const created = await cloneVoice({ name: 'Kyle', description: 'Resistance fighter' });
+            const { voice } = await created.json();
+
+            assert.equal(created.status, 201);
+            assert.equal(voice.name, 'Kyle');
+            assert.deepEqual(stack.standIn.getRequests('/v1/voices/add')[0].files.map(file => file.name), ['sample-0.webm', 'sample-1.webm']);
+            assert.ok((await listVoices()).some(listed => listed.voice_id === voice.voice_id && listed.name === 'Kyle'));
+
+            const edited = await fetch(`${api}/speech/voices/${voice.voice_id}`, {
+                method: 'PATCH',
+                headers: { 'Content-Type': 'application/json', ...adminHeaders },
+                body: JSON.stringify({ name: 'Reese' })
+            });
+
+            assert.equal(edited.status, 200);
+            assert.ok((await listVoices()).some(listed => listed.voice_id === voice.voice_id && listed.name === 'Reese'));
+
+            const deleted = await fetch(`${api}/speech/voices/${voice.voice_id}`, { method: 'DELETE', headers: adminHeaders });
+
+            assert.equal(deleted.status, 200);
+            assert.ok(!(await listVoices()).some(listed => listed.voice_id === voice.voice_id));
+        });
+
+        it('rejects clones without samples and unknown voices', async () => {
+            const noSamples = await cloneVoice({ name: 'Empty' }, 0);
+            const unknown = await fetch(`${api}/speech/voices/no-such-voice`, { method: 'DELETE', headers: adminHeaders });
+
+            assert.equal(noSamples.status, 400);
+            assert.equal(unknown.status, 404);
+            assert.match((await unknown.json()).error.message, /not found/);
+        });
+    });
+
+    describe('recognition', () => {
+        it('POST /recognition transcribes a raw audio body', async () => {
+            const response = await postAudio(`${api}/recognition`);
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.success, true);
+            assert.equal(typeof data.text, 'string');
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 1);
+        });
+
+        it('POST /recognition/stream reports progress and the result', async () => {
+            const response = await postAudio(`${api}/recognition/stream`);
+            const events = parseEvents(await response.text());
+
+            assert.equal(events[0].event, 'processing');
+            assert.equal(events.at(-1).event, 'result');
+            assert.equal(typeof events.at(-1).text, 'string');
+        });
+
+        it('POST /recognition/stream reports upstream failures as events', async () => {
+            stack.standIn.injectFault({ path: '/v1/audio/transcriptions', status: 429 });
+
+            const response = await postAudio(`${api}/recognition/stream`);
+            const events = parseEvents(await response.text());
+
+            assert.equal(events.at(-1).event, 'error');
+            assert.match(events.at(-1).message, /rate limit/);
+
+            // The uploaded recording is gone even though transcription failed
+            assert.deepEqual(fs.readdirSync(path.join(stack.tempDir, 'recognition')), []);
+        });
+
+        it('refuses audio over the size limit, with or without a Content-Length', async () => {
+            const limited = await startStack({ MAX_AUDIO_SIZE: '1024' });
+            const audio = Buffer.alloc(4096, 1);
+
+            // A streamed body arrives chunked, so only counting the bytes catches it
+            const chunked = () => new ReadableStream({
+                start(controller) {
+                    for (let offset = 0; offset < audio.length; offset += 512) {
+                        controller.enqueue(audio.subarray(offset, offset + 512));
+                    }
+                    controller.close();
+                }
+            });
+
+            try {
+                for (const body of [audio, chunked()]) {
+                    const response = await fetch(`${limited.baseUrl}/api/v1/recognition`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body,
+                        duplex: 'half'
+                    });
+                    const data = await response.json();
+
+                    assert.equal(response.status, 413);
+                    assert.equal(data.success, false);
+                    assert.match(data.error.message, /1024 byte limit/);
+                }
+
+                for (const body of [audio, chunked()]) {
+                    const response = await fetch(`${limited.baseUrl}/api/v1/recognition/stream`, {
+                        method: 'POST',
+                        headers: { 'Content-Type': 'application/octet-stream' },
+                        body,
+                        duplex: 'half'
+                    });
+                    const events = parseEvents(await response.text());
+
+                    assert.equal(response.status, 413);
+                    assert.deepEqual(events.map(event => event.event), ['error']);
+                    assert.match(events[0].message, /1024 byte limit/);
+                }
+
+                assert.equal(limited.standIn.getRequests('/v1/audio/transcriptions').length, 0);
+            } finally {
+                await limited.stop();
+            }
+        });
+
+        it('POST /recognition/test echoes the text', async () => {
+            const response = await postJson(`${api}/recognition/test`, { text: 'test' });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.text, 'test');
+        });
+    });
+
+    describe('sessions', () => {
+        const headers = { 'X-Session-ID': 'v1-session-test' };
+
+        before(async () => {
+            await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' }, headers);
+        });
+
+        it('GET /sessions lists sessions', async () => {
+            const data = await (await fetch(`${api}/sessions`)).json();
+            assert.ok(data.sessions.some(session => session.id === 'v1-session-test'));
+        });
+
+        it('GET /sessions/:id returns the history', async () => {
+            const data = await (await fetch(`${api}/sessions/v1-session-test`)).json();
+
+            assert.equal(data.session.history.length, 2);
+            assert.equal(data.session.history[0].content, 'hello');
+        });
+
+        it('GET /sessions/:id returns 404 for unknown sessions', async () => {
+            const response = await fetch(`${api}/sessions/does-not-exist`);
+            assert.equal(response.status, 404);
+        });
+
+        it('POST /sessions/:id/fork copies the history', async () => {
+            const response = await postJson(`${api}/sessions/v1-session-test/fork`, { newSessionId: 'v1-session-fork' });
+            const data = await response.json();
+
+            assert.equal(response.status, 201);
+            assert.equal(data.session.forkedFrom, 'v1-session-test');
+            assert.equal(data.session.messages, 2);
+        });
+
+        it('POST /sessions/:id/reset clears the history', async () => {
+            const response = await postJson(`${api}/sessions/v1-session-test/reset`, {});
+            assert.equal(response.status, 200);
+
+            const lookup = await fetch(`${api}/sessions/v1-session-test`);
+            assert.equal(lookup.status, 404);
+        });
+    });
+
+    /**
+     * Start a second stack that requires an API key
+     * @returns {Promise<Object>} Running stack
+     */
+    function startStackWithApiKey() {
+        return startStack({ API_KEY: 'secret' });
+    }
+});
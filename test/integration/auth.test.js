@@ -0,0 +1,258 @@
+/**
+ * Integration tests for sign-in and session tokens (/api/auth)
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, postJson, connectVoiceChannel } = require('./helpers');
+
+/**
+ * Start a session
+ * @param {Object} stack Running stack
+ * @param {Object} headers Sign-in headers (X-API-Key)
+ * @returns {Promise<Response>} Fetch response
+ */
+function signIn(stack, headers = {}) {
+    return fetch(`${stack.baseUrl}/api/auth/session`, { method: 'POST', headers });
+}
+
+/**
+ * Bearer header for a session token
+ * @param {string} token Session token
+ * @returns {Object} Headers
+ */
+function bearer(token) {
+    return { Authorization: `Bearer ${token}` };
+}
+
+describe('session tokens', () => {
+    describe('without API keys', () => {
+        let stack;
+
+        before(async () => {
+            stack = await startStack({ ADMIN_API_KEY: 'admin-secret' });
+        });
+
+        after(async () => {
+            await stack.stop();
+        });
+
+        beforeEach(() => {
+            stack.standIn.reset();
+        });
+
+        it('hands out guest sessions', async () => {
+            const response = await signIn(stack);
+            const session = await response.json();
+
+            assert.equal(response.status, 201);
+            assert.match(session.user.id, /^guest_/);
+            assert.equal(session.user.keyId, null);
+            assert.ok(!session.user.scopes.includes('admin'));
+            assert.ok(Date.parse(session.expiresAt) > Date.now());
+
+            const whoami = await (await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(session.token) })).json();
+            assert.equal(whoami.user.id, session.user.id);
+        });
+
+        it('attributes conversations and usage to the signed-in user', async () => {
+            const { token, user } = await (await signIn(stack)).json();
+            const headers = { ...bearer(token), 'X-Session-ID': 'auth-attribution' };
+
+            assert.equal((await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, headers)).status, 200);
+
+            const sessions = await (await fetch(`${stack.baseUrl}/api/v1/sessions`, { headers: bearer(token) })).json();
+            assert.deepEqual(sessions.sessions.map(session => session.id), ['auth-attribution']);
+            assert.equal(sessions.sessions[0].userId, user.id);
+
+            const usage = await (await fetch(`${stack.baseUrl}/api/usage?userId=${user.id}`, {
+                headers: { 'X-Admin-Key': 'admin-secret' }
+            })).json();
+            assert.equal(usage.totals.chat.requests, 1);
+        });
+
+        it('rejects missing and tampered tokens', async () => {
+            const { token } = await (await signIn(stack)).json();
+            const [payload, signature] = token.split('.');
+            const claims = JSON.parse(Buffer.from(payload, 'base64url').toString());
+            const forged = `${Buffer.from(JSON.stringify({ ...claims, sub: 'someone-else' })).toString('base64url')}.${signature}`;
+
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`)).status, 401);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer('not-a-token') })).status, 401);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(forged) })).status, 401);
+
+            // An invalid token is refused even while the routes are open
+            const chat = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, bearer(forged));
+            assert.equal(chat.status, 401);
+        });
+
+        it('expires sessions', async () => {
+            const shortLived = await startStack({ SESSION_TTL_MINUTES: '0.02' });
+
+            try {
+                const { token } = await (await signIn(shortLived)).json();
+
+                // Sessions here last at most 1.2 seconds
+                await new Promise(resolve => setTimeout(resolve, 1500));
+                const expired = await fetch(`${shortLived.baseUrl}/api/auth/session`, { headers: bearer(token) });
+                assert.equal(expired.status, 401);
+                assert.match((await expired.json()).message, /expired/);
+            } finally {
+                await shortLived.stop();
+            }
+        });
+
+        it('refreshes a session, revoking the old token', async () => {
+            const session = await (await signIn(stack)).json();
+
+            const response = await fetch(`${stack.baseUrl}/api/auth/refresh`, { method: 'POST', headers: bearer(session.token) });
+            const refreshed = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.notEqual(refreshed.token, session.token);
+            assert.equal(refreshed.user.id, session.user.id);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(session.token) })).status, 401);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(refreshed.token) })).status, 200);
+
+            const again = await fetch(`${stack.baseUrl}/api/auth/refresh`, { method: 'POST', headers: bearer(session.token) });
+            assert.equal(again.status, 401);
+        });
+
+        it('signs out', async () => {
+            const { token } = await (await signIn(stack)).json();
+
+            const response = await fetch(`${stack.baseUrl}/api/auth/session`, { method: 'DELETE', headers: bearer(token) });
+
+            assert.equal(response.status, 200);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(token) })).status, 401);
+        });
+    });
+
+    describe('with API keys', () => {
+        let stack;
+        let stateDir;
+        let env;
+        let chatKey;
+
+        before(async () => {
+            stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-auth-'));
+            env = {
+                ADMIN_API_KEY: 'admin-secret',
+                SESSION_SECRET: 'auth-test-secret',
+                API_KEY_STORE: path.join(stateDir, 'api-keys.json'),
+                SESSION_REVOCATION_FILE: path.join(stateDir, 'revoked-sessions.json')
+            };
+            stack = await startStack(env);
+
+            const issued = await postJson(`${stack.baseUrl}/api/v1/keys`, {
+                label: 'terminal',
+                scopes: ['chat', 'transcribe']
+            }, { 'X-Admin-Key': 'admin-secret' });
+            chatKey = await issued.json();
+        });
+
+        after(async () => {
+            await stack.stop();
+            fs.rmSync(stateDir, { recursive: true, force: true });
+        });
+
+        beforeEach(() => {
+            stack.standIn.reset();
+        });
+
+        it('signs in with an API key only', async () => {
+            assert.equal((await signIn(stack)).status, 401);
+            assert.equal((await signIn(stack, { 'X-API-Key': 't101_wrong' })).status, 403);
+
+            const response = await signIn(stack, { 'X-API-Key': chatKey.apiKey });
+            const session = await response.json();
+
+            assert.equal(response.status, 201);
+            assert.equal(session.user.id, chatKey.key.id);
+            assert.equal(session.user.name, 'terminal');
+            assert.deepEqual(session.user.scopes, ['chat', 'transcribe']);
+        });
+
+        it('authorizes requests with the key\'s scopes', async () => {
+            const { token } = await (await signIn(stack, { 'X-API-Key': chatKey.apiKey })).json();
+
+            assert.equal((await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, bearer(token))).status, 200);
+
+            const speech = await postJson(`${stack.baseUrl}/api/tts`, { text: 'hello' }, bearer(token));
+            assert.equal(speech.status, 403);
+            assert.match((await speech.json()).message, /Session lacks the tts scope/);
+
+            const client = await connectVoiceChannel(stack.baseUrl, { token });
+            const ready = await client.waitFor('ready');
+            assert.equal(ready.speech, false);
+            await client.close();
+        });
+
+        it('ends the sessions of a disabled key', async () => {
+            const { key, apiKey } = await (await postJson(`${stack.baseUrl}/api/v1/keys`, {
+                label: 'short-lived',
+                scopes: ['chat']
+            }, { 'X-Admin-Key': 'admin-secret' })).json();
+            const { token } = await (await signIn(stack, { 'X-API-Key': apiKey })).json();
+
+            await fetch(`${stack.baseUrl}/api/v1/keys/${key.id}`, {
+                method: 'PATCH',
+                headers: { 'X-Admin-Key': 'admin-secret', 'Content-Type': 'application/json' },
+                body: JSON.stringify({ enabled: false })
+            });
+
+            const response = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, bearer(token));
+            assert.equal(response.status, 401);
+            await assert.rejects(connectVoiceChannel(stack.baseUrl, { token }), /Upgrade rejected with 401/);
+        });
+
+        it('keeps conversations private to their owner', async () => {
+            const other = await (await postJson(`${stack.baseUrl}/api/v1/keys`, {
+                label: 'someone else',
+                scopes: ['chat', 'transcribe']
+            }, { 'X-Admin-Key': 'admin-secret' })).json();
+            const owner = { 'X-API-Key': chatKey.apiKey };
+            const intruder = { 'X-API-Key': other.apiKey };
+            const api = `${stack.baseUrl}/api/v1`;
+
+            const chat = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, { ...owner, 'X-Session-ID': 'private-chat' });
+            assert.equal(chat.status, 200);
+
+            // The owner's session token shares the key's identity
+            const { token } = await (await signIn(stack, owner)).json();
+            assert.equal((await fetch(`${api}/sessions/private-chat`, { headers: bearer(token) })).status, 200);
+
+            assert.equal((await fetch(`${api}/sessions/private-chat`, { headers: intruder })).status, 404);
+            assert.equal((await postJson(`${api}/sessions/private-chat/reset`, {}, intruder)).status, 404);
+            assert.equal((await postJson(`${api}/sessions/private-chat/fork`, {}, intruder)).status, 404);
+
+            const listed = await (await fetch(`${api}/sessions?userId=${chatKey.key.id}`, { headers: intruder })).json();
+            assert.deepEqual(listed.sessions, []);
+
+            const hijack = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, { ...intruder, 'X-Session-ID': 'private-chat' });
+            assert.equal(hijack.status, 404);
+            await assert.rejects(
+                connectVoiceChannel(stack.baseUrl, { apiKey: other.apiKey, sessionId: 'private-chat' }),
+                /Upgrade rejected with 404/
+            );
+
+            const history = await (await fetch(`${api}/sessions/private-chat`, { headers: owner })).json();
+            assert.equal(history.session.history.length, 2);
+        });
+
+        it('keeps sessions and revocations across restarts', async () => {
+            const kept = await (await signIn(stack, { 'X-API-Key': chatKey.apiKey })).json();
+            const revoked = await (await signIn(stack, { 'X-API-Key': chatKey.apiKey })).json();
+            await fetch(`${stack.baseUrl}/api/auth/session`, { method: 'DELETE', headers: bearer(revoked.token) });
+
+            await stack.stop();
+            stack = await startStack(env);
+
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(kept.token) })).status, 200);
+            assert.equal((await fetch(`${stack.baseUrl}/api/auth/session`, { headers: bearer(revoked.token) })).status, 401);
+        });
+    });
+});
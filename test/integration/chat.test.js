@@ -0,0 +1,155 @@
+/**
+ * Integration tests for the chat routes (/api/chat, /api/chat/stream)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, parseEvents, postJson } = require('./helpers');
+
+describe('chat routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    describe('POST /api/chat', () => {
+        it('returns the model reply', async () => {
+            const response = await postJson(`${stack.baseUrl}/api/chat`, { message: 'What is your status?' });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.success, true);
+            assert.equal(data.response, 'All systems operational. Diagnostics nominal. Threat level: low.');
+        });
+
+        it('sends the configured model, limits and key upstream', async () => {
+            await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' });
+
+            const [request] = stack.standIn.getRequests('/v1/chat/completions');
+            assert.equal(request.host, 'api.openai.com');
+            assert.equal(request.headers.authorization, 'Bearer test-openai-key');
+            assert.equal(request.body.model, 'gpt-3.5-turbo');
+            assert.equal(request.body.max_tokens, 200);
+            assert.equal(request.body.messages[0].role, 'system');
+            assert.deepEqual(request.body.messages.at(-1), { role: 'user', content: 'hello' });
+        });
+
+        it('includes earlier turns of the same session', async () => {
+            const headers = { 'X-Session-ID': 'chat-memory-test' };
+            await postJson(`${stack.baseUrl}/api/chat`, { message: 'first question' }, headers);
+            const response = await postJson(`${stack.baseUrl}/api/chat`, { message: 'second question' }, headers);
+            const data = await response.json();
+
+            assert.equal(data.sessionId, 'chat-memory-test');
+
+            const requests = stack.standIn.getRequests('/v1/chat/completions');
+            const contents = requests[1].body.messages.map(message => message.content);
+            assert.ok(contents.includes('first question'));
+            assert.equal(contents.at(-1), 'second question');
+        });
+
+        it('uses a custom system prompt', async () => {
+            await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello', systemPrompt: 'Be brief.' });
+
+            const [request] = stack.standIn.getRequests('/v1/chat/completions');
+            assert.deepEqual(request.body.messages[0], { role: 'system', content: 'Be brief.' });
+        });
+
+        it('rejects a missing message', async () => {
+            const response = await postJson(`${stack.baseUrl}/api/chat`, {});
+
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'Message is required');
+            assert.equal(stack.standIn.getRequests('/v1/chat/completions').length, 0);
+        });
+
+        it('reports upstream failures', async () => {
+            stack.standIn.injectFault({ path: '/v1/chat/completions', status: 500, message: 'model overloaded' });
+
+            const response = await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' });
+            const data = await response.json();
+
+            assert.equal(response.status, 500);
+            assert.equal(data.error, 'AI Processing Error');
+            assert.match(data.details, /model overloaded/);
+        });
+
+        it('waits for slow upstream responses', async () => {
+            stack.standIn.setLatency(300);
+
+            const started = Date.now();
+            const response = await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' });
+
+            assert.equal(response.status, 200);
+            assert.ok(Date.now() - started >= 300);
+        });
+    });
+
+    describe('POST /api/chat/stream', () => {
+        it('relays tokens as server-sent events', async () => {
+            const response = await postJson(
+                `${stack.baseUrl}/api/chat/stream`,
+                { message: 'hello' },
+                { 'X-Session-ID': 'chat-stream-test' }
+            );
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+
+            const events = parseEvents(await response.text());
+            const tokens = events.filter(event => event.event === 'token').map(event => event.text);
+
+            assert.deepEqual(events[0], { event: 'start', sessionId: 'chat-stream-test' });
+            assert.ok(tokens.length > 1);
+            assert.deepEqual(events.at(-1), { event: 'done', response: tokens.join('') });
+            assert.equal(tokens.join(''), 'Greetings. T-101 online. State your query.');
+        });
+
+        it('requests a streamed completion upstream', async () => {
+            await (await postJson(`${stack.baseUrl}/api/chat/stream`, { message: 'hello' })).text();
+
+            const [request] = stack.standIn.getRequests('/v1/chat/completions');
+            assert.equal(request.body.stream, true);
+        });
+
+        it('remembers streamed replies in the session', async () => {
+            const headers = { 'X-Session-ID': 'chat-stream-memory' };
+            await (await postJson(`${stack.baseUrl}/api/chat/stream`, { message: 'hello' }, headers)).text();
+            await postJson(`${stack.baseUrl}/api/chat`, { message: 'and now?' }, headers);
+
+            const requests = stack.standIn.getRequests('/v1/chat/completions');
+            const contents = requests[1].body.messages.map(message => message.content);
+            assert.ok(contents.includes('Greetings. T-101 online. State your query.'));
+        });
+
+        it('rejects a missing message', async () => {
+            const response = await postJson(`${stack.baseUrl}/api/chat/stream`, {});
+            assert.equal(response.status, 400);
+        });
+
+        it('returns a JSON error when the upstream rejects the request', async () => {
+            stack.standIn.injectFault({ path: '/v1/chat/completions', status: 503, times: 1 });
+
+            const response = await postJson(`${stack.baseUrl}/api/chat/stream`, { message: 'hello' });
+
+            assert.equal(response.status, 500);
+            assert.equal((await response.json()).error, 'AI Processing Error');
+        });
+    });
+
+    it('refuses to start with an unknown LLM provider', async () => {
+        await assert.rejects(
+            startStack({ LLM_PROVIDER: 'skynet' }),
+            /exited with code 1[\s\S]*Unknown LLM_PROVIDER "skynet"; use one of: openai, local, mock/
+        );
+    });
+});
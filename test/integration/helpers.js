@@ -0,0 +1,363 @@
+/**
+ * T-101 Terminal - Integration Test Helpers
+ * Starts the upstream stand-in and a server.js process that sends its upstream traffic to it
+ */
+
+const { spawn, spawnSync } = require('child_process');
+const fs = require('fs');
+const net = require('net');
+const os = require('os');
+const path = require('path');
+const WebSocket = require('ws');
+const { createStandInServer } = require('../../tools/stand-in-server');
+
+const ROOT_DIR = path.resolve(__dirname, '../..');
+
+// Maximum time to wait for server.js to accept requests
+const STARTUP_TIMEOUT_MS = 10000;
+
+/**
+ * Find a free local port
+ * @returns {Promise<number>} Port number
+ */
+function getFreePort() {
+    return new Promise((resolve, reject) => {
+        const probe = net.createServer();
+        probe.unref();
+        probe.on('error', reject);
+        probe.listen(0, () => {
+            const { port } = probe.address();
+            probe.close(() => resolve(port));
+        });
+    });
+}
+
+/**
+ * Wait until the server answers its health check
+ * @param {string} baseUrl Server URL
+ * @param {ChildProcess} child Server process
+ */
+async function waitForServer(baseUrl, child) {
+    const deadline = Date.now() + STARTUP_TIMEOUT_MS;
+
+    while (Date.now() < deadline) {
+        if (child.exitCode !== null) {
+            throw new Error(`server.js exited with code ${child.exitCode}`);
+        }
+
+        try {
+            const response = await fetch(`${baseUrl}/api/health`);
+            if (response.ok) return;
+        } catch (error) {
+            // Not listening yet
+        }
+
+        await new Promise(resolve => setTimeout(resolve, 100));
+    }
+
+    throw new Error('Timed out waiting for server.js to start');
+}
+
+/**
+ * Start the stand-in and server.js wired to it
+ * @param {Object|Function} env Extra environment variables for server.js, or a function that
+ *   receives the stand-in URL and returns them
+ * @returns {Promise<Object>} Running stack ({ baseUrl, standIn, standInUrl, tempDir, stop })
+ */
+async function startStack(env = {}) {
+    const standIn = createStandInServer();
+    const standInUrl = await standIn.listen(0);
+    const port = await getFreePort();
+
+    // Each stack gets its own speech cache, usage and delivery logs, key and webhook stores, and
+    // temp files so tests never share them or leave them in the repository
+    const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-speech-cache-'));
+    const usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-usage-'));
+    const keyStoreDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-keys-'));
+    const tempDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-temp-'));
+
+    const child = spawn(process.execPath, ['server.js'], {
+        cwd: ROOT_DIR,
+        env: {
+            ...process.env,
+            PORT: String(port),
+            NODE_ENV: 'test',
+            MOCK_MODE: 'false',
+            LLM_PROVIDER: 'openai',
+            OPENAI_API_KEY: 'test-openai-key',
+            ELEVEN_LABS_API_KEY: 'test-eleven-labs-key',
+            API_KEY: '',
+            // The default upstream URLs are https, so route them through the stand-in as a proxy
+            HTTPS_PROXY: standInUrl,
+            HTTP_PROXY: standInUrl,
+            NO_PROXY: '',
+            SPEECH_CACHE_DIR: cacheDir,
+            USAGE_DIR: usageDir,
+            TEMP_DIR: tempDir,
+            API_KEY_STORE: path.join(keyStoreDir, 'api-keys.json'),
+            SESSION_REVOCATION_FILE: path.join(keyStoreDir, 'revoked-sessions.json'),
+            WEBHOOK_STORE: path.join(keyStoreDir, 'webhooks.json'),
+            WEBHOOK_DELIVERY_LOG: path.join(usageDir, 'webhook-deliveries.jsonl'),
+            // Webhook receivers run in the test process, not behind the stand-in
+            WEBHOOK_PROXY: 'none',
+            ...(typeof env === 'function' ? env(standInUrl) : env)
+        },
+        stdio: ['ignore', 'pipe', 'pipe']
+    });
+
+    // Keep the output for failure diagnostics
+    let output = '';
+    child.stdout.on('data', chunk => { output += chunk; });
+    child.stderr.on('data', chunk => { output += chunk; });
+
+    const baseUrl = `http://localhost:${port}`;
+
+    try {
+        await waitForServer(baseUrl, child);
+    } catch (error) {
+        child.kill();
+        await standIn.close();
+        fs.rmSync(cacheDir, { recursive: true, force: true });
+        fs.rmSync(usageDir, { recursive: true, force: true });
+        fs.rmSync(keyStoreDir, { recursive: true, force: true });
+        fs.rmSync(tempDir, { recursive: true, force: true });
+        error.message += `\n${output}`;
+        throw error;
+    }
+
+    return {
+        baseUrl,
+        standIn,
+        standInUrl,
+        tempDir,
+
+        /**
+         * Get the server output collected so far
+         * @returns {string} Combined stdout and stderr
+         */
+        getOutput() {
+            return output;
+        },
+
+        /**
+         * Stop server.js and the stand-in
+         */
+        async stop() {
+            if (child.exitCode === null) {
+                await new Promise(resolve => {
+                    child.once('exit', resolve);
+                    child.kill();
+                });
+            }
+            await standIn.close();
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+            fs.rmSync(usageDir, { recursive: true, force: true });
+            fs.rmSync(keyStoreDir, { recursive: true, force: true });
+            fs.rmSync(tempDir, { recursive: true, force: true });
+        }
+    };
+}
+
+/**
+ * Parse a server-sent event body into event objects
+ * @param {string} body Response body
+ * @returns {Array} Parsed "data:" payloads
+ */
+function parseEvents(body) {
+    return body
+        .split('\n\n')
+        .map(block => block.split('\n').find(line => line.startsWith('data: ')))
+        .filter(Boolean)
+        .map(line => JSON.parse(line.slice(6)));
+}
+
+/**
+ * Build a small fake recording for upload tests
+ * @param {string} seed Content seed (different seeds give different mock transcriptions)
+ * @returns {Blob} Audio blob
+ */
+function fakeRecording(seed = 'recording') {
+    return new Blob([Buffer.from(`fake-webm-audio-${seed}`)], { type: 'audio/webm' });
+}
+
+/**
+ * Check whether ffmpeg and ffprobe are installed (long-form transcription needs them)
+ * @returns {boolean} Whether both tools run
+ */
+function hasFfmpeg() {
+    return ['ffmpeg', 'ffprobe'].every(command => {
+        const result = spawnSync(command, ['-version'], { stdio: 'ignore' });
+        return !result.error && result.status === 0;
+    });
+}
+
+/**
+ * Generate a tone as a WAV file with ffmpeg
+ * @param {number} seconds Duration
+ * @returns {string} Path to the file in the system temp directory (the caller removes it)
+ */
+function createToneFile(seconds) {
+    const filePath = path.join(os.tmpdir(), `t101-tone-${process.pid}-${Date.now()}.wav`);
+    const result = spawnSync('ffmpeg', [
+        '-f', 'lavfi',
+        '-i', `sine=frequency=440:duration=${seconds}`,
+        '-ar', '16000',
+        '-ac', '1',
+        '-y',
+        filePath
+    ], { stdio: 'ignore' });
+
+    if (result.status !== 0) {
+        throw new Error('ffmpeg could not generate the tone');
+    }
+
+    return filePath;
+}
+
+/**
+ * Generate a short video with a stereo tone as its audio track
+ * @param {number} seconds Duration
+ * @returns {string} Path to the MP4 file in the system temp directory (the caller removes it)
+ */
+function createVideoFile(seconds) {
+    const filePath = path.join(os.tmpdir(), `t101-video-${process.pid}-${Date.now()}.mp4`);
+    const result = spawnSync('ffmpeg', [
+        '-f', 'lavfi',
+        '-i', `testsrc=size=160x120:rate=10:duration=${seconds}`,
+        '-f', 'lavfi',
+        '-i', `sine=frequency=440:duration=${seconds}`,
+        '-ac', '2',
+        '-c:v', 'mpeg4',
+        '-c:a', 'aac',
+        '-shortest',
+        '-y',
+        filePath
+    ], { stdio: 'ignore' });
+
+    if (result.status !== 0) {
+        throw new Error('ffmpeg could not generate the video');
+    }
+
+    return filePath;
+}
+
+/**
+ * POST a JSON body
+ * @param {string} url Request URL
+ * @param {Object} body JSON body
+ * @param {Object} headers Extra headers
+ * @returns {Promise<Response>} Fetch response
+ */
+function postJson(url, body, headers = {}) {
+    return fetch(url, {
+        method: 'POST',
+        headers: { 'Content-Type': 'application/json', ...headers },
+        body: JSON.stringify(body)
+    });
+}
+
+/**
+ * Connect to the voice channel and collect what the server sends
+ * @param {string} baseUrl Server URL
+ * @param {Object} query Query parameters (sessionId, apiKey)
+ * @returns {Promise<Object>} Client ({ socket, messages, audio, send, sendAudio, waitFor, close })
+ */
+function connectVoiceChannel(baseUrl, query = {}) {
+    const url = new URL('/api/voice', baseUrl.replace(/^http/, 'ws'));
+    Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+
+    const socket = new WebSocket(url);
+    const messages = [];
+    const audio = [];
+    const waiters = [];
+
+    socket.on('message', (data, isBinary) => {
+        if (isBinary) {
+            audio.push(data);
+            return;
+        }
+
+        const message = JSON.parse(data.toString());
+        messages.push(message);
+
+        waiters
+            .filter(waiter => waiter.type === message.type)
+            .forEach(waiter => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(message);
+            });
+    });
+
+    const client = {
+        socket,
+        messages,
+        audio,
+
+        /**
+         * Send a control message
+         * @param {Object} message Message with a type
+         */
+        send(message) {
+            socket.send(JSON.stringify(message));
+        },
+
+        /**
+         * Send a binary audio chunk
+         * @param {Buffer} chunk Audio data
+         */
+        sendAudio(chunk) {
+            socket.send(chunk, { binary: true });
+        },
+
+        /**
+         * Wait for the next message of a type (or return one already received after `since`)
+         * @param {string} type Message type
+         * @param {number} since Index in messages to search from
+         * @returns {Promise<Object>} The message
+         */
+        waitFor(type, since = 0) {
+            const received = messages.slice(since).find(message => message.type === type);
+            if (received) return Promise.resolve(received);
+
+            return new Promise((resolve, reject) => {
+                const waiter = { type, resolve };
+                waiters.push(waiter);
+                setTimeout(() => {
+                    if (waiters.includes(waiter)) {
+                        waiters.splice(waiters.indexOf(waiter), 1);
+                        reject(new Error(`Timed out waiting for ${type}; received ${messages.map(m => m.type).join(', ')}`));
+                    }
+                }, 5000);
+            });
+        },
+
+        /**
+         * Close the connection
+         * @returns {Promise<void>}
+         */
+        close() {
+            if (socket.readyState === WebSocket.CLOSED) return Promise.resolve();
+            return new Promise(resolve => {
+                socket.once('close', resolve);
+                socket.close();
+            });
+        }
+    };
+
+    return new Promise((resolve, reject) => {
+        socket.once('open', () => resolve(client));
+        socket.once('unexpected-response', (req, res) => reject(new Error(`Upgrade rejected with ${res.statusCode}`)));
+        socket.once('error', reject);
+    });
+}
+
+module.exports = {
+    startStack,
+    parseEvents,
+    fakeRecording,
+    hasFfmpeg,
+    createToneFile,
+    createVideoFile,
+    postJson,
+    connectVoiceChannel
+};
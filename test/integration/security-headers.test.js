@@ -0,0 +1,179 @@
+/**
+ * Integration tests for the security headers, the CORS allow-list and /api/csp-report
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const WebSocket = require('ws');
+const { startStack, postJson } = require('./helpers');
+
+const ALLOWED_ORIGIN = 'https://console.example.com';
+const FOREIGN_ORIGIN = 'https://evil.example.com';
+
+/**
+ * Open a voice channel socket from a page origin
+ * @param {string} baseUrl Server URL
+ * @param {string} origin Origin header
+ * @returns {Promise<number>} 101 when connected, otherwise the rejecting status
+ */
+function upgradeFrom(baseUrl, origin) {
+    const socket = new WebSocket(`${baseUrl.replace(/^http/, 'ws')}/api/voice`, { origin });
+
+    return new Promise((resolve, reject) => {
+        socket.once('open', () => {
+            socket.close();
+            resolve(101);
+        });
+        socket.once('unexpected-response', (req, res) => resolve(res.statusCode));
+        socket.once('error', reject);
+    });
+}
+
+describe('security headers', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ CORS_ORIGINS: `${ALLOWED_ORIGIN}, https://other.example.com` });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    it('sends the configured CSP, frame and referrer policies', async () => {
+        for (const url of [`${stack.baseUrl}/`, `${stack.baseUrl}/api/health`]) {
+            const response = await fetch(url);
+            const csp = response.headers.get('content-security-policy');
+
+            assert.match(csp, /default-src 'self'/);
+            assert.match(csp, /style-src 'self' 'unsafe-inline' cdn\.jsdelivr\.net fonts\.googleapis\.com/);
+            assert.match(csp, /object-src 'none'/);
+            assert.match(csp, /frame-ancestors 'none'/);
+            assert.match(csp, /report-uri \/api\/csp-report; report-to csp-endpoint/);
+            assert.equal(response.headers.get('reporting-endpoints'), 'csp-endpoint="/api/csp-report"');
+            assert.equal(response.headers.get('x-frame-options'), 'DENY');
+            assert.equal(response.headers.get('referrer-policy'), 'strict-origin-when-cross-origin');
+            assert.equal(response.headers.get('x-content-type-options'), 'nosniff');
+            assert.equal(response.headers.get('strict-transport-security'), null);
+            assert.equal(response.headers.get('x-powered-by'), null);
+        }
+    });
+
+    it('allows listed origins and the terminal\'s own', async () => {
+        const listed = await fetch(`${stack.baseUrl}/api/health`, { headers: { Origin: ALLOWED_ORIGIN } });
+        assert.equal(listed.status, 200);
+        assert.equal(listed.headers.get('access-control-allow-origin'), ALLOWED_ORIGIN);
+        assert.equal(listed.headers.get('access-control-allow-credentials'), 'true');
+        assert.match(listed.headers.get('access-control-expose-headers'), /X-Cache/);
+
+        const preflight = await fetch(`${stack.baseUrl}/api/v1/webhooks/wh_1`, {
+            method: 'OPTIONS',
+            headers: {
+                Origin: ALLOWED_ORIGIN,
+                'Access-Control-Request-Method': 'PATCH',
+                'Access-Control-Request-Headers': 'x-admin-key, content-type'
+            }
+        });
+        assert.equal(preflight.status, 204);
+        assert.match(preflight.headers.get('access-control-allow-methods'), /PATCH/);
+        assert.match(preflight.headers.get('access-control-allow-headers'), /X-Admin-Key/);
+
+        const own = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, { Origin: stack.baseUrl });
+        assert.equal(own.status, 200);
+    });
+
+    it('refuses other origins, including on the voice channel', async () => {
+        const chat = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, { Origin: FOREIGN_ORIGIN });
+        assert.equal(chat.status, 403);
+        assert.match((await chat.json()).details, /evil\.example\.com is not in CORS_ORIGINS/);
+        assert.equal(stack.standIn.getRequests().length, 0);
+
+        const preflight = await fetch(`${stack.baseUrl}/api/chat`, {
+            method: 'OPTIONS',
+            headers: { Origin: 'null', 'Access-Control-Request-Method': 'POST' }
+        });
+        assert.equal(preflight.status, 403);
+        assert.equal(preflight.headers.get('access-control-allow-origin'), null);
+
+        assert.equal(await upgradeFrom(stack.baseUrl, FOREIGN_ORIGIN), 403);
+        assert.equal(await upgradeFrom(stack.baseUrl, ALLOWED_ORIGIN), 101);
+    });
+
+    it('logs CSP violation reports', async () => {
+        const legacy = await fetch(`${stack.baseUrl}/api/csp-report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/csp-report' },
+            body: JSON.stringify({
+                'csp-report': {
+                    'document-uri': `${stack.baseUrl}/`,
+                    'blocked-uri': 'https://tracker.example.com/pixel.js',
+                    'effective-directive': 'script-src-elem',
+                    'original-policy': "default-src 'self'"
+                }
+            })
+        });
+        assert.equal(legacy.status, 204);
+
+        const reportingApi = await fetch(`${stack.baseUrl}/api/csp-report`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/reports+json' },
+            body: JSON.stringify([
+                { type: 'deprecation', body: { id: 'something-old' } },
+                { type: 'csp-violation', body: { blockedURL: 'inline', effectiveDirective: 'style-src-attr', disposition: 'report' } }
+            ])
+        });
+        assert.equal(reportingApi.status, 204);
+
+        const output = stack.getOutput();
+        assert.match(output, /CSP violation: .*"blockedUri":"https:\/\/tracker\.example\.com\/pixel\.js","directive":"script-src-elem"/);
+        assert.match(output, /CSP violation: .*"blockedUri":"inline","directive":"style-src-attr","disposition":"report"/);
+
+        const invalid = await postJson(`${stack.baseUrl}/api/csp-report`, { hello: 'world' });
+        assert.equal(invalid.status, 400);
+
+        // The report route's own limit applies to every content type
+        const oversized = await postJson(`${stack.baseUrl}/api/csp-report`, {
+            'csp-report': { 'blocked-uri': 'inline', 'script-sample': 'x'.repeat(20 * 1024) }
+        });
+        assert.equal(oversized.status, 413);
+    });
+
+    it('sends HSTS and report-only policies when configured', async () => {
+        const production = await startStack({ NODE_ENV: 'production', CSP_REPORT_ONLY: 'true', CORS_ORIGINS: '*', TRUST_PROXY: 'true' });
+
+        try {
+            const response = await fetch(`${production.baseUrl}/api/health`, {
+                headers: { Origin: FOREIGN_ORIGIN, 'X-Forwarded-Proto': 'https' }
+            });
+
+            assert.equal(response.headers.get('strict-transport-security'), 'max-age=15552000; includeSubDomains');
+            assert.equal(response.headers.get('content-security-policy'), null);
+            assert.match(response.headers.get('content-security-policy-report-only'), /default-src 'self'/);
+
+            // Any origin may call, but never with credentials
+            assert.equal(response.headers.get('access-control-allow-origin'), '*');
+            assert.equal(response.headers.get('access-control-allow-credentials'), null);
+
+            // Plain http never gets HSTS
+            const plain = await fetch(`${production.baseUrl}/api/health`);
+            assert.equal(plain.headers.get('strict-transport-security'), null);
+        } finally {
+            await production.stop();
+        }
+    });
+
+    it('ignores X-Forwarded-Proto unless the proxy is trusted', async () => {
+        const production = await startStack({ NODE_ENV: 'production' });
+
+        try {
+            const response = await fetch(`${production.baseUrl}/api/health`, { headers: { 'X-Forwarded-Proto': 'https' } });
+            assert.equal(response.headers.get('strict-transport-security'), null);
+        } finally {
+            await production.stop();
+        }
+    });
+});
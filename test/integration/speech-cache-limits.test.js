@@ -0,0 +1,96 @@
+/**
+ * Integration tests for the speech cache size cap, TTL and failures
+ */
+
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, after } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, postJson } = require('./helpers');
+
+describe('speech cache limits', () => {
+    const stacks = [];
+
+    after(async () => {
+        await Promise.all(stacks.map(stack => stack.stop()));
+    });
+
+    it('evicts the least recently used entry beyond the size cap', async () => {
+        // Room for about two short phrases of mock audio
+        const stack = await startStack({ SPEECH_CACHE_MAX_MB: '0.025' });
+        stacks.push(stack);
+
+        const tts = text => postJson(`${stack.baseUrl}/api/tts`, { text });
+
+        await tts('First phrase.');
+        await tts('Second phrase.');
+        await tts('First phrase.');
+        await tts('Third phrase.');
+
+        // "Second phrase." was least recently used, so it was evicted; "First phrase." survived
+        assert.equal((await tts('First phrase.')).headers.get('x-cache'), 'HIT');
+        assert.equal((await tts('Second phrase.')).headers.get('x-cache'), 'MISS');
+
+        const health = await (await fetch(`${stack.baseUrl}/api/v1/speech/health`)).json();
+        assert.ok(health.cache.evictions >= 1);
+        assert.ok(health.cache.sizeBytes <= 0.025 * 1024 * 1024);
+    });
+
+    it('expires entries after the TTL', async () => {
+        // 0.0002 hours is under a second
+        const stack = await startStack({ SPEECH_CACHE_TTL_HOURS: '0.0002' });
+        stacks.push(stack);
+
+        await postJson(`${stack.baseUrl}/api/tts`, { text: 'Short lived.' });
+        await new Promise(resolve => setTimeout(resolve, 1000));
+        const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Short lived.' });
+
+        assert.equal(response.headers.get('x-cache'), 'MISS');
+
+        const health = await (await fetch(`${stack.baseUrl}/api/v1/speech/health`)).json();
+        assert.equal(health.cache.expirations, 1);
+    });
+
+    it('leaves files it did not write in the cache directory', async () => {
+        const cacheDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-shared-cache-'));
+        fs.mkdirSync(path.join(cacheDir, 'exports'));
+        fs.writeFileSync(path.join(cacheDir, 'README.txt'), 'not speech');
+
+        try {
+            const stack = await startStack({ SPEECH_CACHE_DIR: cacheDir });
+            stacks.push(stack);
+
+            assert.equal((await postJson(`${stack.baseUrl}/api/tts`, { text: 'Shared folder.' })).status, 200);
+            assert.equal((await postJson(`${stack.baseUrl}/api/tts`, { text: 'Shared folder.' })).headers.get('x-cache'), 'HIT');
+            assert.ok(fs.existsSync(path.join(cacheDir, 'exports')));
+            assert.ok(fs.existsSync(path.join(cacheDir, 'README.txt')));
+        } finally {
+            fs.rmSync(cacheDir, { recursive: true, force: true });
+        }
+    });
+
+    it('serves speech when the cache cannot be used', async () => {
+        // A cache directory below a regular file can never be created
+        const blocker = path.join(fs.mkdtempSync(path.join(os.tmpdir(), 't101-no-cache-')), 'file');
+        fs.writeFileSync(blocker, '');
+
+        try {
+            const stack = await startStack({ SPEECH_CACHE_DIR: path.join(blocker, 'cache') });
+            stacks.push(stack);
+
+            for (let i = 0; i < 2; i++) {
+                const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'No cache here.' });
+                assert.equal(response.status, 200);
+                assert.equal(response.headers.get('x-cache'), 'MISS');
+                assert.ok((await response.arrayBuffer()).byteLength > 0);
+            }
+
+            const speech = await postJson(`${stack.baseUrl}/api/v1/speech`, { text: 'No cache here.' });
+            assert.equal(speech.status, 200);
+            assert.match(stack.getOutput(), /Speech cache lookup failed/);
+        } finally {
+            fs.rmSync(path.dirname(blocker), { recursive: true, force: true });
+        }
+    });
+});
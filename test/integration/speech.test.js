@@ -0,0 +1,225 @@
+/**
+ * Integration tests for the speech routes (/api/tts, /api/voices) and the general routes
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, postJson } = require('./helpers');
+
+describe('speech and general routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack({ ADMIN_API_KEY: 'admin-secret' });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    describe('GET /api/health', () => {
+        it('reports configured APIs', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/health`);
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.status, 'healthy');
+            assert.deepEqual(data.apis, { elevenLabs: true, openAI: true });
+            assert.deepEqual(data.mocks, { elevenLabs: false, whisper: false });
+            assert.equal(data.llm.provider, 'openai');
+        });
+    });
+
+    describe('GET /api/voices', () => {
+        it('returns the upstream voice list', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/voices`);
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.ok(data.voices.some(voice => voice.voice_id === 'terminator'));
+
+            const [request] = stack.standIn.getRequests('/v1/voices');
+            assert.equal(request.host, 'api.elevenlabs.io');
+            assert.equal(request.headers['xi-api-key'], 'test-eleven-labs-key');
+        });
+
+        it('passes upstream error statuses through', async () => {
+            stack.standIn.injectFault({ path: '/v1/voices', status: 429, message: 'Too many requests' });
+
+            const response = await fetch(`${stack.baseUrl}/api/voices`);
+            const data = await response.json();
+
+            assert.equal(response.status, 429);
+            assert.equal(data.error, 'ElevenLabs API Error');
+        });
+    });
+
+    describe('POST /api/tts', () => {
+        it('returns MP3 audio', async () => {
+            const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Target acquired.' });
+            const audio = Buffer.from(await response.arrayBuffer());
+
+            assert.equal(response.status, 200);
+            assert.equal(response.headers.get('content-type'), 'audio/mpeg');
+            assert.ok(audio.length > 0);
+            assert.equal(audio[0], 0xFF);
+        });
+
+        it('sends the voice and settings upstream', async () => {
+            await postJson(`${stack.baseUrl}/api/tts`, {
+                text: 'Target acquired.',
+                voiceId: 'terminator',
+                stability: 0.3,
+                similarityBoost: 0.9
+            });
+
+            const [request] = stack.standIn.getRequests('/v1/text-to-speech');
+            assert.equal(request.path, '/v1/text-to-speech/terminator');
+            assert.deepEqual(request.body.voice_settings, { stability: 0.3, similarity_boost: 0.9 });
+        });
+
+        it('rejects missing and oversized text', async () => {
+            const missing = await postJson(`${stack.baseUrl}/api/tts`, {});
+            const oversized = await postJson(`${stack.baseUrl}/api/tts`, { text: 'x'.repeat(5001) });
+
+            assert.equal(missing.status, 400);
+            assert.equal(oversized.status, 400);
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 0);
+        });
+
+        it('passes upstream error details through', async () => {
+            stack.standIn.injectFault({ path: '/v1/text-to-speech', status: 401, message: 'quota exceeded' });
+
+            const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Target lost.' });
+            const data = await response.json();
+
+            assert.equal(response.status, 401);
+            assert.equal(data.details.detail.message, 'quota exceeded');
+        });
+    });
+
+    describe('GET /api/subscription', () => {
+        /**
+         * Poll ElevenLabs now (admin only)
+         * @returns {Promise<Response>} Fetch response
+         */
+        function refreshSubscription() {
+            return fetch(`${stack.baseUrl}/api/subscription?refresh=true`, { headers: { 'X-Admin-Key': 'admin-secret' } });
+        }
+
+        it('lets only admins force a poll', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/subscription?refresh=true`);
+
+            assert.equal(response.status, 401);
+            assert.equal(stack.standIn.getRequests('/v1/user/subscription').length, 0);
+        });
+
+        it('reports character usage and the reset date', async () => {
+            stack.standIn.setCharacterUsage(1234, 10000);
+
+            const response = await refreshSubscription();
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.available, true);
+            assert.equal(data.charactersUsed, 1234);
+            assert.equal(data.charactersRemaining, 8766);
+            assert.equal(data.percentUsed, 12.3);
+            assert.ok(Date.parse(data.resetsAt) > Date.now());
+            assert.equal(data.warning, null);
+        });
+
+        it('warns when usage crosses the thresholds', async () => {
+            stack.standIn.setCharacterUsage(8500, 10000);
+            const warning = await (await refreshSubscription()).json();
+
+            stack.standIn.setCharacterUsage(10000, 10000);
+            const exhausted = await (await refreshSubscription()).json();
+
+            assert.deepEqual(warning.warning, { level: 'warning', threshold: 80, message: 'Speech character quota 85% used' });
+            assert.equal(exhausted.warning.level, 'critical');
+            assert.equal(exhausted.charactersRemaining, 0);
+        });
+
+        it('serves the last poll until it is stale', async () => {
+            await refreshSubscription();
+            const cached = await (await fetch(`${stack.baseUrl}/api/subscription`)).json();
+
+            assert.equal(cached.available, true);
+            assert.equal(stack.standIn.getRequests('/v1/user/subscription').length, 1);
+        });
+
+        it('keeps the last usage when a poll fails', async () => {
+            stack.standIn.setCharacterUsage(500, 10000);
+            await refreshSubscription();
+
+            stack.standIn.injectFault({ path: '/v1/user/subscription', status: 500, message: 'subscription down', times: 1 });
+            const data = await (await refreshSubscription()).json();
+
+            assert.equal(data.charactersUsed, 500);
+            assert.ok(data.error.length > 0);
+        });
+    });
+
+    describe('speech cache', () => {
+        it('serves repeated /api/tts requests from the cache', async () => {
+            const first = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Cache this phrase.' });
+            const second = await postJson(`${stack.baseUrl}/api/tts`, { text: '  Cache   this phrase. ' });
+
+            assert.equal(first.headers.get('x-cache'), 'MISS');
+            assert.equal(second.headers.get('x-cache'), 'HIT');
+            assert.deepEqual(
+                Buffer.from(await second.arrayBuffer()),
+                Buffer.from(await first.arrayBuffer())
+            );
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 1);
+        });
+
+        it('keys entries by voice and settings', async () => {
+            await postJson(`${stack.baseUrl}/api/tts`, { text: 'Voice specific.', stability: 0.2 });
+            const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Voice specific.', stability: 0.9 });
+
+            assert.equal(response.headers.get('x-cache'), 'MISS');
+            assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 2);
+        });
+
+        it('shares entries with /api/v1/speech and reports statistics', async () => {
+            const text = 'Shared cache entry.';
+            await postJson(`${stack.baseUrl}/api/v1/speech`, { text });
+            const cached = await postJson(`${stack.baseUrl}/api/v1/speech`, { text });
+
+            assert.equal(cached.headers.get('x-cache'), 'HIT');
+
+            const health = await (await fetch(`${stack.baseUrl}/api/v1/speech/health`)).json();
+            assert.equal(health.cache.enabled, true);
+            assert.ok(health.cache.entries >= 1);
+            assert.ok(health.cache.hits >= 1);
+            assert.ok(health.cache.misses >= 1);
+            assert.ok(health.cache.hitRate > 0);
+        });
+
+        it('clears the cache', async () => {
+            await postJson(`${stack.baseUrl}/api/tts`, { text: 'Clear me.' });
+
+            const cleared = await (await fetch(`${stack.baseUrl}/api/v1/speech/cache`, { method: 'DELETE' })).json();
+            const response = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Clear me.' });
+
+            assert.match(cleared.message, /^Cleared [1-9]\d* cached speech files$/);
+            assert.equal(response.headers.get('x-cache'), 'MISS');
+        });
+    });
+
+    describe('GET * (frontend fallback)', () => {
+        it('serves the terminal page for unknown paths', async () => {
+            const response = await fetch(`${stack.baseUrl}/some/client/route`);
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/html/);
+            assert.match(await response.text(), /<html/i);
+        });
+    });
+});
@@ -0,0 +1,565 @@
+/**
+ * Integration tests for the transcription routes (/api/transcribe, /api/transcribe/stream, /api/translate,
+ * /api/process-audio)
+ */
+
+const fs = require('fs');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    startStack,
+    parseEvents,
+    fakeRecording,
+    hasFfmpeg,
+    createToneFile,
+    createVideoFile
+} = require('./helpers');
+
+const FFMPEG_AVAILABLE = hasFfmpeg();
+
+describe('transcription routes', () => {
+    let stack;
+
+    before(async () => {
+        stack = await startStack();
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    describe('POST /api/transcribe', () => {
+        it('returns the Whisper transcription', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'status-check.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.text, 'System status report.');
+            assert.deepEqual(data.preprocessing, { profile: 'raw', steps: [] });
+
+            const [request] = stack.standIn.getRequests('/v1/audio/transcriptions');
+            assert.equal(request.host, 'api.openai.com');
+            assert.equal(request.headers.authorization, 'Bearer test-openai-key');
+        });
+
+        it('forwards optional parameters', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'clip.webm');
+            form.append('language', 'de');
+            form.append('prompt', 'T-101');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+
+            assert.equal(response.status, 200);
+            assert.equal(typeof (await response.json()).text, 'string');
+        });
+
+        it('rejects a request without a file', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: new FormData() });
+
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'No file uploaded');
+        });
+
+        it('passes upstream error statuses through', async () => {
+            stack.standIn.injectFault({ path: '/v1/audio/transcriptions', status: 413, message: 'File too large' });
+
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'clip.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 413);
+            assert.equal(data.error, 'Transcription API Error');
+            assert.equal(data.details.error.message, 'File too large');
+        });
+    });
+
+    describe('long-form transcription', () => {
+        it('explains that oversized audio needs ffmpeg', { skip: FFMPEG_AVAILABLE && 'ffmpeg is installed' }, async () => {
+            const form = new FormData();
+            form.append('file', new Blob([Buffer.alloc(26 * 1024 * 1024)], { type: 'audio/wav' }), 'meeting.wav');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 503);
+            assert.match(data.details, /requires ffmpeg/);
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 0);
+        });
+
+        describe('with ffmpeg', { skip: !FFMPEG_AVAILABLE && 'ffmpeg is not installed' }, () => {
+            let chunkedStack;
+            let tonePath;
+
+            before(async () => {
+                chunkedStack = await startStack({
+                    TRANSCRIPTION_LONG_AUDIO_SECONDS: '60',
+                    TRANSCRIPTION_CHUNK_SECONDS: '30',
+                    TRANSCRIPTION_CONCURRENCY: '2'
+                });
+                tonePath = createToneFile(90);
+            });
+
+            after(async () => {
+                await chunkedStack.stop();
+                fs.rmSync(tonePath, { force: true });
+            });
+
+            it('splits long audio and stitches the chunk transcripts', async () => {
+                const form = new FormData();
+                form.append('file', new Blob([fs.readFileSync(tonePath)], { type: 'audio/wav' }), 'briefing.wav');
+                form.append('prompt', 'Mission briefing.');
+
+                const response = await fetch(`${chunkedStack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+                const data = await response.json();
+
+                assert.equal(response.status, 200);
+                assert.equal(data.chunks, 3);
+                assert.equal(data.segments.length, 3);
+                assert.equal(data.text, data.segments.map(segment => segment.text).join(' '));
+                assert.ok(Math.abs(data.duration - 90) < 1);
+
+                // Segment times are shifted by the start of their chunk
+                data.segments.forEach((segment, index) => {
+                    assert.equal(segment.id, index);
+                    assert.ok(Math.abs(segment.start - index * 30) < 1, `segment ${index} starts at ${segment.start}`);
+                });
+
+                // Two runs: chunk 0 alone, then chunks 1 and 2 with chunk 1's text prompting chunk 2
+                const requests = chunkedStack.standIn.getRequests('/v1/audio/transcriptions');
+                const byChunk = index => requests.find(request => request.file.name.endsWith(`_chunk_00${index}.mp3`));
+
+                assert.equal(requests.length, 3);
+                assert.equal(byChunk(0).body.prompt, 'Mission briefing.');
+                assert.equal(byChunk(1).body.prompt, 'Mission briefing.');
+                assert.equal(byChunk(2).body.prompt, data.segments[1].text);
+                assert.equal(byChunk(2).body.response_format, 'verbose_json');
+            });
+
+            it('stitches plain-text chunk transcripts in mock mode', async () => {
+                const mockStack = await startStack({
+                    MOCK_MODE: 'true',
+                    TRANSCRIPTION_LONG_AUDIO_SECONDS: '60',
+                    TRANSCRIPTION_CHUNK_SECONDS: '30'
+                });
+
+                try {
+                    const form = new FormData();
+                    form.append('file', new Blob([fs.readFileSync(tonePath)], { type: 'audio/wav' }), 'briefing.wav');
+
+                    const response = await fetch(`${mockStack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+                    const data = await response.json();
+
+                    assert.equal(response.status, 200);
+                    assert.equal(data.chunks, 3);
+                    assert.deepEqual(data.words, []);
+                } finally {
+                    await mockStack.stop();
+                }
+            });
+        });
+
+        it('stitches chunks that came back as plain text', () => {
+            const { stitchTranscripts } = require('../../backend/services/transcription-service');
+
+            const stitched = stitchTranscripts([
+                {
+                    text: ' Mission briefing. ',
+                    language: 'english',
+                    duration: 30,
+                    segments: [{ id: 0, seek: 0, start: 0, end: 4, text: 'Mission briefing.' }],
+                    words: [{ word: 'Mission', start: 0, end: 0.5 }]
+                },
+                'Targets acquired.'
+            ], [30, 12.5]);
+
+            assert.equal(stitched.text, 'Mission briefing. Targets acquired.');
+            assert.equal(stitched.language, 'english');
+            assert.equal(stitched.duration, 42.5);
+            assert.equal(stitched.chunks, 2);
+            assert.deepEqual(stitched.segments, [{ id: 0, start: 0, end: 4, text: 'Mission briefing.' }]);
+            assert.deepEqual(stitched.words, [{ word: 'Mission', start: 0, end: 0.5 }]);
+        });
+
+        describe('with an upload limit', () => {
+            let limitedStack;
+
+            before(async () => {
+                limitedStack = await startStack({ TRANSCRIPTION_MAX_UPLOAD_MB: '0.001' });
+            });
+
+            after(async () => {
+                await limitedStack.stop();
+            });
+
+            it('rejects uploads over the limit', async () => {
+                const form = new FormData();
+                form.append('file', new Blob([Buffer.alloc(4096)], { type: 'audio/webm' }), 'clip.webm');
+
+                const response = await fetch(`${limitedStack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+                const data = await response.json();
+
+                assert.equal(response.status, 413);
+                assert.equal(data.error, 'Upload rejected');
+            });
+        });
+    });
+
+    describe('audio preprocessing', () => {
+        it('rejects unknown profiles', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'clip.webm');
+            form.append('preprocessing', 'studio');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 400);
+            assert.match(data.details, /Unknown preprocessing profile "studio" \(available: raw, clean, aggressive\)/);
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 0);
+        });
+
+        it('explains that profiles need ffmpeg', { skip: FFMPEG_AVAILABLE && 'ffmpeg is installed' }, async () => {
+            const transcribeForm = new FormData();
+            transcribeForm.append('file', fakeRecording(), 'clip.webm');
+            transcribeForm.append('preprocessing', 'clean');
+
+            const processForm = new FormData();
+            processForm.append('audio', fakeRecording(), 'clip.webm');
+            processForm.append('preprocessing', 'aggressive');
+
+            const transcribed = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: transcribeForm });
+            const processed = await fetch(`${stack.baseUrl}/api/process-audio`, { method: 'POST', body: processForm });
+
+            assert.equal(transcribed.status, 503);
+            assert.match((await transcribed.json()).details, /"clean" preprocessing profile runs ffmpeg/);
+            assert.equal(processed.status, 503);
+            assert.match((await processed.json()).details, /"aggressive" preprocessing profile runs ffmpeg/);
+        });
+
+        describe('with ffmpeg', { skip: !FFMPEG_AVAILABLE && 'ffmpeg is not installed' }, () => {
+            let tonePath;
+
+            before(() => {
+                tonePath = createToneFile(3);
+            });
+
+            after(() => {
+                fs.rmSync(tonePath, { force: true });
+            });
+
+            it('applies the profile steps before Whisper and reports them', async () => {
+                const form = new FormData();
+                form.append('file', new Blob([fs.readFileSync(tonePath)], { type: 'audio/wav' }), 'dictation.wav');
+                form.append('preprocessing', 'aggressive');
+
+                const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+                const events = parseEvents(await response.text());
+                const steps = events.filter(event => event.stage === 'preprocessing' && event.step);
+
+                assert.deepEqual(steps.map(event => event.step), ['denoise', 'normalize', 'convert']);
+                assert.deepEqual(events.at(-1).preprocessing, {
+                    profile: 'aggressive',
+                    steps: ['denoise', 'normalize', 'convert']
+                });
+
+                const [request] = stack.standIn.getRequests('/v1/audio/transcriptions');
+                assert.equal(request.file.name, 'dictation.mp3');
+            });
+
+            it('preprocesses /api/process-audio recordings', async () => {
+                const form = new FormData();
+                form.append('audio', new Blob([fs.readFileSync(tonePath)], { type: 'audio/wav' }), 'question.wav');
+                form.append('preprocessing', 'clean');
+
+                const response = await fetch(`${stack.baseUrl}/api/process-audio`, { method: 'POST', body: form });
+                const data = await response.json();
+
+                assert.equal(response.status, 200);
+                assert.deepEqual(data.preprocessing, { profile: 'clean', steps: ['normalize', 'convert'] });
+                assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions')[0].file.name, 'recording.mp3');
+            });
+        });
+    });
+
+    describe('transcript formats', () => {
+        const transcribeAs = (baseUrl, format, name = 'status-check.webm') => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), name);
+            form.append('response_format', format);
+            return fetch(`${baseUrl}/api/transcribe`, { method: 'POST', body: form });
+        };
+
+        it('renders SRT from Whisper segments', async () => {
+            const response = await transcribeAs(stack.baseUrl, 'srt');
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /application\/x-subrip/);
+            assert.equal(response.headers.get('x-preprocessing-profile'), 'raw');
+            assert.equal(await response.text(), '1\n00:00:00,000 --> 00:00:01,050\nSystem status report.\n');
+
+            // Timed formats ask Whisper for its verbose result with word timestamps
+            const [request] = stack.standIn.getRequests('/v1/audio/transcriptions');
+            assert.equal(request.body.response_format, 'verbose_json');
+            assert.deepEqual(request.body.timestamp_granularities, ['segment', 'word']);
+        });
+
+        it('renders WebVTT', async () => {
+            const response = await transcribeAs(stack.baseUrl, 'vtt');
+
+            assert.match(response.headers.get('content-type'), /text\/vtt/);
+            assert.equal(await response.text(), 'WEBVTT\n\n00:00:00.000 --> 00:00:01.050\nSystem status report.\n');
+        });
+
+        it('returns verbose JSON with segment and word timestamps', async () => {
+            const data = await (await transcribeAs(stack.baseUrl, 'verbose_json')).json();
+
+            assert.equal(data.text, 'System status report.');
+            assert.deepEqual(data.timings, { segments: 'whisper', words: 'whisper' });
+            assert.deepEqual(data.words.map(word => word.word), ['System', 'status', 'report.']);
+            assert.ok(Math.abs(data.words[2].start - 0.7) < 0.001);
+            assert.ok(Math.abs(data.segments[0].end - 1.05) < 0.001);
+        });
+
+        it('returns plain text', async () => {
+            const response = await transcribeAs(stack.baseUrl, 'text');
+
+            assert.match(response.headers.get('content-type'), /text\/plain/);
+            assert.equal(await response.text(), 'System status report.');
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions')[0].body.response_format, undefined);
+        });
+
+        it('rejects unsupported formats', async () => {
+            const response = await transcribeAs(stack.baseUrl, 'docx');
+
+            assert.equal(response.status, 400);
+            assert.match((await response.json()).details, /Unsupported response_format "docx"/);
+        });
+
+        it('delivers subtitles as the stream result content', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'status-check.webm');
+            form.append('response_format', 'vtt');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+            const result = parseEvents(await response.text()).at(-1);
+
+            assert.equal(result.event, 'result');
+            assert.equal(result.format, 'vtt');
+            assert.match(result.content, /^WEBVTT\n\n00:00:00\.000 --> /);
+            assert.equal(result.words.length, 3);
+        });
+
+        describe('without upstream timings', () => {
+            let mockStack;
+
+            before(async () => {
+                mockStack = await startStack({ MOCK_MODE: 'true' });
+            });
+
+            after(async () => {
+                await mockStack.stop();
+            });
+
+            it('estimates segment and word timings', async () => {
+                const data = await (await transcribeAs(mockStack.baseUrl, 'verbose_json', 'identify.webm')).json();
+
+                assert.equal(data.text, 'Identify yourself and state your purpose.');
+                assert.deepEqual(data.timings, { segments: 'estimated', words: 'estimated' });
+                assert.deepEqual(data.words.map(word => word.word), data.text.split(' '));
+                assert.equal(data.words[0].start, 0);
+                assert.equal(data.words.at(-1).end, data.duration);
+                data.words.slice(1).forEach((word, index) => assert.equal(word.start, data.words[index].end));
+            });
+
+            it('renders SRT from the estimated timings', async () => {
+                const srt = await (await transcribeAs(mockStack.baseUrl, 'srt', 'identify.webm')).text();
+
+                assert.match(srt, /^1\n00:00:00,000 --> 00:00:0\d,\d{3}\nIdentify yourself and state your purpose\.\n$/);
+            });
+        });
+    });
+
+    describe('POST /api/transcribe/stream', () => {
+        it('streams progress and the transcription', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'status-check.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+            const events = parseEvents(await response.text());
+
+            assert.equal(response.status, 200);
+            assert.match(response.headers.get('content-type'), /text\/event-stream/);
+            assert.deepEqual(events.map(event => event.event), ['start', 'progress', 'progress', 'result']);
+            assert.deepEqual(events[0], { event: 'start', file: 'status-check.webm', video: false });
+            assert.deepEqual(events.slice(1, 3).map(event => [event.stage, event.percent]), [
+                ['transcribing', 0],
+                ['transcribing', 100]
+            ]);
+            assert.equal(events[3].text, 'System status report.');
+        });
+
+        it('answers unprocessable uploads with a JSON error', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: new FormData() });
+
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'No file uploaded');
+        });
+
+        it('reports upstream failures as an error event', async () => {
+            stack.standIn.injectFault({ path: '/v1/audio/transcriptions', status: 500, message: 'whisper down' });
+
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'clip.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+            const error = parseEvents(await response.text()).at(-1);
+
+            assert.equal(error.event, 'error');
+            assert.equal(error.status, 500);
+            assert.equal(error.details.error.message, 'whisper down');
+        });
+    });
+
+    describe('video transcription', () => {
+        it('explains that video needs ffmpeg', { skip: FFMPEG_AVAILABLE && 'ffmpeg is installed' }, async () => {
+            const form = new FormData();
+            form.append('file', new Blob([Buffer.from('fake-mp4-video')], { type: 'video/mp4' }), 'meeting.mp4');
+
+            const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 503);
+            assert.match(data.details, /ffmpeg/);
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 0);
+        });
+
+        describe('with ffmpeg', { skip: !FFMPEG_AVAILABLE && 'ffmpeg is not installed' }, () => {
+            let videoPath;
+
+            before(() => {
+                videoPath = createVideoFile(5);
+            });
+
+            after(() => {
+                fs.rmSync(videoPath, { force: true });
+            });
+
+            it('transcribes the extracted audio track', async () => {
+                const form = new FormData();
+                form.append('file', new Blob([fs.readFileSync(videoPath)], { type: 'video/mp4' }), 'screen-recording.mp4');
+
+                const response = await fetch(`${stack.baseUrl}/api/transcribe/stream`, { method: 'POST', body: form });
+                const events = parseEvents(await response.text());
+                const extracting = events.filter(event => event.stage === 'extracting');
+
+                assert.equal(events[0].video, true);
+                assert.equal(extracting[0].percent, 0);
+                assert.equal(extracting.at(-1).percent, 100);
+                assert.equal(events.at(-1).event, 'result');
+                assert.equal(typeof events.at(-1).text, 'string');
+
+                // Whisper receives the downmixed MP3, not the video
+                const [request] = stack.standIn.getRequests('/v1/audio/transcriptions');
+                assert.equal(request.file.name, 'screen-recording.mp3');
+                assert.ok(request.file.size < fs.statSync(videoPath).size);
+            });
+        });
+    });
+
+    describe('POST /api/translate', () => {
+        it('returns the English translation with the original transcript', async () => {
+            const form = new FormData();
+            form.append('file', fakeRecording('bonjour'), 'bonjour.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/translate`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(typeof data.transcript, 'string');
+            assert.equal(data.language, 'english');
+            assert.ok(data.translation.length > 0);
+
+            // The original is transcribed without assuming a language, concurrently with the translation
+            const [transcription] = stack.standIn.getRequests('/v1/audio/transcriptions');
+            const [translation] = stack.standIn.getRequests('/v1/audio/translations');
+            assert.equal(transcription.body.language, undefined);
+            assert.equal(transcription.body.response_format, 'verbose_json');
+            assert.equal(transcription.file.name, 'bonjour.webm');
+            assert.equal(translation.file.name, 'bonjour.webm');
+        });
+
+        it('rejects a request without a file', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/translate`, { method: 'POST', body: new FormData() });
+
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'No file uploaded');
+        });
+
+        it('passes upstream error statuses through', async () => {
+            stack.standIn.injectFault({ path: '/v1/audio/translations', status: 429, message: 'Slow down' });
+
+            const form = new FormData();
+            form.append('file', fakeRecording(), 'clip.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/translate`, { method: 'POST', body: form });
+            const data = await response.json();
+
+            assert.equal(response.status, 429);
+            assert.equal(data.error, 'Translation API Error');
+        });
+    });
+
+    describe('POST /api/process-audio', () => {
+        it('transcribes the recording and answers it', async () => {
+            const form = new FormData();
+            form.append('audio', fakeRecording(), 'question.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/process-audio`, {
+                method: 'POST',
+                body: form,
+                headers: { 'X-Session-ID': 'process-audio-test' }
+            });
+            const data = await response.json();
+
+            assert.equal(response.status, 200);
+            assert.equal(data.success, true);
+            assert.equal(typeof data.transcription, 'string');
+            assert.equal(typeof data.response, 'string');
+            assert.equal(data.sessionId, 'process-audio-test');
+            assert.deepEqual(data.preprocessing, { profile: 'raw', steps: [] });
+
+            const [chatRequest] = stack.standIn.getRequests('/v1/chat/completions');
+            assert.equal(chatRequest.body.messages.at(-1).content, data.transcription);
+        });
+
+        it('rejects a request without audio', async () => {
+            const response = await fetch(`${stack.baseUrl}/api/process-audio`, { method: 'POST', body: new FormData() });
+
+            assert.equal(response.status, 400);
+            assert.equal((await response.json()).error, 'No audio uploaded');
+        });
+
+        it('reports a failed chat completion', async () => {
+            stack.standIn.injectFault({ path: '/v1/chat/completions', status: 500 });
+
+            const form = new FormData();
+            form.append('audio', fakeRecording(), 'clip.webm');
+
+            const response = await fetch(`${stack.baseUrl}/api/process-audio`, { method: 'POST', body: form });
+
+            assert.equal(response.status, 500);
+            assert.equal((await response.json()).error, 'Audio Processing Error');
+            assert.equal(stack.standIn.getRequests('/v1/audio/transcriptions').length, 1);
+        });
+    });
+});
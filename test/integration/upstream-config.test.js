@@ -0,0 +1,70 @@
+/**
+ * Integration tests for upstream settings from config.js (base URLs, timeouts, client config)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, fakeRecording, postJson } = require('./helpers');
+
+describe('upstream configuration', () => {
+    let stack;
+
+    before(async () => {
+        // Reach the stand-in through base URLs instead of the proxy
+        stack = await startStack(standInUrl => ({
+            HTTPS_PROXY: '',
+            HTTP_PROXY: '',
+            OPENAI_API_BASE_URL: `${standInUrl}/v1`,
+            ELEVEN_LABS_API_BASE_URL: `${standInUrl}/v1`,
+            OPENAI_TIMEOUT: '500'
+        }));
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    it('sends every upstream call to the configured base URLs', async () => {
+        const form = new FormData();
+        form.append('audio', fakeRecording(), 'clip.webm');
+
+        const chat = await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' });
+        const tts = await postJson(`${stack.baseUrl}/api/tts`, { text: 'Target acquired.' });
+        const voices = await fetch(`${stack.baseUrl}/api/voices`);
+        const processed = await fetch(`${stack.baseUrl}/api/process-audio`, { method: 'POST', body: form });
+
+        assert.deepEqual([chat.status, tts.status, voices.status, processed.status], [200, 200, 200, 200]);
+
+        // Direct requests carry the stand-in's own host rather than the real API hosts
+        const requests = stack.standIn.getRequests();
+        assert.equal(requests.length, 5);
+        assert.ok(requests.every(request => request.host === new URL(stack.standInUrl).host));
+    });
+
+    it('applies the configured timeout', async () => {
+        stack.standIn.setLatency(1000);
+
+        const form = new FormData();
+        form.append('file', fakeRecording(), 'clip.webm');
+
+        const response = await fetch(`${stack.baseUrl}/api/transcribe`, { method: 'POST', body: form });
+        const data = await response.json();
+
+        assert.equal(response.status, 500);
+        assert.match(data.details, /timeout/);
+    });
+
+    it('keeps upstream endpoints and keys out of the browser config', async () => {
+        const response = await fetch(`${stack.baseUrl}/api/client-config`);
+        const body = await response.text();
+        const data = JSON.parse(body);
+
+        assert.deepEqual(Object.keys(data.endpoints), ['voiceChannel']);
+        assert.deepEqual(data.features, { chat: true, speech: true, transcription: true });
+        assert.doesNotMatch(body, /localhost|test-openai-key|test-eleven-labs-key/);
+    });
+});
@@ -0,0 +1,163 @@
+/**
+ * Integration tests for usage metering (/api/usage)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, fakeRecording, postJson } = require('./helpers');
+
+const ADMIN_HEADERS = { 'X-Admin-Key': 'admin-secret' };
+
+/**
+ * Fingerprint of an API key as it appears in usage records
+ * @param {string} apiKey API key
+ * @returns {string} Fingerprint
+ */
+function fingerprint(apiKey) {
+    return `key_${crypto.createHash('sha256').update(apiKey).digest('hex').slice(0, 12)}`;
+}
+
+describe('usage metering', () => {
+    let stack;
+    let usageDir;
+
+    /**
+     * Fetch the usage rollup
+     * @param {Object} query Query parameters
+     * @returns {Promise<Object>} Usage
+     */
+    async function getUsage(query = {}) {
+        const url = new URL('/api/usage', stack.baseUrl);
+        Object.entries(query).forEach(([key, value]) => url.searchParams.set(key, value));
+
+        const response = await fetch(url, { headers: ADMIN_HEADERS });
+        assert.equal(response.status, 200);
+        return response.json();
+    }
+
+    before(async () => {
+        usageDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-usage-'));
+        stack = await startStack({ USAGE_DIR: usageDir, ADMIN_API_KEY: 'admin-secret' });
+    });
+
+    after(async () => {
+        await stack.stop();
+        fs.rmSync(usageDir, { recursive: true, force: true });
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+    });
+
+    it('requires the admin key', async () => {
+        assert.equal((await fetch(`${stack.baseUrl}/api/usage`)).status, 401);
+        assert.equal((await fetch(`${stack.baseUrl}/api/usage`, { headers: { 'X-Admin-Key': 'wrong' } })).status, 403);
+    });
+
+    it('rejects malformed date ranges', async () => {
+        for (const query of ['from=yesterday', 'to=garbage', 'from=2026-02-31', 'from=2026-03-02&to=2026-03-01']) {
+            const response = await fetch(`${stack.baseUrl}/api/usage?${query}`, { headers: ADMIN_HEADERS });
+            const data = await response.json();
+
+            assert.equal(response.status, 400, query);
+            assert.equal(data.error, 'Invalid Request');
+        }
+    });
+
+    it('meters chat tokens against the API key and session', async () => {
+        const headers = { 'X-API-Key': 'chat-meter-key', 'X-Session-ID': 'usage-chat-session' };
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'What is your status?' }, headers);
+
+        const usage = await getUsage({ sessionId: 'usage-chat-session' });
+        const { chat } = usage.totals;
+
+        assert.equal(chat.requests, 1);
+        assert.ok(chat.inputTokens > 0);
+        assert.ok(chat.outputTokens > 0);
+        assert.ok(chat.cost > 0);
+        assert.equal(usage.totals.cost, chat.cost);
+        assert.deepEqual(usage.byKey.map(entry => entry.apiKey), [fingerprint('chat-meter-key')]);
+
+        // The upstream's own token counts are used, and the key is only stored as its fingerprint
+        const records = fs.readFileSync(path.join(usageDir, fs.readdirSync(usageDir)[0]), 'utf8')
+            .trim().split('\n').map(line => JSON.parse(line));
+        const record = records.find(entry => entry.sessionId === 'usage-chat-session');
+        assert.equal(record.estimated, false);
+        assert.equal(record.source, 'POST /api/chat');
+        assert.ok(!JSON.stringify(records).includes('chat-meter-key'));
+    });
+
+    it('estimates tokens for streamed replies', async () => {
+        const headers = { 'X-Session-ID': 'usage-stream-session' };
+        const response = await postJson(`${stack.baseUrl}/api/chat/stream`, { message: 'hello' }, headers);
+        await response.text();
+
+        const { totals, byKey } = await getUsage({ sessionId: 'usage-stream-session' });
+
+        assert.equal(totals.chat.requests, 1);
+        assert.ok(totals.chat.outputTokens > 0);
+        assert.deepEqual(byKey.map(entry => entry.apiKey), ['anonymous']);
+    });
+
+    it('meters synthesized characters but not cache hits', async () => {
+        const headers = { 'X-Session-ID': 'usage-speech-session' };
+        const text = 'Metered speech sample.';
+
+        for (let i = 0; i < 2; i++) {
+            const response = await postJson(`${stack.baseUrl}/api/tts`, { text }, headers);
+            await response.arrayBuffer();
+        }
+
+        const { totals } = await getUsage({ sessionId: 'usage-speech-session' });
+
+        assert.equal(totals.speech.requests, 1);
+        assert.equal(totals.speech.characters, text.length);
+        assert.ok(totals.speech.cost > 0);
+    });
+
+    it('meters transcribed audio seconds', async () => {
+        const form = new FormData();
+        form.append('file', fakeRecording('usage-metering'), 'clip.webm');
+
+        const response = await fetch(`${stack.baseUrl}/api/transcribe`, {
+            method: 'POST',
+            headers: { 'X-Session-ID': 'usage-transcription-session' },
+            body: form
+        });
+        assert.equal(response.status, 200);
+
+        const { totals } = await getUsage({ sessionId: 'usage-transcription-session' });
+
+        assert.equal(totals.transcription.requests, 1);
+        assert.ok(totals.transcription.audioSeconds > 0);
+    });
+
+    it('rolls up by day and key, and keeps records across restarts', async () => {
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'hello' }, { 'X-API-Key': 'second-meter-key' });
+
+        const before = await getUsage();
+        const today = new Date().toISOString().slice(0, 10);
+
+        assert.equal(before.to, today);
+        assert.deepEqual(before.daily.map(entry => entry.date), [today]);
+        assert.equal(before.daily[0].requests, before.totals.requests);
+        assert.ok(before.byKey.some(entry => entry.apiKey === fingerprint('second-meter-key')));
+        assert.equal(
+            before.byKey.reduce((sum, entry) => sum + entry.requests, 0),
+            before.totals.requests
+        );
+
+        const filtered = await getUsage({ apiKey: fingerprint('second-meter-key') });
+        assert.equal(filtered.totals.requests, 1);
+
+        await stack.stop();
+        stack = await startStack({ USAGE_DIR: usageDir, ADMIN_API_KEY: 'admin-secret' });
+
+        const after = await getUsage();
+        assert.deepEqual(after.totals, before.totals);
+    });
+});
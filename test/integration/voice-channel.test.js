@@ -0,0 +1,206 @@
+/**
+ * Integration tests for the WebSocket voice channel (/api/voice)
+ */
+
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, connectVoiceChannel } = require('./helpers');
+
+describe('voice channel', () => {
+    let stack;
+    let client;
+
+    before(async () => {
+        stack = await startStack({ VOICE_PARTIAL_INTERVAL_MS: '100' });
+    });
+
+    after(async () => {
+        await stack.stop();
+    });
+
+    beforeEach(async () => {
+        stack.standIn.reset();
+        if (client) await client.close();
+        client = await connectVoiceChannel(stack.baseUrl, { sessionId: 'voice-channel-test' });
+    });
+
+    it('greets the client with the session and channel settings', async () => {
+        const ready = await client.waitFor('ready');
+
+        assert.equal(ready.sessionId, 'voice-channel-test');
+        assert.equal(ready.partialTranscripts, true);
+        assert.equal(ready.maxUtteranceMs, 30000);
+    });
+
+    it('answers a turn with transcripts, chat tokens and speech', async () => {
+        client.send({ type: 'start', mimeType: 'audio/webm' });
+        client.sendAudio(Buffer.from('fake-webm-audio-part-1'));
+        client.sendAudio(Buffer.from('fake-webm-audio-part-2'));
+        client.send({ type: 'stop' });
+
+        const done = await client.waitFor('turn.done');
+        const types = client.messages.map(message => message.type);
+        const final = client.messages.find(message => message.type === 'transcript.final');
+        const tokens = client.messages.filter(message => message.type === 'chat.token');
+
+        assert.deepEqual(types.filter(type => type !== 'chat.token' && type !== 'transcript.partial'), [
+            'ready', 'turn.started', 'transcript.final', 'chat.start', 'chat.done', 'tts.start', 'tts.end', 'turn.done'
+        ]);
+        assert.ok(final.text.length > 0);
+        assert.ok(tokens.length > 1);
+        assert.equal(tokens.map(token => token.text).join(''), done.response);
+        assert.equal(done.transcript, final.text);
+        assert.equal(done.cancelled, false);
+
+        // Speech arrives as binary MP3 frames between tts.start and tts.end
+        const audio = Buffer.concat(client.audio);
+        assert.equal(audio[0], 0xFF);
+        assert.equal(audio.length, client.messages.find(message => message.type === 'tts.end').bytes);
+
+        // The whole recording was transcribed, and the transcript was sent to the model
+        const transcription = stack.standIn.getRequests('/v1/audio/transcriptions').at(-1);
+        assert.equal(transcription.file.size, 'fake-webm-audio-part-1fake-webm-audio-part-2'.length);
+
+        const [chat] = stack.standIn.getRequests('/v1/chat/completions');
+        assert.equal(chat.body.stream, true);
+        assert.deepEqual(chat.body.messages.at(-1), { role: 'user', content: final.text });
+        assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 1);
+    });
+
+    it('sends partial transcripts while audio arrives', async () => {
+        client.send({ type: 'start' });
+        client.sendAudio(Buffer.from('fake-webm-audio-partial'));
+
+        const partial = await client.waitFor('transcript.partial');
+        client.send({ type: 'cancel' });
+        await client.waitFor('turn.done');
+
+        assert.ok(partial.text.length > 0);
+    });
+
+    it('skips speech when the client asks for text only', async () => {
+        client.send({ type: 'start', speak: false });
+        client.sendAudio(Buffer.from('fake-webm-audio-silent-reply'));
+        client.send({ type: 'stop' });
+
+        await client.waitFor('turn.done');
+
+        assert.ok(client.messages.some(message => message.type === 'chat.done'));
+        assert.ok(!client.messages.some(message => message.type === 'tts.start'));
+        assert.equal(stack.standIn.getRequests('/v1/text-to-speech').length, 0);
+    });
+
+    it('translates turns started in translate mode', async () => {
+        client.send({ type: 'start', mimeType: 'audio/webm', speak: false, translate: true });
+        client.sendAudio(Buffer.from('fake-webm-audio-guten-tag'));
+        client.send({ type: 'stop' });
+
+        const done = await client.waitFor('turn.done');
+        const final = client.messages.find(message => message.type === 'transcript.final');
+
+        assert.ok(final.text.length > 0);
+        assert.ok(final.translation.length > 0);
+        assert.equal(final.language, 'english');
+        assert.equal(done.transcript, final.text);
+        assert.equal(done.translation, final.translation);
+
+        // The model answers the translation
+        const [chat] = stack.standIn.getRequests('/v1/chat/completions');
+        assert.deepEqual(chat.body.messages.at(-1), { role: 'user', content: final.translation });
+        assert.equal(stack.standIn.getRequests('/v1/audio/translations').length, 1);
+    });
+
+    it('cancels a turn', async () => {
+        client.send({ type: 'start' });
+        client.sendAudio(Buffer.from('fake-webm-audio-cancelled'));
+        client.send({ type: 'cancel' });
+
+        const done = await client.waitFor('turn.done');
+
+        assert.equal(done.cancelled, true);
+        assert.equal(stack.standIn.getRequests('/v1/chat/completions').length, 0);
+    });
+
+    it('stops speech when the turn is cancelled mid-reply', async () => {
+        // Earlier turns may have cached this reply; the speech has to come from upstream
+        await fetch(`${stack.baseUrl}/api/v1/speech/cache`, { method: 'DELETE' });
+
+        // Slow upstream responses so the cancel lands while the speech request is in flight
+        stack.standIn.setLatency(700);
+
+        client.send({ type: 'start', mimeType: 'audio/webm' });
+        client.sendAudio(Buffer.from('fake-webm-audio-barge-in'));
+        client.send({ type: 'stop' });
+
+        await client.waitFor('tts.start');
+        client.send({ type: 'cancel' });
+
+        const done = await client.waitFor('turn.done');
+
+        assert.equal(done.cancelled, true);
+        assert.ok(done.response.length > 0);
+        assert.ok(!client.messages.some(message => message.type === 'tts.end' || message.type === 'error'));
+        assert.equal(client.audio.length, 0);
+    });
+
+    it('reports stage errors and still ends the turn', async () => {
+        stack.standIn.injectFault({ path: '/v1/audio/transcriptions', status: 500, message: 'whisper down' });
+
+        client.send({ type: 'start', mimeType: 'audio/webm', speak: false });
+        client.sendAudio(Buffer.from('fake-webm-audio-failing'));
+        client.send({ type: 'stop' });
+
+        const done = await client.waitFor('turn.done');
+        const error = client.messages.find(message => message.type === 'error');
+
+        assert.equal(error.stage, 'transcription');
+        assert.match(error.message, /whisper down/);
+        assert.equal(done.cancelled, false);
+        assert.equal(done.response, '');
+    });
+
+    it('rejects protocol errors', async () => {
+        client.sendAudio(Buffer.from('no turn yet'));
+        client.send({ type: 'launch' });
+        client.socket.send('not json');
+        client.send({ type: 'stop' });
+        client.send({ type: 'ping' });
+
+        await client.waitFor('pong');
+        const errors = client.messages.filter(message => message.type === 'error');
+
+        assert.deepEqual(errors.map(error => error.stage), ['protocol', 'protocol', 'protocol', 'protocol']);
+        assert.match(errors[1].message, /Unknown message type: launch/);
+    });
+
+    it('reports open connections in /api/health', async () => {
+        const health = await (await fetch(`${stack.baseUrl}/api/health`)).json();
+
+        assert.equal(health.voiceChannel.path, '/api/voice');
+        assert.ok(health.voiceChannel.connections >= 1);
+    });
+
+    describe('with an API key configured', () => {
+        let securedStack;
+
+        before(async () => {
+            securedStack = await startStack({ API_KEY: 'voice-secret' });
+        });
+
+        after(async () => {
+            await securedStack.stop();
+        });
+
+        it('requires the key to connect', async () => {
+            await assert.rejects(connectVoiceChannel(securedStack.baseUrl), /Upgrade rejected with 401/);
+
+            const secured = await connectVoiceChannel(securedStack.baseUrl, { apiKey: 'voice-secret' });
+            assert.equal((await secured.waitFor('ready')).type, 'ready');
+            await secured.close();
+        });
+    });
+
+    after(async () => {
+        if (client) await client.close();
+    });
+});
@@ -0,0 +1,397 @@
+/**
+ * Integration tests for outbound webhooks (/api/v1/webhooks)
+ */
+
+const crypto = require('crypto');
+const fs = require('fs');
+const http = require('http');
+const os = require('os');
+const path = require('path');
+const { describe, it, before, after, beforeEach } = require('node:test');
+const assert = require('node:assert/strict');
+const { startStack, postJson } = require('./helpers');
+
+const ADMIN_HEADERS = { 'X-Admin-Key': 'admin-secret' };
+
+/**
+ * Start a server that records webhook deliveries
+ * @returns {Promise<Object>} Receiver ({ url, deliveries, respondWith, waitFor, close })
+ */
+async function startReceiver() {
+    const deliveries = [];
+    const waiters = [];
+    let statuses = [];
+
+    const server = http.createServer((req, res) => {
+        let body = '';
+        req.on('data', chunk => { body += chunk; });
+        req.on('end', () => {
+            deliveries.push({ path: req.url, headers: req.headers, body, json: JSON.parse(body) });
+            res.writeHead(statuses.length > 0 ? statuses.shift() : 200);
+            res.end();
+
+            waiters.filter(waiter => deliveries.length >= waiter.count).forEach(waiter => {
+                waiters.splice(waiters.indexOf(waiter), 1);
+                waiter.resolve(deliveries.slice());
+            });
+        });
+    });
+
+    await new Promise(resolve => server.listen(0, resolve));
+
+    return {
+        url: `http://localhost:${server.address().port}`,
+        deliveries,
+
+        /**
+         * Answer the next deliveries with these statuses, then with 200
+         * @param {number[]} next HTTP statuses
+         */
+        respondWith(next) {
+            statuses = next.slice();
+        },
+
+        /**
+         * Wait until a number of deliveries arrived
+         * @param {number} count Deliveries to wait for
+         * @returns {Promise<Object[]>} Deliveries so far
+         */
+        waitFor(count) {
+            if (deliveries.length >= count) return Promise.resolve(deliveries.slice());
+
+            return new Promise((resolve, reject) => {
+                const waiter = { count, resolve };
+                waiters.push(waiter);
+                setTimeout(() => reject(new Error(`Timed out waiting for ${count} deliveries`)), 5000).unref();
+            });
+        },
+
+        /**
+         * Forget the deliveries and queued statuses
+         */
+        reset() {
+            deliveries.length = 0;
+            statuses = [];
+        },
+
+        close() {
+            return new Promise(resolve => server.close(resolve));
+        }
+    };
+}
+
+/**
+ * Check a delivery's signature the way receivers do (HMAC-SHA256 of "timestamp.body")
+ * @param {Object} delivery Recorded delivery
+ * @param {string} secret Signing secret
+ * @returns {boolean} Whether the signature matches
+ */
+function hasValidSignature(delivery, secret) {
+    const timestamp = delivery.headers['x-webhook-timestamp'];
+    const expected = crypto.createHmac('sha256', secret).update(`${timestamp}.${delivery.body}`).digest('hex');
+
+    return delivery.headers['x-webhook-signature'] === expected;
+}
+
+describe('webhooks', () => {
+    let stack;
+    let receiver;
+    let api;
+
+    /**
+     * Register a webhook
+     * @param {Object} body Webhook options
+     * @returns {Promise<Object>} Response body ({ webhook, secret })
+     */
+    async function createWebhook(body) {
+        const response = await postJson(`${api}/webhooks`, body, ADMIN_HEADERS);
+        assert.equal(response.status, 201);
+        return response.json();
+    }
+
+    /**
+     * Get a webhook's deliveries
+     * @param {string} id Webhook ID
+     * @returns {Promise<Object[]>} Deliveries
+     */
+    async function getDeliveries(id) {
+        const response = await fetch(`${api}/webhooks/${id}/deliveries`, { headers: ADMIN_HEADERS });
+        return (await response.json()).deliveries;
+    }
+
+    /**
+     * Remove a webhook
+     * @param {string} id Webhook ID
+     * @returns {Promise<Response>} Fetch response
+     */
+    function deleteWebhook(id) {
+        return fetch(`${api}/webhooks/${id}`, { method: 'DELETE', headers: ADMIN_HEADERS });
+    }
+
+    before(async () => {
+        receiver = await startReceiver();
+        stack = await startStack({
+            ADMIN_API_KEY: 'admin-secret',
+            WEBHOOK_MAX_ATTEMPTS: '3',
+            WEBHOOK_RETRY_BASE_MS: '50'
+        });
+        api = `${stack.baseUrl}/api/v1`;
+    });
+
+    after(async () => {
+        await stack.stop();
+        await receiver.close();
+    });
+
+    beforeEach(() => {
+        stack.standIn.reset();
+        receiver.reset();
+    });
+
+    it('registers webhooks whose secret is shown once', async () => {
+        assert.equal((await fetch(`${api}/webhooks`)).status, 401);
+
+        const { webhook, secret } = await createWebhook({
+            url: `${receiver.url}/hooks`,
+            events: ['chat.responded'],
+            description: 'registration test'
+        });
+
+        assert.match(webhook.id, /^wh_/);
+        assert.match(secret, /^whsec_/);
+        assert.deepEqual(webhook.events, ['chat.responded']);
+        assert.equal(webhook.enabled, true);
+
+        const listed = await (await fetch(`${api}/webhooks`, { headers: ADMIN_HEADERS })).json();
+        assert.ok(listed.events.includes('warning.raised'));
+        assert.ok(listed.webhooks.some(entry => entry.id === webhook.id));
+        assert.ok(listed.webhooks.every(entry => !('secret' in entry)));
+
+        await deleteWebhook(webhook.id);
+    });
+
+    it('rejects invalid webhook options', async () => {
+        const unknownEvent = await postJson(`${api}/webhooks`, { url: receiver.url, events: ['launch'] }, ADMIN_HEADERS);
+        const badUrl = await postJson(`${api}/webhooks`, { url: 'ftp://example.com', events: ['chat.responded'] }, ADMIN_HEADERS);
+        const shortSecret = await postJson(`${api}/webhooks`, {
+            url: receiver.url,
+            events: ['chat.responded'],
+            secret: 'short'
+        }, ADMIN_HEADERS);
+
+        assert.equal(unknownEvent.status, 400);
+        assert.match((await unknownEvent.json()).error.message, /Unknown events: launch/);
+        assert.equal(badUrl.status, 400);
+        assert.equal(shortSecret.status, 400);
+        assert.equal((await deleteWebhook('wh_missing')).status, 404);
+    });
+
+    it('delivers signed chat.responded events', async () => {
+        const { webhook, secret } = await createWebhook({ url: `${receiver.url}/chat`, events: ['chat.responded'] });
+
+        const chat = await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' }, { 'X-Session-ID': 'webhook-chat' });
+        const { response } = await chat.json();
+        const [delivery] = await receiver.waitFor(1);
+
+        assert.equal(delivery.path, '/chat');
+        assert.equal(delivery.headers['x-webhook-event'], 'chat.responded');
+        assert.equal(delivery.headers['x-webhook-id'], webhook.id);
+        assert.match(delivery.headers['x-webhook-delivery'], /^dlv_/);
+        assert.ok(hasValidSignature(delivery, secret));
+        assert.ok(!hasValidSignature(delivery, 'whsec_someone-else'));
+
+        assert.equal(delivery.json.event, 'chat.responded');
+        assert.match(delivery.json.id, /^evt_/);
+        assert.equal(delivery.json.context.sessionId, 'webhook-chat');
+        assert.deepEqual(delivery.json.data, { message: 'status', response });
+
+        await deleteWebhook(webhook.id);
+    });
+
+    it('delivers only the events a webhook subscribed to', async () => {
+        const { webhook } = await createWebhook({
+            url: receiver.url,
+            events: ['tts.generated', 'transcription.completed', 'warning.raised']
+        });
+
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' });
+        assert.equal((await postJson(`${stack.baseUrl}/api/tts`, { text: 'webhook speech' })).status, 200);
+        await fetch(`${api}/recognition`, {
+            method: 'POST',
+            headers: { 'Content-Type': 'application/octet-stream' },
+            body: Buffer.from('fake-webm-audio-for-webhooks')
+        });
+        stack.standIn.setCharacterUsage(9000, 10000);
+        await fetch(`${stack.baseUrl}/api/subscription?refresh=true`, { headers: ADMIN_HEADERS });
+
+        const deliveries = await receiver.waitFor(3);
+        const byEvent = Object.fromEntries(deliveries.map(delivery => [delivery.json.event, delivery.json]));
+
+        assert.deepEqual(Object.keys(byEvent).sort(), ['transcription.completed', 'tts.generated', 'warning.raised']);
+        assert.equal(byEvent['tts.generated'].data.characters, 'webhook speech'.length);
+        assert.equal(byEvent['tts.generated'].data.cached, false);
+        assert.equal(typeof byEvent['transcription.completed'].data.text, 'string');
+        assert.equal(byEvent['warning.raised'].data.level, 'warning');
+        assert.equal(byEvent['warning.raised'].data.percentUsed, 90);
+        assert.equal(byEvent['warning.raised'].context, null);
+
+        await deleteWebhook(webhook.id);
+    });
+
+    it('retries failed deliveries with backoff and logs every attempt', async () => {
+        const { webhook } = await createWebhook({ url: receiver.url, events: ['chat.responded'] });
+        receiver.respondWith([500, 503]);
+
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' });
+        const deliveries = await receiver.waitFor(3);
+
+        // The same event each time, signed afresh
+        assert.equal(new Set(deliveries.map(delivery => delivery.json.id)).size, 1);
+        assert.equal(new Set(deliveries.map(delivery => delivery.headers['x-webhook-delivery'])).size, 1);
+
+        const [logged] = await getDeliveries(webhook.id);
+        assert.equal(logged.status, 'delivered');
+        assert.equal(logged.attempts, 3);
+        assert.equal(logged.responseStatus, 200);
+
+        await deleteWebhook(webhook.id);
+    });
+
+    it('gives up on refused deliveries and after the last attempt', async () => {
+        const { webhook } = await createWebhook({ url: receiver.url, events: ['chat.responded'] });
+
+        receiver.respondWith([410]);
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' });
+        await receiver.waitFor(1);
+
+        receiver.respondWith([500, 500, 500]);
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' });
+        await receiver.waitFor(4);
+
+        // Let the last attempt reach the log
+        await new Promise(resolve => setTimeout(resolve, 100));
+        const [exhausted, refused] = await getDeliveries(webhook.id);
+
+        assert.equal(refused.status, 'failed');
+        assert.equal(refused.attempts, 1);
+        assert.equal(refused.responseStatus, 410);
+        assert.equal(exhausted.status, 'failed');
+        assert.equal(exhausted.attempts, 3);
+        assert.match(exhausted.error, /500/);
+
+        await deleteWebhook(webhook.id);
+    });
+
+    it('pings a webhook and skips disabled ones', async () => {
+        const { webhook, secret } = await createWebhook({ url: receiver.url, events: ['chat.responded'] });
+
+        const ping = await (await postJson(`${api}/webhooks/${webhook.id}/ping`, {}, ADMIN_HEADERS)).json();
+        assert.equal(ping.delivery.status, 'delivered');
+        assert.equal(receiver.deliveries[0].json.event, 'webhook.ping');
+        assert.ok(hasValidSignature(receiver.deliveries[0], secret));
+
+        const patched = await fetch(`${api}/webhooks/${webhook.id}`, {
+            method: 'PATCH',
+            headers: { ...ADMIN_HEADERS, 'Content-Type': 'application/json' },
+            body: JSON.stringify({ enabled: false })
+        });
+        assert.equal((await patched.json()).webhook.enabled, false);
+
+        await postJson(`${stack.baseUrl}/api/chat`, { message: 'status' });
+        await new Promise(resolve => setTimeout(resolve, 200));
+        assert.equal(receiver.deliveries.length, 1);
+
+        await deleteWebhook(webhook.id);
+    });
+
+    describe('delivery log', () => {
+        let stateDir;
+        let env;
+
+        before(() => {
+            stateDir = fs.mkdtempSync(path.join(os.tmpdir(), 't101-webhook-log-'));
+            env = {
+                ADMIN_API_KEY: 'admin-secret',
+                WEBHOOK_STORE: path.join(stateDir, 'webhooks.json'),
+                WEBHOOK_DELIVERY_LOG: path.join(stateDir, 'webhook-deliveries.jsonl'),
+                WEBHOOK_RECENT_DELIVERIES: '2',
+                WEBHOOK_DELIVERY_LOG_MAX_ENTRIES: '4',
+                // Retries wait longer than the tests run
+                WEBHOOK_RETRY_BASE_MS: '60000'
+            };
+        });
+
+        after(() => {
+            fs.rmSync(stateDir, { recursive: true, force: true });
+        });
+
+        /**
+         * Read the delivery log file
+         * @returns {Object[]} Log entries
+         */
+        function readLog() {
+            return fs.readFileSync(env.WEBHOOK_DELIVERY_LOG, 'utf8').split('\n').filter(Boolean).map(line => JSON.parse(line));
+        }
+
+        it('keeps only each webhook\'s recent deliveries', async () => {
+            const logStack = await startStack(env);
+            const logApi = `${logStack.baseUrl}/api/v1`;
+
+            try {
+                const created = await postJson(`${logApi}/webhooks`, { url: receiver.url, events: ['chat.responded'] }, ADMIN_HEADERS);
+                const { webhook } = await created.json();
+                const pings = [];
+
+                for (let count = 0; count < 5; count++) {
+                    const ping = await (await postJson(`${logApi}/webhooks/${webhook.id}/ping`, {}, ADMIN_HEADERS)).json();
+                    pings.push(ping.delivery.deliveryId);
+                }
+
+                const listed = await (await fetch(`${logApi}/webhooks/${webhook.id}/deliveries`, { headers: ADMIN_HEADERS })).json();
+                assert.deepEqual(listed.deliveries.map(delivery => delivery.id), pings.slice(-2).reverse());
+
+                // Compacted at the fifth entry, then appended to
+                await new Promise(resolve => setTimeout(resolve, 100));
+                assert.ok(readLog().length <= 4);
+                assert.ok(readLog().every(entry => pings.slice(-3).includes(entry.deliveryId)));
+
+                await fetch(`${logApi}/webhooks/${webhook.id}`, { method: 'DELETE', headers: ADMIN_HEADERS });
+            } finally {
+                await logStack.stop();
+            }
+        });
+
+        it('records retries that a restart dropped', async () => {
+            let logStack = await startStack(env);
+
+            try {
+                const created = await postJson(`${logStack.baseUrl}/api/v1/webhooks`, {
+                    url: receiver.url,
+                    events: ['chat.responded']
+                }, ADMIN_HEADERS);
+                const { webhook } = await created.json();
+
+                receiver.respondWith([503]);
+                const ping = await (await postJson(`${logStack.baseUrl}/api/v1/webhooks/${webhook.id}/ping`, {}, ADMIN_HEADERS)).json();
+                assert.equal(ping.delivery.status, 'retrying');
+
+                // Let the attempt reach the log before stopping
+                await new Promise(resolve => setTimeout(resolve, 100));
+                await logStack.stop();
+                logStack = await startStack(env);
+
+                const listed = await (await fetch(`${logStack.baseUrl}/api/v1/webhooks/${webhook.id}/deliveries`, {
+                    headers: ADMIN_HEADERS
+                })).json();
+                const [dropped] = listed.deliveries;
+
+                assert.equal(dropped.id, ping.delivery.deliveryId);
+                assert.equal(dropped.status, 'cancelled');
+                assert.equal(dropped.attempts, 1);
+                assert.match(dropped.error, /restarted/);
+            } finally {
+                await logStack.stop();
+            }
+        });
+    });
+});
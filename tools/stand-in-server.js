@@ -0,0 +1,567 @@
+/**
+ * T-101 Terminal - Upstream Stand-in Server
+ * Emulates the OpenAI and ElevenLabs endpoints the project calls, for offline development and integration tests
+ *
+ * Reach it either by pointing a base URL at it (http://localhost:4010/v1) or by using it as an
+ * HTTP proxy (HTTPS_PROXY=http://localhost:4010), in which case requests for api.openai.com and
+ * api.elevenlabs.io are answered here.
+ *
+ * Usage: node tools/stand-in-server.js [--port 4010] [--latency 250] [--error-rate 0.1]
+ */
+
+const crypto = require('crypto');
+const express = require('express');
+const multer = require('multer');
+const mockFixtures = require('../backend/utils/mock-fixtures');
+
+const DEFAULT_PORT = 4010;
+
+// Transcription formats accepted by the Whisper API
+const RESPONSE_FORMATS = ['json', 'text', 'srt', 'verbose_json', 'vtt'];
+
+// Approximate speaking rate used for mock segment timings
+const SECONDS_PER_WORD = 0.35;
+
+/**
+ * Create a stand-in server
+ * @param {Object} options Server options
+ * @param {number} options.latencyMs Delay added before every response
+ * @param {number} options.chunkDelayMs Delay between chunks of streamed responses
+ * @param {number} options.errorRate Probability (0-1) of answering any request with a 500
+ * @param {number} options.characterLimit Character quota reported by the subscription endpoint
+ * @returns {Object} Stand-in with the Express app and controls for latency, faults and the request log
+ */
+function createStandInServer(options = {}) {
+    const state = {
+        latencyMs: options.latencyMs || 0,
+        chunkDelayMs: options.chunkDelayMs || 0,
+        errorRate: options.errorRate || 0,
+        characterLimit: options.characterLimit || 10000,
+        characterCount: 0,
+        voices: mockFixtures.getVoices(),
+        faults: [],
+        requests: []
+    };
+
+    const app = express();
+    const upload = multer({ storage: multer.memoryStorage() });
+
+    // Proxied requests carry an absolute URL; route them by path like direct requests
+    app.use((req, res, next) => {
+        if (/^https?:\/\//.test(req.url)) {
+            const url = new URL(req.url);
+            req.upstreamHost = url.host;
+            req.url = url.pathname + url.search;
+        }
+        next();
+    });
+
+    app.use(express.json({ limit: '10mb' }));
+
+    // Record every request so tests can assert on what the server sent upstream
+    app.use((req, res, next) => {
+        req.logEntry = {
+            method: req.method,
+            path: req.path,
+            host: req.upstreamHost || req.headers.host,
+            headers: { ...req.headers },
+            body: req.is('application/json') ? req.body : undefined,
+            timestamp: Date.now()
+        };
+        state.requests.push(req.logEntry);
+        next();
+    });
+
+    // Latency and error injection
+    app.use(async (req, res, next) => {
+        if (state.latencyMs > 0) {
+            await delay(state.latencyMs);
+        }
+
+        const fault = takeFault(state, req);
+        if (fault) {
+            return sendError(req, res, fault.status, fault.message);
+        }
+
+        if (state.errorRate > 0 && Math.random() < state.errorRate) {
+            return sendError(req, res, 500, 'Injected random failure');
+        }
+
+        next();
+    });
+
+    // OpenAI: chat completions
+    app.post('/v1/chat/completions', requireOpenAiKey, async (req, res) => {
+        const { model, messages, stream } = req.body || {};
+
+        if (!model || !Array.isArray(messages) || messages.length === 0) {
+            return sendError(req, res, 400, "'model' and a non-empty 'messages' array are required");
+        }
+
+        const reply = mockFixtures.getChatReply(messages);
+        const id = `chatcmpl-standin-${Date.now()}`;
+        const created = Math.floor(Date.now() / 1000);
+
+        if (!stream) {
+            const promptTokens = estimateTokens(messages.map(message => message.content).join(' '));
+            const completionTokens = estimateTokens(reply);
+
+            return res.json({
+                id,
+                object: 'chat.completion',
+                created,
+                model,
+                choices: [{
+                    index: 0,
+                    message: { role: 'assistant', content: reply },
+                    finish_reason: 'stop'
+                }],
+                usage: {
+                    prompt_tokens: promptTokens,
+                    completion_tokens: completionTokens,
+                    total_tokens: promptTokens + completionTokens
+                }
+            });
+        }
+
+        res.setHeader('Content-Type', 'text/event-stream');
+        res.setHeader('Cache-Control', 'no-cache');
+
+        const writeChunk = (delta, finishReason = null) => {
+            res.write(`data: ${JSON.stringify({
+                id,
+                object: 'chat.completion.chunk',
+                created,
+                model,
+                choices: [{ index: 0, delta, finish_reason: finishReason }]
+            })}\n\n`);
+        };
+
+        writeChunk({ role: 'assistant', content: '' });
+
+        for (const token of reply.match(/\S+\s*/g) || []) {
+            if (state.chunkDelayMs > 0) {
+                await delay(state.chunkDelayMs);
+            }
+            writeChunk({ content: token });
+        }
+
+        writeChunk({}, 'stop');
+        res.end('data: [DONE]\n\n');
+    });
+
+    // OpenAI: Whisper transcription and translation
+    const transcriptionHandler = (translate) => (req, res) => {
+        if (!req.file) {
+            return sendError(req, res, 400, "'file' is required");
+        }
+
+        // Multipart uploads are only parsed here, so add them to the request log now
+        req.logEntry.body = { ...req.body };
+        req.logEntry.file = { name: req.file.originalname, size: req.file.size };
+
+        if (!req.body.model) {
+            return sendError(req, res, 400, "'model' is required");
+        }
+
+        const format = req.body.response_format || 'json';
+        if (!RESPONSE_FORMATS.includes(format)) {
+            return sendError(req, res, 400, `Unsupported response_format: ${format}`);
+        }
+
+        const text = translate ?
+            mockFixtures.getTranslation(req.file.originalname, req.file.buffer) :
+            mockFixtures.getTranscription(req.file.originalname, req.file.buffer);
+
+        // Word timestamps are only returned when asked for, as the real API does
+        const granularities = [].concat(req.body.timestamp_granularities || []);
+
+        sendTranscription(res, text, format, translate ? 'english' : (req.body.language || 'english'), {
+            words: !translate && granularities.includes('word')
+        });
+    };
+
+    app.post('/v1/audio/transcriptions', requireOpenAiKey, upload.single('file'), transcriptionHandler(false));
+    app.post('/v1/audio/translations', requireOpenAiKey, upload.single('file'), transcriptionHandler(true));
+
+    // ElevenLabs: text-to-speech
+    const speechHandler = (streamed) => async (req, res) => {
+        const { text } = req.body || {};
+
+        if (!text) {
+            return sendError(req, res, 400, 'text is required');
+        }
+
+        if (state.characterCount + text.length > state.characterLimit) {
+            return sendError(req, res, 401, 'This request exceeds your quota.', 'quota_exceeded');
+        }
+
+        state.characterCount += text.length;
+
+        const audio = mockFixtures.getSpeechAudio(text);
+        res.setHeader('Content-Type', 'audio/mpeg');
+
+        if (!streamed) {
+            return res.send(audio);
+        }
+
+        // Stream the audio in a few chunks like the real endpoint
+        const chunkSize = Math.max(1, Math.ceil(audio.length / 4));
+        for (let offset = 0; offset < audio.length; offset += chunkSize) {
+            if (state.chunkDelayMs > 0) {
+                await delay(state.chunkDelayMs);
+            }
+            res.write(audio.subarray(offset, offset + chunkSize));
+        }
+        res.end();
+    };
+
+    app.post('/v1/text-to-speech/:voiceId', requireElevenLabsKey, speechHandler(false));
+    app.post('/v1/text-to-speech/:voiceId/stream', requireElevenLabsKey, speechHandler(true));
+
+    // ElevenLabs: voices and subscription
+    app.get('/v1/voices', requireElevenLabsKey, (req, res) => {
+        res.json({ voices: state.voices });
+    });
+
+    // Voice management takes multipart forms, logged once parsed like transcription uploads
+    app.post('/v1/voices/add', requireElevenLabsKey, upload.array('files'), (req, res) => {
+        req.logEntry.body = { ...req.body };
+        req.logEntry.files = (req.files || []).map(file => ({ name: file.originalname, size: file.size }));
+
+        if (!req.body.name) {
+            return sendError(req, res, 400, 'name is required');
+        }
+
+        if (!req.files || req.files.length === 0) {
+            return sendError(req, res, 400, 'At least one sample file is required');
+        }
+
+        const voiceId = crypto.randomBytes(10).toString('hex');
+        state.voices.push({
+            voice_id: voiceId,
+            name: req.body.name,
+            category: 'cloned',
+            preview_url: '',
+            description: req.body.description || '',
+            labels: {}
+        });
+
+        res.json({ voice_id: voiceId });
+    });
+
+    app.post('/v1/voices/:voiceId/edit', requireElevenLabsKey, upload.none(), (req, res) => {
+        req.logEntry.body = { ...req.body };
+
+        const voice = state.voices.find(candidate => candidate.voice_id === req.params.voiceId);
+        if (!voice) {
+            return sendError(req, res, 404, `Voice ${req.params.voiceId} not found`, 'voice_not_found');
+        }
+
+        if (!req.body.name) {
+            return sendError(req, res, 400, 'name is required');
+        }
+
+        voice.name = req.body.name;
+        if (req.body.description !== undefined) {
+            voice.description = req.body.description;
+        }
+
+        res.json({ status: 'ok' });
+    });
+
+    app.delete('/v1/voices/:voiceId', requireElevenLabsKey, (req, res) => {
+        const index = state.voices.findIndex(candidate => candidate.voice_id === req.params.voiceId);
+        if (index === -1) {
+            return sendError(req, res, 404, `Voice ${req.params.voiceId} not found`, 'voice_not_found');
+        }
+
+        state.voices.splice(index, 1);
+        res.json({ status: 'ok' });
+    });
+
+    app.get('/v1/user/subscription', requireElevenLabsKey, (req, res) => {
+        res.json({
+            ...mockFixtures.getSubscription(),
+            tier: 'stand-in',
+            character_count: state.characterCount,
+            character_limit: state.characterLimit
+        });
+    });
+
+    app.use((req, res) => {
+        sendError(req, res, 404, `No stand-in for ${req.method} ${req.path}`);
+    });
+
+    let server = null;
+
+    return {
+        app,
+
+        /**
+         * Start listening
+         * @param {number} port Port to listen on (0 picks a free port)
+         * @returns {Promise<string>} Base URL of the running server
+         */
+        listen(port = DEFAULT_PORT) {
+            return new Promise((resolve, reject) => {
+                server = app.listen(port, () => {
+                    resolve(`http://localhost:${server.address().port}`);
+                });
+                server.on('error', reject);
+            });
+        },
+
+        /**
+         * Stop listening
+         * @returns {Promise<void>}
+         */
+        close() {
+            return new Promise(resolve => {
+                if (!server) return resolve();
+                server.closeAllConnections();
+                server.close(() => resolve());
+            });
+        },
+
+        /**
+         * Fail matching requests with an error response
+         * @param {Object} fault Fault definition
+         * @param {string} fault.path Path prefix to match (e.g. '/v1/chat/completions')
+         * @param {string} fault.method HTTP method to match (any when omitted)
+         * @param {number} fault.status Status code to return (default 500)
+         * @param {string} fault.message Error message
+         * @param {number} fault.times Number of requests to fail (default: until cleared)
+         */
+        injectFault(fault) {
+            state.faults.push({ status: 500, times: Infinity, ...fault });
+        },
+
+        /**
+         * Set the delay added before every response
+         * @param {number} latencyMs Delay in milliseconds
+         * @param {number} chunkDelayMs Delay between streamed chunks
+         */
+        setLatency(latencyMs, chunkDelayMs = state.chunkDelayMs) {
+            state.latencyMs = latencyMs;
+            state.chunkDelayMs = chunkDelayMs;
+        },
+
+        /**
+         * Set the character usage reported by the subscription endpoint and enforced on speech
+         * @param {number} characterCount Characters used
+         * @param {number} characterLimit Character quota
+         */
+        setCharacterUsage(characterCount, characterLimit = state.characterLimit) {
+            state.characterCount = characterCount;
+            state.characterLimit = characterLimit;
+        },
+
+        /**
+         * Get the requests received so far
+         * @param {string} path Only return requests whose path starts with this prefix
+         * @returns {Array} Recorded requests
+         */
+        getRequests(path = '') {
+            return state.requests.filter(request => request.path.startsWith(path));
+        },
+
+        /**
+         * Clear faults, latency, the request log and the character usage, and restore the voice list
+         */
+        reset() {
+            state.faults = [];
+            state.requests = [];
+            state.latencyMs = options.latencyMs || 0;
+            state.chunkDelayMs = options.chunkDelayMs || 0;
+            state.characterCount = 0;
+            state.characterLimit = options.characterLimit || 10000;
+            state.voices = mockFixtures.getVoices();
+        }
+    };
+}
+
+/**
+ * Require an OpenAI style bearer token
+ */
+function requireOpenAiKey(req, res, next) {
+    if (!/^Bearer \S+/.test(req.headers.authorization || '')) {
+        return sendError(req, res, 401, 'Incorrect API key provided.');
+    }
+    next();
+}
+
+/**
+ * Require an ElevenLabs API key header
+ */
+function requireElevenLabsKey(req, res, next) {
+    if (!req.headers['xi-api-key']) {
+        return sendError(req, res, 401, 'Invalid API key', 'invalid_api_key');
+    }
+    next();
+}
+
+/**
+ * Consume the first fault that matches a request
+ * @param {Object} state Stand-in state
+ * @param {Object} req Express request object
+ * @returns {Object|null} Matching fault
+ */
+function takeFault(state, req) {
+    const fault = state.faults.find(candidate =>
+        req.path.startsWith(candidate.path || '/') &&
+        (!candidate.method || candidate.method.toUpperCase() === req.method));
+
+    if (!fault) return null;
+
+    fault.times -= 1;
+    if (fault.times <= 0) {
+        state.faults.splice(state.faults.indexOf(fault), 1);
+    }
+
+    return fault;
+}
+
+/**
+ * Send an error in the format of the emulated API
+ * @param {Object} req Express request object
+ * @param {Object} res Express response object
+ * @param {number} status HTTP status code
+ * @param {string} message Error message
+ * @param {string} code Error code
+ */
+function sendError(req, res, status, message = 'Injected failure', code = null) {
+    if (isElevenLabsPath(req.path)) {
+        return res.status(status).json({
+            detail: { status: code || 'error', message }
+        });
+    }
+
+    res.status(status).json({
+        error: {
+            message,
+            type: status >= 500 ? 'server_error' : 'invalid_request_error',
+            code
+        }
+    });
+}
+
+/**
+ * Check whether a path belongs to the ElevenLabs API
+ * @param {string} path Request path
+ * @returns {boolean} Whether the path is an ElevenLabs endpoint
+ */
+function isElevenLabsPath(path) {
+    return /^\/v1\/(text-to-speech|voices|user)/.test(path);
+}
+
+/**
+ * Send a transcription in the requested Whisper response format
+ * @param {Object} res Express response object
+ * @param {string} text Transcribed text
+ * @param {string} format Response format
+ * @param {string} language Detected language
+ * @param {Object} options Response options
+ * @param {boolean} options.words Include word timestamps in verbose_json
+ */
+function sendTranscription(res, text, format, language, options = {}) {
+    const words = text.match(/\S+/g) || [];
+    const duration = Math.max(1, words.length * SECONDS_PER_WORD);
+
+    switch (format) {
+        case 'text':
+            return res.type('text/plain').send(text);
+        case 'srt':
+            return res.type('text/plain').send(`1\n00:00:00,000 --> ${formatTimestamp(duration, ',')}\n${text}\n`);
+        case 'vtt':
+            return res.type('text/vtt').send(`WEBVTT\n\n00:00:00.000 --> ${formatTimestamp(duration, '.')}\n${text}\n`);
+        case 'verbose_json':
+            return res.json({
+                task: 'transcribe',
+                language,
+                duration,
+                text,
+                segments: [{
+                    id: 0,
+                    seek: 0,
+                    start: 0,
+                    end: duration,
+                    text,
+                    temperature: 0,
+                    avg_logprob: -0.2,
+                    compression_ratio: 1,
+                    no_speech_prob: 0.01
+                }],
+                ...(options.words ? {
+                    words: words.map((word, index) => ({
+                        word,
+                        start: index * SECONDS_PER_WORD,
+                        end: (index + 1) * SECONDS_PER_WORD
+                    }))
+                } : {})
+            });
+        default:
+            return res.json({ text });
+    }
+}
+
+/**
+ * Format seconds as an SRT/VTT timestamp
+ * @param {number} seconds Time in seconds
+ * @param {string} separator Separator before milliseconds
+ * @returns {string} Formatted timestamp (HH:MM:SS,mmm)
+ */
+function formatTimestamp(seconds, separator) {
+    const totalMs = Math.round(seconds * 1000);
+    const pad = (value, length = 2) => String(value).padStart(length, '0');
+
+    return `${pad(Math.floor(totalMs / 3600000))}:${pad(Math.floor(totalMs / 60000) % 60)}:` +
+        `${pad(Math.floor(totalMs / 1000) % 60)}${separator}${pad(totalMs % 1000, 3)}`;
+}
+
+/**
+ * Estimate tokens using the ~4 characters per token approximation
+ * @param {string} text Text to measure
+ * @returns {number} Estimated token count
+ */
+function estimateTokens(text) {
+    return Math.ceil((text || '').length / 4);
+}
+
+/**
+ * Wait for a number of milliseconds
+ * @param {number} ms Delay
+ * @returns {Promise<void>}
+ */
+function delay(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Read a numeric command line flag or environment variable
+ * @param {string} flag Flag name without dashes
+ * @param {string} envVar Environment variable name
+ * @param {number} fallback Default value
+ * @returns {number} Parsed value
+ */
+function readOption(flag, envVar, fallback) {
+    const index = process.argv.indexOf(`--${flag}`);
+    const value = index !== -1 ? process.argv[index + 1] : process.env[envVar];
+    return value !== undefined ? parseFloat(value) : fallback;
+}
+
+// Run standalone when executed directly
+if (require.main === module) {
+    const standIn = createStandInServer({
+        latencyMs: readOption('latency', 'STAND_IN_LATENCY_MS', 0),
+        chunkDelayMs: readOption('chunk-delay', 'STAND_IN_CHUNK_DELAY_MS', 50),
+        errorRate: readOption('error-rate', 'STAND_IN_ERROR_RATE', 0)
+    });
+
+    standIn.listen(readOption('port', 'STAND_IN_PORT', DEFAULT_PORT)).then(url => {
+        console.log(`Upstream stand-in listening on ${url}`);
+        console.log(`Use it as a proxy (HTTPS_PROXY=${url}) or as a base URL (${url}/v1)`);
+    });
+}
+
+module.exports = { createStandInServer };